@@ -4,7 +4,7 @@
  * Propósito: Configurar la aplicación Express con middleware y rutas
  * 
  * Responsabilidades:
- * - Configurar middleware global (CORS, parser JSON)
+ * - Configurar middleware global (CORS, parser JSON, archivos subidos)
  * - Registrar todas las rutas de la API
  * - Definir endpoint raíz de bienvenida
  * - Exportar app para uso en server.js
@@ -29,6 +29,7 @@ const storeRoutes = require('./routes/storeRoutes');
 const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 
 // Crear instancia de Express
 const app = express();
@@ -58,8 +59,26 @@ app.use(cors());
  * Convierte el JSON string en objeto JavaScript accesible en controladores
  * 
  * Sin esto, req.body sería undefined
+ * 
+ * verify guarda además el cuerpo crudo en req.rawBody: los webhooks de pago
+ * se firman sobre los bytes exactos recibidos, no sobre el JSON re-serializado
+ *
+ * limit: 2mb para admitir la importación masiva de productos en JSON
+ * (POST /api/v1/products/import), igual que el límite de la importación CSV
+ */
+app.use(express.json({
+  limit: '2mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+/**
+ * Archivos subidos (imágenes de productos y sus miniaturas)
+ * Con el almacenamiento local (STORAGE_DRIVER=local, el default) los archivos
+ * se guardan en UPLOAD_DIR y se sirven desde aquí (ver storage/LocalStorageAdapter)
  */
-app.use(express.json());
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads'));
 
 /**
  * Registro de Rutas
@@ -75,6 +94,8 @@ app.use(express.json());
  * - POST /api/v1/auth/register
  * - POST /api/v1/auth/login
  * - POST /api/v1/auth/google-login
+ * - POST /api/v1/auth/refresh
+ * - POST /api/v1/auth/logout
  */
 app.use('/api/v1/auth', authRoutes);
 
@@ -83,8 +104,14 @@ app.use('/api/v1/auth', authRoutes);
  * Base: /api/v1/stores
  * - POST /api/v1/stores
  * - GET /api/v1/stores/my-store
- * - GET /api/v1/stores (admin)
- * - PUT /api/v1/stores/:id/approve (admin)
+ * - GET /api/v1/stores (admin: filtros por estado y paginación)
+ * - GET /api/v1/stores/:idOrSlug (perfil público)
+ * - PATCH /api/v1/stores/:id/status (admin: aprobar, rechazar, suspender)
+ * - POST /api/v1/stores/my-store/resubmit
+ * - GET /api/v1/stores/my-store/members
+ * - POST /api/v1/stores/my-store/invitations, DELETE /api/v1/stores/my-store/invitations/:invitationId
+ * - POST /api/v1/stores/invitations/accept
+ * - PATCH|DELETE /api/v1/stores/my-store/members/:userId
  * - PUT /api/v1/stores
  */
 app.use('/api/v1/stores', storeRoutes);
@@ -93,7 +120,10 @@ app.use('/api/v1/stores', storeRoutes);
  * Rutas de Productos
  * Base: /api/v1/products
  * - GET /api/v1/products (con filtros)
- * - GET /api/v1/products/:id
+ * - GET /api/v1/products/store/:storeId
+ * - GET /api/v1/products/:id (ID o slug, con disponibilidad y relacionados)
+ * - POST /api/v1/products/import, GET /api/v1/products/export
+ * - POST | PATCH | DELETE /api/v1/products/:id/images
  * - POST /api/v1/products
  * - PUT /api/v1/products/:id
  * - DELETE /api/v1/products/:id
@@ -104,9 +134,12 @@ app.use('/api/v1/products', productRoutes);
  * Rutas de Pedidos
  * Base: /api/v1/orders
  * - POST /api/v1/orders
- * - GET /api/v1/orders/:id
+ * - GET /api/v1/orders/my-orders
  * - GET /api/v1/orders/store-orders
- * - PUT /api/v1/orders/:id/status
+ * - GET /api/v1/orders/:id (comprador, tienda del pedido o admin)
+ * - PATCH /api/v1/orders/:id/status
+ * - POST /api/v1/orders/:id/items/:itemId/cancel
+ * - POST /api/v1/orders/:id/refunds
  */
 app.use('/api/v1/orders', orderRoutes);
 
@@ -114,6 +147,7 @@ app.use('/api/v1/orders', orderRoutes);
  * Rutas de Categorías
  * Base: /api/v1/categories
  * - GET /api/v1/categories
+ * - GET /api/v1/categories/tree
  * - GET /api/v1/categories/:id
  * - POST /api/v1/categories (admin)
  * - PUT /api/v1/categories/:id (admin)
@@ -121,6 +155,13 @@ app.use('/api/v1/orders', orderRoutes);
  */
 app.use('/api/v1/categories', categoryRoutes);
 
+/**
+ * Rutas de Pagos
+ * Base: /api/v1/payments
+ * - POST /api/v1/payments/webhook (firmado por el proveedor)
+ */
+app.use('/api/v1/payments', paymentRoutes);
+
 /**
  * Rutas de Carrito
  * Base: /api/v1/cart
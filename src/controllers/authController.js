@@ -13,6 +13,12 @@
  * - POST /api/v1/auth/register - Registro de usuarios
  * - POST /api/v1/auth/login - Inicio de sesión tradicional
  * - POST /api/v1/auth/google-login - Inicio de sesión con Google
+ * - POST /api/v1/auth/refresh - Renovar el access token (rota el refresh token)
+ * - POST /api/v1/auth/logout - Cerrar la sesión actual o todas
+ * 
+ * Tokens:
+ * - token: access token JWT de corta duración (ACCESS_TOKEN_TTL, default 15m)
+ * - refreshToken: token opaco de un solo uso para obtener un nuevo par en /refresh
  */
 
 const authService = require('../services/authService');
@@ -25,7 +31,7 @@ class AuthController {
      * @access Público
      * 
      * @param {Object} req.body - { email: string, password: string, role: string }
-     * @returns {201} { user: { id, email, role }, token: string }
+     * @returns {201} { user: { id, email, role }, token: string, refreshToken: string }
      * @returns {400} { message: string } - Error de validación
      * 
      * @example
@@ -40,8 +46,8 @@ class AuthController {
         try {
             const { email, password, role } = req.body;
             const user = await authService.register(email, password, role);
-            const token = authService.generateToken(user._id, user.role);
-            res.status(201).json({ user: { id: user._id, email: user.email, role: user.role }, token });
+            const tokens = await authService.createSession(user);
+            res.status(201).json({ user: { id: user._id, email: user.email, role: user.role }, ...tokens });
         } catch (error) {
             res.status(400).json({ message: error.message });
         }
@@ -54,7 +60,7 @@ class AuthController {
      * @access Público
      * 
      * @param {Object} req.body - { email: string, password: string }
-     * @returns {200} { user: { id, email, role }, token: string }
+     * @returns {200} { user: { id, email, role }, token: string, refreshToken: string }
      * @returns {401} { message: string } - Credenciales inválidas
      * 
      * @example
@@ -75,35 +81,98 @@ class AuthController {
     }
 
     /**
-     * Iniciar sesión con Google (simulado en MVP)
+     * Iniciar sesión con Google
      * 
      * @endpoint POST /api/v1/auth/google-login
      * @access Público
      * 
-     * @param {Object} req.body - { email: string, googleId: string }
-     * @returns {200} { user: { id, email, role }, token: string }
+     * @param {Object} req.body - { idToken: string }
+     * @returns {200} { user: { id, email, role }, token: string, refreshToken: string }
      * @returns {400} { message: string } - Error en el proceso
+     * @returns {401} { message: string } - ID token inválido, de otra aplicación o vencido
+     * @returns {403} { message: string } - El email de la cuenta de Google no está verificado
+     * @returns {409} { message: string } - El email ya está vinculado a otra cuenta de Google
+     * @returns {503} { message: string } - Login con Google no configurado o claves no disponibles
      * 
      * @description
-     * En el MVP, este endpoint simula el login social.
-     * - Si el usuario existe, lo vincula con googleId
+     * El frontend obtiene el ID token con Google Identity Services (campo "credential")
+     * y lo envía sin modificar. El backend verifica firma, audiencia (GOOGLE_CLIENT_ID),
+     * emisor y vencimiento; nunca confía en un email o googleId enviados por el cliente.
+     * - Si el usuario ya está vinculado a esa cuenta de Google, inicia su sesión
+     * - Si existe un usuario con el mismo email verificado, lo vincula
      * - Si no existe, crea uno nuevo con rol CLIENT
-     * - Retorna JWT para autenticación
+     * - Retorna el par de tokens de una sesión nueva
      * 
      * @example
      * POST /api/v1/auth/google-login
      * Body: {
-     *   "email": "user@gmail.com",
-     *   "googleId": "google_1234567890"
+     *   "idToken": "eyJhbGciOiJSUzI1NiIsImtpZCI6..."
      * }
      */
     async googleLogin(req, res) {
         try {
-            const { email, googleId } = req.body;
-            const result = await authService.googleLogin(email, googleId);
+            const result = await authService.googleLogin(req.body.idToken);
             res.json(result);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Renovar el access token
+     * 
+     * @endpoint POST /api/v1/auth/refresh
+     * @access Público (requiere un refresh token vigente)
+     * 
+     * @param {Object} req.body - { refreshToken: string }
+     * @returns {200} { user: { id, email, role }, token: string, refreshToken: string }
+     * @returns {401} { message: string } - Refresh token inválido, vencido, revocado o reutilizado
+     * 
+     * @description
+     * El cliente llama a este endpoint cuando el access token expira.
+     * Cada refresh token se usa una sola vez: la respuesta trae uno nuevo que
+     * reemplaza al anterior. Si se presenta un refresh token ya usado, se
+     * revoca la sesión completa (posible robo del token) y hay que volver a iniciar sesión.
+     * 
+     * @example
+     * POST /api/v1/auth/refresh
+     * Body: { "refreshToken": "4be1..." }
+     */
+    async refresh(req, res) {
+        try {
+            const result = await authService.refresh(req.body.refreshToken);
+            res.json(result);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Cerrar sesión
+     * 
+     * @endpoint POST /api/v1/auth/logout
+     * @access Privado
+     * 
+     * @param {boolean} [req.body.all] - true para cerrar todas las sesiones del usuario
+     * @returns {200} { message: "Sesión cerrada" }
+     * @returns {401} { message: string } - Token inválido o sesión ya cerrada
+     * 
+     * @description
+     * Revoca la sesión del access token enviado: desde ese momento sus access
+     * tokens y su refresh token dejan de funcionar. Con all=true se cierran
+     * todas las sesiones del usuario (todos sus dispositivos).
+     * 
+     * @example
+     * POST /api/v1/auth/logout
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: { "all": true }
+     */
+    async logout(req, res) {
+        try {
+            await authService.logout(req.user, { all: req.body.all === true });
+            res.json({ message: 'Sesión cerrada' });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 }
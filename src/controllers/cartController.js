@@ -67,6 +67,7 @@ class CartController {
      * @param {string} req.user.id - ID del usuario autenticado
      * @param {Array} req.body.items - Nuevo array de items
      * @param {string} req.body.items[].product - ID del producto
+     * @param {string} [req.body.items[].variant] - ID de la variante (obligatorio si el producto tiene variantes)
      * @param {number} req.body.items[].quantity - Cantidad
      * @param {string} req.body.items[].store - ID de la tienda
      * 
@@ -76,7 +77,9 @@ class CartController {
      * @description
      * Reemplaza completamente el array de items del carrito.
      * Usado por CartContext.updateBackendCart() en cada cambio.
-     * Valida que todos los productos existan en la BD.
+     * Valida que todos los productos existan en la BD, que su tienda esté
+     * aprobada y que cada item indique una variante válida cuando el producto
+     * tiene variantes.
      * 
      * @example
      * PUT /api/v1/cart
@@ -90,6 +93,7 @@ class CartController {
      *     },
      *     {
      *       "product": "product_id_2",
+     *       "variant": "variant_id_1",
      *       "quantity": 1,
      *       "store": "store_id_2"
      *     }
@@ -123,10 +127,12 @@ class CartController {
      * Lógica de merge:
      * 1. Obtiene items actuales de la BD
      * 2. Para cada item del localStorage:
-     *    - Si existe en BD: suma las cantidades
+     *    - Si existe en BD (mismo producto y variante): suma las cantidades
      *    - Si no existe: lo añade
-     * 3. Guarda el resultado en la BD
-     * 4. Retorna el carrito unificado
+     * 3. Descarta los items que ya no se pueden comprar (producto o variante
+     *    eliminados, tienda suspendida o no aprobada) en lugar de fallar
+     * 4. Guarda el resultado en la BD
+     * 5. Retorna el carrito unificado
      * 
      * Esto permite que el carrito persista entre dispositivos
      * y que no se pierdan items al iniciar sesión.
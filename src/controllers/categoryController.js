@@ -11,13 +11,15 @@
  * 
  * Endpoints expuestos:
  * - GET /api/v1/categories - Listar todas las categorías
- * - GET /api/v1/categories/:id - Obtener una categoría
+ * - GET /api/v1/categories/tree - Árbol de categorías y subcategorías
+ * - GET /api/v1/categories/:id - Obtener una categoría (por ID o slug)
  * - POST /api/v1/categories - Crear categoría (admin)
  * - PUT /api/v1/categories/:id - Actualizar categoría (admin)
  * - DELETE /api/v1/categories/:id - Eliminar categoría (admin)
  */
 
 const categoryService = require('../services/categoryService');
+const { redirectToSlug } = require('../utils/slugRedirect');
 
 class CategoryController {
     /**
@@ -29,21 +31,25 @@ class CategoryController {
      * @param {Object} req.body - Datos de la categoría
      * @param {string} req.body.name - Nombre de la categoría (único)
      * @param {string} req.body.description - Descripción de la categoría
+     * @param {string} req.body.parent - ID de la categoría padre (opcional, raíz si se omite)
      * 
-     * @returns {201} Category - Categoría creada
+     * @returns {201} Category - Categoría creada (con parent y ancestors calculados)
      * @returns {400} { message: string } - Error de validación (ej: nombre duplicado)
+     * @returns {404} { message: "Categoría padre no encontrada" }
      * 
      * @description
      * Solo administradores pueden crear categorías.
      * El nombre debe ser único en el sistema.
+     * Los ancestros se calculan a partir del padre; el cliente no los envía.
      * Usado en CategoryManagementPage.
      * 
      * @example
      * POST /api/v1/categories
      * Headers: { Authorization: "Bearer <admin_token>" }
      * Body: {
-     *   "name": "Electrónica",
-     *   "description": "Productos electrónicos y tecnología"
+     *   "name": "Portátiles",
+     *   "description": "Computadores portátiles",
+     *   "parent": "computadores_category_id"
      * }
      */
     async createCategory(req, res) {
@@ -51,7 +57,7 @@ class CategoryController {
             const category = await categoryService.createCategory(req.body);
             res.status(201).json(category);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
         }
     }
 
@@ -81,19 +87,60 @@ class CategoryController {
     }
 
     /**
-     * Obtener una categoría por ID
+     * Obtener el árbol de categorías
+     * 
+     * @endpoint GET /api/v1/categories/tree
+     * @access Público
+     * 
+     * @returns {200} CategoryNode[] - Categorías raíz, cada una con sus subcategorías en "children"
+     * @returns {500} { message: string } - Error del servidor
+     * 
+     * @description
+     * Construye el árbol completo a partir de la lista de categorías (ordenadas por nombre).
+     * Cada nodo es la categoría con un array "children" (vacío en las hojas).
+     * Usado en el menú de navegación del catálogo.
+     * 
+     * @example
+     * GET /api/v1/categories/tree
+     * Response: [
+     *   {
+     *     "_id": "...", "name": "Electrónica", "parent": null, "ancestors": [],
+     *     "children": [
+     *       { "_id": "...", "name": "Computadores", "children": [
+     *         { "_id": "...", "name": "Portátiles", "children": [] }
+     *       ] }
+     *     ]
+     *   }
+     * ]
+     */
+    async getCategoryTree(req, res) {
+        try {
+            const tree = await categoryService.getCategoryTree();
+            res.json(tree);
+        } catch (error) {
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Obtener una categoría por ID o slug
      * 
      * @endpoint GET /api/v1/categories/:id
      * @access Público
      * 
-     * @param {string} req.params.id - ID de la categoría
+     * @param {string} req.params.id - ID o slug de la categoría (ej: "electronica")
      * @returns {200} Category - Categoría encontrada
+     * @returns {301} Redirección a la URL con el slug actual (si se usó un slug anterior)
      * @returns {404} { message: "Categoría no encontrada" }
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
      * Obtiene detalles de una categoría específica.
+     * Si la categoría fue renombrada, su slug anterior redirige al actual.
      * Endpoint auxiliar, no usado activamente en el frontend actual.
+     * 
+     * @example
+     * GET /api/v1/categories/electronica
      */
     async getCategoryById(req, res) {
         try {
@@ -103,6 +150,9 @@ class CategoryController {
             }
             res.json(category);
         } catch (error) {
+            if (error.statusCode === 301) {
+                return redirectToSlug(req, res, error.details);
+            }
             res.status(500).json({ message: error.message });
         }
     }
@@ -117,13 +167,18 @@ class CategoryController {
      * @param {Object} req.body - Campos a actualizar
      * @param {string} req.body.name - Nuevo nombre (opcional)
      * @param {string} req.body.description - Nueva descripción (opcional)
+     * @param {string|null} req.body.parent - Nuevo padre (opcional, null para convertirla en raíz)
      * 
      * @returns {200} Category - Categoría actualizada
      * @returns {400} { message: string } - Error de validación
+     * @returns {404} { message: "Categoría padre no encontrada" }
+     * @returns {409} { message: string } - El nuevo padre es la misma categoría o una subcategoría suya
      * 
      * @description
      * Solo administradores pueden actualizar categorías.
      * Si se cambia el nombre, debe seguir siendo único.
+     * Si se cambia el padre, la categoría se mueve con todas sus subcategorías:
+     * sus ancestros y los de todos sus descendientes se recalculan en una transacción.
      * Usado en CategoryManagementPage.
      * 
      * @example
@@ -138,7 +193,7 @@ class CategoryController {
             const category = await categoryService.updateCategory(req.params.id, req.body);
             res.json(category);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
         }
     }
 
@@ -149,25 +204,41 @@ class CategoryController {
      * @access Privado (rol ADMIN)
      * 
      * @param {string} req.params.id - ID de la categoría
-     * @returns {200} { message: "Categoría eliminada exitosamente" }
-     * @returns {400} { message: string } - Error de validación
+     * @param {string} req.query.reassignTo - ID de la categoría a la que se mueven sus productos (opcional)
+     * @param {string} req.query.detach - "true" para dejar sus productos sin categoría (opcional)
+     * 
+     * @returns {200} { message: "Categoría eliminada exitosamente", affectedProducts: number }
+     * @returns {400} { message: string } - Error de validación (ej: reassignTo y detach a la vez)
+     * @returns {404} { message: "Categoría destino no encontrada" }
+     * @returns {409} { message: string, details: { products: number } } - Tiene productos y no se indicó qué hacer con ellos
      * 
      * @description
      * Solo administradores pueden eliminar categorías.
-     * IMPORTANTE: No verifica si hay productos usando esta categoría.
-     * Los productos quedarán con category=null si se elimina su categoría.
+     * Sus subcategorías no se eliminan: pasan a colgar del padre de la categoría eliminada
+     * (o quedan como raíz), y se quita de los ancestros de todos sus descendientes.
+     * 
+     * Si hay productos en la categoría (solo los directos, no los de subcategorías):
+     * - Sin parámetros: no se elimina y responde 409 con el número de productos
+     * - reassignTo: los productos pasan a la categoría indicada
+     * - detach=true: los productos quedan sin categoría
+     * La reasignación se hace en bloque y en la misma transacción que la eliminación,
+     * así ningún producto queda apuntando a una categoría inexistente.
      * Usado en CategoryManagementPage.
      * 
      * @example
-     * DELETE /api/v1/categories/category_id_123
+     * DELETE /api/v1/categories/category_id_123?reassignTo=category_id_456
      * Headers: { Authorization: "Bearer <admin_token>" }
+     * Response: { "message": "Categoría eliminada exitosamente", "affectedProducts": 12 }
      */
     async deleteCategory(req, res) {
         try {
-            await categoryService.deleteCategory(req.params.id);
-            res.json({ message: 'Categoría eliminada exitosamente' });
+            const { affectedProducts } = await categoryService.deleteCategory(req.params.id, {
+                reassignTo: req.query.reassignTo,
+                detach: req.query.detach === 'true',
+            });
+            res.json({ message: 'Categoría eliminada exitosamente', affectedProducts });
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message, details: error.details });
         }
     }
 }
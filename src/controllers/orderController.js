@@ -11,9 +11,12 @@
  * 
  * Endpoints expuestos:
  * - POST /api/v1/orders - Crear pedido
- * - GET /api/v1/orders/:id - Obtener pedido (implementado en rutas)
+ * - GET /api/v1/orders/my-orders - Compras del usuario
  * - GET /api/v1/orders/store-orders - Pedidos de la tienda
- * - PUT /api/v1/orders/:id/status - Actualizar estado
+ * - GET /api/v1/orders/:id - Obtener pedido (comprador, tienda o admin)
+ * - PATCH /api/v1/orders/:id/status - Actualizar estado
+ * - POST /api/v1/orders/:id/items/:itemId/cancel - Cancelar un item (repone stock)
+ * - POST /api/v1/orders/:id/refunds - Reembolsar total o parcialmente
  */
 
 const orderService = require('../services/orderService');
@@ -28,10 +31,31 @@ class OrderController {
      * @param {string} req.user.id - ID del usuario autenticado (del middleware)
      * @param {Object} req.body - Datos del pedido
      * @param {Array} req.body.items - Items del pedido
+     * @param {string} [req.body.items[].variant] - ID de la variante (obligatorio si el producto tiene variantes)
      * @param {Object} req.body.shippingAddress - Dirección de envío
      * 
-     * @returns {201} Order - Pedido creado
+     * @returns {201} Checkout - Compra creada con sus pedidos por tienda en "orders"
      * @returns {400} { message: string } - Error de validación
+     * @returns {422} { message: string } - Idempotency-Key reutilizada con otro cuerpo
+     * @returns {402} { message: string } - El proveedor rechazó la autorización (se repone el stock)
+     * @returns {409} { message: string, details: { unavailable: [{ product, variant?, sku?, name, requested }] } }
+     *   - Uno o más productos no tienen stock suficiente (no se descuenta nada)
+     * 
+     * @description
+     * Los items se agrupan por tienda: se crea un Checkout (compra) y un Order
+     * por cada tienda involucrada, cada uno con su propio total y estado.
+     * 
+     * En productos con variantes el stock y el precio son los de la variante,
+     * y cada item guarda un snapshot de su SKU y opciones.
+     * 
+     * Los pedidos se crean en PENDING y el pago se autoriza con el proveedor
+     * configurado. Pasan a PAID cuando llega el webhook payment.succeeded
+     * (ver POST /api/v1/payments/webhook), o de inmediato con el proveedor mock
+     * y MOCK_PAYMENT_AUTO_CONFIRM=true.
+     * 
+     * Acepta el header opcional Idempotency-Key: un reintento con la misma clave
+     * y el mismo cuerpo devuelve la compra original sin crear otra ni descontar stock
+     * (ver idempotencyMiddleware).
      * 
      * @example
      * POST /api/v1/orders
@@ -53,7 +77,7 @@ class OrderController {
             const order = await orderService.createOrder(req.user.id, req.body);
             res.status(201).json(order);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message, details: error.details });
         }
     }
 
@@ -64,19 +88,28 @@ class OrderController {
      * @access Privado
      * 
      * @param {string} req.user.id - ID del usuario autenticado
-     * @returns {200} Order[] - Array de pedidos del usuario
+     * @param {number} req.query.page - Página (default: 1)
+     * @param {number} req.query.limit - Elementos por página (default: 20, máximo: 100)
+     * @param {string} req.query.sort - newest (default) | oldest
+     * @returns {200} { data: Checkout[], page, limit, total, totalPages }
+     *   Compras del usuario, cada una con sus pedidos por tienda
+     * @returns {400} { message: string } - Parámetros de paginación no válidos
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
-     * Retorna todos los pedidos realizados por el usuario logueado.
+     * Retorna las compras realizadas por el usuario logueado, paginadas.
+     * Cada compra se muestra como una sola, con el detalle por tienda en "orders".
      * Usado en la página "Mis Pedidos" del cliente.
+     * 
+     * @example
+     * GET /api/v1/orders/my-orders?page=2&limit=10
      */
     async getMyOrders(req, res) {
         try {
-            const orders = await orderService.getMyOrders(req.user.id);
+            const orders = await orderService.getMyOrders(req.user.id, req.query);
             res.json(orders);
         } catch (error) {
-            res.status(500).json({ message: error.message });
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 
@@ -86,58 +119,201 @@ class OrderController {
      * @endpoint GET /api/v1/orders/store-orders
      * @access Privado (rol STORE)
      * 
-     * @param {string} req.user.id - ID del dueño de la tienda
-     * @returns {200} Order[] - Pedidos que contienen productos de la tienda
+     * @param {string} req.user.id - ID del dueño o de un miembro del personal de la tienda
+     * @param {number} req.query.page - Página (default: 1)
+     * @param {number} req.query.limit - Elementos por página (default: 20, máximo: 100)
+     * @param {string} req.query.sort - newest (default) | oldest
+     * @returns {200} { data: Order[], page, limit, total, totalPages }
+     *   Sub-pedidos de la tienda (solo con sus propios items)
+     *   Cada pedido incluye refundedTotal (total reembolsado) y el ledger en refunds
+     * @returns {400} { message: string } - Parámetros de paginación no válidos
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
-     * Filtra y retorna pedidos que incluyen al menos un producto de la tienda del usuario.
+     * Retorna los sub-pedidos asignados a la tienda del usuario.
+     * Cualquier rol del personal (OWNER, MANAGER, FULFILLMENT) puede verlos.
+     * Cada tienda solo ve sus items y su total, no los de otras tiendas de la misma compra.
      * Usado en el tab "Pedidos" del StoreDashboard.
      * 
      * @example
-     * GET /api/v1/orders/store-orders
+     * GET /api/v1/orders/store-orders?page=1&limit=20&sort=oldest
      * Headers: { Authorization: "Bearer <token>" }
      */
     async getOrdersByStore(req, res) {
         try {
-            const orders = await orderService.getOrdersByStore(req.user.id);
+            const orders = await orderService.getOrdersByStore(req.user.id, req.query);
             res.json(orders);
         } catch (error) {
-            res.status(500).json({ message: error.message });
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Obtener un pedido por ID
+     * 
+     * @endpoint GET /api/v1/orders/:id
+     * @access Privado (comprador del pedido, personal de la tienda del pedido o ADMIN)
+     * 
+     * @param {string} req.params.id - ID del pedido
+     * @param {Object} req.user - { id, role } del usuario autenticado
+     * 
+     * @returns {200} Order - Pedido con usuario y productos populados
+     * @returns {403} { message: string } - El usuario no participa en el pedido
+     * @returns {404} { message: string } - Pedido no encontrado o ID inválido
+     * 
+     * @example
+     * GET /api/v1/orders/order_id_123
+     * Headers: { Authorization: "Bearer <token>" }
+     */
+    async getOrderById(req, res) {
+        try {
+            const order = await orderService.getOrderById(req.params.id, req.user);
+            res.json(order);
+        } catch (error) {
+            const status = error.name === 'CastError' ? 404 : error.statusCode || 500;
+            res.status(status).json({ message: status === 404 ? 'Pedido no encontrado' : error.message });
         }
     }
 
     /**
      * Actualizar estado de un pedido
      * 
-     * @endpoint PUT /api/v1/orders/:id/status
-     * @access Privado (rol STORE, solo sus pedidos)
+     * @endpoint PATCH /api/v1/orders/:id/status
+     * @access Privado (personal de la tienda del pedido según su rol, comprador o admin según la transición)
      * 
      * @param {string} req.params.id - ID del pedido
      * @param {string} req.body.status - Nuevo estado
-     * @param {string} req.user.id - ID del usuario que actualiza
+     * @param {Object} req.user - { id, role } del usuario que actualiza
      * 
      * @returns {200} Order - Pedido actualizado con nuevo statusHistory
-     * @returns {400} { message: string } - Error de validación o autorización
+     * @returns {400} { message: string } - Estado inválido
+     * @returns {403} { message: string } - No participa en el pedido o no puede realizar esta transición
+     * @returns {404} { message: string } - Pedido no encontrado
+     * @returns {409} { message: string } - Transición no permitida desde el estado actual
      * 
      * @description
-     * Permite al dueño de tienda cambiar el estado de pedidos que contengan sus productos.
-     * Registra el cambio en statusHistory con timestamp y updatedBy.
+     * Aplica la máquina de estados del pedido y registra el cambio en statusHistory.
+     * 
+     * Transiciones permitidas:
+     * - PENDING -> PAID | CANCELLED
+     * - PAID -> SHIPPED | CANCELLED
+     * - SHIPPED -> DELIVERED | CANCELLED
+     * - DELIVERED y CANCELLED son estados finales
+     * 
+     * Reglas por rol:
+     * - Dueño o MANAGER de la tienda del pedido: SHIPPED, DELIVERED y cancelar antes del envío
+     * - FULFILLMENT de la tienda del pedido: solo SHIPPED y DELIVERED
+     * - Comprador: solo cancelar antes del envío (PENDING o PAID)
+     * - ADMIN: cualquier transición permitida (incluye PAID y cancelar un envío)
      * 
-     * Estados válidos: PENDING, PAID, SHIPPED, DELIVERED, CANCELLED
+     * Al cancelar, el stock de todos los items se devuelve a los productos
+     * y la reposición queda registrada en statusHistory (campo note).
+     * Si el pedido ya estaba pagado, las unidades canceladas se reembolsan
+     * automáticamente (502 si el proveedor falla: la cancelación se mantiene
+     * y el reembolso se puede reintentar con POST /api/v1/orders/:id/refunds).
      * 
      * @example
-     * PUT /api/v1/orders/order_id_123/status
+     * PATCH /api/v1/orders/order_id_123/status
      * Headers: { Authorization: "Bearer <token>" }
      * Body: { "status": "SHIPPED" }
      */
     async updateOrderStatus(req, res) {
         try {
             const { status } = req.body;
-            const order = await orderService.updateOrderStatus(req.params.id, status, req.user.id);
+            const order = await orderService.updateOrderStatus(req.params.id, status, req.user);
+            res.json(order);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Cancelar (total o parcialmente) un item de un pedido
+     * 
+     * @endpoint POST /api/v1/orders/:id/items/:itemId/cancel
+     * @access Privado (mismas reglas que cancelar el pedido)
+     * 
+     * @param {string} req.params.id - ID del pedido
+     * @param {string} req.params.itemId - ID del item dentro del pedido
+     * @param {number} req.body.quantity - Unidades a cancelar (opcional, default: todas las restantes)
+     * 
+     * @returns {200} Order - Pedido con cancelledQuantity/restockedQuantity actualizados
+     * @returns {400} { message: string } - Cantidad inválida
+     * @returns {403} { message: string } - No autorizado
+     * @returns {404} { message: string } - Pedido o item no encontrado
+     * @returns {409} { message: string } - El pedido ya no admite cancelaciones
+     * 
+     * @description
+     * Las unidades canceladas vuelven al stock del producto en la misma transacción.
+     * Si el producto fue eliminado, se registra en el historial sin reponer stock.
+     * Si todos los items quedan cancelados, el pedido pasa a CANCELLED.
+     * Las unidades ya pagadas se reembolsan automáticamente.
+     * Las unidades ya reembolsadas (POST /orders/:id/refunds) no se pueden cancelar.
+     * 
+     * @example
+     * POST /api/v1/orders/order_id_123/items/item_id_456/cancel
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: { "quantity": 1 }
+     */
+    async cancelOrderItem(req, res) {
+        try {
+            const order = await orderService.cancelOrderItem(
+                req.params.id,
+                req.params.itemId,
+                req.body.quantity,
+                req.user
+            );
             res.json(order);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Reembolsar un pedido total o parcialmente
+     * 
+     * @endpoint POST /api/v1/orders/:id/refunds
+     * @access Privado (dueño o MANAGER de la tienda del pedido, o ADMIN)
+     * 
+     * @param {string} req.params.id - ID del pedido
+     * @param {Array} req.body.items - [{ itemId, quantity }] (opcional; vacío = todo lo pendiente)
+     * @param {boolean} req.body.restock - Devolver las unidades al stock (default: false)
+     * @param {string} req.body.reason - Motivo del reembolso (opcional)
+     * 
+     * @returns {201} Order - Pedido con el nuevo registro en refunds y refundedTotal actualizado
+     * @returns {400} { message: string } - Cantidad inválida
+     * @returns {403} { message: string } - No es la tienda del pedido ni admin
+     * @returns {404} { message: string } - Pedido o item no encontrado
+     * @returns {409} { message: string } - Estado no reembolsable o nada pendiente por reembolsar
+     * @returns {502} { message: string } - El proveedor de pagos rechazó el reembolso
+     * 
+     * @description
+     * El monto se calcula con los precios del snapshot del pedido y se devuelve
+     * a través del proveedor de pagos. Solo se reembolsan unidades cobradas
+     * (paidQuantity). El pedido pasa a PARTIALLY_REFUNDED o, si todas las
+     * unidades cobradas quedaron reembolsadas, a REFUNDED.
+     * 
+     * Un pedido CANCELLED con unidades cobradas sin reembolsar también se puede
+     * reembolsar (ej: si falló el reembolso automático de la cancelación).
+     * 
+     * Las unidades se reservan con un registro PENDING antes de llamar al
+     * proveedor, por lo que dos reembolsos simultáneos no pagan dos veces.
+     * 
+     * @example
+     * POST /api/v1/orders/order_id_123/refunds
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: {
+     *   "items": [{ "itemId": "item_id_456", "quantity": 1 }],
+     *   "restock": true,
+     *   "reason": "Producto defectuoso"
+     * }
+     */
+    async refundOrder(req, res) {
+        try {
+            const order = await orderService.refundOrder(req.params.id, req.body, req.user);
+            res.status(201).json(order);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ message: error.message });
         }
     }
 }
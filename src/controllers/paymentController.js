@@ -0,0 +1,55 @@
+/**
+ * paymentController.js - Controlador de Pagos
+ * 
+ * Propósito: Recibir las notificaciones (webhooks) del proveedor de pagos
+ * 
+ * Responsabilidades:
+ * - Entregar el cuerpo crudo y la firma al paymentService para su verificación
+ * - Responder rápido al proveedor con el código adecuado
+ * 
+ * Endpoints expuestos:
+ * - POST /api/v1/payments/webhook - Notificación firmada del proveedor
+ */
+
+const paymentService = require('../services/paymentService');
+
+class PaymentController {
+    /**
+     * Recibir webhook del proveedor de pagos
+     * 
+     * @endpoint POST /api/v1/payments/webhook
+     * @access Público (autenticado por firma HMAC en el header X-Payment-Signature)
+     * 
+     * @param {Buffer} req.rawBody - Cuerpo exacto recibido (guardado por express.json en app.js)
+     * @param {string} req.headers['x-payment-signature'] - Firma del proveedor
+     * 
+     * @returns {200} { received: true } - Evento procesado (o ignorado si no es relevante)
+     * @returns {401} { message: string } - Firma inválida
+     * @returns {404} { message: string } - El pago no corresponde a ninguna compra
+     * @returns {502} { message: string } - El proveedor no pudo capturar el pago (el proveedor reintenta)
+     * @returns {503} { message: string } - PAYMENT_WEBHOOK_SECRET no está configurado
+     * 
+     * @description
+     * Eventos soportados:
+     * - payment.succeeded: Se captura el monto de los pedidos PENDING (sin las unidades
+     *   ya canceladas) y esos pedidos pasan a PAID
+     * - payment.failed: Los pedidos PENDING se cancelan y se repone el stock
+     * 
+     * Los eventos repetidos no tienen efecto (idempotente).
+     * 
+     * @example
+     * POST /api/v1/payments/webhook
+     * Headers: { "X-Payment-Signature": "<hmac_sha256_hex>" }
+     * Body: { "type": "payment.succeeded", "data": { "paymentId": "mock_payment_123" } }
+     */
+    async handleWebhook(req, res) {
+        try {
+            await paymentService.handleWebhook(req.rawBody, req.headers['x-payment-signature']);
+            res.json({ received: true });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new PaymentController();
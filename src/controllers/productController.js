@@ -6,18 +6,27 @@
  * Responsabilidades:
  * - Gestionar CRUD completo de productos
  * - Aplicar filtros de búsqueda y categoría
- * - Validar permisos (solo dueño puede editar/eliminar)
+ * - Validar permisos (solo el dueño o un MANAGER de la tienda puede editar/eliminar)
  * - Retornar respuestas HTTP apropiadas
  * 
  * Endpoints expuestos:
- * - GET /api/v1/products - Listar productos con filtros
- * - GET /api/v1/products/store/:storeId - Productos de una tienda
+ * - GET /api/v1/products - Listar productos con filtros (paginado)
+ * - GET /api/v1/products/store/:storeId - Productos de una tienda (por ID o slug)
+ * - GET /api/v1/products/:id - Detalle de un producto (por ID o slug)
  * - POST /api/v1/products - Crear producto
  * - PUT /api/v1/products/:id - Actualizar producto
  * - DELETE /api/v1/products/:id - Eliminar producto
+ * - POST /api/v1/products/import - Importar productos por SKU (CSV o JSON)
+ * - GET /api/v1/products/export - Exportar los productos de la tienda (CSV o JSON)
+ * - POST /api/v1/products/:id/images - Subir imágenes del producto
+ * - PATCH /api/v1/products/:id/images - Reordenar imágenes o elegir la principal
+ * - DELETE /api/v1/products/:id/images - Eliminar una imagen
  */
 
 const productService = require('../services/productService');
+const productImportService = require('../services/productImportService');
+const productImageService = require('../services/productImageService');
+const { redirectToSlug } = require('../utils/slugRedirect');
 
 class ProductController {
     /**
@@ -31,16 +40,24 @@ class ProductController {
      * @param {string} req.body.name - Nombre del producto
      * @param {string} req.body.description - Descripción
      * @param {number} req.body.price - Precio
-     * @param {number} req.body.stock - Stock disponible
+     * @param {number} req.body.stock - Stock disponible (se ignora si hay variantes)
      * @param {string[]} req.body.images - URLs de imágenes
      * @param {string} req.body.category - ID de categoría (opcional)
+     * @param {Array} [req.body.optionAxes] - Ejes de opciones: [{ name, values }]
+     * @param {Array} [req.body.variants] - Variantes: [{ sku, options, price?, stock }]
      * 
      * @returns {201} Product - Producto creado
      * @returns {400} { message: string } - Error de validación
+     * @returns {403} { message: string } - El rol del usuario en la tienda no gestiona productos
      * 
      * @description
-     * Valida que el usuario tenga una tienda aprobada antes de crear el producto.
-     * El storeId se obtiene automáticamente del usuario autenticado.
+     * Valida que el usuario pertenezca a una tienda aprobada antes de crear el producto.
+     * El storeId se obtiene automáticamente de la tienda del usuario autenticado
+     * (dueño o personal con rol MANAGER, ver utils/storeRoles).
+     * 
+     * Con variantes, cada una debe tener un SKU único y un valor para cada eje,
+     * sin repetir combinaciones. El stock del producto es la suma de sus variantes
+     * y el precio de la variante, si se indica, reemplaza al del producto.
      * 
      * @example
      * POST /api/v1/products
@@ -59,7 +76,7 @@ class ProductController {
             const product = await productService.createProduct(req.user.id, req.body);
             res.status(201).json(product);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
         }
     }
 
@@ -67,22 +84,73 @@ class ProductController {
      * Obtener productos de una tienda específica
      * 
      * @endpoint GET /api/v1/products/store/:storeId
-     * @access Público
+     * @access Público (token opcional)
      * 
-     * @param {string} req.params.storeId - ID de la tienda
-     * @returns {200} Product[] - Array de productos de la tienda
+     * @param {string} req.params.storeId - ID o slug de la tienda (ej: "tech-store")
+     * @param {Object} req.query - Paginación, orden y campos (mismo contrato que GET /api/v1/products)
+     * @param {string} req.query.includeAll - "true" para que un ADMIN vea tiendas no aprobadas
+     * @param {Object} req.user - Usuario del token, si se envió (ver optionalAuth)
+     * @returns {200} { data: Product[], page, limit, total, totalPages } - Productos de la tienda
+     * @returns {301} Redirección a la URL con el slug actual (si se usó un slug anterior)
+     * @returns {400} { message: string } - Parámetros de paginación no válidos
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
-     * Retorna todos los productos que pertenecen a una tienda específica.
+     * Retorna los productos que pertenecen a una tienda específica, paginados.
      * No requiere autenticación.
+     * Si la tienda no está APPROVED la página viene vacía, salvo para su personal
+     * o para un ADMIN con includeAll=true.
+     * 
+     * @example
+     * GET /api/v1/products/store/tech-store?sort=price_asc&limit=12
      */
     async getProductsByStore(req, res) {
         try {
-            const products = await productService.getProductsByStore(req.params.storeId);
+            const products = await productService.getProductsByStore(req.params.storeId, req.query, req.user);
             res.json(products);
         } catch (error) {
-            res.status(500).json({ message: error.message });
+            if (error.statusCode === 301) {
+                return redirectToSlug(req, res, error.details);
+            }
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Obtener el detalle de un producto
+     * 
+     * @endpoint GET /api/v1/products/:id
+     * @access Público (token opcional)
+     * 
+     * @param {string} req.params.id - ID o slug del producto (ej: "laptop-dell-inspiron")
+     * @param {string} req.query.includeAll - "true" para que un ADMIN vea productos de tiendas no aprobadas
+     * @param {Object} req.user - Usuario del token, si se envió (ver optionalAuth)
+     * @returns {200} Product - Producto con store y category populados, más:
+     *   availability: { inStock, status, stock, variants?: [{ _id, sku, inStock, stock }] }
+     *   related: Product[] - Otros productos de la misma categoría (máximo 4)
+     * @returns {301} Redirección a la URL con el slug actual (si se usó un slug anterior)
+     * @returns {404} { message: "Producto no encontrado" }
+     * @returns {500} { message: string } - Error del servidor
+     * 
+     * @description
+     * Página de detalle del producto.
+     * availability.status: IN_STOCK | LOW_STOCK (5 unidades o menos) | OUT_OF_STOCK.
+     * Los relacionados respetan la misma visibilidad que el catálogo.
+     * Un ID mal formado, un producto inexistente o uno de una tienda no aprobada
+     * (salvo para su personal o un ADMIN con includeAll=true) responden 404.
+     * 
+     * @example
+     * GET /api/v1/products/laptop-dell-inspiron
+     */
+    async getProductById(req, res) {
+        try {
+            const product = await productService.getProductById(req.params.id, req.user, req.query);
+            res.json(product);
+        } catch (error) {
+            if (error.statusCode === 301) {
+                return redirectToSlug(req, res, error.details);
+            }
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 
@@ -90,30 +158,69 @@ class ProductController {
      * Obtener todos los productos con filtros opcionales
      * 
      * @endpoint GET /api/v1/products
-     * @access Público
+     * @access Público (token opcional)
      * 
      * @param {Object} req.query - Parámetros de filtrado
-     * @param {string} req.query.search - Búsqueda en nombre y descripción
-     * @param {string} req.query.category - ID de categoría
+     * @param {string} req.query.search - Búsqueda de texto en nombre, descripción, categoría y tienda
+     *   (máximo 100 caracteres, insensible a tildes)
+     * @param {string} req.query.category - ID o slug de categoría (incluye los productos de todas sus subcategorías)
      * @param {number} req.query.minPrice - Precio mínimo
      * @param {number} req.query.maxPrice - Precio máximo
+     * @param {number} req.query.page - Página (default: 1)
+     * @param {number} req.query.limit - Elementos por página (default: 20, máximo: 100)
+     * @param {string} req.query.sort - newest (default) | price_asc | price_desc | name
+     *   | relevance (default cuando se envía search)
+     * @param {string} req.query.fields - Campos a incluir separados por coma (ej: name,price,images)
+     * @param {string} req.query.includeAll - "true" para que un ADMIN incluya tiendas no aprobadas
+     * @param {string} req.query.facets - "true" para incluir conteos por filtro en "facets"
+     * @param {Object} req.user - Usuario del token, si se envió (ver optionalAuth)
      * 
-     * @returns {200} Product[] - Array de productos filtrados
+     * @returns {200} { data: Product[], page, limit, total, totalPages } - Página de productos filtrados
+     * @returns {200} { data, page, limit, total, totalPages, facets } - Con facets=true:
+     *   facets: {
+     *     categories: [{ _id, name, count }],
+     *     stores: [{ _id, name, count }],
+     *     priceRanges: [{ min, max, count }],
+     *     availability: { inStock, outOfStock }
+     *   }
+     * @returns {400} { message: string } - Parámetros de paginación, orden, campos o categoría no válidos
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
      * Endpoint principal del catálogo. Soporta múltiples filtros simultáneos.
      * Los productos se populan con información de tienda y categoría.
+     * total cuenta todos los productos que cumplen los filtros, no solo los de la página.
+     * 
+     * Búsqueda (search):
+     * - Usa el índice de texto de Product, ordenado por relevancia (el nombre pesa más)
+     * - "electronica" encuentra "Electrónica"; "laptops" encuentra "Laptop"
+     * - Si una búsqueda corta (hasta 2 palabras) no encuentra nada, se reintenta
+     *   tolerando un error de tipeo por palabra ("lapto" encuentra "Laptop")
+     * - El texto nunca se interpreta como expresión regular
+     * 
+     * Facets (facets=true):
+     * - Conteos por categoría, tienda, rango de precio y disponibilidad
+     * - Se calculan en una sola agregación con los mismos filtros de la búsqueda
+     *   (search, category, minPrice, maxPrice y visibilidad de tiendas), sobre todos
+     *   los resultados y no solo sobre la página actual
+     * - Los rangos de precio se reparten automáticamente según los precios encontrados
+     * 
+     * Visibilidad por estado de la tienda:
+     * - Visitantes y clientes: solo productos de tiendas APPROVED
+     * - Rol STORE: además los productos de su propia tienda aunque no esté aprobada
+     * - ADMIN: todas las tiendas si envía includeAll=true
      * 
      * @example
-     * GET /api/v1/products?search=laptop&category=electronics&minPrice=1000000&maxPrice=5000000
+     * GET /api/v1/products?search=laptop&category=electronics_category_id&minPrice=1000000&maxPrice=5000000
+     * GET /api/v1/products?page=2&limit=24&sort=price_asc&fields=name,price,images
+     * GET /api/v1/products?search=audifonos&maxPrice=300000&facets=true
      */
     async getAllProducts(req, res) {
         try {
-            const products = await productService.getAllProducts(req.query);
+            const products = await productService.getAllProducts(req.query, req.user);
             res.json(products);
         } catch (error) {
-            res.status(500).json({ message: error.message });
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 
@@ -121,7 +228,7 @@ class ProductController {
      * Actualizar un producto existente
      * 
      * @endpoint PUT /api/v1/products/:id
-     * @access Privado (solo dueño del producto)
+     * @access Privado (dueño o MANAGER de la tienda del producto)
      * 
      * @param {string} req.params.id - ID del producto
      * @param {string} req.user.id - ID del usuario autenticado
@@ -129,10 +236,14 @@ class ProductController {
      * 
      * @returns {200} Product - Producto actualizado
      * @returns {400} { message: string } - Error de validación o permisos
+     * @returns {403} { message: string } - El rol del usuario en la tienda no gestiona productos
      * 
      * @description
-     * Valida que el usuario sea el dueño de la tienda antes de permitir la actualización.
+     * Valida que el usuario pertenezca a la tienda del producto con un rol que gestione productos.
      * Permite actualizar cualquier campo del producto.
+     * Al enviar variants se reemplaza la lista completa: las variantes existentes
+     * deben conservar su _id para no invalidar carritos y pedidos que las referencian.
+     * El stock de un producto con variantes solo se cambia a través de sus variantes.
      * 
      * @example
      * PUT /api/v1/products/product_id_123
@@ -147,7 +258,7 @@ class ProductController {
             const product = await productService.updateProduct(req.user.id, req.params.id, req.body);
             res.json(product);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
         }
     }
 
@@ -155,16 +266,17 @@ class ProductController {
      * Eliminar un producto
      * 
      * @endpoint DELETE /api/v1/products/:id
-     * @access Privado (solo dueño del producto)
+     * @access Privado (dueño o MANAGER de la tienda del producto)
      * 
      * @param {string} req.params.id - ID del producto
      * @param {string} req.user.id - ID del usuario autenticado
      * 
      * @returns {200} { message: "Producto eliminado" }
      * @returns {400} { message: string } - Error de validación o permisos
+     * @returns {403} { message: string } - El rol del usuario en la tienda no gestiona productos
      * 
      * @description
-     * Valida que el usuario sea el dueño de la tienda antes de permitir la eliminación.
+     * Valida que el usuario pertenezca a la tienda del producto con un rol que gestione productos.
      * El producto se elimina permanentemente de la base de datos.
      * 
      * @example
@@ -176,7 +288,202 @@ class ProductController {
             await productService.deleteProduct(req.user.id, req.params.id);
             res.json({ message: 'Producto eliminado' });
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Importar productos de forma masiva
+     * 
+     * @endpoint POST /api/v1/products/import
+     * @access Privado (rol STORE con tienda aprobada)
+     * 
+     * @param {string} req.user.id - ID del dueño o MANAGER de la tienda
+     * @param {string|Array} req.body - Texto CSV (Content-Type: text/csv) o arreglo JSON de productos
+     * @param {string} req.query.dryRun - "true" para validar sin guardar nada
+     * 
+     * @returns {200} {
+     *   dryRun: boolean,
+     *   total: number,      // Filas recibidas
+     *   created: number,    // Productos nuevos (o que se crearían en dryRun)
+     *   updated: number,    // Productos existentes actualizados
+     *   failed: number,     // Filas con errores (no se guardan)
+     *   errors: [{ row, sku, errors: { campo: mensaje } }]
+     * }
+     * @returns {400} { message: string } - Archivo mal formado, vacío o con más de 1000 filas
+     * @returns {403} { message: string } - La tienda aún no está aprobada
+     * @returns {404} { message: string } - El usuario no tiene tienda
+     * @returns {500} { message: string } - Error del servidor
+     * 
+     * @description
+     * Columnas: sku, name, description, price, stock, category (ID o slug), images.
+     * En CSV las imágenes van en una sola celda separadas por "|".
+     * 
+     * El SKU identifica el producto dentro de la tienda: si ya existe se actualiza,
+     * si no se crea. Una celda vacía deja el campo sin cambios en una actualización.
+     * Cada fila se valida contra el schema de Product; las filas válidas se guardan
+     * y las inválidas se reportan con su número (la primera fila de datos es la 1).
+     * Con dryRun=true se obtiene el mismo reporte sin modificar el catálogo.
+     * 
+     * @example
+     * POST /api/v1/products/import?dryRun=true
+     * Headers: { Authorization: "Bearer <token>", Content-Type: "text/csv" }
+     * Body:
+     * sku,name,description,price,stock,category,images
+     * MOU-01,Mouse inalámbrico,Mouse 2.4GHz,45000,30,perifericos,https://example.com/mouse.jpg
+     */
+    async importProducts(req, res) {
+        try {
+            const result = await productImportService.importProducts(req.user.id, {
+                format: req.is('text/csv') ? 'csv' : 'json',
+                body: req.body,
+                dryRun: req.query.dryRun === 'true',
+            });
+            res.json(result);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Exportar los productos de la tienda
+     * 
+     * @endpoint GET /api/v1/products/export
+     * @access Privado (rol STORE)
+     * 
+     * @param {string} req.user.id - ID del dueño o MANAGER de la tienda
+     * @param {string} req.query.format - json (default) | csv
+     * 
+     * @returns {200} Archivo descargable con las mismas columnas que acepta la importación
+     * @returns {400} { message: string } - Formato no soportado
+     * @returns {404} { message: string } - El usuario no tiene tienda
+     * @returns {500} { message: string } - Error del servidor
+     * 
+     * @description
+     * Permite editar el catálogo en una hoja de cálculo y volver a importarlo.
+     * La categoría se exporta por slug. Los productos con variantes no incluyen
+     * stock, porque se gestiona en cada variante.
+     * 
+     * @example
+     * GET /api/v1/products/export?format=csv
+     * Headers: { Authorization: "Bearer <token>" }
+     */
+    async exportProducts(req, res) {
+        try {
+            const { filename, format, body } = await productImportService.exportProducts(req.user.id, req.query.format);
+            res.attachment(filename);
+            if (format === 'csv') {
+                return res.type('text/csv').send(body);
+            }
+            res.json(body);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Subir imágenes de un producto
+     * 
+     * @endpoint POST /api/v1/products/:id/images
+     * @access Privado (dueño o MANAGER de la tienda del producto)
+     * 
+     * @param {string} req.params.id - ID del producto
+     * @param {File[]} req.files - Imágenes del campo multipart "images" (ver uploadMiddleware)
+     * @param {string} req.query.primary - "true" para que la primera imagen subida sea la principal
+     * 
+     * @returns {201} Product - Producto con las nuevas URLs en images y sus archivos en imageFiles
+     * @returns {400} { message: string } - Sin archivos o más de 10 imágenes por producto
+     * @returns {403} { message: string } - El producto no es de la tienda del usuario
+     * @returns {404} { message: string } - Producto no encontrado
+     * @returns {413} { message: string } - Una imagen supera el tamaño máximo (5 MB)
+     * @returns {415} { message: string } - Un archivo no es JPEG, PNG o WebP
+     * @returns {500} { message: string } - Error del servidor o del almacenamiento
+     * 
+     * @description
+     * Cada imagen se valida por su contenido, se reduce a máximo 2000px de lado
+     * (sin metadatos EXIF) y genera una miniatura cuadrada WebP de 300px.
+     * Los archivos se guardan con el almacenamiento configurado (STORAGE_DRIVER,
+     * por defecto disco local servido en /uploads). Si un archivo no es válido
+     * no se guarda ninguno.
+     * 
+     * Sin primary=true las imágenes se agregan al final de la galería.
+     * 
+     * @example
+     * POST /api/v1/products/product_id_123/images?primary=true
+     * Headers: { Authorization: "Bearer <token>", Content-Type: "multipart/form-data" }
+     * Body (form-data): images=@frente.jpg, images=@lado.png
+     */
+    async uploadImages(req, res) {
+        try {
+            const product = await productImageService.uploadImages(req.user.id, req.params.id, req.files, {
+                primary: req.query.primary === 'true',
+            });
+            res.status(201).json(product);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Reordenar las imágenes o elegir la imagen principal
+     * 
+     * @endpoint PATCH /api/v1/products/:id/images
+     * @access Privado (dueño o MANAGER de la tienda del producto)
+     * 
+     * @param {string} req.params.id - ID del producto
+     * @param {string[]} [req.body.images] - Todas las URLs actuales en el nuevo orden
+     * @param {string} [req.body.primary] - URL de la imagen que pasa a ser la principal
+     * 
+     * @returns {200} Product - Producto con images en el nuevo orden
+     * @returns {400} { message: string } - El orden no contiene exactamente las imágenes actuales
+     * @returns {403} { message: string } - El producto no es de la tienda del usuario
+     * @returns {404} { message: string } - Producto o imagen no encontrados
+     * 
+     * @description
+     * La primera URL de images es la imagen principal del producto.
+     * Enviar primary mueve esa imagen al inicio sin cambiar el orden de las demás.
+     * 
+     * @example
+     * PATCH /api/v1/products/product_id_123/images
+     * Body: { "primary": "/uploads/products/product_id_123/lado.png" }
+     */
+    async updateImages(req, res) {
+        try {
+            const product = req.body.primary !== undefined
+                ? await productImageService.setPrimaryImage(req.user.id, req.params.id, req.body.primary)
+                : await productImageService.reorderImages(req.user.id, req.params.id, req.body.images);
+            res.json(product);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Eliminar una imagen del producto
+     * 
+     * @endpoint DELETE /api/v1/products/:id/images
+     * @access Privado (dueño o MANAGER de la tienda del producto)
+     * 
+     * @param {string} req.params.id - ID del producto
+     * @param {string} req.query.url - URL de la imagen a eliminar
+     * 
+     * @returns {200} Product - Producto sin la imagen
+     * @returns {403} { message: string } - El producto no es de la tienda del usuario
+     * @returns {404} { message: string } - Producto o imagen no encontrados
+     * 
+     * @description
+     * Si la imagen fue subida, también se eliminan su archivo y su miniatura.
+     * Si era la principal, la siguiente imagen pasa a serlo.
+     * 
+     * @example
+     * DELETE /api/v1/products/product_id_123/images?url=/uploads/products/product_id_123/frente.jpg
+     */
+    async deleteImage(req, res) {
+        try {
+            const product = await productImageService.deleteImage(req.user.id, req.params.id, req.query.url);
+            res.json(product);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 }
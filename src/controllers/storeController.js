@@ -5,19 +5,30 @@
  * 
  * Responsabilidades:
  * - Gestionar creación y actualización de tiendas
- * - Consultar tiendas (todas para admin, propia para vendedor)
- * - Aprobar tiendas (solo admin)
+ * - Consultar tiendas (todas para admin, propia para vendedor, perfil público para todos)
+ * - Aprobar, rechazar y suspender tiendas (solo admin)
+ * - Reenviar a revisión una tienda rechazada (dueño)
+ * - Gestionar el personal de la tienda: invitaciones por email y roles (dueño)
  * - Validar permisos y estados
  * 
  * Endpoints expuestos:
  * - POST /api/v1/stores - Crear tienda
  * - GET /api/v1/stores/my-store - Obtener mi tienda
- * - GET /api/v1/stores - Listar todas (admin)
- * - PUT /api/v1/stores/:id/approve - Aprobar tienda (admin)
+ * - GET /api/v1/stores - Listar con filtros y paginación (admin)
+ * - GET /api/v1/stores/:idOrSlug - Perfil público de una tienda
+ * - PATCH /api/v1/stores/:id/status - Aprobar, rechazar o suspender tienda (admin)
+ * - POST /api/v1/stores/my-store/resubmit - Reenviar mi tienda a revisión
  * - PUT /api/v1/stores - Actualizar mi tienda
+ * - GET /api/v1/stores/my-store/members - Personal e invitaciones pendientes
+ * - POST /api/v1/stores/my-store/invitations - Invitar a un miembro por email
+ * - DELETE /api/v1/stores/my-store/invitations/:invitationId - Revocar invitación
+ * - POST /api/v1/stores/invitations/accept - Aceptar una invitación
+ * - PATCH /api/v1/stores/my-store/members/:userId - Cambiar el rol de un miembro
+ * - DELETE /api/v1/stores/my-store/members/:userId - Quitar a un miembro
  */
 
 const storeService = require('../services/storeService');
+const { redirectToSlug } = require('../utils/slugRedirect');
 
 class StoreController {
     /**
@@ -68,7 +79,8 @@ class StoreController {
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
-     * Retorna la tienda asociada al usuario autenticado.
+     * Retorna la tienda asociada al usuario autenticado, sea su dueño o
+     * parte de su personal (members incluye el rol de cada miembro).
      * Usado en CreateStorePage para verificar si ya tiene tienda.
      * Usado en StoreDashboardPage para mostrar información de la tienda.
      */
@@ -85,53 +97,145 @@ class StoreController {
     }
 
     /**
-     * Obtener todas las tiendas del sistema
+     * Listar las tiendas del sistema (administración)
      * 
      * @endpoint GET /api/v1/stores
      * @access Privado (rol ADMIN)
      * 
-     * @returns {200} Store[] - Array de todas las tiendas con owner populado
+     * @param {string} req.query.status - Filtrar por estado: PENDING | APPROVED | REJECTED | SUSPENDED
+     * @param {number} req.query.page - Página (default: 1)
+     * @param {number} req.query.limit - Elementos por página (default: 20, máximo: 100)
+     * @param {string} req.query.sort - newest (default) | oldest | name
+     * 
+     * @returns {200} { data: Store[], page, limit, total, totalPages } - Tiendas con owner populado (email)
+     * @returns {400} { message: string } - Estado o parámetros de paginación no válidos
      * @returns {500} { message: string } - Error del servidor
      * 
      * @description
      * Solo accesible para administradores.
-     * Usado en AdminDashboardPage para mostrar y aprobar tiendas.
-     * Incluye tiendas en todos los estados (PENDING, APPROVED, REJECTED).
+     * Usado en AdminDashboardPage para revisar y moderar tiendas.
+     * Sin filtro incluye tiendas en todos los estados.
+     * 
+     * @example
+     * GET /api/v1/stores?status=PENDING&sort=oldest
+     * Headers: { Authorization: "Bearer <admin_token>" }
      */
     async getAllStores(req, res) {
         try {
-            const stores = await storeService.getAllStores();
+            const stores = await storeService.getAllStores(req.query);
             res.json(stores);
         } catch (error) {
-            res.status(500).json({ message: error.message });
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Obtener el perfil público de una tienda
+     * 
+     * @endpoint GET /api/v1/stores/:idOrSlug
+     * @access Público
+     * 
+     * @param {string} req.params.idOrSlug - ID o slug de la tienda (ej: "tech-store")
+     * @returns {200} {
+     *   _id, name, slug, description, logo, banner,
+     *   productCount: number,
+     *   joinedAt: Date
+     * }
+     * @returns {301} Redirección a la URL con el slug actual (si se usó un slug anterior)
+     * @returns {404} { message: "Tienda no encontrada" } - No existe o no está aprobada
+     * @returns {500} { message: string } - Error del servidor
+     * 
+     * @description
+     * Página pública de la tienda. Solo muestra tiendas APPROVED y nunca
+     * expone el dueño ni los datos de moderación.
+     * Pendiente: el resumen de calificaciones se agregará cuando exista el
+     * flujo de reseñas (hoy no hay reseñas de tiendas).
+     * Los productos de la tienda se listan con GET /api/v1/products/store/:storeId.
+     * 
+     * @example
+     * GET /api/v1/stores/tech-store
+     */
+    async getStoreProfile(req, res) {
+        try {
+            const profile = await storeService.getPublicProfile(req.params.idOrSlug);
+            res.json(profile);
+        } catch (error) {
+            if (error.statusCode === 301) {
+                return redirectToSlug(req, res, error.details);
+            }
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 
     /**
-     * Aprobar una tienda pendiente
+     * Cambiar el estado de una tienda (moderación)
      * 
-     * @endpoint PUT /api/v1/stores/:id/approve
+     * @endpoint PATCH /api/v1/stores/:id/status
      * @access Privado (rol ADMIN)
      * 
-     * @param {string} req.params.id - ID de la tienda a aprobar
-     * @returns {200} Store - Tienda con status actualizado a APPROVED
-     * @returns {400} { message: string } - Error de validación
+     * @param {string} req.params.id - ID de la tienda
+     * @param {string} req.body.status - APPROVED | REJECTED | SUSPENDED
+     * @param {string} req.body.reason - Motivo (obligatorio para REJECTED y SUSPENDED)
+     * @param {string} req.user.id - ID del admin (queda en statusHistory)
+     * 
+     * @returns {200} Store - Tienda con el nuevo status, statusReason y statusHistory
+     * @returns {400} { message: string } - Estado inválido o falta el motivo
+     * @returns {404} { message: string } - Tienda no encontrada
+     * @returns {409} { message: string } - Transición no permitida desde el estado actual
      * 
      * @description
-     * Cambia el status de la tienda de PENDING a APPROVED.
-     * Una vez aprobada, el dueño puede empezar a crear productos.
-     * Solo un administrador puede aprobar tiendas.
+     * Transiciones permitidas:
+     * - PENDING -> APPROVED | REJECTED
+     * - APPROVED -> SUSPENDED
+     * - SUSPENDED -> APPROVED (reactivación)
+     * 
+     * Una tienda rechazada vuelve a PENDING solo cuando el dueño la reenvía.
+     * Al suspender, los productos de la tienda dejan de mostrarse en el catálogo
+     * y en su detalle, y la tienda no puede crear productos; al reactivarla vuelven.
      * 
      * @example
-     * PUT /api/v1/stores/store_id_123/approve
+     * PATCH /api/v1/stores/store_id_123/status
      * Headers: { Authorization: "Bearer <admin_token>" }
+     * Body: { "status": "SUSPENDED", "reason": "Productos falsificados reportados" }
      */
-    async approveStore(req, res) {
+    async updateStoreStatus(req, res) {
         try {
-            const store = await storeService.approveStore(req.params.id);
+            const store = await storeService.updateStoreStatus(req.params.id, req.body, req.user);
             res.json(store);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Reenviar mi tienda a revisión tras un rechazo
+     * 
+     * @endpoint POST /api/v1/stores/my-store/resubmit
+     * @access Privado (rol STORE, solo su tienda)
+     * 
+     * @param {string} req.user.id - ID del dueño
+     * @param {string} [req.body.note] - Nota para el admin (ej: qué se corrigió)
+     * 
+     * @returns {200} Store - Tienda de nuevo en PENDING
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {404} { message: string } - El usuario no tiene tienda
+     * @returns {409} { message: string } - La tienda no está rechazada
+     * 
+     * @description
+     * El dueño corrige los datos con PUT /api/v1/stores/my-store y luego
+     * reenvía la tienda; el motivo del rechazo queda en statusHistory.
+     * 
+     * @example
+     * POST /api/v1/stores/my-store/resubmit
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: { "note": "Actualizamos la descripción y los datos de contacto" }
+     */
+    async resubmitStore(req, res) {
+        try {
+            const store = await storeService.resubmitStore(req.user.id, req.body.note);
+            res.json(store);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 
@@ -145,13 +249,16 @@ class StoreController {
      * @param {Object} req.body - Campos a actualizar
      * @param {string} req.body.name - Nuevo nombre (opcional)
      * @param {string} req.body.description - Nueva descripción (opcional)
+     * @param {string} req.body.logo - URL del logo (opcional)
+     * @param {string} req.body.banner - URL del banner (opcional)
      * 
      * @returns {200} Store - Tienda actualizada
      * @returns {400} { message: string } - Error de validación o permisos
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
      * 
      * @description
-     * Permite al dueño actualizar nombre y descripción de su tienda.
-     * No se puede cambiar el status ni el owner.
+     * Permite al dueño actualizar nombre, descripción, logo y banner de su tienda.
+     * No se puede cambiar el status, el owner ni el personal (se ignoran si se envían).
      * 
      * @example
      * PUT /api/v1/stores
@@ -165,7 +272,169 @@ class StoreController {
             const store = await storeService.updateStore(req.user.id, req.body);
             res.json(store);
         } catch (error) {
-            res.status(400).json({ message: error.message });
+            res.status(error.statusCode || 400).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Listar el personal de mi tienda
+     * 
+     * @endpoint GET /api/v1/stores/my-store/members
+     * @access Privado (rol STORE, dueño de la tienda)
+     * 
+     * @param {string} req.user.id - ID del dueño
+     * @returns {200} {
+     *   members: [{ user: { _id, email }, role: "OWNER" | "MANAGER" | "FULFILLMENT", addedAt }],
+     *   invitations: [{ _id, email, role, expiresAt }]
+     * }
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {404} { message: string } - El usuario no tiene tienda
+     * 
+     * @description
+     * El dueño aparece primero con rol OWNER. Las invitaciones listadas son las
+     * pendientes (aún no aceptadas ni revocadas), incluidas las caducadas.
+     */
+    async getMembers(req, res) {
+        try {
+            const members = await storeService.getMembers(req.user.id);
+            res.json(members);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Invitar a un miembro al personal de mi tienda
+     * 
+     * @endpoint POST /api/v1/stores/my-store/invitations
+     * @access Privado (rol STORE, dueño de la tienda)
+     * 
+     * @param {string} req.body.email - Email del invitado
+     * @param {string} req.body.role - MANAGER | FULFILLMENT
+     * 
+     * @returns {201} { _id, email, role, expiresAt, token } - Invitación creada
+     * @returns {400} { message: string } - Email o rol no válidos
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {409} { message: string } - El invitado ya pertenece a una tienda
+     * 
+     * @description
+     * Roles del personal (ver utils/storeRoles):
+     * - MANAGER: gestiona productos y pedidos (incluye cancelar y reembolsar)
+     * - FULFILLMENT: ve los pedidos y los marca como enviados o entregados
+     * 
+     * El token solo se devuelve en esta respuesta y debe llegar al invitado
+     * (ej: en el enlace del email de invitación). Caduca a los 7 días.
+     * Invitar de nuevo al mismo email reemplaza la invitación anterior.
+     * 
+     * @example
+     * POST /api/v1/stores/my-store/invitations
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: { "email": "bodega@techstore.com", "role": "FULFILLMENT" }
+     */
+    async inviteMember(req, res) {
+        try {
+            const invitation = await storeService.inviteMember(req.user.id, req.body);
+            res.status(201).json(invitation);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Revocar una invitación pendiente
+     * 
+     * @endpoint DELETE /api/v1/stores/my-store/invitations/:invitationId
+     * @access Privado (rol STORE, dueño de la tienda)
+     * 
+     * @param {string} req.params.invitationId - ID de la invitación
+     * @returns {200} { message: "Invitación revocada" }
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {404} { message: string } - Invitación no encontrada
+     */
+    async revokeInvitation(req, res) {
+        try {
+            await storeService.revokeInvitation(req.user.id, req.params.invitationId);
+            res.json({ message: 'Invitación revocada' });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Aceptar una invitación al personal de una tienda
+     * 
+     * @endpoint POST /api/v1/stores/invitations/accept
+     * @access Privado (rol STORE)
+     * 
+     * @param {string} req.body.token - Token recibido en la invitación
+     * @returns {200} Store - Tienda a la que se unió el usuario
+     * @returns {403} { message: string } - La invitación fue enviada a otro email
+     * @returns {404} { message: string } - Invitación no encontrada o revocada
+     * @returns {409} { message: string } - El usuario ya pertenece a una tienda
+     * @returns {410} { message: string } - La invitación caducó
+     * 
+     * @description
+     * El invitado se registra (o inicia sesión) con una cuenta STORE usando el
+     * mismo email al que se envió la invitación. Un usuario pertenece como
+     * máximo a una tienda; desde entonces GET /my-store devuelve esa tienda.
+     * 
+     * @example
+     * POST /api/v1/stores/invitations/accept
+     * Headers: { Authorization: "Bearer <token>" }
+     * Body: { "token": "9f2c..." }
+     */
+    async acceptInvitation(req, res) {
+        try {
+            const store = await storeService.acceptInvitation(req.user.id, req.body.token);
+            res.json(store);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Cambiar el rol de un miembro del personal
+     * 
+     * @endpoint PATCH /api/v1/stores/my-store/members/:userId
+     * @access Privado (rol STORE, dueño de la tienda)
+     * 
+     * @param {string} req.params.userId - ID del usuario miembro
+     * @param {string} req.body.role - MANAGER | FULFILLMENT
+     * @returns {200} Store - Tienda con el personal actualizado
+     * @returns {400} { message: string } - Rol no válido o intento de cambiar al dueño
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {404} { message: string } - El usuario no es miembro de la tienda
+     */
+    async updateMemberRole(req, res) {
+        try {
+            const store = await storeService.updateMemberRole(req.user.id, req.params.userId, req.body.role);
+            res.json(store);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Quitar a un miembro del personal
+     * 
+     * @endpoint DELETE /api/v1/stores/my-store/members/:userId
+     * @access Privado (rol STORE, dueño de la tienda)
+     * 
+     * @param {string} req.params.userId - ID del usuario miembro
+     * @returns {200} Store - Tienda con el personal actualizado
+     * @returns {400} { message: string } - Intento de quitar al dueño
+     * @returns {403} { message: string } - El usuario es personal de la tienda, no su dueño
+     * @returns {404} { message: string } - El usuario no es miembro de la tienda
+     * 
+     * @description
+     * El usuario pierde el acceso a la tienda de inmediato y puede unirse a otra.
+     */
+    async removeMember(req, res) {
+        try {
+            const store = await storeService.removeMember(req.user.id, req.params.userId);
+            res.json(store);
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
         }
     }
 }
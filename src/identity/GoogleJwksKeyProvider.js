@@ -0,0 +1,67 @@
+/**
+ * GoogleJwksKeyProvider.js - Claves públicas de Google (JWKS)
+ *
+ * Propósito: Obtener las claves con las que Google firma sus ID tokens
+ *
+ * Configuración:
+ * - GOOGLE_JWKS_URL: URL del JWKS (default: https://www.googleapis.com/oauth2/v3/certs)
+ *
+ * Caché:
+ * - Las claves se guardan en memoria durante el max-age del header Cache-Control
+ * - Google rota sus claves periódicamente: un kid desconocido fuerza una nueva
+ *   descarga, como máximo una vez cada MIN_REFRESH_INTERVAL_MS para no
+ *   consultar a Google con cada token falso
+ */
+
+const crypto = require('crypto');
+const KeyProvider = require('./KeyProvider');
+
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+
+// Used when the response has no Cache-Control max-age
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const maxAgeMs = (cacheControl) => {
+    const match = /max-age=(\d+)/.exec(cacheControl || '');
+    return match ? Number(match[1]) * 1000 : DEFAULT_CACHE_MS;
+};
+
+class GoogleJwksKeyProvider extends KeyProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - URL del JWKS
+     */
+    constructor({ url } = {}) {
+        super('google');
+        this.url = url || process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL;
+        this.keys = new Map();
+        this.expiresAt = 0;
+        this.fetchedAt = 0;
+    }
+
+    async getKey(kid) {
+        const now = Date.now();
+        const stale = now >= this.expiresAt;
+        const unknownKid = !this.keys.has(kid) && now - this.fetchedAt >= MIN_REFRESH_INTERVAL_MS;
+        if (stale || unknownKid) {
+            await this.refresh();
+        }
+        return this.keys.get(kid) || null;
+    }
+
+    async refresh() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`No se pudieron obtener las claves de Google (HTTP ${response.status})`);
+        }
+        const { keys = [] } = await response.json();
+
+        this.keys = new Map(keys.map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+        this.fetchedAt = Date.now();
+        this.expiresAt = this.fetchedAt + maxAgeMs(response.headers.get('cache-control'));
+    }
+}
+
+module.exports = GoogleJwksKeyProvider;
@@ -0,0 +1,35 @@
+/**
+ * KeyProvider.js - Interfaz de proveedor de claves públicas
+ *
+ * Propósito: Definir el contrato para obtener las claves que verifican
+ * la firma de los ID tokens de un proveedor de identidad (Google)
+ *
+ * Responsabilidades de una implementación:
+ * - getKey: Retornar la clave pública correspondiente al "kid" del header del token
+ *
+ * Implementaciones:
+ * - GoogleJwksKeyProvider: Descarga y cachea el JWKS público de Google
+ * - StaticKeyProvider: Claves fijas en memoria (tests y desarrollo sin red)
+ *
+ * Usado por: authService (a través de identity/index.js)
+ */
+
+class KeyProvider {
+    /**
+     * @param {string} name - Identificador del proveedor
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Obtener la clave pública de un token
+     * @param {string} kid - Key ID del header del token
+     * @returns {Promise<crypto.KeyObject|null>} La clave, o null si el kid no existe
+     */
+    async getKey(kid) {
+        throw new Error(`${this.name}: getKey no implementado`);
+    }
+}
+
+module.exports = KeyProvider;
@@ -0,0 +1,42 @@
+/**
+ * StaticKeyProvider.js - Proveedor de claves fijas en memoria
+ *
+ * Propósito: Verificar ID tokens sin acceso a la red
+ *
+ * Uso:
+ * - Tests: se firma el token con una clave privada generada en el test
+ *   y se inyecta la clave pública con setGoogleKeyProvider()
+ * - Desarrollo local sin conexión a Google
+ *
+ * Las claves se indican por kid, en formato PEM, JWK o KeyObject.
+ */
+
+const crypto = require('crypto');
+const KeyProvider = require('./KeyProvider');
+
+// Accepts the formats a test or a config file is likely to have at hand
+const toKeyObject = (key) => {
+    if (key instanceof crypto.KeyObject) {
+        return key;
+    }
+    if (typeof key === 'object') {
+        return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+    return crypto.createPublicKey(key);
+};
+
+class StaticKeyProvider extends KeyProvider {
+    /**
+     * @param {Object<string, string|Object|crypto.KeyObject>} keys - Mapa kid -> clave pública
+     */
+    constructor(keys = {}) {
+        super('static');
+        this.keys = new Map(Object.entries(keys).map(([kid, key]) => [kid, toKeyObject(key)]));
+    }
+
+    async getKey(kid) {
+        return this.keys.get(kid) || null;
+    }
+}
+
+module.exports = StaticKeyProvider;
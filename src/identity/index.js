@@ -0,0 +1,49 @@
+/**
+ * identity/index.js - Selección del proveedor de claves de Google
+ *
+ * Propósito: Exponer una única instancia del proveedor de claves configurado
+ *
+ * Configuración:
+ * - GOOGLE_KEY_PROVIDER: Nombre del proveedor (default: 'google')
+ *
+ * Para agregar otro origen de claves:
+ * 1. Crear una clase que extienda KeyProvider
+ * 2. Registrarla en el objeto providers
+ *
+ * En tests se puede inyectar un proveedor con setGoogleKeyProvider()
+ * (ej: un StaticKeyProvider con la clave pública del test)
+ */
+
+const GoogleJwksKeyProvider = require('./GoogleJwksKeyProvider');
+
+const providers = {
+    google: () => new GoogleJwksKeyProvider(),
+};
+
+let currentProvider = null;
+
+/**
+ * Obtener el proveedor de claves configurado (se crea una sola vez)
+ * @returns {KeyProvider}
+ * @throws {Error} Si GOOGLE_KEY_PROVIDER no corresponde a un proveedor registrado
+ */
+const getGoogleKeyProvider = () => {
+    if (!currentProvider) {
+        const name = process.env.GOOGLE_KEY_PROVIDER || 'google';
+        if (!providers[name]) {
+            throw new Error(`Proveedor de claves no soportado: ${name}`);
+        }
+        currentProvider = providers[name]();
+    }
+    return currentProvider;
+};
+
+/**
+ * Reemplazar el proveedor de claves (útil en tests)
+ * @param {KeyProvider|null} provider - null vuelve a la configuración por defecto
+ */
+const setGoogleKeyProvider = (provider) => {
+    currentProvider = provider;
+};
+
+module.exports = { getGoogleKeyProvider, setGoogleKeyProvider };
@@ -6,19 +6,23 @@
  * Responsabilidades:
  * - Verificar tokens JWT en headers de peticiones
  * - Validar autenticidad y expiración del token
+ * - Rechazar tokens cuya sesión fue revocada (logout, reutilización de refresh token)
  * - Adjuntar información del usuario a req.user
  * - Verificar roles específicos cuando se requiera
  * 
  * Exports:
  * - protect: Middleware de autenticación (requiere token válido)
+ * - optionalAuth: Autenticación opcional (rutas públicas que varían según el usuario)
  * - authorize: Middleware de autorización (requiere rol específico)
  * 
  * Uso típico:
  * router.post('/products', protect, productController.create);
+ * router.get('/products', optionalAuth, productController.getAll);
  * router.get('/admin', protect, authorize('ADMIN'), adminController.dashboard);
  */
 
 const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 
 /**
  * Middleware de protección de rutas (Autenticación)
@@ -30,15 +34,17 @@ const jwt = require('jsonwebtoken');
  * 
  * @returns {401} { message: "Not authorized, no token" } - Si no hay token
  * @returns {401} { message: "Not authorized, token failed" } - Si el token es inválido
+ * @returns {401} { message: "Not authorized, session revoked" } - Si la sesión del token fue cerrada
  * 
  * @description
  * Flujo de ejecución:
  * 1. Lee el header Authorization
  * 2. Extrae el token (formato: "Bearer <token>")
  * 3. Verifica el token con JWT_SECRET
- * 4. Decodifica el payload (contiene: id, role, iat, exp)
- * 5. Adjunta el payload a req.user
- * 6. Llama a next() para continuar
+ * 4. Decodifica el payload (contiene: id, role, sid, iat, exp)
+ * 5. Comprueba que la sesión (sid) siga activa en la base de datos
+ * 6. Adjunta el payload a req.user
+ * 7. Llama a next() para continuar
  * 
  * Si falla en cualquier paso, retorna 401 y no continúa.
  * 
@@ -46,6 +52,7 @@ const jwt = require('jsonwebtoken');
  * {
  *   id: "user_id_here",
  *   role: "CLIENT|STORE|ADMIN",
+ *   sid: "session_id", // sesión del servidor (ver models/Session)
  *   iat: 1234567890,  // issued at
  *   exp: 1234654290   // expiration
  * }
@@ -57,36 +64,70 @@ const jwt = require('jsonwebtoken');
  *   const userRole = req.user.role; // Disponible gracias a protect
  * });
  */
-const protect = (req, res, next) => {
-    let token;
+const protect = async (req, res, next) => {
+    const header = req.headers.authorization;
 
     // Verificar que exista el header Authorization y que comience con "Bearer"
-    if (
-        req.headers.authorization &&
-        req.headers.authorization.startsWith('Bearer')
-    ) {
-        try {
-            // Extraer el token (quitar "Bearer ")
-            token = req.headers.authorization.split(' ')[1];
-
-            // Verificar y decodificar el token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret_key_dev');
+    if (!header || !header.startsWith('Bearer')) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+    }
 
-            // Adjuntar usuario al request para uso en controladores
-            req.user = decoded;
+    let decoded;
+    try {
+        // Extraer el token (quitar "Bearer ") y verificarlo
+        decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'secret_key_dev');
+    } catch (error) {
+        // Token inválido, expirado o corrupto
+        return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
 
-            // Continuar al siguiente middleware/controlador
-            next();
-        } catch (error) {
-            // Token inválido, expirado o corrupto
-            res.status(401).json({ message: 'Not authorized, token failed' });
+    try {
+        // Un token aún vigente deja de servir si su sesión se cerró
+        if (!await authService.isSessionActive(decoded.sid)) {
+            return res.status(401).json({ message: 'Not authorized, session revoked' });
         }
+    } catch (error) {
+        return res.status(401).json({ message: 'Not authorized, token failed' });
     }
 
-    // Si no hay token en el header
-    if (!token) {
-        res.status(401).json({ message: 'Not authorized, no token' });
+    // Adjuntar usuario al request para uso en controladores
+    req.user = decoded;
+    next();
+};
+
+/**
+ * Middleware de autenticación opcional
+ * 
+ * @middleware optionalAuth
+ * @param {Request} req - Request de Express
+ * @param {Response} res - Response de Express
+ * @param {NextFunction} next - Función para continuar al siguiente middleware
+ * 
+ * @description
+ * Para rutas públicas cuyo resultado depende de quién consulta
+ * (ej: el catálogo muestra al dueño los productos de su tienda aún no aprobada).
+ * 
+ * - Con un token válido: adjunta el payload a req.user igual que protect
+ * - Sin token, con un token inválido/expirado o de una sesión cerrada: continúa como visitante anónimo
+ *   (req.user queda undefined, nunca responde 401)
+ * 
+ * @example
+ * router.get('/products', optionalAuth, (req, res) => {
+ *   const viewer = req.user; // undefined si es anónimo
+ * });
+ */
+const optionalAuth = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer')) {
+        try {
+            const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'secret_key_dev');
+            req.user = await authService.isSessionActive(decoded.sid) ? decoded : undefined;
+        } catch (error) {
+            // Token inválido: se trata como visitante anónimo
+            req.user = undefined;
+        }
     }
+    next();
 };
 
 /**
@@ -131,4 +172,4 @@ const authorize = (...roles) => {
     };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, optionalAuth, authorize };
@@ -0,0 +1,90 @@
+/**
+ * idempotencyMiddleware.js - Middleware de Idempotencia
+ * 
+ * Propósito: Evitar operaciones duplicadas cuando el cliente reintenta una petición
+ * 
+ * Responsabilidades:
+ * - Leer el header Idempotency-Key (opcional)
+ * - Si la clave es nueva, ejecutar la petición y guardar su respuesta exitosa
+ * - Si la clave ya se completó, devolver la respuesta original sin ejecutar nada
+ * - Rechazar la misma clave con un cuerpo distinto (422) o aún en proceso (409)
+ * 
+ * Uso típico:
+ * router.post('/', protect, idempotency, orderController.createOrder);
+ * 
+ * IMPORTANTE: Siempre usar después de protect (las claves son por usuario)
+ */
+
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Middleware de idempotencia
+ * 
+ * @middleware idempotency
+ * @param {Request} req - Request de Express (requiere req.user)
+ * @param {Response} res - Response de Express
+ * @param {NextFunction} next - Función para continuar al siguiente middleware
+ * 
+ * @returns {409} { message: string } - Petición con la misma clave aún en proceso
+ * @returns {422} { message: string } - Clave reutilizada con otro cuerpo
+ * 
+ * @description
+ * Flujo:
+ * 1. Sin header Idempotency-Key: continúa normalmente
+ * 2. Reserva la clave (usuario + clave) con el hash del cuerpo
+ * 3. Si ya existía y está completa: responde lo mismo con el header Idempotent-Replayed: true
+ * 4. Si es nueva: intercepta res.json para guardar la respuesta antes de enviarla
+ * 
+ * Las respuestas no exitosas no se guardan: la clave se libera para poder reintentar.
+ * Una respuesta enviada sin res.json (res.send, res.end o el manejador de errores
+ * de Express) tampoco se guarda: la clave se libera al terminar la respuesta.
+ * Si la petición nunca responde (ej: el proceso se reinició), un reintento toma la
+ * clave pasado IDEMPOTENCY_LOCK_TIMEOUT_SECONDS (default: 60).
+ * 
+ * @example
+ * POST /api/v1/orders
+ * Headers: {
+ *   Authorization: "Bearer <token>",
+ *   "Idempotency-Key": "5f1c2b7e-checkout-42"
+ * }
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    let result;
+    try {
+        const scope = `${req.method} ${req.baseUrl}${req.path}`;
+        result = await idempotencyService.begin(req.user.id, key, scope, req.rawBody);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+
+    if (result.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(result.replay.statusCode).json(result.replay.body);
+    }
+
+    // Persist the outcome before the response leaves, so an immediate retry sees it
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        idempotencyService.finish(result.record, res.statusCode, body)
+            .catch((error) => console.error('Idempotency key persistence error:', error))
+            .then(() => originalJson(body));
+        return res;
+    };
+    res.on('finish', () => {
+        if (!settled) {
+            idempotencyService.release(result.record)
+                .catch((error) => console.error('Idempotency key release error:', error));
+        }
+    });
+
+    next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,71 @@
+/**
+ * uploadMiddleware.js - Middleware de subida de imágenes
+ * 
+ * Propósito: Recibir imágenes enviadas como multipart/form-data
+ * 
+ * Responsabilidades:
+ * - Leer los archivos del campo "images" en memoria (req.files)
+ * - Rechazar tipos que no son imagen (JPEG, PNG o WebP) y archivos demasiado grandes
+ * - Responder los errores de subida con un mensaje claro en vez de un 500
+ * 
+ * Configuración:
+ * - UPLOAD_MAX_FILE_SIZE: Tamaño máximo por archivo en bytes (default: 5 MB)
+ * 
+ * El tipo declarado por el cliente es solo un primer filtro: productImageService
+ * vuelve a validar el contenido real de cada archivo antes de guardarlo.
+ * 
+ * Uso típico:
+ * router.post('/:id/images', protect, authorize('STORE'), uploadImages, productController.uploadImages);
+ */
+
+const multer = require('multer');
+const AppError = require('../utils/AppError');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE = Number(process.env.UPLOAD_MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const MAX_FILES_PER_REQUEST = 10;
+
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: { statusCode: 413, message: `Cada imagen debe pesar máximo ${MAX_IMAGE_SIZE / (1024 * 1024)} MB` },
+    LIMIT_FILE_COUNT: { statusCode: 400, message: `Se permiten máximo ${MAX_FILES_PER_REQUEST} imágenes por petición` },
+    LIMIT_UNEXPECTED_FILE: { statusCode: 400, message: 'Las imágenes deben enviarse en el campo "images"' },
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(), // Processed (resized, thumbnailed) before reaching the storage adapter
+    limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_FILES_PER_REQUEST },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new AppError(`Tipo de archivo no soportado: ${file.originalname} (use JPEG, PNG o WebP)`, 415));
+        }
+        cb(null, true);
+    },
+}).array('images', MAX_FILES_PER_REQUEST);
+
+/**
+ * Middleware de subida de imágenes
+ * 
+ * @middleware uploadImages
+ * @param {Request} req - Request de Express (multipart/form-data)
+ * @param {Response} res - Response de Express
+ * @param {NextFunction} next - Función para continuar al siguiente middleware
+ * 
+ * @returns {400} { message: string } - Demasiados archivos o campo incorrecto
+ * @returns {413} { message: string } - Un archivo supera el tamaño máximo
+ * @returns {415} { message: string } - Un archivo no es JPEG, PNG o WebP
+ * 
+ * @description
+ * Deja en req.files un arreglo de { originalname, mimetype, size, buffer }.
+ */
+const uploadImages = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        const known = error instanceof multer.MulterError ? MULTER_ERRORS[error.code] : null;
+        const statusCode = known ? known.statusCode : error.statusCode || 400;
+        res.status(statusCode).json({ message: known ? known.message : error.message });
+    });
+};
+
+module.exports = { uploadImages };
@@ -0,0 +1,35 @@
+/**
+ * migrate.js - Ejecutar las migraciones de datos
+ *
+ * Propósito: Actualizar los documentos existentes en MongoDB a la forma
+ * que esperan los modelos actuales (ver src/migrations)
+ *
+ * Uso:
+ * - npm run migrate
+ * - Ejecutar tras cada despliegue que agregue una migración; volver a
+ *   ejecutarlo no modifica nada
+ *
+ * Variables de entorno requeridas:
+ * - MONGO_URI: String de conexión a MongoDB (replica set, las migraciones usan transacciones)
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { runMigrations } = require('./migrations');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/mercadotech';
+
+const main = async () => {
+    await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+    try {
+        await runMigrations((line) => console.log(line));
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch((err) => {
+    console.error('Migration error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * migrations/index.js - Migraciones de datos
+ *
+ * Propósito: Adaptar los documentos existentes cuando cambia un modelo
+ *
+ * Reglas:
+ * - Cada migración exporta { name, description, up } y up() retorna cuántos
+ *   documentos modificó
+ * - Las migraciones son idempotentes: solo seleccionan documentos que aún no
+ *   tienen la forma nueva, así que se pueden ejecutar en cada despliegue
+ * - Se ejecutan en el orden de la lista
+ *
+ * Para agregar una migración: crear el archivo y agregarlo al final de la lista
+ *
+ * Usado por: src/migrate.js (npm run migrate)
+ */
+
+const migrations = [
+    require('./legacyOrders'),
+    require('./productSearchNames'),
+    require('./slugs'),
+    require('./productStoreApproval'),
+];
+
+/**
+ * Ejecutar todas las migraciones en orden
+ * @param {Function} [log] - Recibe una línea de texto por migración
+ * @returns {Promise<Object>} Mapa name -> documentos modificados
+ */
+const runMigrations = async (log = () => {}) => {
+    const results = {};
+    for (const migration of migrations) {
+        results[migration.name] = await migration.up();
+        log(`${migration.name}: ${results[migration.name]} documento(s) - ${migration.description}`);
+    }
+    return results;
+};
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,103 @@
+/**
+ * legacyOrders.js - Migración de pedidos anteriores al Checkout
+ *
+ * Propósito: Llevar los pedidos creados antes de las compras multi-tienda
+ * al modelo actual (Checkout padre + un sub-pedido por tienda)
+ *
+ * Un pedido antiguo:
+ * - No tiene checkout ni store (la tienda solo estaba en cada item)
+ * - Puede mezclar items de varias tiendas
+ * - Guarda el resultado del pago en el propio pedido
+ *
+ * Por cada pedido antiguo:
+ * 1. Se crea un Checkout con su usuario, total, dirección, pago y fecha
+ * 2. El pedido original conserva su _id y se queda con los items de la primera tienda
+ * 3. Los items de cada tienda adicional pasan a un sub-pedido nuevo con el mismo
+ *    estado e historial
+ *
+ * Los pedidos antiguos se cobraban al crearse, así que todas sus unidades
+ * quedan como pagadas (paidQuantity) y se pueden reembolsar.
+ *
+ * Cada pedido se migra en su propia transacción y solo se seleccionan los que
+ * no tienen checkout, por lo que ejecutarla de nuevo no duplica nada.
+ */
+
+const Order = require('../models/Order');
+const Checkout = require('../models/Checkout');
+const { runInTransaction } = require('../utils/transaction');
+
+// Items grouped by store in their original order; Map preserves insertion order
+const groupByStore = (items) => {
+    const groups = new Map();
+    for (const item of items) {
+        const key = String(item.store);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    }
+    return [...groups.values()];
+};
+
+const itemsTotal = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+// Before payment providers every order was paid with the mock gateway
+const legacyPayment = (paymentResult) => (
+    paymentResult && paymentResult.id
+        ? { provider: 'mock', ...paymentResult }
+        : undefined
+);
+
+const migrateOrder = async (order) => {
+    await runInTransaction(async (session) => {
+        const [checkout] = await Checkout.create([{
+            user: order.user,
+            total: order.total,
+            shippingAddress: order.shippingAddress,
+            paymentResult: legacyPayment(order.paymentResult),
+            createdAt: order.createdAt,
+        }], { session });
+
+        const paidItems = order.items.map((item) => ({ ...item, paidQuantity: item.quantity }));
+        const [first, ...others] = groupByStore(paidItems);
+
+        await Order.collection.updateOne(
+            { _id: order._id },
+            {
+                $set: { checkout: checkout._id, store: first[0].store, items: first, total: itemsTotal(first) },
+                $unset: { paymentResult: '' },
+            },
+            { session }
+        );
+
+        for (const items of others) {
+            await Order.create([{
+                user: order.user,
+                checkout: checkout._id,
+                store: items[0].store,
+                items,
+                total: itemsTotal(items),
+                shippingAddress: order.shippingAddress,
+                status: order.status,
+                statusHistory: order.statusHistory,
+                createdAt: order.createdAt,
+            }], { session });
+        }
+    });
+};
+
+module.exports = {
+    name: 'legacy-orders',
+    description: 'Agrupar los pedidos sin checkout en un Checkout con un sub-pedido por tienda',
+
+    /**
+     * @returns {Promise<number>} Cantidad de pedidos migrados
+     */
+    async up() {
+        const legacy = await Order.collection.find({ checkout: { $exists: false } }).toArray();
+        for (const order of legacy) {
+            await migrateOrder(order);
+        }
+        return legacy.length;
+    },
+};
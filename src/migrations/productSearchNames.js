@@ -0,0 +1,42 @@
+/**
+ * productSearchNames.js - Migración de los nombres desnormalizados de productos
+ *
+ * Propósito: Completar storeName y categoryName en los productos creados antes
+ * de que existieran, para que la búsqueda por tienda o categoría los encuentre
+ * y los facets no muestren name: null
+ *
+ * Usa las mismas sincronizaciones que se ejecutan al renombrar una tienda o
+ * una categoría (productRepository.syncStoreName / syncCategoryName), así que
+ * también corrige cualquier nombre desactualizado. Un producto que ya tiene el
+ * nombre correcto no se modifica.
+ */
+
+const storeRepository = require('../repositories/storeRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const productRepository = require('../repositories/productRepository');
+
+module.exports = {
+    name: 'product-search-names',
+    description: 'Completar storeName y categoryName de los productos',
+
+    /**
+     * @returns {Promise<number>} Cantidad de productos actualizados
+     */
+    async up() {
+        let modified = 0;
+
+        const { items: stores } = await storeRepository.findAll();
+        for (const store of stores) {
+            const result = await productRepository.syncStoreName(store._id, store.name);
+            modified += result.modifiedCount;
+        }
+
+        const categories = await categoryRepository.findAll();
+        for (const category of categories) {
+            const result = await productRepository.syncCategoryName(category._id, category.name);
+            modified += result.modifiedCount;
+        }
+
+        return modified;
+    },
+};
@@ -0,0 +1,34 @@
+/**
+ * productStoreApproval.js - Migración de la visibilidad de productos en el catálogo
+ *
+ * Propósito: Completar storeApproved en los productos creados antes de que
+ * existiera, para que el catálogo (que filtra por ese campo) no oculte los
+ * productos de tiendas aprobadas
+ *
+ * Usa la misma sincronización que se ejecuta al cambiar el estado de una
+ * tienda (productRepository.syncStoreApproval). Un producto que ya tiene el
+ * valor correcto no se modifica.
+ */
+
+const storeRepository = require('../repositories/storeRepository');
+const productRepository = require('../repositories/productRepository');
+
+module.exports = {
+    name: 'product-store-approval',
+    description: 'Completar storeApproved de los productos según el estado de su tienda',
+
+    /**
+     * @returns {Promise<number>} Cantidad de productos actualizados
+     */
+    async up() {
+        let modified = 0;
+
+        const { items: stores } = await storeRepository.findAll();
+        for (const store of stores) {
+            const result = await productRepository.syncStoreApproval(store._id, store.status === 'APPROVED');
+            modified += result.modifiedCount;
+        }
+
+        return modified;
+    },
+};
@@ -0,0 +1,41 @@
+/**
+ * slugs.js - Migración de slugs de productos, tiendas y categorías
+ *
+ * Propósito: Dar slug a los documentos creados antes de plugins/slugPlugin, para
+ * que las rutas públicas los encuentren por slug y no solo por ID
+ *
+ * También mueve los documentos cuyo slug quedó en una palabra reservada
+ * (ej: una tienda "My Store" con slug "my-store"), que la ruta fija
+ * respondía en su lugar. Ese slug no se guarda en previousSlugs: la URL
+ * nunca llegó al documento.
+ *
+ * Un documento que ya tiene un slug válido no se modifica.
+ */
+
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const Category = require('../models/Category');
+
+module.exports = {
+    name: 'slugs',
+    description: 'Generar el slug de productos, tiendas y categorías que no lo tienen',
+
+    /**
+     * @returns {Promise<number>} Cantidad de documentos actualizados
+     */
+    async up() {
+        let modified = 0;
+
+        for (const Model of [Product, Store, Category]) {
+            const docs = await Model.find({ slug: { $in: [null, ...Model.reservedSlugs] } }).select('name');
+            for (const doc of docs) {
+                const slug = await Model.generateUniqueSlug(doc.name, doc._id);
+                // Raw update: the slug is never set through the model's update hooks
+                const result = await Model.collection.updateOne({ _id: doc._id }, { $set: { slug } });
+                modified += result.modifiedCount;
+            }
+        }
+
+        return modified;
+    },
+};
@@ -12,6 +12,7 @@
  * - Un Cart pertenece a un User (one-to-one)
  * - Un Cart contiene múltiples items (embedded documents)
  * - Cada item referencia un Product y una Store
+ * - Si el producto tiene variantes, el item referencia además la variante elegida
  * 
  * Flujo de datos:
  * 1. Usuario agrega producto al carrito (localStorage + API si está autenticado)
@@ -64,6 +65,16 @@ const cartSchema = new mongoose.Schema({
                 required: true,
             },
 
+            /**
+             * Variante elegida (talla, color...)
+             * - _id del subdocumento en Product.variants
+             * - Obligatoria si el producto tiene variantes, vacía si no las tiene
+             * - El mismo producto puede aparecer varias veces con distintas variantes
+             */
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+
             /**
              * Cantidad del producto en el carrito
              * - Debe ser al menos 1
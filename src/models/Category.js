@@ -10,15 +10,29 @@
  * 
  * Relaciones:
  * - Una Category puede tener múltiples Products (one-to-many)
+ * - Una Category puede tener una Category padre y múltiples hijas (árbol)
+ *   Ej: Electrónica > Computadores > Portátiles
+ * 
+ * Árbol de categorías:
+ * - parent: padre directo (null en las categorías raíz)
+ * - ancestors: todos los ancestros ordenados desde la raíz hasta el padre
+ *   Permite obtener todos los descendientes con una sola consulta ({ ancestors: id })
+ * - categoryService mantiene ambos campos consistentes al crear, mover o eliminar
+ * 
+ * URL pública:
+ * - slug generado desde el nombre (ej: "electronica"), ver plugins/slugPlugin
+ * - Las rutas públicas aceptan ID o slug; un slug anterior redirige con 301
  * 
  * Endpoints relacionados:
  * - GET /api/v1/categories - Listar todas las categorías
+ * - GET /api/v1/categories/tree - Categorías anidadas como árbol
  * - POST /api/v1/categories - Crear nueva categoría (solo ADMIN)
  * - PUT /api/v1/categories/:id - Actualizar categoría (solo ADMIN)
  * - DELETE /api/v1/categories/:id - Eliminar categoría (solo ADMIN)
  */
 
 const mongoose = require('mongoose');
+const slugPlugin = require('./plugins/slugPlugin');
 
 /**
  * Schema de Categoría
@@ -48,6 +62,30 @@ const categorySchema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * Categoría padre
+     * - null para categorías raíz
+     * - No se puede asignar la propia categoría ni uno de sus descendientes (ciclo)
+     */
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true,
+    },
+
+    /**
+     * Ancestros de la categoría, desde la raíz hasta el padre directo
+     * - Ej: Portátiles -> [Electrónica, Computadores]
+     * - Calculado por categoryService, nunca enviado por el cliente
+     * - Indexado para consultar descendientes ({ ancestors: categoryId })
+     */
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        index: true,
+    }],
+
     /**
      * Fecha de creación de la categoría
      * - Se establece automáticamente al crear el documento
@@ -58,4 +96,8 @@ const categorySchema = new mongoose.Schema({
     },
 });
 
+// Campos slug y previousSlugs, generados desde el nombre
+// reserved: segmentos fijos de categoryRoutes que taparían GET /categories/:id
+categorySchema.plugin(slugPlugin, { reserved: ['tree'] });
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,106 @@
+/**
+ * Checkout.js - Modelo de Compra (pedido padre)
+ *
+ * Propósito: Agrupar en una sola compra los pedidos generados por cada tienda
+ *
+ * Responsabilidades:
+ * - Representar la compra tal como la ve el cliente (un solo total, una dirección)
+ * - Almacenar el resultado del pago, que es único para toda la compra
+ * - Exponer los sub-pedidos (uno por tienda) mediante un virtual
+ *
+ * Relaciones:
+ * - Un Checkout pertenece a un User (many-to-one)
+ * - Un Checkout tiene múltiples Orders, uno por Store (one-to-many)
+ *   La referencia se guarda en Order.checkout; aquí solo existe el virtual "orders"
+ *
+ * Flujo de datos:
+ * 1. El cliente confirma el carrito (items de varias tiendas)
+ * 2. Se crea un Checkout con el total general
+ * 3. Se crea un Order por cada tienda con sus items y su propio total
+ * 4. Cada tienda gestiona el estado de su Order de forma independiente
+ *
+ * Endpoints relacionados:
+ * - POST /api/v1/orders - Crear compra (retorna el Checkout con sus pedidos)
+ * - GET /api/v1/orders/my-orders - Compras del usuario con sus pedidos por tienda
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Compra
+ * Define la estructura de los documentos de compra en MongoDB
+ */
+const checkoutSchema = new mongoose.Schema({
+    /**
+     * Referencia al usuario que realizó la compra
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    /**
+     * Total de la compra
+     * - Suma de los totales de todos los sub-pedidos
+     * - Calculado en el backend con los precios de la BD
+     */
+    total: {
+        type: Number,
+        required: true,
+    },
+
+    /**
+     * Dirección de envío de la compra
+     * - Se copia a cada sub-pedido para que cada tienda la tenga disponible
+     */
+    shippingAddress: {
+        address: String,       // Calle y número
+        city: String,          // Ciudad
+        postalCode: String,    // Código postal
+        country: String,       // País
+    },
+
+    /**
+     * Resultado del pago
+     * - Un solo pago cubre todos los sub-pedidos de la compra
+     * - Se llena tras autorizar con el proveedor configurado (ver src/payments)
+     * - status: AUTHORIZED -> CAPTURED (webhook payment.succeeded) | FAILED (payment.failed)
+     * - capturedAmount: Monto cobrado al confirmar; excluye las unidades canceladas antes del webhook
+     */
+    paymentResult: {
+        provider: String,        // Nombre del proveedor (ej: mock)
+        id: {                    // ID de transacción del procesador
+            type: String,
+            index: true,
+        },
+        status: String,          // Estado del pago
+        capturedAmount: Number,  // Monto efectivamente cobrado
+        update_time: String,     // Última actualización
+        email_address: String,   // Email asociado al pago
+    },
+
+    /**
+     * Fecha de creación de la compra
+     */
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    // Incluir el virtual "orders" al serializar a JSON
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+/**
+ * Virtual: sub-pedidos de la compra (uno por tienda)
+ * Se llena con populate('orders')
+ */
+checkoutSchema.virtual('orders', {
+    ref: 'Order',
+    localField: '_id',
+    foreignField: 'checkout',
+});
+
+module.exports = mongoose.model('Checkout', checkoutSchema);
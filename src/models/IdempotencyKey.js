@@ -0,0 +1,113 @@
+/**
+ * IdempotencyKey.js - Modelo de Clave de Idempotencia
+ * 
+ * Propósito: Recordar la respuesta de una petición para poder repetirla
+ * sin volver a ejecutar la operación
+ * 
+ * Responsabilidades:
+ * - Asociar el header Idempotency-Key (por usuario) con la respuesta original
+ * - Detectar la misma clave reutilizada con un cuerpo diferente (hash del body)
+ * - Bloquear peticiones concurrentes con la misma clave mientras la primera se procesa
+ * - Expirar automáticamente (índice TTL de MongoDB)
+ * 
+ * Relaciones:
+ * - Una IdempotencyKey pertenece a un User (many-to-one)
+ * 
+ * Flujo de estados:
+ * IN_PROGRESS -> COMPLETED (respuesta 2xx guardada)
+ * IN_PROGRESS -> (eliminada si la petición falla, para permitir reintentar)
+ * IN_PROGRESS -> IN_PROGRESS (un reintento toma el bloqueo vencido, ver lockedAt)
+ * 
+ * Endpoints relacionados:
+ * - POST /api/v1/orders - Acepta el header Idempotency-Key
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Tiempo de vida de una clave en segundos (default: 24 horas)
+ */
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 60 * 60 * 24;
+
+/**
+ * Schema de Clave de Idempotencia
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    /**
+     * Valor del header Idempotency-Key enviado por el cliente
+     */
+    key: {
+        type: String,
+        required: true,
+    },
+
+    /**
+     * Usuario que envió la petición
+     * - Las claves son únicas por usuario, no globales
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    /**
+     * Método y ruta de la petición (ej: "POST /api/v1/orders")
+     * - Evita que una clave de un endpoint se reutilice en otro
+     */
+    scope: {
+        type: String,
+        required: true,
+    },
+
+    /**
+     * Hash SHA-256 del cuerpo de la petición original
+     */
+    requestHash: {
+        type: String,
+        required: true,
+    },
+
+    /**
+     * Estado del procesamiento de la petición original
+     */
+    status: {
+        type: String,
+        enum: ['IN_PROGRESS', 'COMPLETED'],
+        default: 'IN_PROGRESS',
+    },
+
+    /**
+     * Momento en que la petición actual tomó la clave
+     * - Si la clave sigue IN_PROGRESS más de IDEMPOTENCY_LOCK_TIMEOUT_SECONDS
+     *   (el proceso murió o la petición nunca respondió), un reintento la toma
+     * - Solo la petición con este mismo lockedAt puede completar o liberar la clave
+     */
+    lockedAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    /**
+     * Respuesta original que se devuelve en los reintentos
+     */
+    response: {
+        statusCode: Number,
+        body: mongoose.Schema.Types.Mixed,
+    },
+
+    /**
+     * Fecha de creación
+     * - Índice TTL: MongoDB elimina el documento tras IDEMPOTENCY_TTL_SECONDS
+     */
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: IDEMPOTENCY_TTL_SECONDS,
+    },
+});
+
+// Una clave solo puede existir una vez por usuario
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -3,30 +3,53 @@
  * 
  * Propósito: Define la estructura de datos para los pedidos realizados por los clientes
  * 
+ * Cada Order es el sub-pedido de UNA tienda dentro de una compra (Checkout).
+ * Una compra con productos de tres tiendas genera tres Orders.
+ * 
  * Responsabilidades:
  * - Almacenar información del pedido (items, total, dirección de envío)
- * - Gestionar el estado del pedido y su historial
+ * - Gestionar el estado del pedido y su historial (independiente por tienda)
  * - Vincular el pedido con el usuario que lo realizó
  * - Almacenar snapshots de productos al momento de la compra
  * 
  * Relaciones:
  * - Un Order pertenece a un User (many-to-one)
+ * - Un Order pertenece a un Checkout (many-to-one)
+ * - Un Order pertenece a una Store (many-to-one)
  * - Un Order contiene múltiples items (embedded documents)
- * - Cada item referencia un Product y una Store
+ * - Cada item referencia un Product y la misma Store del pedido
  * 
- * Flujo de estados:
+ * Flujo de estados (validado en orderService.updateOrderStatus):
  * PENDING -> PAID -> SHIPPED -> DELIVERED
- *         -> CANCELLED (en cualquier momento)
+ *         -> CANCELLED (antes de la entrega; tras el envío solo un admin)
+ * PAID | SHIPPED | DELIVERED | CANCELLED -> PARTIALLY_REFUNDED -> REFUNDED (solo vía reembolsos)
+ * Cancelar unidades ya pagadas las reembolsa automáticamente
  * 
  * Endpoints relacionados:
  * - POST /api/v1/orders - Crear nuevo pedido
  * - GET /api/v1/orders/:id - Obtener detalles de un pedido
  * - GET /api/v1/orders/store-orders - Obtener pedidos de la tienda del usuario
- * - PUT /api/v1/orders/:id/status - Actualizar estado del pedido
+ * - PATCH /api/v1/orders/:id/status - Actualizar estado del pedido
+ * - POST /api/v1/orders/:id/refunds - Reembolsar total o parcialmente
+ * 
+ * Nota: El resultado del pago vive en Checkout (un pago por compra)
  */
 
 const mongoose = require('mongoose');
 
+/**
+ * Estados posibles de un pedido (compartidos por status y statusHistory)
+ */
+const ORDER_STATUSES = [
+    'PENDING',
+    'PAID',
+    'SHIPPED',
+    'DELIVERED',
+    'CANCELLED',
+    'PARTIALLY_REFUNDED',
+    'REFUNDED',
+];
+
 /**
  * Schema de Pedido
  * Define la estructura de los documentos de pedido en MongoDB
@@ -43,6 +66,29 @@ const orderSchema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * Referencia a la compra (pedido padre) a la que pertenece este sub-pedido
+     * - Permite mostrar al cliente una sola compra con varios pedidos
+     */
+    checkout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Checkout',
+        required: true,
+        index: true,
+    },
+
+    /**
+     * Tienda responsable de este sub-pedido
+     * - Todos los items del pedido pertenecen a esta tienda
+     * - Solo esta tienda gestiona el estado del pedido
+     */
+    store: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true,
+        index: true,
+    },
+
     /**
      * Items del pedido (subdocumentos embebidos)
      * Cada item representa un producto comprado con su cantidad
@@ -70,6 +116,26 @@ const orderSchema = new mongoose.Schema({
              */
             name: String,
 
+            /**
+             * Variante comprada (solo para productos con variantes)
+             * - _id del subdocumento en Product.variants
+             * - Se usa para reponer el stock de la variante al cancelar
+             */
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+
+            /**
+             * Snapshot de la variante al momento de la compra
+             * - sku: código de la variante (ej: "CAM-M-ROJO")
+             * - options: valores elegidos (ej: { Talla: "M", Color: "Rojo" })
+             */
+            sku: String,
+            options: {
+                type: Map,
+                of: String,
+            },
+
             /**
              * Cantidad comprada del producto
              * - Debe ser al menos 1
@@ -80,6 +146,60 @@ const orderSchema = new mongoose.Schema({
                 min: 1,
             },
 
+            /**
+             * Unidades canceladas de este item
+             * - 0 por defecto; igual a quantity si el item (o el pedido) se canceló completo
+             */
+            cancelledQuantity: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+
+            /**
+             * Unidades canceladas ya devueltas al stock del producto
+             * - Nunca supera cancelledQuantity
+             * - Hace idempotente la reposición: solo se repone la diferencia
+             */
+            restockedQuantity: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+
+            /**
+             * Unidades reembolsadas con restock que volvieron al stock
+             * - Separado de restockedQuantity: una unidad reembolsada y devuelta
+             *   no se puede cancelar, y una cancelada no se repone de nuevo al reembolsarla
+             */
+            returnedQuantity: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+
+            /**
+             * Unidades cobradas al comprador
+             * - Se fija al pasar a PAID: quantity menos las unidades ya canceladas,
+             *   que nunca se cobran
+             * - Solo estas unidades se pueden reembolsar
+             */
+            paidQuantity: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+
+            /**
+             * Unidades reembolsadas de este item (incluye reembolsos PENDING)
+             * - Nunca supera paidQuantity
+             */
+            refundedQuantity: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+
             /**
              * Snapshot del precio del producto al momento de la compra
              * - Permite calcular el total histórico correcto
@@ -105,7 +225,7 @@ const orderSchema = new mongoose.Schema({
 
     /**
      * Total del pedido
-     * - Suma de (precio * cantidad) de todos los items
+     * - Suma de (precio * cantidad) de los items de esta tienda
      * - Calculado en el backend al crear el pedido
      */
     total: {
@@ -132,10 +252,12 @@ const orderSchema = new mongoose.Schema({
      * - SHIPPED: Pedido enviado
      * - DELIVERED: Pedido entregado
      * - CANCELLED: Pedido cancelado
+     * - PARTIALLY_REFUNDED: Parte del pedido fue reembolsada
+     * - REFUNDED: Todo el pedido fue reembolsado (estado final)
      */
     status: {
         type: String,
-        enum: ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
+        enum: ORDER_STATUSES,
         default: 'PENDING',
     },
 
@@ -152,7 +274,7 @@ const orderSchema = new mongoose.Schema({
              */
             status: {
                 type: String,
-                enum: ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
+                enum: ORDER_STATUSES,
                 required: true,
             },
 
@@ -172,20 +294,93 @@ const orderSchema = new mongoose.Schema({
                 type: mongoose.Schema.Types.ObjectId,
                 ref: 'User',
             },
+
+            /**
+             * Detalle opcional del cambio
+             * - Ej: items cancelados y stock repuesto
+             */
+            note: String,
+        },
+    ],
+
+    /**
+     * Registro de reembolsos (ledger)
+     * - Cada reembolso se registra PENDING (reservando sus unidades) antes de
+     *   llamar al proveedor, y pasa a COMPLETED o, si el proveedor falla, a FAILED
+     *   liberando las unidades
+     * - La suma de amount de los COMPLETED es igual a refundedTotal
+     */
+    refunds: [
+        {
+            status: {
+                type: String,
+                enum: ['PENDING', 'COMPLETED', 'FAILED'],
+                default: 'PENDING',
+            },
+
+            /**
+             * Monto devuelto al cliente en este reembolso
+             */
+            amount: {
+                type: Number,
+                required: true,
+                min: 0,
+            },
+
+            /**
+             * Items y unidades reembolsadas
+             * - item: _id del item dentro de order.items
+             */
+            items: [
+                {
+                    item: mongoose.Schema.Types.ObjectId,
+                    quantity: Number,
+                },
+            ],
+
+            /**
+             * Indica si las unidades se devolvieron al stock
+             */
+            restocked: {
+                type: Boolean,
+                default: false,
+            },
+
+            /**
+             * Reembolso automático de unidades pagadas al cancelarlas
+             * - false para los reembolsos de POST /orders/:id/refunds: esas unidades
+             *   ya no se pueden cancelar
+             */
+            cancellation: {
+                type: Boolean,
+                default: false,
+            },
+
+            reason: String,            // Motivo indicado por quien reembolsa
+            providerRefundId: String,  // ID del reembolso en el proveedor de pagos
+
+            /**
+             * Usuario que realizó el reembolso (tienda o admin)
+             */
+            createdBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+
+            createdAt: {
+                type: Date,
+                default: Date.now,
+            },
         },
     ],
 
     /**
-     * Resultado del pago
-     * - Información del procesador de pagos (PayPal, Stripe, etc.)
-     * - En el MVP actual, este campo no se usa (pago simulado)
-     * - Preparado para integración futura de pasarela de pagos
+     * Total reembolsado del pedido
+     * - Se muestra en el listado de pedidos de la tienda
      */
-    paymentResult: {
-        id: String,              // ID de transacción del procesador
-        status: String,          // Estado del pago
-        update_time: String,     // Última actualización
-        email_address: String,   // Email asociado al pago
+    refundedTotal: {
+        type: Number,
+        default: 0,
     },
 
     /**
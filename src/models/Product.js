@@ -7,6 +7,9 @@
  * - Almacenar información del producto (nombre, precio, stock, etc.)
  * - Vincular el producto con su tienda y categoría
  * - Almacenar URLs de imágenes del producto
+ * - Definir variantes (talla, color...) con SKU, precio y stock propios
+ * - Identificar el producto por SKU dentro de su tienda (importación masiva)
+ * - Indexar nombre, descripción, categoría y tienda para la búsqueda de texto
  * 
  * Relaciones:
  * - Un Product pertenece a una Store (many-to-one)
@@ -14,15 +17,23 @@
  * - Un Product puede estar en múltiples OrderItems
  * - Un Product puede estar en múltiples CartItems
  * 
+ * URL pública:
+ * - slug generado desde el nombre (ej: "laptop-dell-inspiron"), ver plugins/slugPlugin
+ * - Las rutas públicas aceptan ID o slug; un slug anterior redirige con 301
+ * 
  * Endpoints relacionados:
  * - GET /api/v1/products - Listar todos los productos (con filtros)
  * - GET /api/v1/products/:id - Obtener un producto específico
+ * - POST /api/v1/products/import - Crear/actualizar productos por SKU (CSV o JSON)
+ * - GET /api/v1/products/export - Exportar los productos de la tienda
+ * - POST /api/v1/products/:id/images - Subir imágenes (con miniaturas)
  * - POST /api/v1/products - Crear nuevo producto (requiere rol STORE)
  * - PUT /api/v1/products/:id - Actualizar producto (requiere ser dueño)
  * - DELETE /api/v1/products/:id - Eliminar producto (requiere ser dueño)
  */
 
 const mongoose = require('mongoose');
+const slugPlugin = require('./plugins/slugPlugin');
 
 /**
  * Schema de Producto
@@ -50,6 +61,16 @@ const productSchema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * Código del producto en el inventario del vendedor (opcional)
+     * - Único dentro de cada tienda (dos tiendas pueden usar el mismo SKU)
+     * - Clave de la importación masiva: una fila con un SKU existente actualiza ese producto
+     */
+    sku: {
+        type: String,
+        trim: true,
+    },
+
     /**
      * Precio del producto
      * - En la moneda del sistema (generalmente pesos colombianos)
@@ -65,8 +86,10 @@ const productSchema = new mongoose.Schema({
     /**
      * Cantidad disponible en inventario
      * - Debe ser mayor o igual a 0
-     * - Se reduce al confirmar un pedido (no implementado en el MVP)
+     * - Se reduce atómicamente al crear un pedido (solo si stock >= cantidad)
      * - Los productos con stock 0 aún se muestran pero podrían marcarse como "agotado"
+     * - Con variantes es la suma del stock de las variantes (lo calcula productService
+     *   y se mantiene junto al de la variante al reservar o reponer)
      */
     stock: {
         type: Number,
@@ -74,6 +97,33 @@ const productSchema = new mongoose.Schema({
         min: 0,
     },
 
+    /**
+     * Ejes de opciones de las variantes (ej: Talla, Color)
+     * - Vacío para productos sin variantes
+     * - Cada eje lista sus valores permitidos: { name: "Talla", values: ["S", "M", "L"] }
+     */
+    optionAxes: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+    }],
+
+    /**
+     * Variantes vendibles del producto
+     * - options: un valor por cada eje de optionAxes (ej: { Talla: "M", Color: "Rojo" })
+     * - price: opcional, reemplaza el precio del producto para esta variante
+     * - stock: inventario propio; se reduce atómicamente al crear un pedido
+     * - El _id de la variante es la referencia usada por el carrito y los pedidos,
+     *   por eso al actualizar se deben reenviar los _id de las variantes existentes
+     * - Reglas de validación en utils/variants (SKU y combinaciones únicas)
+     */
+    variants: [{
+        sku: { type: String, required: true, trim: true },
+        options: { type: Map, of: String },
+        price: { type: Number, min: 0 },
+        stock: { type: Number, required: true, min: 0, default: 0 },
+    }],
+
     /**
      * Referencia a la tienda que vende el producto
      * - ObjectId que apunta a un documento Store
@@ -89,13 +139,33 @@ const productSchema = new mongoose.Schema({
     /**
      * Array de URLs de imágenes del producto
      * - Cada string es una URL completa (ej: https://ejemplo.com/imagen.jpg)
-     * - La primera imagen se usa como imagen principal en las tarjetas
+     *   o la URL de una imagen subida (ej: /uploads/products/<id>/<archivo>.jpg)
+     * - El orden es el de la galería: la primera es la imagen principal en las tarjetas
      * - Opcional: un producto puede no tener imágenes
      */
     images: [{
         type: String, // URLs
     }],
 
+    /**
+     * Archivos de las imágenes subidas (POST /api/v1/products/:id/images)
+     * - url coincide con una entrada de images; thumbnailUrl es su miniatura cuadrada
+     * - key y thumbnailKey son las claves en el almacenamiento (para eliminarlos)
+     * - Las imágenes agregadas como URL externa no tienen entrada aquí
+     * - Lo gestiona productImageService, nunca se toma del cliente
+     */
+    imageFiles: [{
+        _id: false,
+        url: { type: String, required: true },
+        thumbnailUrl: { type: String, required: true },
+        key: { type: String, required: true },
+        thumbnailKey: { type: String, required: true },
+        contentType: String,
+        size: Number,     // Bytes del archivo guardado
+        width: Number,
+        height: Number,
+    }],
+
     /**
      * Referencia a la categoría del producto
      * - ObjectId que apunta a un documento Category
@@ -109,6 +179,38 @@ const productSchema = new mongoose.Schema({
         required: false, // Optional for backward compatibility
     },
 
+    /**
+     * Nombre de la categoría (copia desnormalizada)
+     * - Permite incluir la categoría en el índice de texto (no admite referencias)
+     * - Lo asigna productService al crear/actualizar; se sincroniza al renombrar la categoría
+     * - Los productos anteriores a este campo se completan con npm run migrate
+     */
+    categoryName: {
+        type: String,
+    },
+
+    /**
+     * Nombre de la tienda (copia desnormalizada)
+     * - Permite buscar productos por el nombre de su tienda
+     * - Lo asigna productService al crear; se sincroniza al renombrar la tienda
+     * - Los productos anteriores a este campo se completan con npm run migrate
+     */
+    storeName: {
+        type: String,
+    },
+
+    /**
+     * Indica si la tienda del producto está APPROVED (copia desnormalizada)
+     * - El catálogo filtra por este campo indexado en lugar de consultar las tiendas aprobadas
+     * - Lo asigna productService al crear; se sincroniza en cada cambio de estado de la tienda
+     * - Los productos anteriores a este campo se completan con npm run migrate
+     */
+    storeApproved: {
+        type: Boolean,
+        default: false,
+        index: true,
+    },
+
     /**
      * Fecha de creación del producto
      * - Se establece automáticamente al crear el documento
@@ -119,4 +221,32 @@ const productSchema = new mongoose.Schema({
     },
 });
 
+/**
+ * Índice de texto para la búsqueda del catálogo (GET /api/v1/products?search=)
+ * - Relevancia ponderada: el nombre pesa más que la categoría, la tienda y la descripción
+ * - Idioma español: ignora stopwords ("de", "para") y aplica stemming ("laptops" -> "laptop")
+ * - Insensible a tildes y mayúsculas ("electronica" encuentra "Electrónica")
+ */
+productSchema.index(
+    { name: 'text', categoryName: 'text', storeName: 'text', description: 'text' },
+    {
+        name: 'product_text_search',
+        weights: { name: 10, categoryName: 4, storeName: 3, description: 1 },
+        default_language: 'spanish',
+    }
+);
+
+/**
+ * SKU único por tienda
+ * - Parcial: los productos sin SKU no participan en la unicidad
+ */
+productSchema.index(
+    { store: 1, sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
+// Campos slug y previousSlugs, generados desde el nombre
+// reserved: segmentos fijos de productRoutes que taparían GET /products/:id
+productSchema.plugin(slugPlugin, { reserved: ['export'] });
+
 module.exports = mongoose.model('Product', productSchema);
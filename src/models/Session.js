@@ -0,0 +1,118 @@
+/**
+ * Session.js - Modelo de Sesión (familia de refresh tokens)
+ *
+ * Propósito: Registrar en el servidor cada inicio de sesión para poder renovarlo y revocarlo
+ *
+ * Responsabilidades:
+ * - Guardar el hash del refresh token vigente de la sesión
+ * - Recordar los refresh tokens ya rotados para detectar su reutilización
+ * - Marcar la sesión como revocada (logout, reutilización detectada)
+ * - Expirar automáticamente (índice TTL de MongoDB sobre expiresAt)
+ *
+ * Relaciones:
+ * - Una Session pertenece a un User (many-to-one); un usuario tiene una por dispositivo
+ * - Los access tokens (JWT) llevan el _id de la sesión en el claim "sid"
+ *
+ * Flujo:
+ * 1. Login/registro: se crea la sesión con su primer refresh token
+ * 2. POST /auth/refresh: el refresh token se rota (el anterior pasa a previousTokenHashes)
+ * 3. Si llega un refresh token ya rotado, alguien lo copió: se revoca toda la sesión
+ * 4. POST /auth/logout: se revoca la sesión; protect rechaza sus access tokens
+ *
+ * Seguridad:
+ * - Solo se guardan hashes SHA-256; los tokens en claro solo los tiene el cliente
+ *
+ * Endpoints relacionados:
+ * - POST /api/v1/auth/login, /register, /google-login - Crean la sesión
+ * - POST /api/v1/auth/refresh - Rota el refresh token
+ * - POST /api/v1/auth/logout - Revoca la sesión (o todas las del usuario)
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Motivos de revocación de una sesión
+ * - LOGOUT: el usuario cerró esta sesión
+ * - LOGOUT_ALL: el usuario (o un admin) cerró todas sus sesiones
+ * - REUSE_DETECTED: se presentó un refresh token ya rotado
+ */
+const REVOKE_REASONS = ['LOGOUT', 'LOGOUT_ALL', 'REUSE_DETECTED'];
+
+/**
+ * Schema de Sesión
+ */
+const sessionSchema = new mongoose.Schema({
+    /**
+     * Usuario dueño de la sesión
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true, // Cerrar todas las sesiones de un usuario
+    },
+
+    /**
+     * Hash SHA-256 del refresh token vigente
+     */
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    /**
+     * Hashes de los refresh tokens ya rotados en esta sesión
+     * - Si alguno se vuelve a presentar, la sesión se revoca (REUSE_DETECTED)
+     * - Solo guarda los últimos 20 (ver sessionRepository.rotate); un token más
+     *   antiguo se rechaza como inválido sin revocar la sesión
+     */
+    previousTokenHashes: {
+        type: [String],
+        index: true,
+    },
+
+    /**
+     * Fecha de revocación (null mientras la sesión está activa)
+     * - Una sesión revocada se conserva hasta expiresAt para seguir detectando reutilización
+     */
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+
+    revokedReason: {
+        type: String,
+        enum: REVOKE_REASONS,
+    },
+
+    /**
+     * Vencimiento del refresh token vigente
+     * - Se extiende en cada rotación (ver REFRESH_TOKEN_TTL_DAYS en authService)
+     * - Índice TTL: MongoDB elimina la sesión al vencer
+     */
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+
+    /**
+     * Última rotación del refresh token
+     */
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    /**
+     * Fecha de inicio de sesión
+     */
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -4,27 +4,53 @@
  * Propósito: Define la estructura de datos para las tiendas del marketplace
  * 
  * Responsabilidades:
- * - Almacenar información básica de la tienda (nombre, descripción)
- * - Vincular la tienda con su dueño (User)
- * - Gestionar el estado de aprobación de la tienda
+ * - Almacenar información básica de la tienda (nombre, descripción, logo, banner)
+ * - Vincular la tienda con su dueño (User) y su personal (members)
+ * - Guardar las invitaciones pendientes para unirse a la tienda
+ * - Gestionar el estado de aprobación de la tienda y su historial
  * 
  * Relaciones:
  * - Una Store pertenece a un User (many-to-one)
+ * - Una Store tiene múltiples Users como personal (members), cada uno en una sola tienda
  * - Una Store puede tener múltiples Products (one-to-many)
  * - Una Store puede recibir múltiples Orders a través de sus productos
  * 
- * Flujo de estados:
- * PENDING -> APPROVED (por admin)
- * PENDING -> REJECTED (por admin)
+ * Flujo de estados (ver STORE_STATUS_TRANSITIONS en storeService):
+ * PENDING -> APPROVED | REJECTED (por admin)
+ * APPROVED -> SUSPENDED (por admin)
+ * SUSPENDED -> APPROVED (por admin, reactivación)
+ * REJECTED -> PENDING (por el dueño, reenvío a revisión)
+ * Cada cambio queda en statusHistory con quién lo hizo y el motivo
+ * 
+ * Personal (ver utils/storeRoles):
+ * - El dueño tiene el rol OWNER; se deriva de owner y no se guarda en members
+ * - MANAGER y FULFILLMENT se unen aceptando una invitación enviada a su email
+ * - Los permisos sobre productos y pedidos se resuelven por membresía, no solo por owner
+ * 
+ * URL pública:
+ * - slug generado desde el nombre (ej: "tech-store"), ver plugins/slugPlugin
+ * - Las rutas públicas aceptan ID o slug; un slug anterior redirige con 301
  * 
  * Endpoints relacionados:
  * - POST /api/v1/stores - Crear nueva tienda (requiere rol STORE)
- * - GET /api/v1/stores - Obtener todas las tiendas (solo ADMIN)
+ * - GET /api/v1/stores - Listar tiendas con filtros y paginación (solo ADMIN)
+ * - GET /api/v1/stores/:idOrSlug - Perfil público de una tienda aprobada
  * - GET /api/v1/stores/my-store - Obtener tienda del usuario autenticado
- * - PUT /api/v1/stores/:id/approve - Aprobar tienda (solo ADMIN)
+ * - PATCH /api/v1/stores/:id/status - Aprobar, rechazar o suspender (solo ADMIN)
+ * - POST /api/v1/stores/my-store/resubmit - Reenviar a revisión tras un rechazo
+ * - GET /api/v1/stores/my-store/members - Personal e invitaciones pendientes
+ * - POST /api/v1/stores/my-store/invitations - Invitar por email
+ * - POST /api/v1/stores/invitations/accept - Aceptar una invitación
  */
 
 const mongoose = require('mongoose');
+const slugPlugin = require('./plugins/slugPlugin');
+const { STAFF_ROLES } = require('../utils/storeRoles');
+
+/**
+ * Estados posibles de una tienda (compartidos por status y statusHistory)
+ */
+const STORE_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'SUSPENDED'];
 
 /**
  * Schema de Tienda
@@ -53,6 +79,24 @@ const storeSchema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * URL del logo de la tienda (opcional)
+     * - Cuadrado, se muestra en el perfil público y junto a sus productos
+     */
+    logo: {
+        type: String,
+        trim: true,
+    },
+
+    /**
+     * URL del banner de la tienda (opcional)
+     * - Imagen horizontal de cabecera del perfil público
+     */
+    banner: {
+        type: String,
+        trim: true,
+    },
+
     /**
      * Referencia al dueño de la tienda
      * - ObjectId que apunta a un documento User
@@ -65,20 +109,145 @@ const storeSchema = new mongoose.Schema({
         required: true,
     },
 
+    /**
+     * Personal de la tienda (sin incluir al dueño)
+     * - Un usuario pertenece como máximo a una tienda (como dueño o como miembro)
+     * - role: MANAGER o FULFILLMENT, ver permisos en utils/storeRoles
+     */
+    members: [
+        {
+            _id: false,
+
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true,
+            },
+
+            role: {
+                type: String,
+                enum: STAFF_ROLES,
+                required: true,
+            },
+
+            /**
+             * Usuario que envió la invitación aceptada
+             */
+            invitedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+
+            addedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+
+    /**
+     * Invitaciones pendientes para unirse al personal
+     * - Se eliminan al aceptarse o revocarse; una por email (reinvitar la reemplaza)
+     * - tokenHash: SHA-256 del token entregado al invitar; el token en claro nunca se guarda
+     * - Caducan en expiresAt (ver INVITATION_TTL_DAYS en storeService)
+     */
+    invitations: [
+        {
+            email: {
+                type: String,
+                required: true,
+                trim: true,
+                lowercase: true,
+            },
+
+            role: {
+                type: String,
+                enum: STAFF_ROLES,
+                required: true,
+            },
+
+            tokenHash: {
+                type: String,
+                required: true,
+                select: false, // Nunca se devuelve al consultar la tienda
+            },
+
+            invitedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+
+            expiresAt: {
+                type: Date,
+                required: true,
+            },
+
+            createdAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+
     /**
      * Estado de aprobación de la tienda
-     * - PENDING: Recién creada, esperando aprobación del admin
+     * - PENDING: Recién creada o reenviada, esperando aprobación del admin
      * - APPROVED: Aprobada por admin, puede vender productos
-     * - REJECTED: Rechazada por admin (no implementado completamente)
+     * - REJECTED: Rechazada por admin; el dueño puede corregirla y reenviarla
+     * - SUSPENDED: Suspendida por admin; sus productos dejan de mostrarse
      * 
      * Solo las tiendas APPROVED pueden mostrar sus productos en el catálogo
      */
     status: {
         type: String,
-        enum: ['PENDING', 'APPROVED', 'REJECTED'],
+        enum: STORE_STATUSES,
         default: 'PENDING',
+        index: true, // El catálogo consulta los IDs de tiendas APPROVED en cada listado
     },
 
+    /**
+     * Motivo del estado actual (obligatorio al rechazar o suspender)
+     * - Visible para el dueño en GET /api/v1/stores/my-store
+     * - Se limpia al aprobar o reenviar
+     */
+    statusReason: {
+        type: String,
+        trim: true,
+    },
+
+    /**
+     * Historial de cambios de estado
+     * - Un subdocumento por cambio, nunca se modifica
+     * - Las tiendas creadas antes del historial empiezan sin entradas
+     */
+    statusHistory: [
+        {
+            status: {
+                type: String,
+                enum: STORE_STATUSES,
+                required: true,
+            },
+
+            /**
+             * Motivo del cambio (rechazo, suspensión o nota del reenvío)
+             */
+            reason: String,
+
+            /**
+             * Usuario que hizo el cambio (el admin, o el dueño al reenviar)
+             */
+            updatedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+
+            timestamp: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+
     /**
      * Fecha de creación de la tienda
      * - Se establece automáticamente al crear el documento
@@ -89,4 +258,13 @@ const storeSchema = new mongoose.Schema({
     },
 });
 
+// Campos slug y previousSlugs, generados desde el nombre
+// reserved: segmentos fijos de storeRoutes que taparían GET /stores/:idOrSlug
+storeSchema.plugin(slugPlugin, { reserved: ['my-store'] });
+
+// Resolución de "qué tienda puede operar este usuario" (dueño o miembro)
+storeSchema.index({ owner: 1 });
+storeSchema.index({ 'members.user': 1 });
+storeSchema.index({ 'invitations.tokenHash': 1 });
+
 module.exports = mongoose.model('Store', storeSchema);
@@ -54,6 +54,7 @@ const userSchema = new mongoose.Schema({
 
     /**
      * ID de Google para autenticación social
+     * - Claim "sub" del ID token de Google ya verificado (nunca enviado por el cliente)
      * - Único y opcional
      * - Permite login sin contraseña
      * - Sparse index: permite múltiples documentos con null
@@ -0,0 +1,141 @@
+/**
+ * slugPlugin.js - Plugin de Mongoose para slugs
+ *
+ * Propósito: Dar a un modelo una URL legible y estable (ej: /products/laptop-dell-inspiron)
+ *
+ * Responsabilidades:
+ * - Agregar los campos slug (único) y previousSlugs al schema
+ * - Generar el slug desde el campo de origen al crear y al renombrar
+ *   (tanto con save() como con findOneAndUpdate/findByIdAndUpdate)
+ * - Garantizar unicidad con sufijos: laptop, laptop-2, laptop-3...
+ * - Guardar los slugs anteriores para redirigir las URLs viejas (301)
+ * - Resolver un parámetro de ruta que puede ser ID o slug (findByIdOrSlug)
+ *
+ * Reglas:
+ * - El slug nunca lo envía el cliente: se ignora en create y update
+ * - Un slug anterior queda reservado para su documento (no se reasigna a otro),
+ *   así una URL vieja nunca apunta a un documento distinto
+ * - Si se vuelve a un nombre anterior, el slug vuelve a ser el de antes
+ * - Las palabras de la opción reserved (segmentos fijos de las rutas del modelo,
+ *   ej: /stores/my-store) nunca son un slug: siempre llevan sufijo (my-store-2)
+ * - Los documentos anteriores al slug lo reciben con npm run migrate (migrations/slugs)
+ *
+ * Usado por: Product, Store, Category
+ *
+ * @example
+ * productSchema.plugin(slugPlugin);                      // slug desde "name"
+ * productSchema.plugin(slugPlugin, { source: 'title' }); // slug desde otro campo
+ * storeSchema.plugin(slugPlugin, { reserved: ['my-store'] }); // "my-store" pasa a "my-store-2"
+ */
+
+const mongoose = require('mongoose');
+const { slugify } = require('../../utils/slugify');
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// New slug plus the retired one, without duplicating a slug that comes back into use
+const renameSlugs = (currentSlug, previousSlugs = [], newSlug) => ({
+    slug: newSlug,
+    previousSlugs: [
+        ...previousSlugs.filter((slug) => slug !== newSlug && slug !== currentSlug),
+        ...(currentSlug && currentSlug !== newSlug ? [currentSlug] : []),
+    ],
+});
+
+const slugPlugin = (schema, { source = 'name', reserved = [] } = {}) => {
+    schema.add({
+        /**
+         * Identificador legible para URLs públicas, generado desde el nombre
+         * - sparse: documentos anteriores al slug no lo tienen hasta ejecutar migrations/slugs
+         */
+        slug: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+
+        /**
+         * Slugs anteriores (tras renombrar), usados para redirigir con 301
+         */
+        previousSlugs: {
+            type: [String],
+            index: true,
+        },
+    });
+
+    // Read by migrations/slugs to move existing documents off a reserved slug
+    schema.statics.reservedSlugs = reserved;
+
+    /**
+     * Siguiente slug libre para el texto dado
+     * Busca en slug y en previousSlugs de los demás documentos y salta las palabras reservadas
+     */
+    schema.statics.generateUniqueSlug = async function (text, excludeId, session = null) {
+        const base = slugify(text) || this.modelName.toLowerCase();
+        let suffix = 2;
+        let candidate = reserved.includes(base) ? `${base}-${suffix++}` : base;
+        while (await this.exists({
+            _id: { $ne: excludeId },
+            $or: [{ slug: candidate }, { previousSlugs: candidate }],
+        }).session(session)) {
+            candidate = `${base}-${suffix++}`;
+        }
+        return candidate;
+    };
+
+    /**
+     * Resolver un parámetro de ruta que puede ser un ObjectId o un slug
+     *
+     * @param {string} value - ID, slug actual o slug anterior
+     * @returns {Promise<{ doc: Document|null, movedTo?: string }>}
+     *   movedTo viene con el slug actual cuando value es un slug anterior (redirigir con 301)
+     */
+    schema.statics.findByIdOrSlug = async function (value) {
+        if (OBJECT_ID_PATTERN.test(value)) {
+            const byId = await this.findById(value);
+            if (byId) return { doc: byId };
+        }
+        const bySlug = await this.findOne({ slug: value });
+        if (bySlug) return { doc: bySlug };
+
+        const byPreviousSlug = await this.findOne({ previousSlugs: value });
+        return byPreviousSlug ? { doc: byPreviousSlug, movedTo: byPreviousSlug.slug } : { doc: null };
+    };
+
+    // create / save(): always generated for new documents, regenerated when the source field changes
+    schema.pre('validate', async function () {
+        if (!this.isNew && !this.isModified(source) && this.slug) {
+            return;
+        }
+        if (this.isNew) {
+            this.slug = undefined;
+            this.previousSlugs = [];
+        }
+        const newSlug = await this.constructor.generateUniqueSlug(this.get(source), this._id, this.$session());
+        this.set(renameSlugs(this.slug, this.previousSlugs, newSlug));
+    });
+
+    // findOneAndUpdate / findByIdAndUpdate bypass save hooks, so renames are handled here too
+    schema.pre('findOneAndUpdate', async function () {
+        const update = this.getUpdate() || {};
+        for (const target of [update, update.$set || {}]) {
+            delete target.slug;
+            delete target.previousSlugs;
+        }
+
+        const value = update.$set && source in update.$set ? update.$set[source] : update[source];
+        if (value === undefined) {
+            return;
+        }
+
+        const session = this.getOptions().session || null;
+        const doc = await this.model.findOne(this.getQuery()).session(session);
+        if (!doc) {
+            return;
+        }
+        const newSlug = await this.model.generateUniqueSlug(value, doc._id, session);
+        this.set(renameSlugs(doc.slug, doc.previousSlugs, newSlug));
+    });
+};
+
+module.exports = slugPlugin;
@@ -0,0 +1,106 @@
+/**
+ * MockPaymentProvider.js - Proveedor de pagos simulado
+ *
+ * Propósito: Reemplazar la pasarela real en desarrollo y tests
+ *
+ * Comportamiento:
+ * - authorize: Siempre autoriza y retorna un ID mock_payment_*
+ * - capture / refund: Siempre exitosos
+ * - verifyWebhook: Valida una firma HMAC-SHA256 del cuerpo con PAYMENT_WEBHOOK_SECRET
+ *   (sin él, fuera de tests, los webhooks se rechazan con 503: cualquiera podría
+ *   firmar un payment.succeeded; el resto de la API sigue funcionando)
+ * - signWebhook: Genera un webhook firmado (simula la notificación del proveedor)
+ *
+ * Por defecto el pago NO se confirma al autorizar: el pedido queda PENDING hasta
+ * que llega el webhook payment.succeeded, igual que con una pasarela real.
+ * Con MOCK_PAYMENT_AUTO_CONFIRM=true (desarrollo) authorize retorna confirmed: true
+ * y el checkout se confirma de inmediato, sin webhook.
+ *
+ * @example
+ * // Simular la confirmación de un pago en un test:
+ * const { body, signature } = provider.signWebhook({
+ *   type: 'payment.succeeded',
+ *   data: { paymentId: checkout.paymentResult.id }
+ * });
+ * await request(app).post('/api/v1/payments/webhook')
+ *   .set('Content-Type', 'application/json')
+ *   .set('X-Payment-Signature', signature)
+ *   .send(body);
+ */
+
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('../utils/AppError');
+
+// Only under Jest (NODE_ENV=test), so test suites can sign webhooks without configuration
+const TEST_WEBHOOK_SECRET = 'test_webhook_secret';
+
+class MockPaymentProvider extends PaymentProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.webhookSecret - Secreto compartido para firmar webhooks
+     * @param {boolean} options.autoConfirm - Confirmar los pagos al autorizarlos (default: MOCK_PAYMENT_AUTO_CONFIRM)
+     */
+    constructor({ webhookSecret, autoConfirm } = {}) {
+        super('mock');
+        this.webhookSecret = webhookSecret
+            || process.env.PAYMENT_WEBHOOK_SECRET
+            || (process.env.NODE_ENV === 'test' ? TEST_WEBHOOK_SECRET : null);
+        this.autoConfirm = autoConfirm === undefined
+            ? process.env.MOCK_PAYMENT_AUTO_CONFIRM === 'true'
+            : autoConfirm;
+    }
+
+    async authorize({ amount }) {
+        return {
+            id: `mock_payment_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            status: 'AUTHORIZED',
+            amount,
+            confirmed: this.autoConfirm,
+        };
+    }
+
+    async capture(paymentId, amount) {
+        return { id: paymentId, status: 'CAPTURED', amount };
+    }
+
+    async refund(paymentId, amount) {
+        return {
+            id: `mock_refund_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            paymentId,
+            status: 'REFUNDED',
+            amount,
+        };
+    }
+
+    verifyWebhook(rawBody, signature) {
+        const expected = this.sign(rawBody);
+        const received = Buffer.from(String(signature || ''));
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw new Error('Firma de webhook inválida');
+        }
+        return JSON.parse(rawBody.toString());
+    }
+
+    /**
+     * Generar un webhook firmado como lo enviaría el proveedor
+     * @param {Object} event - { type, data }
+     * @returns {Object} { body: string, signature: string }
+     */
+    signWebhook(event) {
+        const body = JSON.stringify(event);
+        return { body, signature: this.sign(body).toString() };
+    }
+
+    // HMAC-SHA256 en hexadecimal, como Buffer para comparar en tiempo constante
+    sign(payload) {
+        if (!this.webhookSecret) {
+            throw new AppError('Webhooks de pagos deshabilitados: PAYMENT_WEBHOOK_SECRET no está configurado', 503);
+        }
+        return Buffer.from(
+            crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex')
+        );
+    }
+}
+
+module.exports = MockPaymentProvider;
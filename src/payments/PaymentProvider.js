@@ -0,0 +1,77 @@
+/**
+ * PaymentProvider.js - Interfaz de proveedor de pagos
+ *
+ * Propósito: Definir el contrato que debe cumplir cualquier pasarela de pagos
+ *
+ * Responsabilidades de una implementación:
+ * - authorize: Reservar el monto de una compra
+ * - capture: Cobrar un pago autorizado
+ * - refund: Devolver total o parcialmente un pago
+ * - verifyWebhook: Validar la firma de una notificación y retornar el evento
+ *
+ * Implementaciones:
+ * - MockPaymentProvider: Simulado, para desarrollo y tests
+ * - (futuro) StripePaymentProvider, MercadoPagoPaymentProvider, etc.
+ *
+ * Eventos de webhook normalizados (retornados por verifyWebhook):
+ * - { type: 'payment.succeeded', data: { paymentId } }
+ * - { type: 'payment.failed', data: { paymentId, reason } }
+ *
+ * Usado por: orderService, paymentService (a través de payments/index.js)
+ */
+
+class PaymentProvider {
+    /**
+     * @param {string} name - Identificador del proveedor (se guarda en Checkout.paymentResult.provider)
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Autorizar un pago
+     * @param {Object} payment
+     * @param {number} payment.amount - Monto total
+     * @param {string} payment.currency - Moneda (ej: COP)
+     * @param {string} payment.reference - Referencia interna (ID del Checkout)
+     * @returns {Promise<Object>} { id: string, status: string, confirmed?: boolean }
+     *   confirmed: true si el proveedor ya confirmó el pago y no enviará el webhook payment.succeeded
+     */
+    async authorize(payment) {
+        throw new Error(`${this.name}: authorize no implementado`);
+    }
+
+    /**
+     * Capturar (cobrar) un pago autorizado
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @param {number} [amount] - Monto a capturar (default: todo lo autorizado)
+     * @returns {Promise<Object>} { id: string, status: string }
+     */
+    async capture(paymentId, amount) {
+        throw new Error(`${this.name}: capture no implementado`);
+    }
+
+    /**
+     * Reembolsar un pago
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @param {number} amount - Monto a reembolsar
+     * @returns {Promise<Object>} { id: string, status: string, amount: number }
+     */
+    async refund(paymentId, amount) {
+        throw new Error(`${this.name}: refund no implementado`);
+    }
+
+    /**
+     * Verificar la firma de un webhook y retornar el evento normalizado
+     * @param {Buffer|string} rawBody - Cuerpo exacto recibido (sin parsear)
+     * @param {string} signature - Firma enviada por el proveedor
+     * @returns {Object} { type: string, data: Object }
+     * @throws {Error} Si la firma no es válida
+     * @throws {AppError} Si el proveedor no puede verificar webhooks (ej: falta configuración)
+     */
+    verifyWebhook(rawBody, signature) {
+        throw new Error(`${this.name}: verifyWebhook no implementado`);
+    }
+}
+
+module.exports = PaymentProvider;
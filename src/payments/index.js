@@ -0,0 +1,48 @@
+/**
+ * payments/index.js - Selección del proveedor de pagos
+ *
+ * Propósito: Exponer una única instancia del proveedor configurado
+ *
+ * Configuración:
+ * - PAYMENT_PROVIDER: Nombre del proveedor (default: 'mock')
+ *
+ * Para agregar una pasarela real:
+ * 1. Crear una clase que extienda PaymentProvider
+ * 2. Registrarla en el objeto providers
+ *
+ * En tests se puede inyectar un proveedor con setPaymentProvider()
+ */
+
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+const providers = {
+    mock: () => new MockPaymentProvider(),
+};
+
+let currentProvider = null;
+
+/**
+ * Obtener el proveedor de pagos configurado (se crea una sola vez)
+ * @returns {PaymentProvider}
+ * @throws {Error} Si PAYMENT_PROVIDER no corresponde a un proveedor registrado
+ */
+const getPaymentProvider = () => {
+    if (!currentProvider) {
+        const name = process.env.PAYMENT_PROVIDER || 'mock';
+        if (!providers[name]) {
+            throw new Error(`Proveedor de pagos no soportado: ${name}`);
+        }
+        currentProvider = providers[name]();
+    }
+    return currentProvider;
+};
+
+/**
+ * Reemplazar el proveedor de pagos (útil en tests)
+ * @param {PaymentProvider|null} provider - null vuelve a la configuración por defecto
+ */
+const setPaymentProvider = (provider) => {
+    currentProvider = provider;
+};
+
+module.exports = { getPaymentProvider, setPaymentProvider };
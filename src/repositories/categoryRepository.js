@@ -1,25 +1,60 @@
 const Category = require('../models/Category');
 
 class CategoryRepository {
-    async create(categoryData) {
+    async create(categoryData, session = null) {
         const category = new Category(categoryData);
-        return await category.save();
+        return await category.save({ session });
     }
 
     async findAll() {
         return await Category.find().sort({ name: 1 });
     }
 
-    async findById(id) {
-        return await Category.findById(id);
+    // Public route params may be an id, a slug or a retired slug (see slugPlugin)
+    async findByIdOrSlug(value) {
+        return await Category.findByIdOrSlug(value);
     }
 
-    async update(id, updateData) {
-        return await Category.findByIdAndUpdate(id, updateData, { new: true });
+    async findById(id, session = null) {
+        return await Category.findById(id).session(session);
     }
 
-    async delete(id) {
-        return await Category.findByIdAndDelete(id);
+    // Ids of every category below the given one, at any depth
+    async findDescendantIds(id) {
+        return await Category.distinct('_id', { ancestors: id });
+    }
+
+    async update(id, updateData, session = null) {
+        return await Category.findByIdAndUpdate(id, updateData, { new: true, session });
+    }
+
+    // After a move: replace everything above the moved category in its descendants' ancestors
+    // with the category's new ancestor path, keeping the part from the moved category down
+    async rebaseDescendants(id, newAncestors, session = null) {
+        return await Category.updateMany(
+            { ancestors: id },
+            [{
+                $set: {
+                    ancestors: {
+                        $concatArrays: [
+                            newAncestors,
+                            { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', id] }, { $size: '$ancestors' }] },
+                        ],
+                    },
+                },
+            }],
+            { session }
+        );
+    }
+
+    // Before a delete: children move up to the deleted category's parent and it leaves every ancestor path
+    async detachFromTree(id, parentId, session = null) {
+        await Category.updateMany({ parent: id }, { parent: parentId }, { session });
+        return await Category.updateMany({ ancestors: id }, { $pull: { ancestors: id } }, { session });
+    }
+
+    async delete(id, session = null) {
+        return await Category.findByIdAndDelete(id, { session });
     }
 }
 
@@ -0,0 +1,32 @@
+const Checkout = require('../models/Checkout');
+
+class CheckoutRepository {
+    async create(checkoutData, session = null) {
+        const checkout = new Checkout(checkoutData);
+        return await checkout.save({ session });
+    }
+
+    // Paginated: returns { items, total }
+    async findByUser(userId, { skip = 0, limit = 0, sort = { createdAt: -1 } } = {}) {
+        const query = { user: userId };
+        const [items, total] = await Promise.all([
+            Checkout.find(query).sort(sort).skip(skip).limit(limit).populate('orders'),
+            Checkout.countDocuments(query),
+        ]);
+        return { items, total };
+    }
+
+    async findById(id, session = null) {
+        return await Checkout.findById(id).session(session).populate('orders');
+    }
+
+    async findByPaymentId(paymentId) {
+        return await Checkout.findOne({ 'paymentResult.id': paymentId }).populate('orders');
+    }
+
+    async update(id, updateData) {
+        return await Checkout.findByIdAndUpdate(id, updateData, { new: true });
+    }
+}
+
+module.exports = new CheckoutRepository();
@@ -0,0 +1,39 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+class IdempotencyKeyRepository {
+    // Throws a duplicate key error (code 11000) if the user already used this key
+    async create(keyData) {
+        const idempotencyKey = new IdempotencyKey(keyData);
+        return await idempotencyKey.save();
+    }
+
+    async findByUserAndKey(userId, key) {
+        return await IdempotencyKey.findOne({ user: userId, key });
+    }
+
+    // complete and delete only match the lock holder, so a request whose key was
+    // taken over cannot overwrite or release the retry that now owns it
+    async complete(id, lockedAt, response) {
+        return await IdempotencyKey.findOneAndUpdate(
+            { _id: id, lockedAt },
+            { status: 'COMPLETED', response },
+            { new: true }
+        );
+    }
+
+    async delete(id, lockedAt) {
+        return await IdempotencyKey.findOneAndDelete({ _id: id, lockedAt });
+    }
+
+    // Conditional on the lock being the one the caller saw: of two retries taking over
+    // the same stale key, the loser gets null
+    async takeOver(id, lockedAt) {
+        return await IdempotencyKey.findOneAndUpdate(
+            { _id: id, status: 'IN_PROGRESS', lockedAt },
+            { lockedAt: new Date() },
+            { new: true }
+        );
+    }
+}
+
+module.exports = new IdempotencyKeyRepository();
@@ -1,24 +1,33 @@
 const Order = require('../models/Order');
 
 class OrderRepository {
-    async create(orderData) {
+    async create(orderData, session = null) {
         const order = new Order(orderData);
-        return await order.save();
-    }
-
-    async findByUser(userId) {
-        return await Order.find({ user: userId }).sort({ createdAt: -1 });
+        return await order.save({ session });
     }
 
     async findById(id) {
         return await Order.findById(id).populate('user', 'email').populate('items.product');
     }
 
-    async findByStore(storeId) {
-        return await Order.find({ 'items.store': storeId })
-            .sort({ createdAt: -1 })
-            .populate('user', 'email')
-            .populate('items.product');
+    // Unpopulated document for read-modify-save inside a transaction
+    async findByIdForUpdate(id, session = null) {
+        return await Order.findById(id).session(session);
+    }
+
+    // Paginated: returns { items, total }
+    async findByStore(storeId, { skip = 0, limit = 0, sort = { createdAt: -1 } } = {}) {
+        const query = { store: storeId };
+        const [items, total] = await Promise.all([
+            Order.find(query)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate('user', 'email')
+                .populate('items.product'),
+            Order.countDocuments(query),
+        ]);
+        return { items, total };
     }
 
     async update(id, updateData) {
@@ -1,44 +1,247 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 
+// Catalog visibility resolved by the service: products of approved stores (indexed storeApproved flag)
+// plus the viewer's own store while it is not approved; null means no restriction
+const visibilityQuery = (visibility) => {
+    if (!visibility) {
+        return {};
+    }
+    return visibility.ownStore
+        ? { $or: [{ storeApproved: true }, { store: new mongoose.Types.ObjectId(visibility.ownStore) }] }
+        : { storeApproved: true };
+};
+
+// Catalog filters shared by findAll and getFacets. Ids are cast explicitly because
+// aggregation pipelines, unlike find(), do not apply schema casting
+const buildFilterQuery = (filters) => {
+    const query = visibilityQuery(filters.visibility);
+
+    // Full-text search on the weighted text index (see Product model). In getFacets the $match
+    // carrying $text is the first pipeline stage, as MongoDB requires
+    if (filters.search) {
+        query.$text = { $search: filters.search };
+    }
+
+    // Typo-tolerant fallback: every pattern must match the name, category or store name
+    if (filters.fuzzySearch) {
+        query.$and = filters.fuzzySearch.map((pattern) => ({
+            $or: [{ name: pattern }, { categoryName: pattern }, { storeName: pattern }],
+        }));
+    }
+
+    // Category plus its descendants, resolved by the service from ?category=
+    if (filters.categories) {
+        query.category = { $in: filters.categories.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+
+    if (filters.minPrice || filters.maxPrice) {
+        query.price = {};
+        if (filters.minPrice) query.price.$gte = Number(filters.minPrice);
+        if (filters.maxPrice) query.price.$lte = Number(filters.maxPrice);
+    }
+
+    return query;
+};
+
 class ProductRepository {
     async create(productData) {
         const product = new Product(productData);
         return await product.save();
     }
 
-    async findByStore(storeId) {
-        return await Product.find({ store: storeId });
+    // Paginated: returns { items, total }
+    async findByStore(storeId, { skip = 0, limit = 0, sort = { createdAt: -1 }, select } = {}) {
+        const query = { store: storeId };
+        const [items, total] = await Promise.all([
+            Product.find(query).sort(sort).skip(skip).limit(limit).select(select),
+            Product.countDocuments(query),
+        ]);
+        return { items, total };
     }
 
-    async findById(id) {
-        return await Product.findById(id);
+    // Public route params may be an id, a slug or a retired slug (see slugPlugin)
+    async findByIdOrSlug(value) {
+        return await Product.findByIdOrSlug(value);
     }
 
-    async findAll(filters = {}) {
-        const query = {};
+    async findById(id, session = null) {
+        return await Product.findById(id).session(session);
+    }
 
-        if (filters.search) {
-            query.$or = [
-                { name: { $regex: filters.search, $options: 'i' } },
-                { description: { $regex: filters.search, $options: 'i' } },
-            ];
-        }
+    // Unsaved document, so imports can validate against the schema before writing
+    build(productData) {
+        return new Product(productData);
+    }
+
+    async save(product) {
+        return await product.save();
+    }
+
+    async findByStoreAndSkus(storeId, skus) {
+        return await Product.find({ store: storeId, sku: { $in: skus } });
+    }
+
+    // Whole catalog of a store for export, oldest first so re-imports keep the same order
+    async findAllByStore(storeId) {
+        return await Product.find({ store: storeId }).sort({ createdAt: 1 }).populate('category', 'slug');
+    }
+
+    // Appends uploaded images atomically; with primary they go to the front of the gallery
+    async addImages(id, files, { primary = false } = {}) {
+        const urls = files.map((file) => file.url);
+        return await Product.findByIdAndUpdate(
+            id,
+            {
+                $push: {
+                    images: primary ? { $each: urls, $position: 0 } : { $each: urls },
+                    imageFiles: { $each: files },
+                },
+            },
+            { new: true }
+        );
+    }
 
-        if (filters.category) {
-            query.category = filters.category;
+    async removeImage(id, url) {
+        return await Product.findByIdAndUpdate(
+            id,
+            { $pull: { images: url, imageFiles: { url } } },
+            { new: true }
+        );
+    }
+
+    // Product page: the public store and category fields the detail view shows (never the owner)
+    async populateDetail(product) {
+        return await product.populate([
+            { path: 'store', select: 'name slug description' },
+            { path: 'category', select: 'name slug' },
+        ]);
+    }
+
+    // Newest products of the same category, excluding the product itself
+    async findRelated(productId, categoryId, { visibility = null, limit = 4 } = {}) {
+        const query = { ...visibilityQuery(visibility), category: categoryId, _id: { $ne: productId } };
+        return await Product.find(query).sort({ createdAt: -1 }).limit(limit).select('name slug price images stock');
+    }
+
+    // Paginated: returns { items, total }
+    async findAll(filters = {}, { skip = 0, limit = 0, sort = { createdAt: -1 }, select } = {}) {
+        const query = buildFilterQuery(filters);
+        const [items, total] = await Promise.all([
+            Product.find(query).sort(sort).skip(skip).limit(limit).select(select).populate('store', 'name'),
+            Product.countDocuments(query),
+        ]);
+        return { items, total };
+    }
+
+    // Filter counts for the catalog UI, computed in a single aggregation over the same filters as findAll
+    async getFacets(filters = {}, { priceBuckets = 5 } = {}) {
+        const [facets] = await Product.aggregate([
+            { $match: buildFilterQuery(filters) },
+            {
+                $facet: {
+                    categories: [
+                        { $match: { category: { $ne: null } } },
+                        { $group: { _id: '$category', name: { $first: '$categoryName' }, count: { $sum: 1 } } },
+                        { $sort: { count: -1, name: 1 } },
+                    ],
+                    stores: [
+                        { $group: { _id: '$store', name: { $first: '$storeName' }, count: { $sum: 1 } } },
+                        { $sort: { count: -1, name: 1 } },
+                    ],
+                    priceRanges: [
+                        { $bucketAuto: { groupBy: '$price', buckets: priceBuckets } },
+                        { $project: { _id: 0, min: '$_id.min', max: '$_id.max', count: 1 } },
+                    ],
+                    availability: [
+                        {
+                            $group: {
+                                _id: null,
+                                inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+                                outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } },
+                            },
+                        },
+                        { $project: { _id: 0 } },
+                    ],
+                },
+            },
+        ]);
+
+        return {
+            categories: facets.categories,
+            stores: facets.stores,
+            priceRanges: facets.priceRanges,
+            availability: facets.availability[0] || { inStock: 0, outOfStock: 0 },
+        };
+    }
+
+    async update(id, updateData, session = null) {
+        return await Product.findByIdAndUpdate(id, updateData, { new: true, session });
+    }
+
+    // Conditional atomic decrement: returns null when stock < quantity
+    async decrementStock(id, quantity, session = null, variantId = null) {
+        if (variantId) {
+            // The variant stock is guarded; the product total moves with it
+            return await Product.findOneAndUpdate(
+                { _id: id, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+                { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+                { new: true, session }
+            );
         }
+        return await Product.findOneAndUpdate(
+            { _id: id, stock: { $gte: quantity } },
+            { $inc: { stock: -quantity } },
+            { new: true, session }
+        );
+    }
 
-        if (filters.minPrice || filters.maxPrice) {
-            query.price = {};
-            if (filters.minPrice) query.price.$gte = Number(filters.minPrice);
-            if (filters.maxPrice) query.price.$lte = Number(filters.maxPrice);
+    // Returns null when the product (or the variant) no longer exists
+    async incrementStock(id, quantity, session = null, variantId = null) {
+        if (variantId) {
+            return await Product.findOneAndUpdate(
+                { _id: id, 'variants._id': variantId },
+                { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+                { new: true, session }
+            );
         }
+        return await Product.findByIdAndUpdate(
+            id,
+            { $inc: { stock: quantity } },
+            { new: true, session }
+        );
+    }
+
+    async countByStore(storeId) {
+        return await Product.countDocuments({ store: storeId });
+    }
+
+    async countByCategory(categoryId, session = null) {
+        return await Product.countDocuments({ category: categoryId }).session(session);
+    }
+
+    // Bulk move of a category's products to another category, or detach them when target is null.
+    // Returns the number of products changed
+    async reassignCategory(categoryId, target, session = null) {
+        const update = target
+            ? { category: target._id, categoryName: target.name }
+            : { $unset: { category: 1, categoryName: 1 } };
+        const result = await Product.updateMany({ category: categoryId }, update, { session });
+        return result.modifiedCount;
+    }
+
+    // Keeps the denormalized names used by the text index in sync after a rename
+    async syncCategoryName(categoryId, categoryName) {
+        return await Product.updateMany({ category: categoryId }, { categoryName });
+    }
 
-        return await Product.find(query).populate('store', 'name');
+    async syncStoreName(storeId, storeName) {
+        return await Product.updateMany({ store: storeId }, { storeName });
     }
 
-    async update(id, updateData) {
-        return await Product.findByIdAndUpdate(id, updateData, { new: true });
+    // Keeps the catalog visibility flag in sync after a store status change
+    async syncStoreApproval(storeId, storeApproved) {
+        return await Product.updateMany({ store: storeId, storeApproved: { $ne: storeApproved } }, { storeApproved });
     }
 
     async delete(id) {
@@ -0,0 +1,56 @@
+const Session = require('../models/Session');
+
+// Rotated hashes kept per session for reuse detection; older ones are dropped so a
+// long-lived session does not grow without limit (an older token is still rejected, just
+// as an invalid token instead of revoking the session)
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+class SessionRepository {
+    async create(sessionData) {
+        const session = new Session(sessionData);
+        return await session.save();
+    }
+
+    async findById(id) {
+        return await Session.findById(id);
+    }
+
+    async findByRefreshTokenHash(tokenHash) {
+        return await Session.findOne({ refreshTokenHash: tokenHash });
+    }
+
+    // A hash found here belongs to a refresh token that was already rotated
+    async findByPreviousTokenHash(tokenHash) {
+        return await Session.findOne({ previousTokenHashes: tokenHash });
+    }
+
+    // Conditional on the token being rotated still being current, so two requests
+    // with the same refresh token cannot both rotate it: the loser gets null
+    async rotate(id, currentHash, nextHash, expiresAt) {
+        return await Session.findOneAndUpdate(
+            { _id: id, refreshTokenHash: currentHash, revokedAt: null },
+            {
+                $set: { refreshTokenHash: nextHash, expiresAt, lastUsedAt: new Date() },
+                $push: { previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+            },
+            { new: true }
+        );
+    }
+
+    async revoke(id, reason) {
+        return await Session.findOneAndUpdate(
+            { _id: id, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason },
+            { new: true }
+        );
+    }
+
+    async revokeAllByUser(userId, reason) {
+        return await Session.updateMany(
+            { user: userId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+    }
+}
+
+module.exports = new SessionRepository();
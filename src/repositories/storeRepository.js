@@ -6,20 +6,101 @@ class StoreRepository {
         return await store.save();
     }
 
-    async findByOwner(ownerId) {
-        return await Store.findOne({ owner: ownerId });
+    // The store the user works for, as owner or staff member (a user belongs to at most one)
+    async findByMember(userId) {
+        return await Store.findOne({ $or: [{ owner: userId }, { 'members.user': userId }] });
     }
 
-    async findById(id) {
-        return await Store.findById(id);
+    // Owner and staff with their emails, for the members page
+    async findWithMembers(id) {
+        return await Store.findById(id).populate('owner', 'email').populate('members.user', 'email');
     }
 
-    async findAll() {
-        return await Store.find(); // For admin or listing
+    // tokenHash is excluded by default; it is selected here to tell which invitation matched
+    async findByInvitationToken(tokenHash) {
+        return await Store.findOne({ 'invitations.tokenHash': tokenHash }).select('+invitations.tokenHash');
     }
 
-    async updateStatus(id, status) {
-        return await Store.findByIdAndUpdate(id, { status }, { new: true });
+    // One pending invitation per email: inviting again replaces the previous one
+    async replaceInvitation(id, invitation) {
+        await Store.updateOne({ _id: id }, { $pull: { invitations: { email: invitation.email } } });
+        return await Store.findByIdAndUpdate(id, { $push: { invitations: invitation } }, { new: true });
+    }
+
+    // Returns null when the invitation no longer exists
+    async removeInvitation(id, invitationId) {
+        return await Store.findOneAndUpdate(
+            { _id: id, 'invitations._id': invitationId },
+            { $pull: { invitations: { _id: invitationId } } },
+            { new: true }
+        );
+    }
+
+    // Consumes the invitation and adds the member in one update, so an invitation is only accepted once
+    async acceptInvitation(id, invitationId, member) {
+        return await Store.findOneAndUpdate(
+            { _id: id, 'invitations._id': invitationId },
+            {
+                $pull: { invitations: { _id: invitationId } },
+                $push: { members: { ...member, addedAt: new Date() } },
+            },
+            { new: true }
+        );
+    }
+
+    // Both return null when the user is not a staff member of the store
+    async updateMemberRole(id, userId, role) {
+        return await Store.findOneAndUpdate(
+            { _id: id, 'members.user': userId },
+            { $set: { 'members.$.role': role } },
+            { new: true }
+        );
+    }
+
+    async removeMember(id, userId) {
+        return await Store.findOneAndUpdate(
+            { _id: id, 'members.user': userId },
+            { $pull: { members: { user: userId } } },
+            { new: true }
+        );
+    }
+
+    // Public route params may be an id, a slug or a retired slug (see slugPlugin)
+    async findByIdOrSlug(value) {
+        return await Store.findByIdOrSlug(value);
+    }
+
+    async findById(id, session = null) {
+        return await Store.findById(id).session(session);
+    }
+
+    // Admin listing, paginated: returns { items, total }
+    async findAll(filters = {}, { skip = 0, limit = 0, sort = { createdAt: -1 } } = {}) {
+        const query = {};
+        if (filters.status) {
+            query.status = filters.status;
+        }
+        const [items, total] = await Promise.all([
+            Store.find(query).sort(sort).skip(skip).limit(limit).populate('owner', 'email'),
+            Store.countDocuments(query),
+        ]);
+        return { items, total };
+    }
+
+    // Conditional on the status the caller validated the transition from:
+    // returns null when another request changed it in between.
+    // statusReason describes the new status; without one the previous reason is cleared
+    async transitionStatus(id, fromStatus, entry, statusReason = null) {
+        const update = {
+            $set: { status: entry.status },
+            $push: { statusHistory: { ...entry, timestamp: new Date() } },
+        };
+        if (statusReason) {
+            update.$set.statusReason = statusReason;
+        } else {
+            update.$unset = { statusReason: 1 };
+        }
+        return await Store.findOneAndUpdate({ _id: id, status: fromStatus }, update, { new: true });
     }
 
     async update(id, updateData) {
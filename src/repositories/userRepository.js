@@ -10,6 +10,10 @@ class UserRepository {
         return await User.findOne({ email });
     }
 
+    async findByGoogleId(googleId) {
+        return await User.findOne({ googleId });
+    }
+
     async findById(id) {
         return await User.findById(id).select('-password');
     }
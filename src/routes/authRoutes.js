@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { protect } = require('../middleware/authMiddleware');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
 router.post('/google-login', authController.googleLogin);
+router.post('/refresh', authController.refresh);
+router.post('/logout', protect, authController.logout);
 
 module.exports = router;
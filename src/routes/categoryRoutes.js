@@ -5,6 +5,7 @@ const { protect, authorize } = require('../middleware/authMiddleware');
 
 // Public routes
 router.get('/', categoryController.getAllCategories);
+router.get('/tree', categoryController.getCategoryTree);
 router.get('/:id', categoryController.getCategoryById);
 
 // Admin-only routes
@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
 const { protect } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
-router.post('/', protect, orderController.createOrder);
+router.post('/', protect, idempotency, orderController.createOrder);
 router.get('/my-orders', protect, orderController.getMyOrders);
 router.get('/store-orders', protect, orderController.getOrdersByStore);
+router.get('/:id', protect, orderController.getOrderById);
 router.patch('/:id/status', protect, orderController.updateOrderStatus);
+router.post('/:id/items/:itemId/cancel', protect, orderController.cancelOrderItem);
+router.post('/:id/refunds', protect, orderController.refundOrder);
 
 module.exports = router;
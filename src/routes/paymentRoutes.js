@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Authenticated by the provider's signature, not by JWT
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
@@ -1,12 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, authorize } = require('../middleware/authMiddleware');
+const { uploadImages } = require('../middleware/uploadMiddleware');
+
+// CSV imports arrive as text; JSON imports go through the global JSON parser (see app.js)
+const csvBody = express.text({ type: 'text/csv', limit: '2mb' });
 
 router.post('/', protect, authorize('STORE'), productController.createProduct);
-router.get('/', productController.getAllProducts);
-router.get('/store/:storeId', productController.getProductsByStore);
+router.get('/', optionalAuth, productController.getAllProducts);
+router.post('/import', protect, authorize('STORE'), csvBody, productController.importProducts);
+router.get('/export', protect, authorize('STORE'), productController.exportProducts);
+router.get('/store/:storeId', optionalAuth, productController.getProductsByStore);
+router.get('/:id', optionalAuth, productController.getProductById);
 router.put('/:id', protect, authorize('STORE'), productController.updateProduct);
 router.delete('/:id', protect, authorize('STORE'), productController.deleteProduct);
+router.post('/:id/images', protect, authorize('STORE'), uploadImages, productController.uploadImages);
+router.patch('/:id/images', protect, authorize('STORE'), productController.updateImages);
+router.delete('/:id/images', protect, authorize('STORE'), productController.deleteImage);
 
 module.exports = router;
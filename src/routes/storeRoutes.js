@@ -6,7 +6,15 @@ const { protect, authorize } = require('../middleware/authMiddleware');
 router.post('/', protect, authorize('STORE'), storeController.createStore);
 router.get('/my-store', protect, authorize('STORE'), storeController.getMyStore);
 router.put('/my-store', protect, authorize('STORE'), storeController.updateStore);
-router.get('/', storeController.getAllStores);
-router.patch('/:id/status', protect, authorize('ADMIN'), storeController.approveStore);
+router.post('/my-store/resubmit', protect, authorize('STORE'), storeController.resubmitStore);
+router.get('/my-store/members', protect, authorize('STORE'), storeController.getMembers);
+router.patch('/my-store/members/:userId', protect, authorize('STORE'), storeController.updateMemberRole);
+router.delete('/my-store/members/:userId', protect, authorize('STORE'), storeController.removeMember);
+router.post('/my-store/invitations', protect, authorize('STORE'), storeController.inviteMember);
+router.delete('/my-store/invitations/:invitationId', protect, authorize('STORE'), storeController.revokeInvitation);
+router.post('/invitations/accept', protect, authorize('STORE'), storeController.acceptInvitation);
+router.get('/', protect, authorize('ADMIN'), storeController.getAllStores);
+router.get('/:idOrSlug', storeController.getStoreProfile);
+router.patch('/:id/status', protect, authorize('ADMIN'), storeController.updateStoreStatus);
 
 module.exports = router;
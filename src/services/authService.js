@@ -14,16 +14,59 @@
  * - Validar que los emails no estén duplicados
  * - Crear nuevos usuarios con contraseñas encriptadas
  * - Validar credenciales de login
- * - Implementar login social (Google)
- * - Generar tokens JWT
+ * - Implementar login social (Google) verificando el ID token emitido por Google
+ * - Generar tokens JWT de corta duración (access tokens)
+ * - Gestionar sesiones del servidor: refresh tokens rotativos, logout y revocación
  * 
- * Usado por: authController
- * Usa: userRepository, jwt, bcrypt
+ * Sesiones (ver models/Session):
+ * - Cada inicio de sesión crea una Session con un refresh token opaco
+ * - El access token lleva el id de la sesión (sid); protect rechaza los de sesiones revocadas
+ * - Cada refresh rota el token; presentar uno ya rotado revoca la sesión completa
+ * 
+ * Login con Google:
+ * - El cliente envía el ID token que obtuvo de Google Identity Services
+ * - Se verifica firma (claves JWKS, ver identity/), audiencia (GOOGLE_CLIENT_ID), emisor y vencimiento
+ * - Una cuenta existente solo se vincula por email si Google lo marca como verificado
+ * 
+ * Usado por: authController, authMiddleware
+ * Usa: userRepository, sessionRepository, identity (claves de Google), jwt, bcrypt
  */
 
+const crypto = require('crypto');
 const userRepository = require('../repositories/userRepository');
+const sessionRepository = require('../repositories/sessionRepository');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const AppError = require('../utils/AppError');
+const { getGoogleKeyProvider } = require('../identity');
+
+/**
+ * Duración del access token (formato de jsonwebtoken, default: 15 minutos)
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Duración del refresh token en días (default: 30); se renueva en cada rotación
+ */
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only the hash is stored; the plain refresh token never reaches the database
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const toUserSummary = (user) => ({ id: user._id, email: user.email, role: user.role });
+
+/**
+ * Emisores válidos de los ID tokens de Google
+ */
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// GOOGLE_CLIENT_ID may list several client ids (web, Android, iOS) separated by commas
+const googleClientIds = () => (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
 
 class AuthService {
     /**
@@ -49,7 +92,7 @@ class AuthService {
      * Iniciar sesión con email y contraseña
      * @param {string} email - Email del usuario
      * @param {string} password - Contraseña en texto plano
-     * @returns {Promise<Object>} { user: {...}, token: string }
+     * @returns {Promise<Object>} { user: {...}, token: string, refreshToken: string }
      * @throws {Error} "Credenciales inválidas"
      */
     async login(email, password) {
@@ -61,36 +104,185 @@ class AuthService {
         if (!isMatch) {
             throw new Error('Credenciales inválidas');
         }
-        const token = this.generateToken(user._id, user.role);
-        return { user: { id: user._id, email: user.email, role: user.role }, token };
+        return { user: toUserSummary(user), ...await this.createSession(user) };
     }
 
     /**
-     * Login social con Google (simulado en MVP)
-     * @param {string} email - Email de la cuenta de Google
-     * @param {string} googleId - ID único de Google
-     * @returns {Promise<Object>} { user: {...}, token: string }
+     * Login social con Google
+     * @param {string} idToken - ID token (JWT) emitido por Google para esta aplicación
+     * @returns {Promise<Object>} { user: {...}, token: string, refreshToken: string }
+     * @throws {AppError} 401 token inválido, 403 email no verificado, 409 email vinculado a otra cuenta de Google
+     * 
+     * @description
+     * 1. Si ya hay un usuario vinculado al "sub" de Google, inicia su sesión
+     * 2. Si no, exige email_verified: un email sin verificar no se vincula ni se registra
+     * 3. Vincula la cuenta existente con ese email, o crea una nueva con rol CLIENT
      */
-    async googleLogin(email, googleId) {
-        let user = await userRepository.findByEmail(email);
+    async googleLogin(idToken) {
+        const payload = await this.verifyGoogleIdToken(idToken);
+
+        let user = await userRepository.findByGoogleId(payload.sub);
         if (!user) {
-            user = await userRepository.create({ email, googleId, role: 'CLIENT' });
-        } else if (!user.googleId) {
-            user.googleId = googleId;
-            await user.save();
+            // Google sends email_verified as a boolean, older tokens as the string "true"
+            if (payload.email_verified !== true && payload.email_verified !== 'true') {
+                throw new AppError('El email de la cuenta de Google no está verificado', 403);
+            }
+            const email = String(payload.email).toLowerCase();
+            user = await userRepository.findByEmail(email);
+            if (!user) {
+                user = await userRepository.create({ email, googleId: payload.sub, role: 'CLIENT' });
+            } else if (user.googleId) {
+                throw new AppError('El email ya está vinculado a otra cuenta de Google', 409);
+            } else {
+                user.googleId = payload.sub;
+                await user.save();
+            }
+        }
+        return { user: toUserSummary(user), ...await this.createSession(user) };
+    }
+
+    /**
+     * Verificar un ID token de Google
+     * @param {string} idToken - JWT firmado por Google (RS256)
+     * @returns {Promise<Object>} Payload del token (sub, email, email_verified, ...)
+     * @throws {AppError} 401 si la firma, la audiencia, el emisor o el vencimiento no son válidos
+     * @throws {AppError} 503 si GOOGLE_CLIENT_ID no está configurado o las claves no están disponibles
+     */
+    async verifyGoogleIdToken(idToken) {
+        const audience = googleClientIds();
+        if (audience.length === 0) {
+            throw new AppError('El login con Google no está configurado', 503);
+        }
+
+        const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+        if (!decoded || !decoded.header || !decoded.header.kid) {
+            throw new AppError('Token de Google inválido', 401);
+        }
+        let key;
+        try {
+            key = await getGoogleKeyProvider().getKey(decoded.header.kid);
+        } catch (error) {
+            throw new AppError(`No se pudieron obtener las claves de Google: ${error.message}`, 503);
+        }
+        if (!key) {
+            throw new AppError('Token de Google inválido', 401);
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(idToken, key, { algorithms: ['RS256'], audience, issuer: GOOGLE_ISSUERS });
+        } catch (error) {
+            throw new AppError(`Token de Google inválido: ${error.message}`, 401);
+        }
+        if (!payload.sub || !payload.email) {
+            throw new AppError('Token de Google inválido', 401);
+        }
+        return payload;
+    }
+
+    /**
+     * Iniciar una sesión nueva para el usuario
+     * @param {Object} user - Documento del usuario (_id, role)
+     * @returns {Promise<Object>} { token: string, refreshToken: string }
+     */
+    async createSession(user) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const session = await sessionRepository.create({
+            user: user._id,
+            refreshTokenHash: hashToken(refreshToken),
+            expiresAt: refreshExpiry(),
+        });
+        return { token: this.generateToken(user._id, user.role, session._id), refreshToken };
+    }
+
+    /**
+     * Renovar el access token rotando el refresh token
+     * @param {string} refreshToken - Refresh token vigente de la sesión
+     * @returns {Promise<Object>} { user: {...}, token: string, refreshToken: string }
+     * @throws {AppError} 401 si el token no existe, venció, la sesión fue revocada o ya se había usado
+     * 
+     * @description
+     * Un refresh token solo sirve una vez. Si se presenta uno ya rotado (lo usó
+     * otra persona o el cliente lo reenvió), se revoca la sesión completa y
+     * todos sus tokens dejan de funcionar: hay que iniciar sesión de nuevo.
+     */
+    async refresh(refreshToken) {
+        const tokenHash = hashToken(refreshToken);
+        const session = refreshToken ? await sessionRepository.findByRefreshTokenHash(tokenHash) : null;
+
+        if (!session) {
+            const reused = refreshToken ? await sessionRepository.findByPreviousTokenHash(tokenHash) : null;
+            if (reused) {
+                await sessionRepository.revoke(reused._id, 'REUSE_DETECTED');
+                throw new AppError('Refresh token reutilizado, la sesión fue revocada', 401);
+            }
+            throw new AppError('Refresh token inválido', 401);
+        }
+        if (session.revokedAt || session.expiresAt < new Date()) {
+            throw new AppError('La sesión expiró o fue cerrada', 401);
+        }
+
+        // The role is read again so changes apply from the next access token on
+        const user = await userRepository.findById(session.user);
+        if (!user) {
+            throw new AppError('Refresh token inválido', 401);
+        }
+
+        const nextToken = crypto.randomBytes(48).toString('hex');
+        const rotated = await sessionRepository.rotate(session._id, tokenHash, hashToken(nextToken), refreshExpiry());
+        if (!rotated) {
+            // Another request rotated the same token first: treated as reuse
+            await sessionRepository.revoke(session._id, 'REUSE_DETECTED');
+            throw new AppError('Refresh token reutilizado, la sesión fue revocada', 401);
+        }
+
+        return {
+            user: toUserSummary(user),
+            token: this.generateToken(user._id, user.role, session._id),
+            refreshToken: nextToken,
+        };
+    }
+
+    /**
+     * Cerrar la sesión del access token actual, o todas las del usuario
+     * @param {Object} user - req.user ({ id, role, sid })
+     * @param {Object} options - { all: boolean }
+     * @returns {Promise<void>}
+     */
+    async logout(user, { all = false } = {}) {
+        if (all) {
+            await sessionRepository.revokeAllByUser(user.id, 'LOGOUT_ALL');
+            return;
+        }
+        await sessionRepository.revoke(user.sid, 'LOGOUT');
+    }
+
+    /**
+     * Indica si la sesión de un access token sigue activa
+     * @param {string} sessionId - Claim sid del access token
+     * @returns {Promise<boolean>}
+     */
+    async isSessionActive(sessionId) {
+        if (!sessionId) {
+            return false;
         }
-        const token = this.generateToken(user._id, user.role);
-        return { user: { id: user._id, email: user.email, role: user.role }, token };
+        const session = await sessionRepository.findById(sessionId);
+        return !!session && !session.revokedAt && session.expiresAt > new Date();
     }
 
     /**
-     * Generar token JWT
+     * Generar access token JWT
      * @param {string} userId - ObjectId del usuario
      * @param {string} role - Rol del usuario
-     * @returns {string} Token JWT firmado
+     * @param {string} sessionId - ObjectId de la sesión (claim sid)
+     * @returns {string} Token JWT firmado, válido por ACCESS_TOKEN_TTL
      */
-    generateToken(userId, role) {
-        return jwt.sign({ id: userId, role }, process.env.JWT_SECRET || 'secret_key_dev', { expiresIn: '1d' });
+    generateToken(userId, role, sessionId) {
+        return jwt.sign(
+            { id: userId, role, sid: sessionId },
+            process.env.JWT_SECRET || 'secret_key_dev',
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
     }
 }
 
@@ -1,5 +1,13 @@
 const cartRepository = require('../repositories/cartRepository');
 const productRepository = require('../repositories/productRepository');
+const storeRepository = require('../repositories/storeRepository');
+const { hasVariants, findVariant } = require('../utils/variants');
+
+// Saved lines come back populated; a line whose product was deleted has product null
+const productIdOf = (item) => (item.product && item.product._id ? item.product._id : item.product);
+
+// Same product with a different variant is a different cart line
+const lineKey = (item) => `${String(productIdOf(item))}:${item.variant ? item.variant.toString() : ''}`;
 
 class CartService {
     async getCart(userId) {
@@ -10,12 +18,34 @@ class CartService {
         return cart;
     }
 
+    // Why a cart line cannot be bought, or null when it can
+    async unavailableReason(item) {
+        const productId = productIdOf(item);
+        const product = productId ? await productRepository.findById(productId) : null;
+        if (!product) {
+            return `Producto no encontrado: ${item.product}`;
+        }
+        // Products of suspended or unapproved stores cannot be added (createOrder rejects them too)
+        const store = await storeRepository.findById(product.store);
+        if (!store || store.status !== 'APPROVED') {
+            return `Producto no disponible, su tienda no está activa: ${product.name}`;
+        }
+        if (hasVariants(product)) {
+            if (!findVariant(product, item.variant)) {
+                return `Seleccione una variante válida para: ${product.name}`;
+            }
+        } else if (item.variant) {
+            return `El producto no tiene variantes: ${product.name}`;
+        }
+        return null;
+    }
+
     async updateCart(userId, items) {
-        // Validate products exist
+        // Validate products exist, their store is active and the variant matches the product
         for (const item of items) {
-            const product = await productRepository.findById(item.product);
-            if (!product) {
-                throw new Error(`Producto no encontrado: ${item.product}`);
+            const reason = await this.unavailableReason(item);
+            if (reason) {
+                throw new Error(reason);
             }
         }
         return await cartRepository.update(userId, items);
@@ -28,7 +58,7 @@ class CartService {
         // Merge logic: Add local items to DB items
         for (const localItem of localItems) {
             const existingItemIndex = dbItems.findIndex(
-                (dbItem) => dbItem.product._id.toString() === localItem.product
+                (dbItem) => lineKey(dbItem) === lineKey(localItem)
             );
 
             if (existingItemIndex > -1) {
@@ -38,13 +68,22 @@ class CartService {
                 // Add new item
                 dbItems.push({
                     product: localItem.product,
+                    variant: localItem.variant,
                     quantity: localItem.quantity,
                     store: localItem.store
                 });
             }
         }
 
-        return await this.updateCart(userId, dbItems);
+        // Lines that can no longer be bought (deleted product or variant, store no longer active)
+        // are dropped instead of failing: one stale saved line must not break every later sync
+        const available = [];
+        for (const item of dbItems) {
+            if (!await this.unavailableReason(item)) {
+                available.push(item);
+            }
+        }
+        return await cartRepository.update(userId, available);
     }
 }
 
@@ -1,16 +1,63 @@
 const categoryRepository = require('../repositories/categoryRepository');
+const productRepository = require('../repositories/productRepository');
+const { runInTransaction } = require('../utils/transaction');
+const AppError = require('../utils/AppError');
+
+// Nests a flat, name-sorted category list under its parents; orphans become roots
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map((category) => [
+        category._id.toString(),
+        { ...category.toObject(), children: [] },
+    ]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+    return roots;
+};
 
 class CategoryService {
+    // Ancestor path for a category placed under parentId (empty for a root)
+    async resolveAncestors(parentId, session = null) {
+        if (!parentId) {
+            return [];
+        }
+        const parent = await categoryRepository.findById(parentId, session);
+        if (!parent) {
+            throw new AppError('Categoría padre no encontrada', 404);
+        }
+        return [...parent.ancestors, parent._id];
+    }
+
     async createCategory(categoryData) {
-        return await categoryRepository.create(categoryData);
+        const { ancestors, ...data } = categoryData;
+        return await categoryRepository.create({
+            ...data,
+            parent: data.parent || null,
+            ancestors: await this.resolveAncestors(data.parent),
+        });
     }
 
     async getAllCategories() {
         return await categoryRepository.findAll();
     }
 
-    async getCategoryById(id) {
-        return await categoryRepository.findById(id);
+    async getCategoryTree() {
+        return buildTree(await categoryRepository.findAll());
+    }
+
+    // Accepts an id or a slug; a retired slug fails with 301 and the current one in details
+    async getCategoryById(idOrSlug) {
+        const { doc, movedTo } = await categoryRepository.findByIdOrSlug(idOrSlug);
+        if (movedTo) {
+            throw new AppError('La categoría cambió de dirección', 301, { from: idOrSlug, to: movedTo });
+        }
+        return doc;
     }
 
     async updateCategory(id, updateData) {
@@ -18,15 +65,72 @@ class CategoryService {
         if (!category) {
             throw new Error('Categoría no encontrada');
         }
-        return await categoryRepository.update(id, updateData);
+
+        const { ancestors, ...changes } = updateData;
+        const isMove = 'parent' in changes && String(changes.parent || null) !== String(category.parent || null);
+
+        const updated = !isMove
+            ? await categoryRepository.update(id, changes)
+            : await runInTransaction(async (session) => {
+                const newParent = changes.parent || null;
+                const newAncestors = await this.resolveAncestors(newParent, session);
+
+                // A category cannot be moved under itself or any of its descendants
+                if (newAncestors.some((ancestor) => ancestor.toString() === category._id.toString())) {
+                    throw new AppError('No se puede mover una categoría dentro de sí misma o de una subcategoría', 409);
+                }
+
+                const moved = await categoryRepository.update(id, { ...changes, parent: newParent, ancestors: newAncestors }, session);
+                await categoryRepository.rebaseDescendants(category._id, newAncestors, session);
+                return moved;
+            });
+
+        // Products keep a copy of the category name for text search
+        if (changes.name && changes.name !== category.name) {
+            await productRepository.syncCategoryName(id, updated.name);
+        }
+        return updated;
     }
 
-    async deleteCategory(id) {
+    // Children of a deleted category move up to its parent, so the rest of the tree stays intact.
+    // Products must be reassigned (reassignTo) or explicitly detached (detach) before the category goes
+    async deleteCategory(id, { reassignTo, detach = false } = {}) {
         const category = await categoryRepository.findById(id);
         if (!category) {
             throw new Error('Categoría no encontrada');
         }
-        return await categoryRepository.delete(id);
+        if (reassignTo && detach) {
+            throw new AppError('Use reassignTo o detach, no ambos');
+        }
+
+        let target = null;
+        if (reassignTo) {
+            if (String(reassignTo) === String(category._id)) {
+                throw new AppError('No se pueden reasignar los productos a la misma categoría que se elimina');
+            }
+            target = await categoryRepository.findById(reassignTo);
+            if (!target) {
+                throw new AppError('Categoría destino no encontrada', 404);
+            }
+        }
+
+        return await runInTransaction(async (session) => {
+            const productCount = await productRepository.countByCategory(category._id, session);
+            if (productCount > 0 && !target && !detach) {
+                throw new AppError(
+                    `La categoría tiene ${productCount} productos. Reasígnelos (reassignTo) o desvincúlelos (detach=true)`,
+                    409,
+                    { products: productCount }
+                );
+            }
+
+            const affectedProducts = productCount > 0
+                ? await productRepository.reassignCategory(category._id, target, session)
+                : 0;
+            await categoryRepository.detachFromTree(category._id, category.parent || null, session);
+            await categoryRepository.delete(id, session);
+            return { category, affectedProducts };
+        });
     }
 }
 
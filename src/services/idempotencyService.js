@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const idempotencyKeyRepository = require('../repositories/idempotencyKeyRepository');
+const AppError = require('../utils/AppError');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// A key left IN_PROGRESS longer than this (crashed process, handler that never answered)
+// is taken over by the next retry instead of answering 409 until the TTL
+const LOCK_TIMEOUT_MS = (Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60) * 1000;
+
+class IdempotencyService {
+    hashRequest(body) {
+        return crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    // Reserves the key for this request. Returns { record } for a new request or
+    // { replay } with the stored response when the same request was already completed
+    async begin(userId, key, scope, rawBody) {
+        const requestHash = this.hashRequest(rawBody || '');
+
+        try {
+            const record = await idempotencyKeyRepository.create({ user: userId, key, scope, requestHash });
+            return { record };
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY_ERROR) {
+                throw error;
+            }
+        }
+
+        const existing = await idempotencyKeyRepository.findByUserAndKey(userId, key);
+        if (!existing) {
+            // Expired or released between the insert and the lookup: treat as a new request
+            return this.begin(userId, key, scope, rawBody);
+        }
+        if (existing.scope !== scope || existing.requestHash !== requestHash) {
+            throw new AppError('La Idempotency-Key ya se usó con una petición diferente', 422);
+        }
+        if (existing.status === 'COMPLETED') {
+            return { replay: existing.response };
+        }
+
+        // Keys stored before lockedAt existed are locked since their creation
+        const lockedAt = existing.lockedAt || null;
+        if (Date.now() - (lockedAt || existing.createdAt) < LOCK_TIMEOUT_MS) {
+            throw new AppError('Ya hay una petición en proceso con esta Idempotency-Key', 409);
+        }
+        const record = await idempotencyKeyRepository.takeOver(existing._id, lockedAt);
+        if (!record) {
+            throw new AppError('Ya hay una petición en proceso con esta Idempotency-Key', 409);
+        }
+        return { record };
+    }
+
+    // Only successful responses are stored; failures release the key so the client can retry
+    async finish(record, statusCode, body) {
+        if (statusCode >= 200 && statusCode < 300) {
+            return await idempotencyKeyRepository.complete(record._id, record.lockedAt, {
+                statusCode,
+                body: JSON.parse(JSON.stringify(body)),
+            });
+        }
+        return await this.release(record);
+    }
+
+    async release(record) {
+        return await idempotencyKeyRepository.delete(record._id, record.lockedAt);
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -1,5 +1,125 @@
+const mongoose = require('mongoose');
 const orderRepository = require('../repositories/orderRepository');
 const productRepository = require('../repositories/productRepository');
+const checkoutRepository = require('../repositories/checkoutRepository');
+const storeRepository = require('../repositories/storeRepository');
+const storeService = require('./storeService');
+const { runInTransaction } = require('../utils/transaction');
+const { getPaymentProvider } = require('../payments');
+const AppError = require('../utils/AppError');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const { hasVariants, findVariant, effectivePrice } = require('../utils/variants');
+const { refId, memberRole, roleCan } = require('../utils/storeRoles');
+
+// Allowed status transitions: PENDING -> PAID -> SHIPPED -> DELIVERED, CANCELLED before delivery
+const ORDER_STATUS_TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED'],
+    PAID: ['SHIPPED', 'CANCELLED'],
+    SHIPPED: ['DELIVERED', 'CANCELLED'],
+    DELIVERED: [],
+    CANCELLED: [],
+    REFUNDED: [],
+};
+
+// Refund statuses are only reachable through refundOrder, never through updateOrderStatus
+const REFUND_STATUSES = ['PARTIALLY_REFUNDED', 'REFUNDED'];
+// CANCELLED is included for paid units whose automatic refund on cancellation could not be completed
+const REFUNDABLE_STATUSES = ['PAID', 'SHIPPED', 'DELIVERED', 'PARTIALLY_REFUNDED', 'CANCELLED'];
+
+// Statuses from which the buyer may still cancel (before shipping)
+const BUYER_CANCELLABLE_STATUSES = ['PENDING', 'PAID'];
+
+// Sort keys accepted by the order listings (?sort=)
+const ORDER_LIST_OPTIONS = {
+    sorts: {
+        newest: { createdAt: -1 },
+        oldest: { createdAt: 1 },
+    },
+    defaultSort: 'newest',
+};
+
+// A partial refund does not end fulfilment: transitions are checked against the last non-refund status
+const fulfilmentStatus = (order) => {
+    if (order.status !== 'PARTIALLY_REFUNDED') {
+        return order.status;
+    }
+    const last = [...order.statusHistory].reverse().find((entry) => !REFUND_STATUSES.includes(entry.status));
+    return last ? last.status : 'PAID';
+};
+
+const canTransition = (order, status) => ORDER_STATUS_TRANSITIONS[fulfilmentStatus(order)].includes(status);
+
+// Role rules on top of the transition table. Admins can perform any legal transition;
+// store staff act according to their store role (see utils/storeRoles)
+const canActorSetStatus = (order, status, access) => {
+    if (access.isAdmin) {
+        return true;
+    }
+    if (['SHIPPED', 'DELIVERED'].includes(status)) {
+        return roleCan(access.storeRole, 'orders:fulfil');
+    }
+    if (status === 'CANCELLED' && BUYER_CANCELLABLE_STATUSES.includes(fulfilmentStatus(order))) {
+        return roleCan(access.storeRole, 'orders:cancel') || access.isBuyer;
+    }
+    return false;
+};
+
+// Amount still owed for an order: the units that were not cancelled
+const payableTotal = (order) => order.items.reduce(
+    (sum, item) => sum + item.price * (item.quantity - item.cancelledQuantity), 0
+);
+
+// Records which units were charged: the ones not cancelled when the order becomes PAID
+const recordPaidUnits = (order) => {
+    for (const item of order.items) {
+        item.paidQuantity = item.quantity - item.cancelledQuantity;
+    }
+};
+
+// Units the buyer paid for and has not been refunded yet (including reserved, still PENDING refunds)
+const refundableUnits = (item) => item.paidQuantity - item.refundedQuantity;
+
+// Units refunded without being cancelled (reserved ones included): the buyer already got
+// that money back, so those units can no longer be cancelled
+const refundedActiveUnits = (order, item) => order.refunds
+    .filter((refund) => !refund.cancellation && refund.status !== 'FAILED')
+    .flatMap((refund) => refund.items)
+    .filter((line) => String(line.item) === String(item._id))
+    .reduce((sum, line) => sum + line.quantity, 0);
+
+const cancellableUnits = (order, item) => item.quantity - item.cancelledQuantity - refundedActiveUnits(order, item);
+
+const findItem = (order, itemId) => order.items.find((item) => item._id.toString() === String(itemId));
+
+const findRefund = (order, refundId) => order.refunds.find((refund) => String(refund._id) === String(refundId));
+
+// Item name for history notes, with the variant SKU when there is one
+const itemLabel = (item) => (item.sku ? `${item.name} (${item.sku})` : item.name);
+
+// Builds the history note for restocked units and units whose product was deleted
+const describeRestock = (restocked, missing) => {
+    const notes = [];
+    if (restocked.length > 0) {
+        notes.push(`Stock repuesto: ${restocked.join(', ')}`);
+    }
+    if (missing.length > 0) {
+        notes.push(`Producto eliminado, stock no repuesto: ${missing.join(', ')}`);
+    }
+    return notes.length > 0 ? notes.join('. ') : undefined;
+};
+
+// Groups order items into a Map of storeId -> items, preserving cart order
+const groupItemsByStore = (orderItems) => {
+    const groups = new Map();
+    for (const item of orderItems) {
+        const key = item.store.toString();
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    }
+    return groups;
+};
 
 class OrderService {
     async createOrder(userId, orderData) {
@@ -9,81 +129,548 @@ class OrderService {
             throw new Error('No hay artículos en el pedido');
         }
 
-        let total = 0;
-        const orderItems = [];
+        // Stock decrements, the checkout and its sub-orders are committed together or not at all
+        const checkout = await runInTransaction(async (session) => {
+            let total = 0;
+            const orderItems = [];
+            const unavailable = [];
+            const storeStatuses = new Map();
+
+            // Calculate total from DB prices and reserve stock atomically
+            for (const item of items) {
+                const product = await productRepository.findById(item.product, session);
+                if (!product) {
+                    throw new Error(`Producto no encontrado: ${item.product}`);
+                }
+
+                // Only approved stores sell: hiding suspended stores from listings does not stop
+                // a buyer who still has the product id or an old cart entry
+                const storeKey = product.store.toString();
+                if (!storeStatuses.has(storeKey)) {
+                    const store = await storeRepository.findById(product.store, session);
+                    storeStatuses.set(storeKey, store ? store.status : null);
+                }
+                if (storeStatuses.get(storeKey) !== 'APPROVED') {
+                    throw new AppError(`Producto no disponible, su tienda no está activa: ${product.name}`, 409);
+                }
+
+                // Products with variants are bought (and their stock reserved) at the variant level
+                const variant = findVariant(product, item.variant);
+                if (hasVariants(product) && !variant) {
+                    throw new AppError(`Seleccione una variante válida para: ${product.name}`, 400);
+                }
+                const variantSnapshot = variant
+                    ? { variant: variant._id, sku: variant.sku, options: variant.options }
+                    : {};
+
+                // Only succeeds if stock >= quantity at write time, so concurrent buyers cannot oversell
+                const reserved = await productRepository.decrementStock(
+                    product._id, item.quantity, session, variant ? variant._id : null
+                );
+                if (!reserved) {
+                    unavailable.push({
+                        product: product._id,
+                        ...(variant && { variant: variant._id, sku: variant.sku }),
+                        name: product.name,
+                        requested: item.quantity,
+                    });
+                    continue;
+                }
+
+                const price = effectivePrice(product, variant);
+                orderItems.push({
+                    product: product._id,
+                    ...variantSnapshot,
+                    name: product.name,
+                    quantity: item.quantity,
+                    price,
+                    store: product.store,
+                });
 
-        // Validate stock and calculate total from DB prices
-        for (const item of items) {
-            const product = await productRepository.findById(item.product);
-            if (!product) {
-                throw new Error(`Producto no encontrado: ${item.product}`);
+                total += price * item.quantity;
             }
-            if (product.stock < item.quantity) {
-                throw new Error(`Stock insuficiente para el producto: ${product.name}`);
+
+            // Throwing aborts the transaction, releasing the stock reserved for the other items
+            if (unavailable.length > 0) {
+                throw new AppError(
+                    `Stock insuficiente para los productos: ${unavailable.map(itemLabel).join(', ')}`,
+                    409,
+                    { unavailable }
+                );
             }
 
-            // Decrease stock
-            // Decrease stock
-            // Use update to avoid full document validation (legacy data issues with category)
-            await productRepository.update(product._id, { stock: product.stock - item.quantity });
+            // One parent checkout for the buyer, one sub-order per store
+            const created = await checkoutRepository.create({
+                user: userId,
+                total,
+                shippingAddress,
+            }, session);
 
-            orderItems.push({
-                product: product._id,
-                name: product.name,
-                quantity: item.quantity,
-                price: product.price,
-                store: product.store,
-            });
+            for (const [store, storeItems] of groupItemsByStore(orderItems)) {
+                await orderRepository.create({
+                    user: userId,
+                    checkout: created._id,
+                    store,
+                    items: storeItems,
+                    total: storeItems.reduce((sum, item) => sum + item.price * item.quantity, 0),
+                    shippingAddress,
+                    status: 'PENDING', // Becomes PAID when the provider confirms through the webhook
+                    statusHistory: [{ status: 'PENDING', timestamp: new Date() }],
+                }, session);
+            }
+
+            return await checkoutRepository.findById(created._id, session);
+        });
 
-            total += product.price * item.quantity;
+        // The provider is called after the commit so a retried transaction never authorizes twice
+        const provider = getPaymentProvider();
+        let payment;
+        try {
+            payment = await provider.authorize({
+                amount: checkout.total,
+                currency: process.env.PAYMENT_CURRENCY || 'COP',
+                reference: checkout._id.toString(),
+            });
+        } catch (error) {
+            // Compensate: release the reserved stock and cancel the sub-orders
+            for (const order of checkout.orders) {
+                await this.cancelAndRestock(order._id, null, userId);
+            }
+            throw new AppError(`No se pudo autorizar el pago: ${error.message}`, 402);
         }
 
-        const order = await orderRepository.create({
-            user: userId,
-            items: orderItems,
-            total,
-            shippingAddress,
-            status: 'PAID', // Mock payment success
+        await checkoutRepository.update(checkout._id, {
             paymentResult: {
-                id: `mock_payment_${Date.now()}`,
-                status: 'COMPLETED',
+                provider: provider.name,
+                id: payment.id,
+                status: payment.status,
                 update_time: new Date().toISOString(),
-                email_address: 'mock@example.com',
             },
         });
 
-        return order;
+        // Providers that confirm on authorization (the mock with MOCK_PAYMENT_AUTO_CONFIRM) send no webhook
+        if (payment.confirmed) {
+            return await this.confirmPayment(payment.id);
+        }
+        return await checkoutRepository.findById(checkout._id);
     }
 
-    async getMyOrders(userId) {
-        return await orderRepository.findByUser(userId);
+    // Called from the payment webhook once the provider confirms the authorization.
+    // Only what is still payable is captured: sub-orders and units cancelled before the webhook are left out
+    async confirmPayment(paymentId) {
+        const checkout = await this.findCheckoutByPayment(paymentId);
+
+        // Repeated webhooks, or a purchase cancelled entirely before the confirmation, have nothing to capture;
+        // an authorization that is never captured is released by the provider
+        const pending = checkout.orders.filter((order) => order.status === 'PENDING');
+        if (pending.length === 0) {
+            return checkout;
+        }
+
+        // Recorded before touching the sub-orders, so a webhook retried after a partial failure does not capture twice
+        if (checkout.paymentResult.status !== 'CAPTURED') {
+            const amount = pending.reduce((sum, order) => sum + payableTotal(order), 0);
+            try {
+                await getPaymentProvider().capture(paymentId, amount);
+            } catch (error) {
+                // The webhook answers with an error so the provider retries it later
+                throw new AppError(`No se pudo capturar el pago: ${error.message}`, 502);
+            }
+            await checkoutRepository.update(checkout._id, {
+                'paymentResult.status': 'CAPTURED',
+                'paymentResult.capturedAmount': amount,
+                'paymentResult.update_time': new Date().toISOString(),
+            });
+        }
+
+        for (const order of pending) {
+            recordPaidUnits(order);
+            order.status = 'PAID';
+            order.statusHistory.push({
+                status: 'PAID',
+                timestamp: new Date(),
+                note: `Pago confirmado por ${checkout.paymentResult.provider}`,
+            });
+            await order.save();
+        }
+
+        return await checkoutRepository.findById(checkout._id);
+    }
+
+    // Called from the payment webhook when the provider declines the charge
+    async failPayment(paymentId) {
+        const checkout = await this.findCheckoutByPayment(paymentId);
+
+        for (const order of checkout.orders) {
+            if (order.status === 'PENDING') {
+                await this.cancelAndRestock(order._id, null, null);
+            }
+        }
+
+        await checkoutRepository.update(checkout._id, {
+            'paymentResult.status': 'FAILED',
+            'paymentResult.update_time': new Date().toISOString(),
+        });
+        return await checkoutRepository.findById(checkout._id);
+    }
+
+    async findCheckoutByPayment(paymentId) {
+        const checkout = await checkoutRepository.findByPaymentId(paymentId);
+        if (!checkout) {
+            throw new AppError(`Pago no encontrado: ${paymentId}`, 404);
+        }
+        return checkout;
+    }
+
+    async getMyOrders(userId, query = {}) {
+        const pagination = parsePagination(query, ORDER_LIST_OPTIONS);
+        const { items, total } = await checkoutRepository.findByUser(userId, pagination);
+        return buildPage(items, total, pagination);
     }
 
-    async getOrdersByStore(userId) {
-        const storeRepository = require('../repositories/storeRepository');
-        const store = await storeRepository.findByOwner(userId);
+    async getOrdersByStore(userId, query = {}) {
+        const store = await storeService.findMemberStore(userId, 'orders:view');
         if (!store) {
             throw new Error('El usuario no tiene una tienda');
         }
-        return await orderRepository.findByStore(store._id);
+        const pagination = parsePagination(query, ORDER_LIST_OPTIONS);
+        const { items, total } = await orderRepository.findByStore(store._id, pagination);
+        return buildPage(items, total, pagination);
+    }
+
+    // Resolves how the user relates to the order: buyer, staff of the order's store (storeRole), or admin
+    async getOrderAccess(order, user) {
+        const access = {
+            isAdmin: user.role === 'ADMIN',
+            isBuyer: refId(order.user) === user.id.toString(),
+            storeRole: null,
+        };
+        if (user.role === 'STORE') {
+            const store = await storeRepository.findByMember(user.id);
+            if (store && store._id.toString() === refId(order.store)) {
+                access.storeRole = memberRole(store, user.id);
+            }
+        }
+        return access;
     }
 
-    async updateOrderStatus(orderId, status, userId) {
+    // Loads the order and fails with 403 unless the user is its buyer, staff of its store or an admin
+    async findAccessibleOrder(orderId, user) {
         const order = await orderRepository.findById(orderId);
         if (!order) {
-            throw new Error('Pedido no encontrado');
+            throw new AppError('Pedido no encontrado', 404);
+        }
+
+        const access = await this.getOrderAccess(order, user);
+        if (!access.isAdmin && !access.isBuyer && !roleCan(access.storeRole, 'orders:view')) {
+            throw new AppError('No autorizado para acceder a este pedido', 403);
+        }
+        return { order, access };
+    }
+
+    async getOrderById(orderId, user) {
+        const { order } = await this.findAccessibleOrder(orderId, user);
+        return order;
+    }
+
+    async updateOrderStatus(orderId, status, user) {
+        if (REFUND_STATUSES.includes(status)) {
+            throw new AppError('Los reembolsos se registran con POST /api/v1/orders/:id/refunds', 400);
+        }
+        if (!Object.prototype.hasOwnProperty.call(ORDER_STATUS_TRANSITIONS, status)) {
+            throw new AppError(`Estado de pedido inválido: ${status}`, 400);
+        }
+
+        const { order, access } = await this.findAccessibleOrder(orderId, user);
+
+        if (!canTransition(order, status)) {
+            throw new AppError(`Transición de estado no permitida: ${order.status} -> ${status}`, 409);
+        }
+        if (!canActorSetStatus(order, status, access)) {
+            throw new AppError(`No autorizado para cambiar el pedido a ${status}`, 403);
+        }
+
+        if (status === 'CANCELLED') {
+            return await this.cancelAndRestock(orderId, null, user.id);
+        }
+
+        if (status === 'PAID') {
+            recordPaidUnits(order);
         }
 
         // Add to history
         order.statusHistory.push({
             status,
-            updatedBy: userId,
+            updatedBy: user.id,
             timestamp: new Date(),
         });
         order.status = status;
 
         return await order.save();
     }
+
+    async cancelOrderItem(orderId, itemId, quantity, user) {
+        const { order, access } = await this.findAccessibleOrder(orderId, user);
+
+        if (!canTransition(order, 'CANCELLED')) {
+            throw new AppError(`No se pueden cancelar items de un pedido en estado ${order.status}`, 409);
+        }
+        if (!canActorSetStatus(order, 'CANCELLED', access)) {
+            throw new AppError('No autorizado para cancelar items de este pedido', 403);
+        }
+
+        const item = order.items.find((orderItem) => orderItem._id.toString() === itemId.toString());
+        if (!item) {
+            throw new AppError('Item no encontrado en el pedido', 404);
+        }
+
+        const remaining = cancellableUnits(order, item);
+        const toCancel = quantity === undefined ? remaining : Number(quantity);
+        if (!Number.isInteger(toCancel) || toCancel < 1 || toCancel > remaining) {
+            throw new AppError(`Cantidad a cancelar inválida (máximo ${remaining})`, 400);
+        }
+
+        return await this.cancelAndRestock(orderId, { itemId, quantity: toCancel }, user.id);
+    }
+
+    // Marks quantities as cancelled and returns them to stock atomically.
+    // selection: null cancels every remaining unit, or { itemId, quantity } for a single line.
+    // updatedBy is null when the system (e.g. a payment webhook) cancels.
+    // Cancelled units that were already paid are refunded: the refund is reserved in the same transaction
+    async cancelAndRestock(orderId, selection, updatedBy) {
+        let paymentId = null;
+        let refund = null;
+
+        const cancelled = await runInTransaction(async (session) => {
+            paymentId = null;
+            refund = null;
+
+            // Reload inside the transaction so a retried callback never restocks twice
+            const order = await orderRepository.findByIdForUpdate(orderId, session);
+            if (!canTransition(order, 'CANCELLED')) {
+                throw new AppError(`Transición de estado no permitida: ${order.status} -> CANCELLED`, 409);
+            }
+
+            const refundLines = [];
+            for (const item of order.items) {
+                const previouslyCancelled = item.cancelledQuantity;
+                if (!selection) {
+                    item.cancelledQuantity += cancellableUnits(order, item);
+                } else if (item._id.toString() === selection.itemId.toString()) {
+                    item.cancelledQuantity += Math.min(selection.quantity, cancellableUnits(order, item));
+                }
+
+                const units = Math.min(item.cancelledQuantity - previouslyCancelled, refundableUnits(item));
+                if (units > 0) {
+                    refundLines.push({ item, quantity: units });
+                }
+            }
+
+            const note = await this.restockCancelledItems(order, session);
+
+            if (refundLines.length > 0) {
+                paymentId = await this.findPaymentId(order, session);
+                if (paymentId) {
+                    refund = this.reserveRefund(order, refundLines, {
+                        reason: 'Cancelación del pedido',
+                        createdBy: updatedBy,
+                        cancellation: true,
+                    });
+                }
+            }
+
+            if (order.items.every((item) => cancellableUnits(order, item) <= 0)) {
+                order.status = 'CANCELLED';
+            }
+            order.statusHistory.push({
+                status: order.status,
+                updatedBy,
+                timestamp: new Date(),
+                note,
+            });
+
+            return await order.save({ session });
+        });
+
+        if (!refund) {
+            return cancelled;
+        }
+        try {
+            return await this.settleRefund(orderId, paymentId, refund);
+        } catch (error) {
+            // The cancellation stands; the refund can be retried with POST /orders/:id/refunds
+            throw new AppError(`Pedido cancelado sin reembolso: ${error.message}`, error.statusCode || 500);
+        }
+    }
+
+    // Returns to stock whatever was cancelled but not yet restocked, so repeated calls are no-ops
+    async restockCancelledItems(order, session) {
+        const restocked = [];
+        const missing = [];
+
+        for (const item of order.items) {
+            const pending = item.cancelledQuantity - item.restockedQuantity;
+            if (pending <= 0) {
+                continue;
+            }
+            const returned = await this.restockUnits(item, pending, session);
+            item.restockedQuantity += pending;
+            (returned ? restocked : missing).push(`${itemLabel(item)} x${pending}`);
+        }
+
+        return describeRestock(restocked, missing);
+    }
+
+    // A deleted product (or variant) cannot take stock back; callers still count the units as handled so they are not retried
+    async restockUnits(item, units, session) {
+        const product = await productRepository.incrementStock(item.product, units, session, item.variant || null);
+        return !!product;
+    }
+
+    async refundOrder(orderId, refundData, user) {
+        const { items, restock = false, reason } = refundData || {};
+        const { order, access } = await this.findAccessibleOrder(orderId, user);
+
+        if (!access.isAdmin && !roleCan(access.storeRole, 'orders:refund')) {
+            throw new AppError('Solo la tienda del pedido o un admin pueden reembolsar', 403);
+        }
+        if (!REFUNDABLE_STATUSES.includes(order.status)) {
+            throw new AppError(`No se puede reembolsar un pedido en estado ${order.status}`, 409);
+        }
+
+        const lines = this.resolveRefundLines(order, items);
+        const amount = lines.reduce((sum, line) => sum + line.item.price * line.quantity, 0);
+        if (amount <= 0) {
+            throw new AppError('No hay unidades pendientes de reembolso', 409);
+        }
+
+        const paymentId = await this.findPaymentId(order);
+        if (!paymentId) {
+            throw new AppError('El pedido no tiene un pago registrado para reembolsar', 409);
+        }
+
+        // The units are reserved before the provider pays anything, so a concurrent refund of the same units fails here
+        const refund = await runInTransaction(async (session) => {
+            const fresh = await orderRepository.findByIdForUpdate(orderId, session);
+            const reserved = this.reserveRefund(fresh, lines, { restock, reason, createdBy: user.id });
+            await fresh.save({ session });
+            return reserved;
+        });
+
+        return await this.settleRefund(orderId, paymentId, refund);
+    }
+
+    // Payment to refund against; orders from before checkouts (see migrations/legacyOrders) may not have one
+    async findPaymentId(order, session = null) {
+        const checkout = order.checkout ? await checkoutRepository.findById(refId(order.checkout), session) : null;
+        return checkout && checkout.paymentResult ? checkout.paymentResult.id || null : null;
+    }
+
+    // Marks the units as refunded and records the refund as PENDING on the loaded order; the caller saves it
+    reserveRefund(order, lines, { restock = false, reason, createdBy, cancellation = false }) {
+        for (const line of lines) {
+            const item = findItem(order, line.item._id);
+            // Guards against a concurrent refund of the same units between the read and this transaction
+            if (line.quantity > refundableUnits(item)) {
+                throw new AppError(`Las unidades de ${item.name} ya fueron reembolsadas`, 409);
+            }
+            item.refundedQuantity += line.quantity;
+        }
+
+        const refund = {
+            _id: new mongoose.Types.ObjectId(),
+            status: 'PENDING',
+            amount: lines.reduce((sum, line) => sum + line.item.price * line.quantity, 0),
+            items: lines.map((line) => ({ item: line.item._id, quantity: line.quantity })),
+            restocked: !!restock,
+            cancellation,
+            reason,
+            createdBy,
+            createdAt: new Date(),
+        };
+        order.refunds.push(refund);
+        return refund;
+    }
+
+    // Pays a reserved refund through the provider and completes it, or releases its units if the provider fails
+    async settleRefund(orderId, paymentId, refund) {
+        let providerRefund;
+        try {
+            providerRefund = await getPaymentProvider().refund(paymentId, refund.amount);
+        } catch (error) {
+            await this.releaseRefund(orderId, refund._id);
+            throw new AppError(`El proveedor de pagos rechazó el reembolso: ${error.message}`, 502);
+        }
+
+        // If this transaction fails the refund stays PENDING with its units reserved, so the payout is never lost
+        return await runInTransaction(async (session) => {
+            const fresh = await orderRepository.findByIdForUpdate(orderId, session);
+            const entry = findRefund(fresh, refund._id);
+            entry.status = 'COMPLETED';
+            entry.providerRefundId = providerRefund.id;
+
+            const restocked = [];
+            const missing = [];
+            for (const line of entry.restocked ? entry.items : []) {
+                const item = findItem(fresh, line.item);
+                // Cancelled units already went back to stock through restockedQuantity
+                const units = Math.min(line.quantity, item.quantity - item.cancelledQuantity - item.returnedQuantity);
+                if (units > 0) {
+                    const returned = await this.restockUnits(item, units, session);
+                    item.returnedQuantity += units;
+                    (returned ? restocked : missing).push(`${itemLabel(item)} x${units}`);
+                }
+            }
+
+            fresh.refundedTotal += entry.amount;
+            fresh.status = fresh.items.every((item) => item.refundedQuantity >= item.paidQuantity)
+                ? 'REFUNDED'
+                : 'PARTIALLY_REFUNDED';
+            fresh.statusHistory.push({
+                status: fresh.status,
+                updatedBy: entry.createdBy,
+                timestamp: new Date(),
+                note: [`Reembolso de ${entry.amount}`, describeRestock(restocked, missing)].filter(Boolean).join('. '),
+            });
+
+            return await fresh.save({ session });
+        });
+    }
+
+    // Undoes a reservation whose payout failed; the entry is kept as FAILED for the record
+    async releaseRefund(orderId, refundId) {
+        await runInTransaction(async (session) => {
+            const fresh = await orderRepository.findByIdForUpdate(orderId, session);
+            const entry = findRefund(fresh, refundId);
+            for (const line of entry.items) {
+                findItem(fresh, line.item).refundedQuantity -= line.quantity;
+            }
+            entry.status = 'FAILED';
+            await fresh.save({ session });
+        });
+    }
+
+    // items: [{ itemId, quantity }] for a partial refund, or empty for every unit not yet refunded
+    resolveRefundLines(order, items) {
+        if (!items || items.length === 0) {
+            return order.items
+                .map((item) => ({ item, quantity: refundableUnits(item) }))
+                .filter((line) => line.quantity > 0);
+        }
+
+        return items.map(({ itemId, quantity }) => {
+            const item = order.items.find((orderItem) => orderItem._id.toString() === String(itemId));
+            if (!item) {
+                throw new AppError(`Item no encontrado en el pedido: ${itemId}`, 404);
+            }
+            const refundable = refundableUnits(item);
+            const units = quantity === undefined ? refundable : Number(quantity);
+            if (!Number.isInteger(units) || units < 1 || units > refundable) {
+                throw new AppError(`Cantidad a reembolsar inválida para ${item.name} (máximo ${refundable})`, 400);
+            }
+            return { item, quantity: units };
+        });
+    }
 }
 
 module.exports = new OrderService();
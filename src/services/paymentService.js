@@ -0,0 +1,35 @@
+const orderService = require('./orderService');
+const { getPaymentProvider } = require('../payments');
+const AppError = require('../utils/AppError');
+
+class PaymentService {
+    async handleWebhook(rawBody, signature) {
+        if (!rawBody) {
+            throw new AppError('Cuerpo del webhook vacío', 400);
+        }
+
+        let event;
+        try {
+            event = getPaymentProvider().verifyWebhook(rawBody, signature);
+        } catch (error) {
+            // Configuration errors (AppError, e.g. a missing secret) keep their status; anything else is a bad signature
+            if (error instanceof AppError) {
+                throw error;
+            }
+            throw new AppError('Firma de webhook inválida', 401);
+        }
+
+        const paymentId = event.data && event.data.paymentId;
+        switch (event.type) {
+            case 'payment.succeeded':
+                return await orderService.confirmPayment(paymentId);
+            case 'payment.failed':
+                return await orderService.failPayment(paymentId);
+            default:
+                // Unknown events are acknowledged so the provider does not keep retrying them
+                return null;
+        }
+    }
+}
+
+module.exports = new PaymentService();
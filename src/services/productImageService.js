@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const productRepository = require('../repositories/productRepository');
+const storeService = require('./storeService');
+const { getStorage } = require('../storage');
+const AppError = require('../utils/AppError');
+
+// Formats detected from the file content (not the client-declared type) and how they are stored
+const IMAGE_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' },
+};
+const MAX_IMAGES_PER_PRODUCT = 10;
+const MAX_IMAGE_DIMENSION = 2000; // Larger originals are scaled down to fit
+const THUMBNAIL_SIZE = 300;
+
+// Validates the real content and builds the stored image plus its square thumbnail.
+// Re-encoding also drops EXIF metadata (e.g. GPS) after applying its orientation
+const processImage = async (file) => {
+    const metadata = await sharp(file.buffer).metadata().catch(() => ({}));
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+        throw new AppError(`El archivo no es una imagen válida: ${file.originalname} (use JPEG, PNG o WebP)`, 415);
+    }
+
+    const { data, info } = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .toFormat(metadata.format)
+        .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .webp()
+        .toBuffer();
+
+    return { ...format, data, thumbnail, size: info.size, width: info.width, height: info.height };
+};
+
+// Best effort: a file left behind is only wasted space, never a broken product
+const removeFiles = async (storage, files) => {
+    for (const file of files) {
+        await Promise.all([storage.delete(file.key), storage.delete(file.thumbnailKey)])
+            .catch((error) => console.error('Image file cleanup error:', error));
+    }
+};
+
+class ProductImageService {
+    async findOwnedProduct(userId, productId) {
+        const product = await productRepository.findById(productId);
+        if (!product) {
+            throw new AppError('Producto no encontrado', 404);
+        }
+        const store = await storeService.findMemberStore(userId, 'products:manage');
+        if (!store || store._id.toString() !== product.store.toString()) {
+            throw new AppError('No autorizado para modificar este producto', 403);
+        }
+        return product;
+    }
+
+    // Every file is validated and processed before anything is stored, so a bad file rejects the whole upload
+    async uploadImages(userId, productId, files, { primary = false } = {}) {
+        if (!files || files.length === 0) {
+            throw new AppError('Adjunte al menos una imagen en el campo "images"');
+        }
+        const product = await this.findOwnedProduct(userId, productId);
+        if (product.images.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+            throw new AppError(`Un producto puede tener máximo ${MAX_IMAGES_PER_PRODUCT} imágenes`);
+        }
+
+        const images = [];
+        for (const file of files) {
+            images.push(await processImage(file));
+        }
+
+        const storage = getStorage();
+        const saved = [];
+        try {
+            for (const image of images) {
+                const base = `products/${product._id}/${crypto.randomUUID()}`;
+                const key = `${base}.${image.extension}`;
+                const thumbnailKey = `${base}-thumb.webp`;
+                saved.push({
+                    url: await storage.save(key, image.data, image.contentType),
+                    thumbnailUrl: await storage.save(thumbnailKey, image.thumbnail, 'image/webp'),
+                    key,
+                    thumbnailKey,
+                    contentType: image.contentType,
+                    size: image.size,
+                    width: image.width,
+                    height: image.height,
+                });
+            }
+        } catch (error) {
+            await removeFiles(storage, saved);
+            throw error;
+        }
+
+        return await productRepository.addImages(product._id, saved, { primary });
+    }
+
+    // New gallery order: the same images, the first one becomes the primary image
+    async reorderImages(userId, productId, order) {
+        const product = await this.findOwnedProduct(userId, productId);
+        const current = [...product.images].sort();
+        if (!Array.isArray(order) || order.length !== current.length || [...order].sort().some((url, i) => url !== current[i])) {
+            throw new AppError('El nuevo orden debe incluir exactamente las imágenes actuales del producto');
+        }
+        return await productRepository.update(product._id, { images: order });
+    }
+
+    // Moves one image to the front of the gallery
+    async setPrimaryImage(userId, productId, url) {
+        const product = await this.findOwnedProduct(userId, productId);
+        if (!product.images.includes(url)) {
+            throw new AppError('La imagen no pertenece al producto', 404);
+        }
+        return await productRepository.update(product._id, {
+            images: [url, ...product.images.filter((image) => image !== url)],
+        });
+    }
+
+    async deleteImage(userId, productId, url) {
+        const product = await this.findOwnedProduct(userId, productId);
+        if (!product.images.includes(url)) {
+            throw new AppError('La imagen no pertenece al producto', 404);
+        }
+        const updated = await productRepository.removeImage(product._id, url);
+        const files = (product.imageFiles || []).filter((file) => file.url === url);
+        await removeFiles(getStorage(), files);
+        return updated;
+    }
+}
+
+module.exports = new ProductImageService();
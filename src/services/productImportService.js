@@ -0,0 +1,192 @@
+const productRepository = require('../repositories/productRepository');
+const storeService = require('./storeService');
+const categoryRepository = require('../repositories/categoryRepository');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { hasVariants } = require('../utils/variants');
+const AppError = require('../utils/AppError');
+
+// Columns of the import and export files, in export order
+const IMPORT_COLUMNS = ['sku', 'name', 'description', 'price', 'stock', 'category', 'images'];
+const MAX_IMPORT_ROWS = 1000;
+// In CSV all the images of a product share one cell
+const IMAGE_SEPARATOR = '|';
+
+// Keeps only the known columns. Empty cells are "not provided": unchanged on updates, missing on creates
+const normalizeRow = (row, format) => {
+    const data = {};
+    for (const column of IMPORT_COLUMNS) {
+        const value = row[column];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        data[column] = column === 'images' && format === 'csv'
+            ? value.split(IMAGE_SEPARATOR).map((url) => url.trim()).filter(Boolean)
+            : value;
+    }
+    if (data.sku !== undefined) {
+        data.sku = String(data.sku).trim();
+    }
+    return data;
+};
+
+// Mongoose ValidationError -> { field: message }; anything else is not a row problem
+const schemaErrors = (error) => {
+    if (error.name !== 'ValidationError') {
+        throw error;
+    }
+    return Object.fromEntries(Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message]));
+};
+
+// Export row with the same shape the import accepts. Stock is left out for products with variants,
+// where it is derived, so a re-import does not try to overwrite it
+const toExportRow = (product) => ({
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    stock: hasVariants(product) ? undefined : product.stock,
+    category: product.category ? product.category.slug : undefined,
+    images: product.images,
+});
+
+class ProductImportService {
+    parseRows(format, body) {
+        if (format === 'csv') {
+            return parseCsv(typeof body === 'string' ? body : '');
+        }
+        if (!Array.isArray(body) || body.some((row) => !row || typeof row !== 'object')) {
+            throw new AppError('El cuerpo debe ser un arreglo de productos');
+        }
+        return body;
+    }
+
+    async findOwnStore(userId) {
+        const store = await storeService.findMemberStore(userId, 'products:manage');
+        if (!store) {
+            throw new AppError('El usuario no tiene una tienda', 404);
+        }
+        return store;
+    }
+
+    // Creates or updates products of the caller's store by SKU. Valid rows are written and invalid
+    // rows reported; with dryRun nothing is written but every row is validated the same way
+    async importProducts(userId, { format, body, dryRun = false }) {
+        const store = await this.findOwnStore(userId);
+        if (store.status !== 'APPROVED') {
+            throw new AppError('La tienda aún no ha sido aprobada', 403);
+        }
+
+        const rows = this.parseRows(format, body).map((row) => normalizeRow(row, format));
+        if (rows.length === 0) {
+            throw new AppError('El archivo no contiene productos');
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throw new AppError(`Se permiten máximo ${MAX_IMPORT_ROWS} productos por importación`);
+        }
+
+        const skus = rows.map((row) => row.sku).filter(Boolean);
+        const existing = new Map(
+            (await productRepository.findByStoreAndSkus(store._id, skus)).map((product) => [product.sku, product])
+        );
+        const context = { store, existing, seenSkus: new Set(), categories: new Map(), dryRun };
+
+        const result = { dryRun, total: rows.length, created: 0, updated: 0, failed: 0, errors: [] };
+        for (const [index, row] of rows.entries()) {
+            const { action, errors } = await this.importRow(row, context);
+            if (errors) {
+                result.failed += 1;
+                result.errors.push({ row: index + 1, sku: row.sku, errors });
+            } else {
+                result[action] += 1;
+            }
+        }
+        return result;
+    }
+
+    // Returns { action: 'created' | 'updated' } or { errors: { field: message } }
+    async importRow(row, context) {
+        const { store, existing, seenSkus, dryRun } = context;
+        const errors = {};
+
+        if (!row.sku) {
+            errors.sku = 'El SKU es obligatorio';
+        } else if (seenSkus.has(row.sku)) {
+            errors.sku = 'SKU repetido en el archivo';
+        }
+        seenSkus.add(row.sku);
+
+        const data = { ...row };
+        if (row.category !== undefined) {
+            const category = await this.resolveCategory(row.category, context.categories);
+            delete data.category;
+            if (category) {
+                data.category = category._id;
+                data.categoryName = category.name;
+            } else {
+                errors.category = `Categoría no encontrada: ${row.category}`;
+            }
+        }
+
+        const current = existing.get(row.sku);
+        if (current && hasVariants(current) && 'stock' in data) {
+            errors.stock = 'El stock de un producto con variantes se gestiona en cada variante';
+        }
+
+        const product = current
+            ? current.set(data)
+            : productRepository.build({
+                ...data,
+                store: store._id,
+                storeName: store.name,
+                storeApproved: store.status === 'APPROVED',
+            });
+        try {
+            await product.validate();
+        } catch (error) {
+            Object.assign(errors, schemaErrors(error));
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return { errors };
+        }
+        if (!dryRun) {
+            try {
+                await productRepository.save(product);
+            } catch (error) {
+                // Another request created the same SKU after the lookup
+                if (error.code === 11000) {
+                    return { errors: { sku: 'Ya existe un producto con este SKU en la tienda' } };
+                }
+                throw error;
+            }
+        }
+        return { action: current ? 'updated' : 'created' };
+    }
+
+    // Category by id or slug, looked up once per distinct value in the file
+    async resolveCategory(value, cache) {
+        const key = String(value);
+        if (!cache.has(key)) {
+            const { doc } = await categoryRepository.findByIdOrSlug(key);
+            cache.set(key, doc);
+        }
+        return cache.get(key);
+    }
+
+    async exportProducts(userId, format = 'json') {
+        if (!['csv', 'json'].includes(format)) {
+            throw new AppError('Formato no soportado, use csv o json');
+        }
+        const store = await this.findOwnStore(userId);
+        const rows = (await productRepository.findAllByStore(store._id)).map(toExportRow);
+        const filename = `productos-${store.slug || store._id}.${format}`;
+
+        if (format === 'csv') {
+            const csvRows = rows.map((row) => ({ ...row, images: (row.images || []).join(IMAGE_SEPARATOR) }));
+            return { filename, format, body: toCsv(csvRows, IMPORT_COLUMNS) };
+        }
+        return { filename, format, body: rows };
+    }
+}
+
+module.exports = new ProductImportService();
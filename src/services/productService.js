@@ -1,9 +1,69 @@
+const mongoose = require('mongoose');
 const productRepository = require('../repositories/productRepository');
 const storeRepository = require('../repositories/storeRepository');
+const storeService = require('./storeService');
+const categoryRepository = require('../repositories/categoryRepository');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const { normalizeSearch, isShortQuery, buildFuzzyPatterns } = require('../utils/search');
+const AppError = require('../utils/AppError');
+const { hasVariants, validateVariants, totalVariantStock } = require('../utils/variants');
+
+// Sort keys accepted by the product listings (?sort=)
+const PRODUCT_LIST_OPTIONS = {
+    sorts: {
+        newest: { createdAt: -1 },
+        price_asc: { price: 1 },
+        price_desc: { price: -1 },
+        name: { name: 1 },
+        relevance: { score: { $meta: 'textScore' } }, // Only valid together with ?search=
+    },
+    defaultSort: 'newest',
+    fields: ['name', 'description', 'price', 'stock', 'images', 'category', 'store', 'createdAt', 'optionAxes', 'variants'],
+};
+
+// Product page settings: how many related products to show and when stock counts as low
+const RELATED_PRODUCTS_LIMIT = 4;
+const LOW_STOCK_THRESHOLD = 5;
+
+// Availability summary for the product page, per variant when the product has them
+const describeAvailability = (product) => {
+    const availability = {
+        inStock: product.stock > 0,
+        status: product.stock <= 0 ? 'OUT_OF_STOCK' : product.stock <= LOW_STOCK_THRESHOLD ? 'LOW_STOCK' : 'IN_STOCK',
+        stock: product.stock,
+    };
+    if (hasVariants(product)) {
+        availability.variants = product.variants.map((variant) => ({
+            _id: variant._id,
+            sku: variant.sku,
+            inStock: variant.stock > 0,
+            stock: variant.stock,
+        }));
+    }
+    return availability;
+};
+
+// Validates the variants of the resulting product and derives its total stock.
+// `current` is the stored product on updates; only the fields being changed are taken from `data`
+const applyVariantRules = (data, current = {}) => {
+    const touchesVariants = 'variants' in data || 'optionAxes' in data;
+    const variants = 'variants' in data ? data.variants || [] : current.variants || [];
+    const optionAxes = 'optionAxes' in data ? data.optionAxes || [] : current.optionAxes || [];
+
+    if (!touchesVariants) {
+        if (variants.length > 0 && 'stock' in data) {
+            throw new AppError('El stock de un producto con variantes se gestiona en cada variante');
+        }
+        return data;
+    }
+
+    validateVariants(optionAxes, variants);
+    return variants.length > 0 ? { ...data, stock: totalVariantStock(variants) } : data;
+};
 
 class ProductService {
     async createProduct(userId, productData) {
-        const store = await storeRepository.findByOwner(userId);
+        const store = await storeService.findMemberStore(userId, 'products:manage');
         if (!store) {
             throw new Error('El usuario no tiene una tienda');
         }
@@ -11,24 +71,145 @@ class ProductService {
             throw new Error('La tienda aún no ha sido aprobada');
         }
 
-        return await productRepository.create({ ...productData, store: store._id });
+        // Uploaded image files are only recorded by productImageService
+        const { imageFiles, ...data } = productData;
+        return await productRepository.create({
+            ...applyVariantRules(data),
+            store: store._id,
+            storeName: store.name,
+            storeApproved: store.status === 'APPROVED',
+            categoryName: await this.resolveCategoryName(productData.category),
+        });
     }
 
-    async getProductsByStore(storeId) {
-        return await productRepository.findByStore(storeId);
+    // Denormalized category name for the text index; undefined when the product has no category
+    async resolveCategoryName(categoryId) {
+        if (!categoryId) {
+            return undefined;
+        }
+        const category = await categoryRepository.findById(categoryId);
+        return category ? category.name : undefined;
     }
 
-    async getAllProducts(filters) {
-        return await productRepository.findAll(filters);
+    // Only admins may opt in to unapproved stores, and only with ?includeAll=true
+    canSeeAllStores(viewer, query) {
+        return !!viewer && viewer.role === 'ADMIN' && query.includeAll === 'true';
     }
 
-    // New method to retrieve a product by its ID
-    async getProductById(productId) {
-        const product = await productRepository.findById(productId);
-        if (!product) {
-            throw new Error('Producto no encontrado');
+    // Unapproved stores are only visible to their staff (owner included) and opted-in admins
+    async canViewStore(store, viewer, query = {}) {
+        if (store.status === 'APPROVED' || this.canSeeAllStores(viewer, query)) {
+            return true;
+        }
+        if (!viewer) {
+            return false;
+        }
+        const ownStore = await storeRepository.findByMember(viewer.id);
+        return !!ownStore && ownStore._id.toString() === store._id.toString();
+    }
+
+    // Which products the viewer may see in the catalog: those of approved stores (Product.storeApproved)
+    // plus the store they work for while it is not approved. Returns null when no store restriction applies
+    async getCatalogVisibility(viewer, query = {}) {
+        if (this.canSeeAllStores(viewer, query)) {
+            return null;
+        }
+        if (viewer && viewer.role === 'STORE') {
+            const ownStore = await storeRepository.findByMember(viewer.id);
+            if (ownStore && ownStore.status !== 'APPROVED') {
+                return { ownStore: ownStore._id };
+            }
+        }
+        return { ownStore: null };
+    }
+
+    // storeIdOrSlug may be an id or a slug; a retired slug fails with 301 and the current one in details
+    async getProductsByStore(storeIdOrSlug, query = {}, viewer = null) {
+        const pagination = parsePagination(query, PRODUCT_LIST_OPTIONS);
+
+        const { doc: store, movedTo } = await storeRepository.findByIdOrSlug(storeIdOrSlug);
+        if (movedTo) {
+            throw new AppError('La tienda cambió de dirección', 301, { from: storeIdOrSlug, to: movedTo });
+        }
+
+        // Unapproved stores look empty to everyone except their staff and opted-in admins
+        if (!store || !await this.canViewStore(store, viewer, query)) {
+            return buildPage([], 0, pagination);
         }
-        return product;
+
+        const { items, total } = await productRepository.findByStore(store._id, pagination);
+        return buildPage(items, total, pagination);
+    }
+
+    // ?category= accepts an id or a slug (current or retired)
+    async resolveCategoryFilter(idOrSlug) {
+        if (mongoose.isObjectIdOrHexString(idOrSlug)) {
+            return idOrSlug;
+        }
+        const { doc } = await categoryRepository.findByIdOrSlug(String(idOrSlug));
+        if (!doc) {
+            throw new AppError('Categoría no encontrada');
+        }
+        return doc._id;
+    }
+
+    async getAllProducts(filters = {}, viewer = null) {
+        const search = normalizeSearch(filters.search);
+        const sort = filters.sort || (search ? 'relevance' : undefined);
+        if (sort === 'relevance' && !search) {
+            throw new AppError('El orden relevance requiere el parámetro search');
+        }
+        const pagination = parsePagination({ ...filters, sort }, PRODUCT_LIST_OPTIONS);
+        const visibility = await this.getCatalogVisibility(viewer, filters);
+
+        // Filtering by a category also matches products of all its subcategories
+        let categories;
+        if (filters.category) {
+            const categoryId = await this.resolveCategoryFilter(filters.category);
+            categories = [categoryId, ...await categoryRepository.findDescendantIds(categoryId)];
+        }
+
+        let query = { ...filters, search, visibility, categories, fuzzySearch: undefined };
+        let { items, total } = await productRepository.findAll(query, pagination);
+
+        // The text index only matches whole words: retry short queries allowing one typo per word
+        if (total === 0 && search && isShortQuery(search)) {
+            const fallbackSort = sort === 'relevance' ? { ...PRODUCT_LIST_OPTIONS.sorts.name, _id: -1 } : pagination.sort;
+            query = { ...query, search: undefined, fuzzySearch: buildFuzzyPatterns(search) };
+            ({ items, total } = await productRepository.findAll(query, { ...pagination, sort: fallbackSort }));
+        }
+
+        const page = buildPage(items, total, pagination);
+
+        // Facet counts use the same query that produced the results (including the typo fallback)
+        if (filters.facets === 'true') {
+            page.facets = await productRepository.getFacets(query);
+        }
+        return page;
+    }
+
+    // Product page by id or slug. Malformed ids, unknown products and products of stores the
+    // viewer cannot see are all a 404, never a cast error
+    async getProductById(idOrSlug, viewer = null, query = {}) {
+        const { doc, movedTo } = await productRepository.findByIdOrSlug(String(idOrSlug));
+        if (movedTo) {
+            throw new AppError('El producto cambió de dirección', 301, { from: idOrSlug, to: movedTo });
+        }
+        // Visibility is checked on the store document, so the populated store only carries public fields
+        const store = doc && doc.store ? await storeRepository.findById(doc.store) : null;
+        if (!store || !await this.canViewStore(store, viewer, query)) {
+            throw new AppError('Producto no encontrado', 404);
+        }
+        const product = await productRepository.populateDetail(doc);
+
+        const related = product.category
+            ? await productRepository.findRelated(product._id, product.category._id, {
+                visibility: await this.getCatalogVisibility(viewer, query),
+                limit: RELATED_PRODUCTS_LIMIT,
+            })
+            : [];
+
+        return { ...product.toJSON(), availability: describeAvailability(product), related };
     }
 
     async updateProduct(userId, productId, updateData) {
@@ -37,12 +218,19 @@ class ProductService {
             throw new Error('Producto no encontrado');
         }
 
-        const store = await storeRepository.findByOwner(userId);
+        const store = await storeService.findMemberStore(userId, 'products:manage');
         if (!store || store._id.toString() !== product.store.toString()) {
             throw new Error('No autorizado para actualizar este producto');
         }
 
-        return await productRepository.update(productId, updateData);
+        // Denormalized names and uploaded image files are derived, never taken from the request
+        const { storeName, storeApproved, categoryName, imageFiles, ...rest } = updateData;
+        const changes = applyVariantRules(rest, product);
+        if ('category' in changes) {
+            changes.categoryName = await this.resolveCategoryName(changes.category);
+        }
+
+        return await productRepository.update(productId, changes);
     }
 
     async deleteProduct(userId, productId) {
@@ -51,7 +239,7 @@ class ProductService {
             throw new Error('Producto no encontrado');
         }
 
-        const store = await storeRepository.findByOwner(userId);
+        const store = await storeService.findMemberStore(userId, 'products:manage');
         if (!store || store._id.toString() !== product.store.toString()) {
             throw new Error('No autorizado para eliminar este producto');
         }
@@ -1,38 +1,297 @@
+const crypto = require('crypto');
 const storeRepository = require('../repositories/storeRepository');
+const productRepository = require('../repositories/productRepository');
+const userRepository = require('../repositories/userRepository');
+const AppError = require('../utils/AppError');
+const { parsePagination, buildPage } = require('../utils/pagination');
+const { STAFF_ROLES, memberRole, roleCan } = require('../utils/storeRoles');
+
+// Admin moderation: PENDING -> APPROVED | REJECTED, APPROVED <-> SUSPENDED.
+// REJECTED -> PENDING is only reachable by the owner through resubmitStore
+const STORE_STATUS_TRANSITIONS = {
+    PENDING: ['APPROVED', 'REJECTED'],
+    APPROVED: ['SUSPENDED'],
+    SUSPENDED: ['APPROVED'],
+    REJECTED: [],
+};
+
+// Statuses that must tell the owner why
+const STATUSES_REQUIRING_REASON = ['REJECTED', 'SUSPENDED'];
+
+// Sort keys accepted by the admin store list (?sort=)
+const STORE_LIST_OPTIONS = {
+    sorts: {
+        newest: { createdAt: -1 },
+        oldest: { createdAt: 1 },
+        name: { name: 1 },
+    },
+    defaultSort: 'newest',
+};
+
+// How long an invitation to join a store's staff stays valid
+const INVITATION_TTL_DAYS = 7;
+
+// Status, ownership and staff are never taken from the owner's request body:
+// they only change through moderation (updateStoreStatus / resubmitStore) and invitations
+const ownerEditableFields = ({
+    status, statusReason, statusHistory, owner, members, invitations, ...fields
+}) => fields;
+
+// Only the hash is stored, so a leaked database does not leak usable invitation links
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const toInvitationSummary = (invitation) => ({
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+});
+
+// What anyone may see of an approved store: no owner, no moderation details
+const toPublicProfile = (store, productCount) => ({
+    _id: store._id,
+    name: store.name,
+    slug: store.slug,
+    description: store.description,
+    logo: store.logo,
+    banner: store.banner,
+    productCount,
+    joinedAt: store.createdAt,
+});
 
 class StoreService {
     async createStore(userId, storeData) {
-        const existingStore = await storeRepository.findByOwner(userId);
+        // Staff members already belong to a store and cannot open another one
+        const existingStore = await storeRepository.findByMember(userId);
         if (existingStore) {
             throw new Error('El usuario ya tiene una tienda');
         }
 
-        return await storeRepository.create({ ...storeData, owner: userId });
+        return await storeRepository.create({ ...ownerEditableFields(storeData), owner: userId });
     }
 
     async getMyStore(userId) {
-        return await storeRepository.findByOwner(userId);
+        return await storeRepository.findByMember(userId);
+    }
+
+    // The store the user works for (as owner or staff). Returns null when the user has no store,
+    // so callers keep their own not-found handling; fails with 403 when the role lacks the permission
+    async findMemberStore(userId, permission = null) {
+        const store = await storeRepository.findByMember(userId);
+        if (!store || !permission) {
+            return store;
+        }
+        const role = memberRole(store, userId);
+        if (!roleCan(role, permission)) {
+            throw new AppError(`El rol ${role} no tiene permiso para esta acción en la tienda`, 403);
+        }
+        return store;
     }
 
-    async getStoreById(id) {
-        return await storeRepository.findById(id);
+    async findManagedStore(userId, permission) {
+        const store = await this.findMemberStore(userId, permission);
+        if (!store) {
+            throw new AppError('Tienda no encontrada', 404);
+        }
+        return store;
     }
 
-    async getAllStores() {
-        return await storeRepository.findAll();
+    // Public profile by id or slug. Stores that are not APPROVED do not exist for the public
+    async getPublicProfile(idOrSlug) {
+        const { doc: store, movedTo } = await storeRepository.findByIdOrSlug(String(idOrSlug));
+        if (movedTo) {
+            throw new AppError('La tienda cambió de dirección', 301, { from: idOrSlug, to: movedTo });
+        }
+        if (!store || store.status !== 'APPROVED') {
+            throw new AppError('Tienda no encontrada', 404);
+        }
+        return toPublicProfile(store, await productRepository.countByStore(store._id));
     }
 
-    async approveStore(storeId) {
-        return await storeRepository.updateStatus(storeId, 'APPROVED');
+    async getAllStores(query = {}) {
+        if (query.status !== undefined && !Object.prototype.hasOwnProperty.call(STORE_STATUS_TRANSITIONS, query.status)) {
+            throw new AppError(`Estado de tienda inválido: ${query.status}`, 400);
+        }
+        const pagination = parsePagination(query, STORE_LIST_OPTIONS);
+        const { items, total } = await storeRepository.findAll({ status: query.status }, pagination);
+        return buildPage(items, total, pagination);
     }
 
-    async updateStore(userId, updateData) {
-        const store = await storeRepository.findByOwner(userId);
+    // Suspending hides the store's products: the catalog only shows APPROVED stores (see productService)
+    async updateStoreStatus(storeId, { status, reason } = {}, admin) {
+        if (!Object.prototype.hasOwnProperty.call(STORE_STATUS_TRANSITIONS, status) || status === 'PENDING') {
+            throw new AppError(`Estado de tienda inválido: ${status}`, 400);
+        }
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (STATUSES_REQUIRING_REASON.includes(status) && !trimmedReason) {
+            throw new AppError(`Se requiere un motivo para el estado ${status}`, 400);
+        }
+
+        const store = await storeRepository.findById(storeId);
         if (!store) {
-            throw new Error('Tienda no encontrada');
+            throw new AppError('Tienda no encontrada', 404);
+        }
+        if (!STORE_STATUS_TRANSITIONS[store.status].includes(status)) {
+            throw new AppError(`Transición de estado no permitida: ${store.status} -> ${status}`, 409);
+        }
+
+        const entry = { status, reason: trimmedReason || undefined, updatedBy: admin.id };
+        return await this.transition(store, entry, STATUSES_REQUIRING_REASON.includes(status) ? trimmedReason : null);
+    }
+
+    // After a rejection the owner fixes the store (PUT /my-store) and sends it back to review
+    async resubmitStore(userId, note) {
+        const store = await this.findManagedStore(userId, 'store:manage');
+        if (store.status !== 'REJECTED') {
+            throw new AppError('Solo una tienda rechazada puede reenviarse a revisión', 409);
+        }
+
+        const reason = typeof note === 'string' && note.trim() ? note.trim() : undefined;
+        return await this.transition(store, { status: 'PENDING', reason, updatedBy: userId });
+    }
+
+    async transition(store, entry, statusReason = null) {
+        const updated = await storeRepository.transitionStatus(store._id, store.status, entry, statusReason);
+        if (!updated) {
+            throw new AppError('El estado de la tienda cambió, intente de nuevo', 409);
+        }
+
+        // Products keep a copy of the approval so the catalog filters on an indexed field
+        await productRepository.syncStoreApproval(store._id, updated.status === 'APPROVED');
+        return updated;
+    }
+
+    async updateStore(userId, updateData) {
+        const store = await this.findManagedStore(userId, 'store:manage');
+        const changes = ownerEditableFields(updateData);
+        const updated = await storeRepository.update(store._id, changes);
+
+        // Products keep a copy of the store name for text search
+        if (changes.name && changes.name !== store.name) {
+            await productRepository.syncStoreName(store._id, updated.name);
+        }
+        return updated;
+    }
+
+    // Owner first (derived from Store.owner), then staff, plus the pending invitations
+    async getMembers(userId) {
+        const { _id } = await this.findManagedStore(userId, 'members:manage');
+        const store = await storeRepository.findWithMembers(_id);
+        return {
+            members: [
+                { user: store.owner, role: 'OWNER', addedAt: store.createdAt },
+                ...store.members.map(({ user, role, addedAt }) => ({ user, role, addedAt })),
+            ],
+            invitations: store.invitations.map(toInvitationSummary),
+        };
+    }
+
+    // The plain token is only returned here; the invitee sends it back to acceptInvitation
+    async inviteMember(userId, { email, role } = {}) {
+        const store = await this.findManagedStore(userId, 'members:manage');
+        if (!STAFF_ROLES.includes(role)) {
+            throw new AppError(`Rol inválido: ${role}. Use ${STAFF_ROLES.join(' o ')}`, 400);
+        }
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (!normalizedEmail) {
+            throw new AppError('El email del invitado es obligatorio', 400);
+        }
+
+        const invitee = await userRepository.findByEmail(normalizedEmail);
+        if (invitee && await storeRepository.findByMember(invitee._id)) {
+            throw new AppError('El usuario ya pertenece a una tienda', 409);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+        const updated = await storeRepository.replaceInvitation(store._id, {
+            email: normalizedEmail,
+            role,
+            tokenHash: hashInvitationToken(token),
+            invitedBy: userId,
+            expiresAt,
+        });
+
+        const invitation = updated.invitations.find((entry) => entry.email === normalizedEmail);
+        return { ...toInvitationSummary(invitation), token };
+    }
+
+    async revokeInvitation(userId, invitationId) {
+        const store = await this.findManagedStore(userId, 'members:manage');
+        // Checked against the loaded store first, so a malformed id is a 404 and not a cast error
+        const exists = store.invitations.some((entry) => entry._id.toString() === String(invitationId));
+        const updated = exists && await storeRepository.removeInvitation(store._id, invitationId);
+        if (!updated) {
+            throw new AppError('Invitación no encontrada', 404);
+        }
+        return updated;
+    }
+
+    // Only the user the invitation was sent to may accept it, and only if they have no store yet
+    async acceptInvitation(userId, token) {
+        const tokenHash = hashInvitationToken(token);
+        const store = token ? await storeRepository.findByInvitationToken(tokenHash) : null;
+        const invitation = store && store.invitations.find((entry) => entry.tokenHash === tokenHash);
+        if (!invitation) {
+            throw new AppError('Invitación no encontrada', 404);
+        }
+        if (invitation.expiresAt < new Date()) {
+            throw new AppError('La invitación ha caducado, pida una nueva', 410);
+        }
+
+        const user = await userRepository.findById(userId);
+        if (!user || user.email !== invitation.email) {
+            throw new AppError('La invitación fue enviada a otro email', 403);
+        }
+        if (await storeRepository.findByMember(userId)) {
+            throw new AppError('El usuario ya pertenece a una tienda', 409);
+        }
+
+        const updated = await storeRepository.acceptInvitation(store._id, invitation._id, {
+            user: userId,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy,
+        });
+        if (!updated) {
+            throw new AppError('Invitación no encontrada', 404);
+        }
+        return updated;
+    }
+
+    async updateMemberRole(userId, memberId, role) {
+        const store = await this.findManagedStore(userId, 'members:manage');
+        if (!STAFF_ROLES.includes(role)) {
+            throw new AppError(`Rol inválido: ${role}. Use ${STAFF_ROLES.join(' o ')}`, 400);
+        }
+        const currentRole = memberRole(store, memberId);
+        if (currentRole === 'OWNER') {
+            throw new AppError('El rol del dueño de la tienda no se puede cambiar', 400);
+        }
+        if (!currentRole) {
+            throw new AppError('Miembro no encontrado', 404);
+        }
+        const updated = await storeRepository.updateMemberRole(store._id, memberId, role);
+        if (!updated) {
+            throw new AppError('Miembro no encontrado', 404);
+        }
+        return updated;
+    }
+
+    async removeMember(userId, memberId) {
+        const store = await this.findManagedStore(userId, 'members:manage');
+        const currentRole = memberRole(store, memberId);
+        if (currentRole === 'OWNER') {
+            throw new AppError('El dueño no se puede quitar de su tienda', 400);
+        }
+        if (!currentRole) {
+            throw new AppError('Miembro no encontrado', 404);
+        }
+        const updated = await storeRepository.removeMember(store._id, memberId);
+        if (!updated) {
+            throw new AppError('Miembro no encontrado', 404);
         }
-        return await storeRepository.update(store._id, updateData);
+        return updated;
     }
 }
 
-module.exports = new StoreService();
+module.exports = new StoreService();
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * LocalStorageAdapter.js - Almacenamiento en el sistema de archivos local
+ *
+ * Propósito: Guardar los archivos subidos en disco (almacenamiento por defecto)
+ *
+ * Configuración:
+ * - UPLOAD_DIR: Carpeta donde se guardan los archivos (default: uploads)
+ * - UPLOAD_PUBLIC_URL: Prefijo de las URLs públicas (default: /uploads)
+ *
+ * app.js sirve UPLOAD_DIR como archivos estáticos en /uploads.
+ * Adecuado para desarrollo o un solo servidor; con varias instancias
+ * se necesita un almacenamiento compartido (S3 o compatible).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Carpeta raíz de los archivos
+     * @param {string} options.publicUrl - Prefijo de las URLs públicas
+     */
+    constructor({ directory, publicUrl } = {}) {
+        super('local');
+        this.directory = path.resolve(directory || process.env.UPLOAD_DIR || 'uploads');
+        this.publicUrl = (publicUrl || process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+    }
+
+    // Keys come from the services, but are still kept inside the upload directory
+    resolve(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(this.directory + path.sep)) {
+            throw new Error(`Clave de archivo no válida: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, body) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+        return `${this.publicUrl}/${key}`;
+    }
+
+    async delete(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+}
+
+module.exports = LocalStorageAdapter;
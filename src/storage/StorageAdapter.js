@@ -0,0 +1,52 @@
+/**
+ * StorageAdapter.js - Interfaz de almacenamiento de archivos
+ *
+ * Propósito: Definir el contrato que debe cumplir cualquier almacenamiento de archivos
+ *
+ * Responsabilidades de una implementación:
+ * - save: Guardar un archivo bajo una clave y retornar su URL pública
+ * - delete: Eliminar un archivo por su clave
+ *
+ * El contrato sigue el modelo de S3 (clave + cuerpo + content type, URL pública
+ * derivada de la clave) para que un almacenamiento S3 o compatible (MinIO,
+ * DigitalOcean Spaces, R2) se agregue sin cambiar los servicios:
+ * - save -> PutObject(Bucket, Key, Body, ContentType)
+ * - delete -> DeleteObject(Bucket, Key)
+ *
+ * Implementaciones:
+ * - LocalStorageAdapter: Sistema de archivos local, servido por Express en /uploads
+ * - (futuro) S3StorageAdapter
+ *
+ * Usado por: productImageService (a través de storage/index.js)
+ */
+
+class StorageAdapter {
+    /**
+     * @param {string} name - Identificador del almacenamiento
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Guardar un archivo
+     * @param {string} key - Ruta relativa del archivo (ej: products/<id>/<nombre>.webp)
+     * @param {Buffer} body - Contenido
+     * @param {string} contentType - Tipo MIME (ej: image/webp)
+     * @returns {Promise<string>} URL pública del archivo
+     */
+    async save(key, body, contentType) {
+        throw new Error(`${this.name}: save no implementado`);
+    }
+
+    /**
+     * Eliminar un archivo (no falla si ya no existe)
+     * @param {string} key - Ruta relativa del archivo
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error(`${this.name}: delete no implementado`);
+    }
+}
+
+module.exports = StorageAdapter;
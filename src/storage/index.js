@@ -0,0 +1,48 @@
+/**
+ * storage/index.js - Selección del almacenamiento de archivos
+ *
+ * Propósito: Exponer una única instancia del almacenamiento configurado
+ *
+ * Configuración:
+ * - STORAGE_DRIVER: Nombre del almacenamiento (default: 'local')
+ *
+ * Para agregar un almacenamiento S3 o compatible:
+ * 1. Crear una clase que extienda StorageAdapter
+ * 2. Registrarla en el objeto drivers
+ *
+ * En tests se puede inyectar un almacenamiento con setStorage()
+ */
+
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+
+const drivers = {
+    local: () => new LocalStorageAdapter(),
+};
+
+let currentStorage = null;
+
+/**
+ * Obtener el almacenamiento configurado (se crea una sola vez)
+ * @returns {StorageAdapter}
+ * @throws {Error} Si STORAGE_DRIVER no corresponde a un almacenamiento registrado
+ */
+const getStorage = () => {
+    if (!currentStorage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[name]) {
+            throw new Error(`Almacenamiento no soportado: ${name}`);
+        }
+        currentStorage = drivers[name]();
+    }
+    return currentStorage;
+};
+
+/**
+ * Reemplazar el almacenamiento (útil en tests)
+ * @param {StorageAdapter|null} storage - null vuelve a la configuración por defecto
+ */
+const setStorage = (storage) => {
+    currentStorage = storage;
+};
+
+module.exports = { getStorage, setStorage };
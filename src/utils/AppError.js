@@ -0,0 +1,33 @@
+/**
+ * AppError.js - Error de aplicación con código HTTP
+ *
+ * Propósito: Permitir que los servicios indiquen el código de estado HTTP
+ * adecuado sin depender de Express
+ *
+ * Uso:
+ * - Los servicios lanzan AppError cuando el error no es un simple 400
+ * - Los controladores responden con error.statusCode (o su código por defecto)
+ * - details es opcional y se envía al cliente junto al mensaje
+ *
+ * @example
+ * throw new AppError('Stock insuficiente', 409, { products: [...] });
+ *
+ * // En el controlador:
+ * res.status(error.statusCode || 400).json({ message: error.message, details: error.details });
+ */
+
+class AppError extends Error {
+    /**
+     * @param {string} message - Mensaje legible para el cliente
+     * @param {number} statusCode - Código HTTP (default: 400)
+     * @param {Object} [details] - Información adicional para el cliente
+     */
+    constructor(message, statusCode = 400, details) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = AppError;
@@ -0,0 +1,106 @@
+/**
+ * csv.js - Lectura y escritura de CSV
+ *
+ * Propósito: Convertir entre texto CSV y objetos para la importación/exportación de productos
+ *
+ * Formato (RFC 4180):
+ * - Primera fila: encabezados (nombres de campo)
+ * - Separador coma; los valores con coma, comillas o saltos de línea van entre comillas dobles
+ * - Una comilla dentro de un valor se escribe doble ("")
+ * - Acepta fin de línea \n o \r\n y un BOM inicial (archivos guardados desde Excel)
+ *
+ * Usado por: productImportService
+ */
+
+const AppError = require('./AppError');
+
+// Splits CSV text into rows of raw string cells, honouring quoted values
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new AppError('CSV no válido: comillas sin cerrar');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Convertir texto CSV en objetos usando la primera fila como encabezados
+ *
+ * @param {string} text - Contenido CSV
+ * @returns {Object[]} Un objeto por fila; las filas en blanco se omiten
+ * @throws {AppError} 400 si el CSV está mal formado o una fila no coincide con los encabezados
+ *
+ * @example
+ * parseCsv('sku,name\nA-1,"Mouse, inalámbrico"')
+ * // [{ sku: 'A-1', name: 'Mouse, inalámbrico' }]
+ */
+const parseCsv = (text) => {
+    const [header, ...rows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+    const columns = header.map((column) => column.trim());
+
+    return rows
+        .filter((cells) => cells.some((value) => value.trim() !== ''))
+        .map((cells, index) => {
+            if (cells.length !== columns.length) {
+                throw new AppError(`CSV no válido: la fila ${index + 1} tiene ${cells.length} columnas, se esperaban ${columns.length}`);
+            }
+            return Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+        });
+};
+
+const escapeCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convertir objetos en texto CSV
+ *
+ * @param {Object[]} rows - Filas a exportar
+ * @param {string[]} columns - Encabezados, en orden
+ * @returns {string} CSV con encabezados y fin de línea \r\n
+ */
+const toCsv = (rows, columns) =>
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((cells) => cells.map(escapeCell).join(','))
+        .join('\r\n');
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,100 @@
+/**
+ * pagination.js - Utilidades de paginación para listados
+ *
+ * Propósito: Aplicar el mismo contrato de paginación a todos los endpoints de listado
+ *
+ * Contrato (query string):
+ * - page: Número de página, empieza en 1 (default: 1)
+ * - limit: Elementos por página (default: 20, máximo: 100)
+ * - sort: Clave de orden permitida por el endpoint (ej: price_asc, newest)
+ * - fields: Campos a incluir separados por coma (solo en endpoints que lo permiten)
+ *
+ * Respuesta (envelope):
+ * {
+ *   data: [...],       // Elementos de la página
+ *   page: 1,           // Página actual
+ *   limit: 20,         // Tamaño de página aplicado
+ *   total: 134,        // Total de elementos que cumplen los filtros
+ *   totalPages: 7      // Total de páginas
+ * }
+ *
+ * Usado por: productService, orderService
+ */
+
+const AppError = require('./AppError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Convierte un parámetro de query en entero positivo
+ * @returns {number|undefined} undefined si el parámetro no se envió
+ * @throws {AppError} 400 si no es un entero >= 1
+ */
+const parsePositiveInt = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new AppError(`El parámetro ${name} debe ser un entero mayor o igual a 1`);
+    }
+    return number;
+};
+
+/**
+ * Leer los parámetros de paginación de la query
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options - Configuración del endpoint
+ * @param {Object} options.sorts - Mapa clave de orden -> objeto sort de Mongo
+ * @param {string} options.defaultSort - Clave usada si no se envía sort
+ * @param {string[]} [options.fields] - Campos seleccionables (si se omite, fields no se admite)
+ * @returns {{ page, limit, skip, sort, select }} Opciones listas para el repositorio
+ * @throws {AppError} 400 si page, limit, sort o fields no son válidos
+ *
+ * @example
+ * const pagination = parsePagination(req.query, {
+ *   sorts: { newest: { createdAt: -1 } },
+ *   defaultSort: 'newest'
+ * });
+ */
+const parsePagination = (query = {}, { sorts, defaultSort, fields } = {}) => {
+    const page = parsePositiveInt(query.page, 'page') || 1;
+    const limit = Math.min(parsePositiveInt(query.limit, 'limit') || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const sortKey = query.sort || defaultSort;
+    if (!sorts[sortKey]) {
+        throw new AppError(`Orden no válido. Opciones: ${Object.keys(sorts).join(', ')}`);
+    }
+    // _id como desempate para que el orden entre páginas sea estable
+    const sort = { ...sorts[sortKey], _id: sorts[sortKey]._id || -1 };
+
+    let select;
+    if (query.fields && fields) {
+        const requested = String(query.fields).split(',').map((field) => field.trim()).filter(Boolean);
+        const invalid = requested.filter((field) => !fields.includes(field));
+        if (invalid.length > 0) {
+            throw new AppError(`Campos no válidos: ${invalid.join(', ')}`);
+        }
+        select = requested.join(' ');
+    }
+
+    return { page, limit, skip: (page - 1) * limit, sort, select };
+};
+
+/**
+ * Construir el envelope de respuesta paginada
+ *
+ * @param {Array} items - Elementos de la página
+ * @param {number} total - Total de elementos que cumplen los filtros
+ * @param {{ page, limit }} pagination - Resultado de parsePagination
+ * @returns {{ data, page, limit, total, totalPages }}
+ */
+const buildPage = (items, total, { page, limit }) => ({
+    data: items,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+});
+
+module.exports = { parsePagination, buildPage, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,126 @@
+/**
+ * search.js - Utilidades de búsqueda de texto
+ *
+ * Propósito: Preparar de forma segura el texto de búsqueda enviado por el usuario
+ *
+ * Responsabilidades:
+ * - Normalizar y limitar la longitud del texto de búsqueda
+ * - Escapar caracteres especiales antes de construir cualquier RegExp
+ * - Construir patrones tolerantes a tildes y a un error de tipeo
+ *   (fallback para búsquedas cortas que el índice de texto no encuentra)
+ *
+ * Nota: La búsqueda principal usa el índice de texto de Product ($text),
+ * que ya ignora tildes y mayúsculas. Estos patrones solo se usan como respaldo.
+ *
+ * Usado por: productService
+ */
+
+const AppError = require('./AppError');
+
+const MAX_SEARCH_LENGTH = 100;
+
+// Búsquedas con pocas palabras cortas admiten tolerancia a errores de tipeo
+const SHORT_QUERY_MAX_TERMS = 2;
+const SHORT_QUERY_MAX_LENGTH = 30;
+
+// Términos más cortos que esto se buscan sin tolerancia (serían demasiado amplios)
+const FUZZY_MIN_TERM_LENGTH = 4;
+
+// Variantes con tilde de cada letra base (español)
+const ACCENT_CLASSES = {
+    a: '[aáàâä]',
+    e: '[eéèêë]',
+    i: '[iíìîï]',
+    o: '[oóòôö]',
+    u: '[uúùûü]',
+    n: '[nñ]',
+    c: '[cç]',
+};
+
+/**
+ * Escapar caracteres con significado especial en expresiones regulares
+ * @param {string} text - Texto del usuario
+ * @returns {string} Texto seguro para usar dentro de new RegExp()
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Quitar tildes y pasar a minúsculas ("Electrónica" -> "electronica")
+ */
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Normalizar el parámetro search
+ *
+ * @param {*} search - Valor recibido en req.query.search
+ * @returns {string|undefined} Texto sin espacios sobrantes, o undefined si está vacío
+ * @throws {AppError} 400 si no es texto o supera MAX_SEARCH_LENGTH caracteres
+ */
+const normalizeSearch = (search) => {
+    if (search === undefined || search === null) return undefined;
+    if (typeof search !== 'string') {
+        throw new AppError('El parámetro search debe ser texto');
+    }
+    const normalized = search.trim().replace(/\s+/g, ' ');
+    if (normalized.length > MAX_SEARCH_LENGTH) {
+        throw new AppError(`La búsqueda no puede superar ${MAX_SEARCH_LENGTH} caracteres`);
+    }
+    return normalized || undefined;
+};
+
+/**
+ * Indica si la búsqueda es lo bastante corta para aplicar tolerancia a errores
+ */
+const isShortQuery = (search) =>
+    search.length <= SHORT_QUERY_MAX_LENGTH && search.split(' ').length <= SHORT_QUERY_MAX_TERMS;
+
+// Patrón de una letra: clase con tildes, comodín (null) o carácter escapado
+const charPattern = (char) => {
+    if (char === null) return '.';
+    return ACCENT_CLASSES[char] || escapeRegex(char);
+};
+
+// Inicio de palabra: sin él, "able" (variante de "cable") coincidiría dentro de "portable"
+const WORD_START = '(?:^|[^a-z0-9áéíóúüñ])';
+
+/**
+ * Variantes de un término a una edición de distancia
+ * (una letra cambiada, una letra de más o una letra faltante)
+ * Cada variante es un array de letras donde null representa cualquier carácter
+ */
+const oneEditVariants = (letters) => {
+    const variants = [letters];
+    for (let i = 0; i < letters.length; i++) {
+        variants.push([...letters.slice(0, i), null, ...letters.slice(i + 1)]); // Letra cambiada
+        variants.push([...letters.slice(0, i), ...letters.slice(i + 1)]);       // Letra de más
+    }
+    for (let i = 0; i <= letters.length; i++) {
+        variants.push([...letters.slice(0, i), null, ...letters.slice(i)]);     // Letra faltante
+    }
+    return variants;
+};
+
+/**
+ * Construir un patrón por término de búsqueda, insensible a tildes y mayúsculas
+ * Cada término debe coincidir al inicio de una palabra del nombre
+ *
+ * @param {string} search - Texto ya normalizado con normalizeSearch
+ * @returns {RegExp[]} Un RegExp por término; un producto coincide si cumple todos
+ *
+ * @example
+ * buildFuzzyPatterns('lapto') // coincide con "Laptop", "Láptop", "lapt0"...
+ * buildFuzzyPatterns('cable') // coincide con "Cable USB", no con "Mesa portable"
+ */
+const buildFuzzyPatterns = (search) =>
+    stripAccents(search).split(' ').map((term) => {
+        const letters = [...term];
+        const variants = letters.length >= FUZZY_MIN_TERM_LENGTH ? oneEditVariants(letters) : [letters];
+        const alternatives = variants.map((variant) => variant.map(charPattern).join(''));
+        return new RegExp(`${WORD_START}(?:${[...new Set(alternatives)].join('|')})`, 'i');
+    });
+
+module.exports = {
+    normalizeSearch,
+    isShortQuery,
+    buildFuzzyPatterns,
+};
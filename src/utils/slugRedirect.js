@@ -0,0 +1,38 @@
+/**
+ * slugRedirect.js - Redirección de slugs anteriores
+ *
+ * Propósito: Mantener funcionando las URLs viejas después de renombrar
+ * un producto, tienda o categoría
+ *
+ * Flujo:
+ * 1. El servicio resuelve el parámetro con findByIdOrSlug (ver plugins/slugPlugin)
+ * 2. Si coincidió con un slug anterior, lanza AppError 301 con details { from, to }
+ * 3. El controlador responde con redirectToSlug: 301 a la misma URL con el slug actual
+ *
+ * La URL se reconstruye desde la ruta de Express (req.baseUrl + req.route.path),
+ * reemplazando solo el parámetro que contenía el slug anterior: un slug igual a
+ * otro segmento de la ruta (ej: la tienda "store" en /products/store/store) no
+ * altera el resto de la URL. El query string se conserva.
+ *
+ * @example
+ * // GET /api/v1/categories/computacion  (renombrada a "Computadores")
+ * // -> 301 Location: /api/v1/categories/computadores
+ */
+
+/**
+ * Responder 301 a la misma URL reemplazando el slug anterior por el actual
+ *
+ * @param {Request} req - Request de Express
+ * @param {Response} res - Response de Express
+ * @param {{ from: string, to: string }} details - Slug anterior y slug actual
+ */
+const redirectToSlug = (req, res, { from, to }) => {
+    const path = req.route.path.replace(/:(\w+)/g, (match, name) => (
+        encodeURIComponent(req.params[name] === from ? to : req.params[name])
+    ));
+    const queryStart = req.originalUrl.indexOf('?');
+    const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+    return res.redirect(301, `${req.baseUrl}${path}${query}`);
+};
+
+module.exports = { redirectToSlug };
@@ -0,0 +1,34 @@
+/**
+ * slugify.js - Generación de slugs para URLs
+ *
+ * Propósito: Convertir nombres en identificadores legibles para URLs públicas
+ *
+ * Reglas:
+ * - Minúsculas y sin tildes ("Electrónica" -> "electronica", "Niños" -> "ninos")
+ * - Cualquier carácter que no sea letra o número se convierte en "-"
+ * - Sin guiones repetidos ni al inicio/final
+ * - Máximo SLUG_MAX_LENGTH caracteres
+ *
+ * Usado por: models/plugins/slugPlugin
+ *
+ * @example
+ * slugify('Portátiles & Accesorios 2024') // "portatiles-accesorios-2024"
+ */
+
+const SLUG_MAX_LENGTH = 80;
+
+/**
+ * @param {string} text - Texto de origen (normalmente el nombre)
+ * @returns {string} Slug (puede ser vacío si el texto no tiene letras ni números)
+ */
+const slugify = (text) =>
+    String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/-+$/, '');
+
+module.exports = { slugify };
@@ -0,0 +1,65 @@
+/**
+ * storeRoles.js - Roles y permisos del personal de una tienda
+ *
+ * Propósito: Centralizar qué puede hacer cada miembro de una tienda
+ *
+ * Roles:
+ * - OWNER: el dueño (Store.owner). Todo, incluida la configuración de la tienda y su personal
+ * - MANAGER: gestiona productos y pedidos (incluye cancelar y reembolsar)
+ * - FULFILLMENT: ve los pedidos y los marca como enviados o entregados
+ *
+ * El rol OWNER no se guarda en Store.members: se deriva de Store.owner,
+ * así las tiendas creadas antes del personal no necesitan migración.
+ *
+ * Usado por: storeService, productService, orderService
+ */
+
+/**
+ * Roles que se pueden asignar al invitar (el OWNER no se invita)
+ */
+const STAFF_ROLES = ['MANAGER', 'FULFILLMENT'];
+
+/**
+ * Permisos de cada rol
+ */
+const STORE_ROLE_PERMISSIONS = {
+    OWNER: [
+        'store:manage',
+        'members:manage',
+        'products:manage',
+        'orders:view',
+        'orders:fulfil',
+        'orders:cancel',
+        'orders:refund',
+    ],
+    MANAGER: ['products:manage', 'orders:view', 'orders:fulfil', 'orders:cancel', 'orders:refund'],
+    FULFILLMENT: ['orders:view', 'orders:fulfil'],
+};
+
+/**
+ * Id de una referencia como string, esté poblada (documento) o no (ObjectId)
+ */
+const refId = (ref) => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Rol del usuario en la tienda
+ * @returns {string|null} OWNER | MANAGER | FULFILLMENT, o null si no es miembro
+ */
+const memberRole = (store, userId) => {
+    if (!store || !userId) return null;
+    if (refId(store.owner) === String(userId)) return 'OWNER';
+    const member = (store.members || []).find((entry) => refId(entry.user) === String(userId));
+    return member ? member.role : null;
+};
+
+/**
+ * Indica si el rol tiene el permiso (un rol null no tiene ninguno)
+ */
+const roleCan = (role, permission) => !!role && STORE_ROLE_PERMISSIONS[role].includes(permission);
+
+module.exports = {
+    STAFF_ROLES,
+    refId,
+    memberRole,
+    roleCan,
+};
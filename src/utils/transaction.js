@@ -0,0 +1,54 @@
+/**
+ * transaction.js - Utilidad para transacciones de MongoDB
+ *
+ * Propósito: Ejecutar varias operaciones de base de datos de forma atómica
+ *
+ * Responsabilidades:
+ * - Abrir una sesión de Mongoose
+ * - Ejecutar el callback dentro de una transacción (commit o abort completo)
+ * - Reintentar automáticamente ante errores transitorios (withTransaction)
+ * - Cerrar siempre la sesión al terminar
+ *
+ * Requisitos:
+ * - MongoDB debe ejecutarse como replica set (Atlas lo hace por defecto)
+ * - En tests se usa MongoMemoryReplSet de mongodb-memory-server
+ *
+ * Usado por: orderService
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Ejecutar un callback dentro de una transacción
+ *
+ * @param {Function} work - async (session) => resultado
+ * @returns {Promise<*>} Valor retornado por el callback tras el commit
+ * @throws {Error} El error lanzado por el callback (la transacción se aborta)
+ *
+ * @description
+ * Todas las operaciones de repositorio dentro del callback deben recibir
+ * la sesión para formar parte de la transacción.
+ *
+ * Nota: withTransaction puede ejecutar el callback más de una vez si ocurre
+ * un error transitorio, por lo que el callback no debe tener efectos fuera de la BD.
+ *
+ * @example
+ * const order = await runInTransaction(async (session) => {
+ *   await productRepository.update(productId, { stock: 5 }, session);
+ *   return await orderRepository.create(orderData, session);
+ * });
+ */
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = { runInTransaction };
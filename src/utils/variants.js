@@ -0,0 +1,118 @@
+/**
+ * variants.js - Utilidades para variantes de producto
+ *
+ * Propósito: Centralizar las reglas de variantes (talla, color...) que comparten
+ * productos, carrito y pedidos
+ *
+ * Reglas:
+ * - Un producto sin variantes se compra a nivel de producto (price y stock propios)
+ * - Un producto con variantes exige elegir una variante en el carrito y en el pedido
+ * - Cada variante define un valor para cada eje de optionAxes, sin combinaciones repetidas
+ * - El precio de la variante, si existe, reemplaza al del producto
+ * - El stock del producto es la suma del stock de sus variantes
+ *
+ * Usado por: productService, cartService, orderService
+ */
+
+const AppError = require('./AppError');
+
+// Works for Mongoose Maps (documents) and plain objects (request bodies)
+const optionValue = (options, axisName) =>
+    options instanceof Map ? options.get(axisName) : (options || {})[axisName];
+
+const optionCount = (options) =>
+    options instanceof Map ? options.size : Object.keys(options || {}).length;
+
+// Missing values fall back to the schema default (stock 0, product price)
+const isValidAmount = (value) =>
+    value === undefined || value === null || (Number.isFinite(Number(value)) && Number(value) >= 0);
+
+/**
+ * Indica si el producto se vende por variantes
+ */
+const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
+
+/**
+ * Buscar una variante del producto por su _id
+ * @returns {Object|null} La variante, o null si no existe o no se indicó
+ */
+const findVariant = (product, variantId) => {
+    if (!variantId || !hasVariants(product)) return null;
+    return product.variants.find((variant) => variant._id.toString() === String(variantId)) || null;
+};
+
+/**
+ * Precio a cobrar: el de la variante si lo define, si no el del producto
+ */
+const effectivePrice = (product, variant) =>
+    (variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price);
+
+/**
+ * Validar ejes y variantes de un producto
+ *
+ * @param {Array} optionAxes - [{ name: "Talla", values: ["S", "M", "L"] }]
+ * @param {Array} variants - [{ sku, options: { Talla: "M" }, price?, stock }]
+ * @throws {AppError} 400 si falta un eje, un valor no existe, un SKU o una combinación se repite,
+ * o si el stock o el precio de una variante no es un número mayor o igual a 0
+ *
+ * Nota: productRepository.update no ejecuta los validadores del schema, por eso
+ * el stock y el precio de las variantes se validan aquí también al actualizar
+ */
+const validateVariants = (optionAxes = [], variants = []) => {
+    if (variants.length === 0) {
+        if (optionAxes.length > 0) {
+            throw new AppError('Los ejes de opciones requieren al menos una variante');
+        }
+        return;
+    }
+    if (optionAxes.length === 0) {
+        throw new AppError('Las variantes requieren ejes de opciones (optionAxes)');
+    }
+
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of variants) {
+        if (!variant.sku) {
+            throw new AppError('Cada variante requiere un SKU');
+        }
+        if (skus.has(variant.sku)) {
+            throw new AppError(`SKU de variante repetido: ${variant.sku}`);
+        }
+        skus.add(variant.sku);
+
+        if (!isValidAmount(variant.stock)) {
+            throw new AppError(`El stock de la variante ${variant.sku} debe ser un número mayor o igual a 0`);
+        }
+        if (!isValidAmount(variant.price)) {
+            throw new AppError(`El precio de la variante ${variant.sku} debe ser un número mayor o igual a 0`);
+        }
+
+        for (const axis of optionAxes) {
+            if (!axis.values.includes(optionValue(variant.options, axis.name))) {
+                throw new AppError(`La variante ${variant.sku} no tiene un valor válido para ${axis.name}`);
+            }
+        }
+        if (optionCount(variant.options) !== optionAxes.length) {
+            throw new AppError(`La variante ${variant.sku} tiene opciones que no están en optionAxes`);
+        }
+
+        const combination = optionAxes.map((axis) => optionValue(variant.options, axis.name)).join('|');
+        if (combinations.has(combination)) {
+            throw new AppError(`La variante ${variant.sku} repite una combinación de opciones`);
+        }
+        combinations.add(combination);
+    }
+};
+
+/**
+ * Stock total de un producto con variantes
+ */
+const totalVariantStock = (variants) => variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0);
+
+module.exports = {
+    hasVariants,
+    findVariant,
+    effectivePrice,
+    validateVariants,
+    totalVariantStock,
+};
@@ -13,7 +13,8 @@
  * Casos de Prueba:
  * 1. POST /api/v1/auth/register - Registro exitoso
  * 2. POST /api/v1/auth/login - Login exitoso
- * 3. POST /api/v1/auth/google - Google login simulado
+ * 3. POST /api/v1/auth/google-login - Google login con ID token verificado
+ * 4. POST /api/v1/auth/refresh y /logout - Rotación, reutilización y revocación de sesiones
  */
 
 const request = require('supertest');
@@ -125,34 +126,172 @@ describe('Auth API - Tests de Integración', () => {
     });
 
     /**
-     * Test 3: POST /api/v1/auth/google - Google Login Simulado
+     * Test 3: POST /api/v1/auth/google-login - Google Login con ID Token
      * 
      * Qué prueba:
-     * - El endpoint puede autenticar con Google (simulado)
-     * - Crea usuario nuevo si no existe
-     * - Retorna token JWT
+     * - El ID token se verifica (firma, audiencia, emisor) antes de autenticar
+     * - Crea usuario nuevo si no existe y retorna token JWT
+     * - Una cuenta existente solo se vincula si el email está verificado
      * 
      * Dependencias:
-     * -Endpoint de Google login implementado
+     * - StaticKeyProvider con una clave RSA generada en el test (sin red)
      * - MongoDB en memoria
      */
-    test('POST /api/v1/auth/google debe autenticar con Google', async () => {
-        // Arrange
-        const googleData = {
-            email: 'google@example.com',
-            googleId: 'google_unique_id_123'
-        };
+    describe('POST /api/v1/auth/google-login', () => {
+        const jwt = require('jsonwebtoken');
+        const crypto = require('crypto');
+        const { setGoogleKeyProvider } = require('../../src/identity');
+        const StaticKeyProvider = require('../../src/identity/StaticKeyProvider');
 
-        // Act
-        const response = await request(app)
-            .post('/api/v1/auth/google-login')
-            .send(googleData)
-            .expect('Content-Type', /json/)
+        const clientId = 'client-id.apps.googleusercontent.com';
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        const googleToken = (claims = {}, options = {}) => jwt.sign(
+            { sub: 'google_unique_id_123', email: 'google@example.com', email_verified: true, ...claims },
+            privateKey,
+            { algorithm: 'RS256', keyid: 'kid1', audience: clientId, issuer: 'https://accounts.google.com', expiresIn: '5m', ...options }
+        );
+
+        beforeAll(() => {
+            process.env.GOOGLE_CLIENT_ID = clientId;
+            setGoogleKeyProvider(new StaticKeyProvider({ kid1: publicKey }));
+        });
+
+        afterAll(() => {
+            delete process.env.GOOGLE_CLIENT_ID;
+            setGoogleKeyProvider(null);
+        });
+
+        test('debe autenticar con un ID token válido', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/v1/auth/google-login')
+                .send({ idToken: googleToken() })
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            // Assert
+            expect(response.body.user).toBeDefined();
+            expect(response.body.user.email).toBe('google@example.com');
+            expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+        });
+
+        test('debe rechazar un ID token para otra audiencia', async () => {
+            await request(app)
+                .post('/api/v1/auth/google-login')
+                .send({ idToken: googleToken({}, { audience: 'otra-app.apps.googleusercontent.com' }) })
+                .expect(401);
+        });
+
+        test('no debe vincular una cuenta existente con email sin verificar', async () => {
+            // Arrange
+            await request(app)
+                .post('/api/v1/auth/register')
+                .send({ email: 'google@example.com', password: 'password123' })
+                .expect(201);
+
+            // Act
+            await request(app)
+                .post('/api/v1/auth/google-login')
+                .send({ idToken: googleToken({ email_verified: false }) })
+                .expect(403);
+
+            // Assert: con el email verificado sí se vincula
+            const response = await request(app)
+                .post('/api/v1/auth/google-login')
+                .send({ idToken: googleToken() })
+                .expect(200);
+            expect(response.body.user.email).toBe('google@example.com');
+        });
+    });
+
+    /**
+     * Test 4: Refresh Tokens y Logout
+     * 
+     * Qué prueba:
+     * - El refresh token rota en cada uso y el anterior deja de servir
+     * - Reutilizar un refresh token rotado revoca toda la sesión
+     * - Tras el logout, protect rechaza el access token aunque no haya expirado
+     */
+    test('POST /api/v1/auth/refresh rota el token y detecta reutilización', async () => {
+        const registered = await request(app)
+            .post('/api/v1/auth/register')
+            .send({ email: 'refresh@example.com', password: 'myPassword123', role: 'CLIENT' })
+            .expect(201);
+        expect(registered.body.refreshToken).toBeDefined();
+
+        const first = await request(app)
+            .post('/api/v1/auth/refresh')
+            .send({ refreshToken: registered.body.refreshToken })
             .expect(200);
+        expect(first.body.refreshToken).not.toBe(registered.body.refreshToken);
 
-        // Assert
-        expect(response.body.user).toBeDefined();
-        expect(response.body.user.email).toBe(googleData.email);
-        expect(response.body.token).toBeDefined();
+        await request(app).get('/api/v1/cart')
+            .set('Authorization', `Bearer ${first.body.token}`)
+            .expect(200);
+
+        // El refresh token original ya se usó: se revoca la sesión completa
+        await request(app)
+            .post('/api/v1/auth/refresh')
+            .send({ refreshToken: registered.body.refreshToken })
+            .expect(401);
+        await request(app)
+            .post('/api/v1/auth/refresh')
+            .send({ refreshToken: first.body.refreshToken })
+            .expect(401);
+        await request(app).get('/api/v1/cart')
+            .set('Authorization', `Bearer ${first.body.token}`)
+            .expect(401);
+    });
+
+    test('POST /api/v1/auth/refresh conserva solo los últimos hashes rotados', async () => {
+        const Session = require('../../src/models/Session');
+        const registered = await request(app).post('/api/v1/auth/register')
+            .send({ email: 'rotations@example.com', password: 'myPassword123', role: 'CLIENT' })
+            .expect(201);
+
+        let { refreshToken } = registered.body;
+        for (let i = 0; i < 25; i++) {
+            refreshToken = (await request(app).post('/api/v1/auth/refresh')
+                .send({ refreshToken })
+                .expect(200)).body.refreshToken;
+        }
+
+        const { sid } = require('jsonwebtoken').decode(registered.body.token);
+        const session = await Session.findById(sid);
+        expect(session.previousTokenHashes).toHaveLength(20);
+        expect(session.revokedAt).toBeNull();
+    });
+
+    test('POST /api/v1/auth/logout revoca la sesión y sus tokens', async () => {
+        const userData = { email: 'logout@example.com', password: 'myPassword123', role: 'CLIENT' };
+        const phone = await request(app).post('/api/v1/auth/register').send(userData).expect(201);
+        const laptop = await request(app).post('/api/v1/auth/login')
+            .send({ email: userData.email, password: userData.password })
+            .expect(200);
+
+        await request(app).post('/api/v1/auth/logout')
+            .set('Authorization', `Bearer ${phone.body.token}`)
+            .expect(200);
+
+        await request(app).get('/api/v1/cart')
+            .set('Authorization', `Bearer ${phone.body.token}`)
+            .expect(401);
+        await request(app).post('/api/v1/auth/refresh')
+            .send({ refreshToken: phone.body.refreshToken })
+            .expect(401);
+
+        // La otra sesión sigue activa hasta cerrar todas
+        await request(app).get('/api/v1/cart')
+            .set('Authorization', `Bearer ${laptop.body.token}`)
+            .expect(200);
+        await request(app).post('/api/v1/auth/logout')
+            .set('Authorization', `Bearer ${laptop.body.token}`)
+            .send({ all: true })
+            .expect(200);
+        await request(app).get('/api/v1/cart')
+            .set('Authorization', `Bearer ${laptop.body.token}`)
+            .expect(401);
     });
 });
@@ -0,0 +1,166 @@
+/**
+ * Tests de Integración para Categories API
+ * 
+ * Propósito:
+ * Verificar el árbol de categorías y la eliminación segura a través de la API
+ * 
+ * Dependencias:
+ * - Supertest, MongoDB Memory Server (replica set, requerido para transacciones)
+ * - Usuario ADMIN y producto creados previamente
+ * 
+ * Casos: GET /api/v1/categories/tree, PUT /api/v1/categories/:id, DELETE /api/v1/categories/:id,
+ * migración de slugs (migrations/slugs)
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Category = require('../../src/models/Category');
+const Product = require('../../src/models/Product');
+
+let mongoServer, adminToken, storeToken;
+
+// Crea una categoría con el token de admin y retorna su ID
+async function createCategory(name, parent) {
+    const response = await request(app).post('/api/v1/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name, description: `Categoría ${name}`, parent })
+        .expect(201);
+    return response.body._id;
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(mongoServer.getUri());
+
+    adminToken = (await request(app).post('/api/v1/auth/register')
+        .send({ email: 'admin@test.com', password: 'pass123', role: 'ADMIN' })).body.token;
+
+    storeToken = (await request(app).post('/api/v1/auth/register')
+        .send({ email: 'store@test.com', password: 'pass123', role: 'STORE' })).body.token;
+    const storeId = (await request(app).post('/api/v1/stores')
+        .set('Authorization', `Bearer ${storeToken}`)
+        .send({ name: 'Test Store', description: 'Desc' })).body._id;
+    const Store = require('../../src/models/Store');
+    await Store.findByIdAndUpdate(storeId, { status: 'APPROVED' });
+});
+
+afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+});
+
+describe('Categories API - Tests de Integración', () => {
+    test('mover una categoría debe recalcular los ancestros de sus descendientes', async () => {
+        const electronica = await createCategory('Electrónica');
+        const computadores = await createCategory('Computadores', electronica);
+        const portatiles = await createCategory('Portátiles', computadores);
+        const tecnologia = await createCategory('Tecnología');
+
+        await request(app).put(`/api/v1/categories/${computadores}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ parent: tecnologia })
+            .expect(200);
+
+        const moved = await Category.findById(portatiles);
+        expect(moved.ancestors.map(String)).toEqual([tecnologia, computadores]);
+
+        // No se puede mover dentro de una subcategoría propia
+        await request(app).put(`/api/v1/categories/${tecnologia}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ parent: portatiles })
+            .expect(409);
+
+        const tree = await request(app).get('/api/v1/categories/tree').expect(200);
+        const root = tree.body.find((node) => node._id === tecnologia);
+        expect(root.children[0].children[0]._id).toBe(portatiles);
+    });
+
+    test('DELETE debe bloquearse si hay productos y reasignarlos en bloque si se indica', async () => {
+        const audio = await createCategory('Audio');
+        const sonido = await createCategory('Sonido');
+        for (const name of ['Parlante', 'Micrófono']) {
+            await request(app).post('/api/v1/products')
+                .set('Authorization', `Bearer ${storeToken}`)
+                .send({ name, price: 50, stock: 5, description: 'Desc', category: audio })
+                .expect(201);
+        }
+
+        const blocked = await request(app).delete(`/api/v1/categories/${audio}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(409);
+        expect(blocked.body.details).toEqual({ products: 2 });
+
+        const response = await request(app).delete(`/api/v1/categories/${audio}?reassignTo=${sonido}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(response.body.affectedProducts).toBe(2);
+
+        expect(await Category.findById(audio)).toBeNull();
+        const products = await Product.find({ name: { $in: ['Parlante', 'Micrófono'] } });
+        expect(products.every((p) => String(p.category) === sonido && p.categoryName === 'Sonido')).toBe(true);
+    });
+
+    test('DELETE con detach=true debe dejar los productos sin categoría', async () => {
+        const temporal = await createCategory('Temporal');
+        await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ name: 'Cable', price: 5, stock: 5, description: 'Desc', category: temporal })
+            .expect(201);
+
+        const response = await request(app).delete(`/api/v1/categories/${temporal}?detach=true`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(response.body.affectedProducts).toBe(1);
+
+        const cable = await Product.findOne({ name: 'Cable' });
+        expect(cable.category).toBeUndefined();
+    });
+
+    test('GET /api/v1/categories/:slug debe aceptar slug y redirigir slugs anteriores', async () => {
+        const id = await createCategory('Computación Móvil');
+        const created = await request(app).get(`/api/v1/categories/${id}`).expect(200);
+        expect(created.body.slug).toBe('computacion-movil');
+
+        await request(app).put(`/api/v1/categories/${id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Movilidad' })
+            .expect(200);
+
+        const bySlug = await request(app).get('/api/v1/categories/movilidad').expect(200);
+        expect(bySlug.body._id).toBe(id);
+
+        const redirect = await request(app).get('/api/v1/categories/computacion-movil').expect(301);
+        expect(redirect.headers.location).toBe('/api/v1/categories/movilidad');
+
+        // El slug anterior queda reservado: otra categoría con ese nombre recibe un sufijo
+        const otherId = await createCategory('Computación móvil');
+        const other = await request(app).get(`/api/v1/categories/${otherId}`).expect(200);
+        expect(other.body.slug).toBe('computacion-movil-2');
+    });
+
+    test('un nombre igual a una ruta fija recibe sufijo para no quedar tapado', async () => {
+        const id = await createCategory('Tree');
+        const created = await request(app).get(`/api/v1/categories/${id}`).expect(200);
+        expect(created.body.slug).toBe('tree-2');
+
+        const bySlug = await request(app).get('/api/v1/categories/tree-2').expect(200);
+        expect(bySlug.body._id).toBe(id);
+    });
+
+    test('la migración de slugs completa las categorías creadas sin slug', async () => {
+        const slugs = require('../../src/migrations/slugs');
+        const { insertedId } = await Category.collection.insertOne({ name: 'Hogar Antiguo', ancestors: [] });
+        const { insertedId: treeId } = await Category.collection.insertOne({ name: 'Tree', slug: 'tree', ancestors: [] });
+
+        expect(await slugs.up()).toBe(2);
+        expect((await Category.findById(insertedId)).slug).toBe('hogar-antiguo');
+        expect((await Category.findById(treeId)).slug).toBe('tree-3');
+        await request(app).get('/api/v1/categories/hogar-antiguo').expect(200);
+
+        // Idempotente: una segunda ejecución no modifica nada
+        expect(await slugs.up()).toBe(0);
+    });
+});
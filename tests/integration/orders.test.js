@@ -5,7 +5,7 @@
  * Verificar flujo completo de pedidos a través de la API
  * 
  * Dependencias:
- * - Supertest, MongoDB Memory Server
+ * - Supertest, MongoDB Memory Server (replica set, requerido para transacciones)
  * - Productos y usuario creados previamente
  * 
  * Casos: POST /api/v1/orders, GET /api/v1/orders, PATCH /api/v1/orders/:id/status
@@ -14,18 +14,32 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 
 const fs = require('fs');
 const logFile = 'debug_orders.log';
 function log(msg) { fs.appendFileSync(logFile, msg + '\n'); }
 
-let mongoServer, storeToken, clientToken, productId;
+let mongoServer, storeToken, clientToken, productId, storeId, categoryId;
+
+// Simula la confirmación del proveedor de pagos con un webhook firmado
+async function payCheckout(checkout) {
+    const { getPaymentProvider } = require('../../src/payments');
+    const { body, signature } = getPaymentProvider().signWebhook({
+        type: 'payment.succeeded',
+        data: { paymentId: checkout.paymentResult.id }
+    });
+    return request(app)
+        .post('/api/v1/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Payment-Signature', signature)
+        .send(body);
+}
 
 beforeAll(async () => {
     try {
         log('Starting beforeAll setup...');
-        mongoServer = await MongoMemoryServer.create();
+        mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
         await mongoose.connect(mongoServer.getUri());
 
         // 1. Registrar usuario VENDEDOR (STORE)
@@ -44,7 +58,7 @@ beforeAll(async () => {
         const storeRes = await request(app).post('/api/v1/stores')
             .set('Authorization', `Bearer ${storeToken}`)
             .send({ name: 'Test Store', description: 'Test Description' });
-        const storeId = storeRes.body._id;
+        storeId = storeRes.body._id;
         log('Store created: ' + storeId);
 
         // 4. Aprobar tienda manualmente
@@ -54,7 +68,7 @@ beforeAll(async () => {
         // 5. Crear categoría
         const Category = require('../../src/models/Category');
         const categoryRes = await Category.create({ name: 'Test Category', description: 'Test Description' });
-        const categoryId = categoryRes._id;
+        categoryId = categoryRes._id;
 
         // 6. Crear producto con usuario VENDEDOR
         const prodRes = await request(app).post('/api/v1/products')
@@ -104,7 +118,32 @@ describe('Orders API - Tests de Integración', () => {
             .send(orderData)
             .expect(201);
         expect(response.body.total).toBe(200);
-        expect(response.body.status).toBe('PAID');
+        expect(response.body.orders).toHaveLength(1);
+        expect(response.body.orders[0].status).toBe('PENDING');
+        expect(response.body.orders[0].store).toBe(storeId);
+        expect(response.body.paymentResult.status).toBe('AUTHORIZED');
+    });
+
+    test('POST /api/v1/payments/webhook debe marcar los pedidos como pagados', async () => {
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 1 }] })
+            .expect(201)).body;
+
+        await payCheckout(checkout).expect(200);
+
+        const order = await request(app)
+            .get(`/api/v1/orders/${checkout.orders[0]._id}`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .expect(200);
+        expect(order.body.status).toBe('PAID');
+
+        // Firma inválida
+        await request(app)
+            .post('/api/v1/payments/webhook')
+            .set('X-Payment-Signature', 'bad')
+            .send({ type: 'payment.succeeded', data: { paymentId: checkout.paymentResult.id } })
+            .expect(401);
     });
 
     test('GET /api/v1/orders/my-orders debe obtener pedidos del usuario', async () => {
@@ -112,12 +151,66 @@ describe('Orders API - Tests de Integración', () => {
             .get('/api/v1/orders/my-orders')
             .set('Authorization', `Bearer ${clientToken}`)
             .expect(200);
-        expect(Array.isArray(response.body)).toBe(true);
+        expect(Array.isArray(response.body.data)).toBe(true);
+        expect(response.body.total).toBeGreaterThan(0);
+        expect(response.body.data[0].orders).toBeDefined();
+    });
+
+    test('POST /api/v1/orders debe dividir la compra en un pedido por tienda', async () => {
+        // Segunda tienda con su propio producto
+        const secondStoreToken = (await request(app).post('/api/v1/auth/register')
+            .send({ email: 'store2@test.com', password: 'pass123', role: 'STORE' })).body.token;
+        const secondStoreId = (await request(app).post('/api/v1/stores')
+            .set('Authorization', `Bearer ${secondStoreToken}`)
+            .send({ name: 'Second Store', description: 'Desc' })).body._id;
+        const Store = require('../../src/models/Store');
+        await Store.findByIdAndUpdate(secondStoreId, { status: 'APPROVED' });
+        const secondProductId = (await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${secondStoreToken}`)
+            .send({ name: 'Other Product', price: 30, stock: 10, description: 'Desc', category: categoryId })).body._id;
+
+        const response = await request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 1 }, { product: secondProductId, quantity: 2 }] })
+            .expect(201);
+
+        expect(response.body.total).toBe(160);
+        expect(response.body.orders).toHaveLength(2);
+        const totalsByStore = Object.fromEntries(response.body.orders.map((o) => [o.store, o.total]));
+        expect(totalsByStore).toEqual({ [storeId]: 100, [secondStoreId]: 60 });
+
+        // Cada tienda solo ve su sub-pedido
+        const storeOrders = await request(app)
+            .get('/api/v1/orders/store-orders')
+            .set('Authorization', `Bearer ${secondStoreToken}`)
+            .expect(200);
+        expect(storeOrders.body.data).toHaveLength(1);
+        expect(storeOrders.body.data[0].items).toHaveLength(1);
+        expect(storeOrders.body.data[0].total).toBe(60);
+    });
+
+    test('POST /api/v1/orders debe rechazar productos de una tienda suspendida', async () => {
+        const Store = require('../../src/models/Store');
+        const Product = require('../../src/models/Product');
+        const { stock } = await Product.findById(productId);
+        await Store.findByIdAndUpdate(storeId, { status: 'SUSPENDED' });
+
+        try {
+            await request(app)
+                .post('/api/v1/orders')
+                .set('Authorization', `Bearer ${clientToken}`)
+                .send({ items: [{ product: productId, quantity: 1 }] })
+                .expect(409);
+
+            expect((await Product.findById(productId)).stock).toBe(stock);
+        } finally {
+            await Store.findByIdAndUpdate(storeId, { status: 'APPROVED' });
+        }
     });
 
-    test('PATCH /api/v1/orders/:id/status debe actualizar estado (admin)', async () => {
-        // Crear un pedido para actualizar
-        const order = (await request(app).post('/api/v1/orders')
+    test('PATCH /api/v1/orders/:id/status debe respetar la propiedad del pedido', async () => {
+        const checkout = (await request(app).post('/api/v1/orders')
             .set('Authorization', `Bearer ${clientToken}`)
             .send({
                 items: [{ product: productId, quantity: 1, price: 100 }],
@@ -128,7 +221,308 @@ describe('Orders API - Tests de Integración', () => {
                     country: 'Colombia'
                 }
             })).body;
-        // Nota: Este test requeriría un usuario ADMIN, se deja como ejemplo.
-        expect(order._id).toBeDefined();
+        const orderId = checkout.orders[0]._id;
+        await payCheckout(checkout).expect(200);
+
+        // Un cliente cualquiera no puede marcar el pedido como entregado
+        const otherClientToken = (await request(app).post('/api/v1/auth/register')
+            .send({ email: 'other@test.com', password: 'pass123', role: 'CLIENT' })).body.token;
+        await request(app)
+            .patch(`/api/v1/orders/${orderId}/status`)
+            .set('Authorization', `Bearer ${otherClientToken}`)
+            .send({ status: 'DELIVERED' })
+            .expect(403);
+
+        // La tienda del pedido sí puede enviarlo
+        const response = await request(app)
+            .patch(`/api/v1/orders/${orderId}/status`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ status: 'SHIPPED' })
+            .expect(200);
+        expect(response.body.status).toBe('SHIPPED');
+
+        // Transición ilegal
+        await request(app)
+            .patch(`/api/v1/orders/${orderId}/status`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ status: 'PENDING' })
+            .expect(409);
+    });
+
+    test('GET /api/v1/orders/:id solo para comprador, tienda o admin', async () => {
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 1 }] })).body;
+        const orderId = checkout.orders[0]._id;
+
+        await request(app).get(`/api/v1/orders/${orderId}`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .expect(200);
+        await request(app).get(`/api/v1/orders/${orderId}`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(200);
+
+        const adminToken = (await request(app).post('/api/v1/auth/register')
+            .send({ email: 'admin@test.com', password: 'pass123', role: 'ADMIN' })).body.token;
+        await request(app).get(`/api/v1/orders/${orderId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        const strangerToken = (await request(app).post('/api/v1/auth/register')
+            .send({ email: 'stranger@test.com', password: 'pass123', role: 'CLIENT' })).body.token;
+        await request(app).get(`/api/v1/orders/${orderId}`)
+            .set('Authorization', `Bearer ${strangerToken}`)
+            .expect(403);
+
+        await request(app).get('/api/v1/orders/not-an-id')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .expect(404);
+    });
+
+    test('POST /api/v1/orders no debe descontar stock si un item posterior falla', async () => {
+        const Product = require('../../src/models/Product');
+        const Order = require('../../src/models/Order');
+        const scarce = await Product.create({
+            name: 'Scarce Product',
+            price: 10,
+            stock: 1,
+            description: 'Desc',
+            category: categoryId,
+            store: storeId
+        });
+        const stockBefore = (await Product.findById(productId)).stock;
+        const ordersBefore = await Order.countDocuments();
+
+        const response = await request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({
+                items: [
+                    { product: productId, quantity: 3 },
+                    { product: scarce._id, quantity: 5 }
+                ]
+            })
+            .expect(409);
+
+        expect(response.body.message).toMatch(/stock insuficiente/i);
+        expect(response.body.details.unavailable).toHaveLength(1);
+        expect(response.body.details.unavailable[0].product).toBe(scarce._id.toString());
+        expect((await Product.findById(productId)).stock).toBe(stockBefore);
+        expect((await Product.findById(scarce._id)).stock).toBe(1);
+        expect(await Order.countDocuments()).toBe(ordersBefore);
+    });
+
+    test('POST /api/v1/orders concurrentes no deben sobrevender un producto con poco stock', async () => {
+        const Product = require('../../src/models/Product');
+        const lowStock = await Product.create({
+            name: 'Low Stock Product',
+            price: 50,
+            stock: 3,
+            description: 'Desc',
+            category: categoryId,
+            store: storeId
+        });
+
+        const buyers = 8;
+        const responses = await Promise.all(
+            Array.from({ length: buyers }, () => request(app)
+                .post('/api/v1/orders')
+                .set('Authorization', `Bearer ${clientToken}`)
+                .send({ items: [{ product: lowStock._id, quantity: 1 }] }))
+        );
+
+        const succeeded = responses.filter((res) => res.status === 201);
+        const rejected = responses.filter((res) => res.status === 409);
+
+        expect(succeeded).toHaveLength(3);
+        expect(rejected).toHaveLength(buyers - 3);
+        rejected.forEach((res) => {
+            expect(res.body.details.unavailable[0].name).toBe('Low Stock Product');
+        });
+        expect((await Product.findById(lowStock._id)).stock).toBe(0);
+    });
+
+    test('cancelar un pedido devuelve el stock una sola vez', async () => {
+        const Product = require('../../src/models/Product');
+        const stockBefore = (await Product.findById(productId)).stock;
+
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 4 }] })
+            .expect(201)).body;
+        const order = checkout.orders[0];
+        expect((await Product.findById(productId)).stock).toBe(stockBefore - 4);
+
+        // Cancelación parcial de un item
+        await request(app)
+            .post(`/api/v1/orders/${order._id}/items/${order.items[0]._id}/cancel`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ quantity: 1 })
+            .expect(200);
+        expect((await Product.findById(productId)).stock).toBe(stockBefore - 3);
+
+        // Cancelación total: solo repone las 3 unidades restantes
+        const cancelled = await request(app)
+            .patch(`/api/v1/orders/${order._id}/status`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ status: 'CANCELLED' })
+            .expect(200);
+        expect(cancelled.body.status).toBe('CANCELLED');
+        expect(cancelled.body.statusHistory.pop().note).toMatch(/Stock repuesto/);
+        expect((await Product.findById(productId)).stock).toBe(stockBefore);
+
+        // Repetir la cancelación no vuelve a reponer
+        await request(app)
+            .patch(`/api/v1/orders/${order._id}/status`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ status: 'CANCELLED' })
+            .expect(409);
+        expect((await Product.findById(productId)).stock).toBe(stockBefore);
+    });
+
+    test('POST /api/v1/orders/:id/refunds debe reembolsar parcialmente y reflejarlo en la tienda', async () => {
+        const Product = require('../../src/models/Product');
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 3 }] })
+            .expect(201)).body;
+        await payCheckout(checkout).expect(200);
+        const order = checkout.orders[0];
+        const stockAfterPurchase = (await Product.findById(productId)).stock;
+
+        // El comprador no puede reembolsarse
+        await request(app)
+            .post(`/api/v1/orders/${order._id}/refunds`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({})
+            .expect(403);
+
+        const response = await request(app)
+            .post(`/api/v1/orders/${order._id}/refunds`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ items: [{ itemId: order.items[0]._id, quantity: 1 }], restock: true, reason: 'Defectuoso' })
+            .expect(201);
+
+        expect(response.body.status).toBe('PARTIALLY_REFUNDED');
+        expect(response.body.refundedTotal).toBe(100);
+        expect(response.body.refunds).toHaveLength(1);
+        expect((await Product.findById(productId)).stock).toBe(stockAfterPurchase + 1);
+
+        const storeOrders = await request(app)
+            .get('/api/v1/orders/store-orders')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(200);
+        const listed = storeOrders.body.data.find((o) => o._id === order._id);
+        expect(listed.refundedTotal).toBe(100);
+    });
+
+    test('cancelar un pedido pagado devuelve el dinero al comprador', async () => {
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: productId, quantity: 2 }] })
+            .expect(201)).body;
+        await payCheckout(checkout).expect(200);
+        const order = checkout.orders[0];
+
+        const response = await request(app)
+            .patch(`/api/v1/orders/${order._id}/status`)
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ status: 'CANCELLED' })
+            .expect(200);
+
+        expect(response.body.status).toBe('REFUNDED');
+        expect(response.body.refundedTotal).toBe(200);
+        expect(response.body.refunds[0]).toMatchObject({ status: 'COMPLETED', amount: 200 });
+        expect(response.body.statusHistory.map((entry) => entry.status)).toEqual(
+            expect.arrayContaining(['PAID', 'CANCELLED', 'REFUNDED'])
+        );
+
+        // No queda nada por reembolsar
+        await request(app)
+            .post(`/api/v1/orders/${order._id}/refunds`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({})
+            .expect(409);
+    });
+
+    test('POST /api/v1/orders con Idempotency-Key no debe duplicar la compra', async () => {
+        const Product = require('../../src/models/Product');
+        const stockBefore = (await Product.findById(productId)).stock;
+        const orderData = {
+            items: [{ product: productId, quantity: 1 }],
+            shippingAddress: { address: 'Calle 1', city: 'Cali', postalCode: '760001', country: 'Colombia' }
+        };
+
+        const first = await request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .set('Idempotency-Key', 'checkout-retry-1')
+            .send(orderData)
+            .expect(201);
+
+        const replay = await request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .set('Idempotency-Key', 'checkout-retry-1')
+            .send(orderData)
+            .expect(201);
+
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(replay.body._id).toBe(first.body._id);
+        expect((await Product.findById(productId)).stock).toBe(stockBefore - 1);
+
+        // Misma clave con otro cuerpo
+        await request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .set('Idempotency-Key', 'checkout-retry-1')
+            .send({ ...orderData, items: [{ product: productId, quantity: 2 }] })
+            .expect(422);
+    });
+
+    test('POST /api/v1/orders con variantes descuenta el stock de la variante elegida', async () => {
+        const Product = require('../../src/models/Product');
+        const created = await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({
+                name: 'Camiseta Variantes',
+                price: 40,
+                description: 'Desc',
+                optionAxes: [{ name: 'Talla', values: ['S', 'M'] }],
+                variants: [
+                    { sku: 'CAMV-S', options: { Talla: 'S' }, stock: 1 },
+                    { sku: 'CAMV-M', options: { Talla: 'M' }, price: 45, stock: 5 }
+                ]
+            })
+            .expect(201);
+        expect(created.body.stock).toBe(6);
+        const [small, medium] = created.body.variants;
+
+        // Sin variante no se puede comprar
+        await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: created.body._id, quantity: 1 }] })
+            .expect(400);
+
+        // La variante S se agota aunque el producto tenga stock total
+        const rejected = await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: created.body._id, variant: small._id, quantity: 2 }] })
+            .expect(409);
+        expect(rejected.body.details.unavailable[0].sku).toBe('CAMV-S');
+
+        const checkout = (await request(app).post('/api/v1/orders')
+            .set('Authorization', `Bearer ${clientToken}`)
+            .send({ items: [{ product: created.body._id, variant: medium._id, quantity: 2 }] })
+            .expect(201)).body;
+        expect(checkout.total).toBe(90);
+        expect(checkout.orders[0].items[0]).toMatchObject({
+            variant: medium._id, sku: 'CAMV-M', options: { Talla: 'M' }, price: 45
+        });
+
+        const product = await Product.findById(created.body._id);
+        expect(product.stock).toBe(4);
+        expect(product.variants.id(medium._id).stock).toBe(3);
+        expect(product.variants.id(small._id).stock).toBe(1);
     });
 });
@@ -10,6 +10,9 @@
  * 
  * Casos de Prueba:
  * 1-4. GET, POST, PUT, DELETE /api/v1/products
+ * - GET /api/v1/products/:id (detalle por ID o slug)
+ * - POST /api/v1/products/import y GET /api/v1/products/export
+ * - POST | PATCH | DELETE /api/v1/products/:id/images
  */
 
 const request = require('supertest');
@@ -59,7 +62,8 @@ describe('Products API - Tests de Integración', () => {
             .get('/api/v1/products')
             .expect(200);
 
-        expect(Array.isArray(response.body)).toBe(true);
+        expect(Array.isArray(response.body.data)).toBe(true);
+        expect(response.body).toMatchObject({ page: 1, limit: 20 });
     });
 
     test('POST /api/v1/products debe crear producto (autenticado)', async () => {
@@ -109,4 +113,271 @@ describe('Products API - Tests de Integración', () => {
             .set('Authorization', `Bearer ${authToken}`)
             .expect(200);
     });
+
+    test('GET /api/v1/products debe paginar y ordenar por precio', async () => {
+        for (const [name, price] of [['Cable', 5], ['Monitor', 900], ['Audífonos', 120]]) {
+            await request(app).post('/api/v1/products')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name, price, stock: 5, category: categoryId, description: 'Paginación' });
+        }
+
+        const response = await request(app)
+            .get('/api/v1/products?sort=price_asc&limit=2&fields=name,price')
+            .expect(200);
+
+        expect(response.body.data).toHaveLength(2);
+        expect(response.body.data[0].price).toBeLessThanOrEqual(response.body.data[1].price);
+        expect(response.body.data[0].stock).toBeUndefined();
+        expect(response.body.totalPages).toBe(Math.ceil(response.body.total / 2));
+
+        await request(app)
+            .get('/api/v1/products?sort=popularity')
+            .expect(400);
+    });
+
+    test('GET /api/v1/products oculta tiendas no aprobadas excepto al dueño', async () => {
+        const adminToken = (await request(app).post('/api/v1/auth/register')
+            .send({ email: 'admin@test.com', password: 'password123', role: 'ADMIN' })).body.token;
+        const setStatus = (body) => request(app).patch(`/api/v1/stores/${storeId}/status`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send(body)
+            .expect(200);
+
+        const hidden = (await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Producto Oculto', price: 10, stock: 1, category: categoryId, description: 'Borrador' })).body;
+        // Moderated through the API so the products' storeApproved copy follows the store
+        await setStatus({ status: 'SUSPENDED', reason: 'Revisión' });
+
+        const publicList = await request(app).get('/api/v1/products?limit=100').expect(200);
+        expect(publicList.body.data.map((p) => p._id)).not.toContain(hidden._id);
+
+        const publicStore = await request(app).get(`/api/v1/products/store/${storeId}`).expect(200);
+        expect(publicStore.body.total).toBe(0);
+
+        const ownerList = await request(app)
+            .get('/api/v1/products?limit=100')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(ownerList.body.data.map((p) => p._id)).toContain(hidden._id);
+
+        await setStatus({ status: 'APPROVED' });
+        const restored = await request(app).get('/api/v1/products?limit=100').expect(200);
+        expect(restored.body.data.map((p) => p._id)).toContain(hidden._id);
+    });
+
+    test('GET /api/v1/products?search= debe buscar por relevancia sin importar tildes', async () => {
+        const Product = require('../../src/models/Product');
+        await Product.init(); // Asegura que el índice de texto exista antes de consultar
+
+        await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Audífonos Inalámbricos', price: 200, stock: 3, category: categoryId, description: 'Bluetooth' });
+        await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Cargador', price: 40, stock: 3, category: categoryId, description: 'Compatible con audífonos' });
+
+        const response = await request(app).get('/api/v1/products?search=audifonos').expect(200);
+        expect(response.body.data.map((p) => p.name)).toEqual(['Audífonos Inalámbricos', 'Cargador']);
+
+        // Búsqueda corta con un error de tipeo
+        const typo = await request(app).get('/api/v1/products?search=audifnos').expect(200);
+        expect(typo.body.data[0].name).toBe('Audífonos Inalámbricos');
+
+        // El texto del usuario nunca se interpreta como regex
+        await request(app).get('/api/v1/products?search=(a%2B)%2B%24').expect(200);
+    });
+
+    test('GET /api/v1/products?facets=true debe devolver conteos por filtro', async () => {
+        await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Webcam', price: 70, stock: 0, category: categoryId, description: 'Agotada' });
+
+        const response = await request(app)
+            .get(`/api/v1/products?facets=true&category=${categoryId}&limit=1`)
+            .expect(200);
+
+        const { facets, total } = response.body;
+        expect(response.body.data).toHaveLength(1);
+        expect(facets.categories).toEqual([{ _id: String(categoryId), name: 'Test Category', count: total }]);
+        expect(facets.stores[0]).toMatchObject({ _id: storeId, name: 'Test Store', count: total });
+        expect(facets.priceRanges.reduce((sum, range) => sum + range.count, 0)).toBe(total);
+        expect(facets.availability.inStock + facets.availability.outOfStock).toBe(total);
+        expect(facets.availability.outOfStock).toBeGreaterThanOrEqual(1);
+    });
+
+    test('GET /api/v1/products?category= debe incluir productos de las subcategorías', async () => {
+        const categoryService = require('../../src/services/categoryService');
+        const computadores = await categoryService.createCategory({ name: 'Computadores', description: 'Desc', parent: categoryId });
+        const portatiles = await categoryService.createCategory({ name: 'Portátiles', description: 'Desc', parent: computadores._id });
+        expect(portatiles.ancestors.map(String)).toEqual([String(categoryId), String(computadores._id)]);
+
+        const laptop = (await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Portátil 14', price: 900, stock: 2, category: portatiles._id, description: 'Subcategoría' })).body;
+
+        const byRoot = await request(app).get(`/api/v1/products?category=${categoryId}&limit=100`).expect(200);
+        expect(byRoot.body.data.map((p) => p._id)).toContain(laptop._id);
+
+        const byParent = await request(app).get(`/api/v1/products?category=${computadores._id}`).expect(200);
+        expect(byParent.body.data.map((p) => p._id)).toEqual([laptop._id]);
+
+        const tree = await request(app).get('/api/v1/categories/tree').expect(200);
+        const root = tree.body.find((node) => node._id === String(categoryId));
+        expect(root.children[0].children[0].name).toBe('Portátiles');
+    });
+
+    test('GET /api/v1/products/store/:slug debe aceptar el slug de la tienda', async () => {
+        const store = await request(app).get('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(store.body.slug).toBe('test-store');
+
+        const bySlug = await request(app).get('/api/v1/products/store/test-store').expect(200);
+        const byId = await request(app).get(`/api/v1/products/store/${storeId}`).expect(200);
+        expect(bySlug.body.total).toBe(byId.body.total);
+
+        await request(app).put('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Test Store Renombrada' })
+            .expect(200);
+        const redirect = await request(app).get('/api/v1/products/store/test-store?limit=5').expect(301);
+        expect(redirect.headers.location).toBe('/api/v1/products/store/test-store-renombrada?limit=5');
+
+        // Un slug igual a otro segmento de la ruta solo reemplaza el parámetro
+        for (const name of ['Store', 'Store Nueva']) {
+            await request(app).put('/api/v1/stores/my-store')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name })
+                .expect(200);
+        }
+        const sameAsSegment = await request(app).get('/api/v1/products/store/store').expect(301);
+        expect(sameAsSegment.headers.location).toBe('/api/v1/products/store/store-nueva');
+    });
+
+    test('GET /api/v1/products/:id debe devolver el detalle con tienda, categoría y relacionados', async () => {
+        const create = (name, stock) => request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name, price: 100, stock, description: 'Desc', category: categoryId })
+            .expect(201);
+        const main = (await create('Monitor Detalle', 2)).body;
+        const other = (await create('Monitor Relacionado', 10)).body;
+
+        const byId = await request(app).get(`/api/v1/products/${main._id}`).expect(200);
+        expect(byId.body.store.name).toBeDefined();
+        expect(byId.body.store.owner).toBeUndefined();
+        expect(byId.body.store.status).toBeUndefined();
+        expect(byId.body.category.name).toBe('Test Category');
+        expect(byId.body.availability).toMatchObject({ inStock: true, status: 'LOW_STOCK', stock: 2 });
+        expect(byId.body.related.map((p) => p._id)).toContain(other._id);
+        expect(byId.body.related.map((p) => p._id)).not.toContain(main._id);
+
+        const bySlug = await request(app).get('/api/v1/products/monitor-detalle').expect(200);
+        expect(bySlug.body._id).toBe(main._id);
+
+        // IDs mal formados o inexistentes son 404, no 500
+        await request(app).get('/api/v1/products/no-es-un-id').expect(404);
+        await request(app).get(`/api/v1/products/${new mongoose.Types.ObjectId()}`).expect(404);
+    });
+
+    test('POST /api/v1/products/import debe crear y actualizar por SKU y exportar lo mismo', async () => {
+        const csv = [
+            'sku,name,description,price,stock,category,images',
+            `IMP-01,Parlante,Bluetooth,80000,4,${categoryId},https://a.com/1.jpg|https://a.com/2.jpg`,
+            'IMP-02,Sin precio,Desc,,1,,'
+        ].join('\n');
+
+        const dryRun = await request(app)
+            .post('/api/v1/products/import?dryRun=true')
+            .set('Authorization', `Bearer ${authToken}`)
+            .set('Content-Type', 'text/csv')
+            .send(csv)
+            .expect(200);
+        expect(dryRun.body).toMatchObject({ dryRun: true, total: 2, created: 1, failed: 1 });
+        expect(dryRun.body.errors[0]).toMatchObject({ row: 2, sku: 'IMP-02' });
+        expect(dryRun.body.errors[0].errors).toHaveProperty('price');
+        await request(app).get('/api/v1/products/parlante').expect(404);
+
+        await request(app)
+            .post('/api/v1/products/import')
+            .set('Authorization', `Bearer ${authToken}`)
+            .set('Content-Type', 'text/csv')
+            .send(csv)
+            .expect(200);
+
+        // Segunda importación en JSON: actualiza el mismo SKU en vez de duplicarlo
+        const update = await request(app)
+            .post('/api/v1/products/import')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send([{ sku: 'IMP-01', price: 75000 }])
+            .expect(200);
+        expect(update.body).toMatchObject({ created: 0, updated: 1, failed: 0 });
+
+        const detail = await request(app).get('/api/v1/products/parlante').expect(200);
+        expect(detail.body).toMatchObject({ sku: 'IMP-01', price: 75000, stock: 4 });
+        expect(detail.body.images).toEqual(['https://a.com/1.jpg', 'https://a.com/2.jpg']);
+
+        const exported = await request(app)
+            .get('/api/v1/products/export?format=csv')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect('Content-Type', /text\/csv/)
+            .expect(200);
+        expect(exported.headers['content-disposition']).toMatch(/attachment/);
+        expect(exported.text).toContain('IMP-01,Parlante,Bluetooth,75000,4,test-category,https://a.com/1.jpg|https://a.com/2.jpg');
+    });
+
+    test('POST /api/v1/products/:id/images debe guardar las imágenes con miniatura y ordenar la galería', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const sharp = require('sharp');
+        const { setStorage } = require('../../src/storage');
+        const LocalStorageAdapter = require('../../src/storage/LocalStorageAdapter');
+
+        const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mercadotech-uploads-'));
+        setStorage(new LocalStorageAdapter({ directory: uploadDir, publicUrl: '/uploads' }));
+        const png = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#ff0000' } }).png().toBuffer();
+
+        try {
+            const product = (await request(app).post('/api/v1/products')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Producto con fotos', price: 10, stock: 1, description: 'Desc', images: ['https://cdn.com/externa.jpg'] })
+                .expect(201)).body;
+
+            const uploaded = await request(app)
+                .post(`/api/v1/products/${product._id}/images?primary=true`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', png, { filename: 'frente.png', contentType: 'image/png' })
+                .expect(201);
+            const [file] = uploaded.body.imageFiles;
+            expect(uploaded.body.images).toEqual([file.url, 'https://cdn.com/externa.jpg']);
+            expect(fs.existsSync(path.join(uploadDir, file.key))).toBe(true);
+            expect(fs.existsSync(path.join(uploadDir, file.thumbnailKey))).toBe(true);
+
+            await request(app)
+                .post(`/api/v1/products/${product._id}/images`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', Buffer.from('texto'), { filename: 'nota.txt', contentType: 'text/plain' })
+                .expect(415);
+
+            const reordered = await request(app)
+                .patch(`/api/v1/products/${product._id}/images`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ primary: 'https://cdn.com/externa.jpg' })
+                .expect(200);
+            expect(reordered.body.images[0]).toBe('https://cdn.com/externa.jpg');
+
+            const removed = await request(app)
+                .delete(`/api/v1/products/${product._id}/images`)
+                .query({ url: file.url })
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            expect(removed.body.images).toEqual(['https://cdn.com/externa.jpg']);
+            expect(removed.body.imageFiles).toEqual([]);
+            expect(fs.existsSync(path.join(uploadDir, file.key))).toBe(false);
+        } finally {
+            setStorage(null);
+            fs.rmSync(uploadDir, { recursive: true, force: true });
+        }
+    });
 });
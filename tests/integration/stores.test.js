@@ -0,0 +1,217 @@
+/**
+ * Tests de Integración para Stores API
+ * 
+ * Propósito:
+ * Verificar el flujo de moderación de tiendas a través de la API
+ * (aprobar, rechazar, reenviar, suspender y reactivar), el perfil público
+ * y el listado de administración, y el personal de la tienda (invitaciones y roles)
+ * 
+ * Dependencias:
+ * - Supertest, MongoDB Memory Server
+ * - Usuarios ADMIN y STORE creados previamente
+ * 
+ * Casos: PATCH /api/v1/stores/:id/status, POST /api/v1/stores/my-store/resubmit,
+ * GET /api/v1/stores/:idOrSlug, GET /api/v1/stores, /api/v1/stores/my-store/members,
+ * /api/v1/stores/my-store/invitations, POST /api/v1/stores/invitations/accept
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer, adminToken, adminId, storeToken, storeId;
+
+// Cambia el estado de la tienda con el token de admin
+function setStatus(body) {
+    return request(app)
+        .patch(`/api/v1/stores/${storeId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const adminRes = await request(app).post('/api/v1/auth/register')
+        .send({ email: 'admin@test.com', password: 'pass123', role: 'ADMIN' });
+    adminToken = adminRes.body.token;
+    adminId = adminRes.body.user.id;
+
+    storeToken = (await request(app).post('/api/v1/auth/register')
+        .send({ email: 'store@test.com', password: 'pass123', role: 'STORE' })).body.token;
+    storeId = (await request(app).post('/api/v1/stores')
+        .set('Authorization', `Bearer ${storeToken}`)
+        .send({ name: 'Moderada Store', description: 'Desc' })).body._id;
+});
+
+afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+});
+
+describe('Stores API - Tests de Integración', () => {
+    test('rechazar exige motivo y el dueño puede reenviar la tienda', async () => {
+        await setStatus({ status: 'REJECTED' }).expect(400);
+
+        const rejected = await setStatus({ status: 'REJECTED', reason: 'Falta la descripción de envíos' }).expect(200);
+        expect(rejected.body).toMatchObject({ status: 'REJECTED', statusReason: 'Falta la descripción de envíos' });
+        expect(rejected.body.statusHistory[0]).toMatchObject({ status: 'REJECTED', updatedBy: adminId });
+
+        // El dueño no puede aprobarse a sí mismo editando la tienda
+        await request(app).put('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ description: 'Envíos a todo el país', status: 'APPROVED' })
+            .expect(200);
+
+        const resubmitted = await request(app).post('/api/v1/stores/my-store/resubmit')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ note: 'Agregamos la política de envíos' })
+            .expect(200);
+        expect(resubmitted.body.status).toBe('PENDING');
+        expect(resubmitted.body.statusReason).toBeUndefined();
+        expect(resubmitted.body.statusHistory).toHaveLength(2);
+
+        await request(app).post('/api/v1/stores/my-store/resubmit')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(409);
+    });
+
+    test('suspender oculta los productos de la tienda hasta reactivarla', async () => {
+        await setStatus({ status: 'APPROVED' }).expect(200);
+        const product = (await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ name: 'Producto Moderado', price: 10, stock: 1, description: 'Desc' })
+            .expect(201)).body;
+
+        await setStatus({ status: 'SUSPENDED' }).expect(400);
+        const suspended = await setStatus({ status: 'SUSPENDED', reason: 'Reportes de fraude' }).expect(200);
+        expect(suspended.body.statusReason).toBe('Reportes de fraude');
+
+        const catalog = await request(app).get('/api/v1/products').expect(200);
+        expect(catalog.body.data.map((p) => p._id)).not.toContain(product._id);
+        await request(app).get(`/api/v1/products/${product._id}`).expect(404);
+        await request(app).post('/api/v1/products')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ name: 'Otro', price: 10, stock: 1, description: 'Desc' })
+            .expect(400);
+
+        // Una tienda suspendida no se puede rechazar ni reenviar, solo reactivar
+        await setStatus({ status: 'REJECTED', reason: 'x' }).expect(409);
+        await setStatus({ status: 'APPROVED' }).expect(200);
+        await request(app).get(`/api/v1/products/${product._id}`).expect(200);
+    });
+
+    test('perfil público de tienda aprobada y listado de administración', async () => {
+        await request(app).put('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ logo: 'https://cdn.test/logo.png', rating: { average: 5, count: 999 } })
+            .expect(200);
+
+        const profile = await request(app).get(`/api/v1/stores/${storeId}`).expect(200);
+        expect(profile.body).toMatchObject({
+            name: 'Moderada Store',
+            logo: 'https://cdn.test/logo.png',
+            productCount: 1,
+        });
+        expect(profile.body.joinedAt).toBeDefined();
+        expect(profile.body.rating).toBeUndefined();
+        expect(profile.body.owner).toBeUndefined();
+        await request(app).get(`/api/v1/stores/${profile.body.slug}`).expect(200);
+
+        // El listado completo es solo para administradores
+        await request(app).get('/api/v1/stores').expect(401);
+        await request(app).get('/api/v1/stores')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(403);
+
+        const approved = await request(app).get('/api/v1/stores?status=APPROVED')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(approved.body).toMatchObject({ page: 1, total: 1 });
+        expect(approved.body.data[0].owner.email).toBe('store@test.com');
+
+        const pending = await request(app).get('/api/v1/stores?status=PENDING')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(pending.body.total).toBe(0);
+        await request(app).get('/api/v1/stores?status=ACTIVE')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(400);
+
+        // Una tienda suspendida deja de tener perfil público
+        await setStatus({ status: 'SUSPENDED', reason: 'Revisión' }).expect(200);
+        await request(app).get(`/api/v1/stores/${storeId}`).expect(404);
+    });
+
+    test('el dueño invita personal por email y el miembro opera sobre la tienda según su rol', async () => {
+        const memberRes = await request(app).post('/api/v1/auth/register')
+            .send({ email: 'bodega@test.com', password: 'pass123', role: 'STORE' });
+        const memberToken = memberRes.body.token;
+        const memberId = memberRes.body.user.id;
+
+        const invitation = await request(app).post('/api/v1/stores/my-store/invitations')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ email: 'Bodega@test.com', role: 'FULFILLMENT' })
+            .expect(201);
+        expect(invitation.body).toMatchObject({ email: 'bodega@test.com', role: 'FULFILLMENT' });
+
+        // El token no se expone al consultar la tienda
+        const myStore = await request(app).get('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(200);
+        expect(JSON.stringify(myStore.body)).not.toContain('tokenHash');
+
+        await request(app).post('/api/v1/stores/invitations/accept')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .send({ token: 'invalido' })
+            .expect(404);
+        await request(app).post('/api/v1/stores/invitations/accept')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .send({ token: invitation.body.token })
+            .expect(200);
+
+        const memberStore = await request(app).get('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(200);
+        expect(memberStore.body._id).toBe(storeId);
+
+        // FULFILLMENT ve los pedidos pero no edita la tienda ni gestiona el personal
+        await request(app).get('/api/v1/orders/store-orders')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(200);
+        await request(app).put('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .send({ description: 'Cambio no autorizado' })
+            .expect(403);
+        await request(app).get('/api/v1/stores/my-store/members')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(403);
+        await request(app).post('/api/v1/stores')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .send({ name: 'Tienda Propia', description: 'Desc' })
+            .expect(400);
+
+        const members = await request(app).get('/api/v1/stores/my-store/members')
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(200);
+        expect(members.body.members.map((m) => [m.user.email, m.role])).toEqual([
+            ['store@test.com', 'OWNER'],
+            ['bodega@test.com', 'FULFILLMENT'],
+        ]);
+        expect(members.body.invitations).toHaveLength(0);
+
+        await request(app).patch(`/api/v1/stores/my-store/members/${memberId}`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .send({ role: 'MANAGER' })
+            .expect(200);
+        await request(app).delete(`/api/v1/stores/my-store/members/${memberId}`)
+            .set('Authorization', `Bearer ${storeToken}`)
+            .expect(200);
+        await request(app).get('/api/v1/stores/my-store')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(404);
+    });
+});
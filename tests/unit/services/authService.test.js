@@ -8,6 +8,7 @@
  * Dependencias:
  * - authService: Servicio de autenticación principal
  * - userRepository: Mock del repositorio de usuarios
+ * - sessionRepository: Mock del repositorio de sesiones (refresh tokens)
  * - bcryptjs: Para verificar hash de contraseñas
  * - jsonwebtoken: Para verificar generación de tokens
  * 
@@ -16,16 +17,22 @@
  * 2. Registro fallido con email duplicado
  * 3. Login exitoso con credenciales válidas
  * 4. Login fallido con credenciales inválidas
- * 5. Google Login simulado exitoso
+ * 5. Google Login con ID token verificado (firma, audiencia, emisor, vencimiento, email_verified)
+ * 6. Refresh tokens: rotación, reutilización y logout
  */
 
 const authService = require('../../../src/services/authService');
 const userRepository = require('../../../src/repositories/userRepository');
+const sessionRepository = require('../../../src/repositories/sessionRepository');
+const { setGoogleKeyProvider } = require('../../../src/identity');
+const StaticKeyProvider = require('../../../src/identity/StaticKeyProvider');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
 // Mock del repositorio para no depender de MongoDB
 jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/repositories/sessionRepository');
 jest.mock('bcryptjs');
 jest.mock('jsonwebtoken');
 
@@ -33,6 +40,7 @@ describe('AuthService - Tests Unitarios', () => {
     // Limpiar mocks antes de cada test para evitar interferencias
     beforeEach(() => {
         jest.clearAllMocks();
+        sessionRepository.create.mockResolvedValue({ _id: 'session1' });
     });
 
     /**
@@ -135,7 +143,19 @@ describe('AuthService - Tests Unitarios', () => {
                 email: storedUser.email,
                 role: storedUser.role
             }),
-            token: mockToken
+            token: mockToken,
+            refreshToken: expect.any(String)
+        });
+        // El access token lleva la sesión y solo el hash del refresh token se guarda
+        expect(jwt.sign).toHaveBeenCalledWith(
+            { id: 'user123', role: 'CLIENT', sid: 'session1' },
+            expect.any(String),
+            { expiresIn: '15m' }
+        );
+        expect(sessionRepository.create).toHaveBeenCalledWith({
+            user: 'user123',
+            refreshTokenHash: crypto.createHash('sha256').update(result.refreshToken).digest('hex'),
+            expiresAt: expect.any(Date)
         });
     });
 
@@ -163,40 +183,213 @@ describe('AuthService - Tests Unitarios', () => {
     });
 
     /**
-     * Test 5: Google Login Simulado
+     * Test 5: Google Login con ID Token Verificado
+     * Los tokens se firman en el test con una clave RSA propia y se verifican
+     * con jsonwebtoken real; la clave pública se inyecta con un StaticKeyProvider
      */
-    test('debe crear usuario con Google Login si no existe', async () => {
-        // Arrange
-        const googleEmail = 'google@example.com';
-        const googleId = 'google_12345';
+    describe('login con Google', () => {
+        const actualJwt = jest.requireActual('jsonwebtoken');
+        const clientId = 'client-id.apps.googleusercontent.com';
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
 
-        const newUser = {
-            _id: 'user123',
-            email: googleEmail,
-            googleId: googleId,
-            role: 'CLIENT',
-            save: jest.fn()
-        };
+        const googleToken = (claims = {}, options = {}, key = privateKey) => actualJwt.sign(
+            { sub: 'google_12345', email: 'google@example.com', email_verified: true, ...claims },
+            key,
+            {
+                algorithm: 'RS256',
+                keyid: 'kid1',
+                audience: clientId,
+                issuer: 'https://accounts.google.com',
+                expiresIn: '5m',
+                ...options
+            }
+        );
 
-        const mockToken = 'jwt_token_google';
+        beforeAll(() => {
+            process.env.GOOGLE_CLIENT_ID = `otro-cliente,${clientId}`;
+            setGoogleKeyProvider(new StaticKeyProvider({ kid1: publicKey }));
+        });
 
-        userRepository.findByEmail.mockResolvedValue(null);
-        userRepository.create.mockResolvedValue(newUser);
-        jwt.sign.mockReturnValue(mockToken);
+        afterAll(() => {
+            delete process.env.GOOGLE_CLIENT_ID;
+            setGoogleKeyProvider(null);
+        });
 
-        // Act
-        const result = await authService.googleLogin(googleEmail, googleId);
+        beforeEach(() => {
+            jwt.decode.mockImplementation(actualJwt.decode);
+            jwt.verify.mockImplementation(actualJwt.verify);
+            jwt.sign.mockReturnValue('jwt_token_google');
+            userRepository.findByGoogleId.mockResolvedValue(null);
+            userRepository.findByEmail.mockResolvedValue(null);
+        });
 
-        // Assert
-        expect(userRepository.findByEmail).toHaveBeenCalledWith(googleEmail);
-        expect(userRepository.create).toHaveBeenCalledWith({
-            email: googleEmail,
-            googleId: googleId,
-            role: 'CLIENT'
+        test('debe crear un usuario CLIENT a partir de un token verificado', async () => {
+            userRepository.create.mockResolvedValue({ _id: 'user123', email: 'google@example.com', role: 'CLIENT' });
+
+            const result = await authService.googleLogin(googleToken());
+
+            expect(userRepository.findByGoogleId).toHaveBeenCalledWith('google_12345');
+            expect(userRepository.create).toHaveBeenCalledWith({
+                email: 'google@example.com',
+                googleId: 'google_12345',
+                role: 'CLIENT'
+            });
+            expect(result).toEqual({
+                user: { id: 'user123', email: 'google@example.com', role: 'CLIENT' },
+                token: 'jwt_token_google',
+                refreshToken: expect.any(String)
+            });
         });
-        expect(result).toEqual({
-            user: expect.any(Object),
-            token: mockToken
+
+        test('debe vincular una cuenta existente solo si el email está verificado', async () => {
+            const existing = { _id: 'user123', email: 'google@example.com', role: 'STORE', save: jest.fn() };
+            userRepository.findByEmail.mockResolvedValue(existing);
+
+            await expect(authService.googleLogin(googleToken({ email_verified: false })))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(existing.save).not.toHaveBeenCalled();
+
+            await authService.googleLogin(googleToken());
+            expect(existing.googleId).toBe('google_12345');
+            expect(existing.save).toHaveBeenCalled();
+        });
+
+        test('un usuario ya vinculado inicia sesión por su googleId', async () => {
+            userRepository.findByGoogleId.mockResolvedValue({ _id: 'user123', email: 'antes@example.com', role: 'CLIENT' });
+
+            const result = await authService.googleLogin(googleToken({ email: 'nuevo@example.com' }));
+
+            expect(userRepository.findByEmail).not.toHaveBeenCalled();
+            expect(result.user.email).toBe('antes@example.com');
+        });
+
+        test('no debe vincular un email que ya tiene otra cuenta de Google', async () => {
+            userRepository.findByEmail.mockResolvedValue({ _id: 'user123', googleId: 'google_otro', save: jest.fn() });
+
+            await expect(authService.googleLogin(googleToken())).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('debe rechazar firma, audiencia, emisor o vencimiento inválidos', async () => {
+            const invalidTokens = [
+                googleToken({}, {}, otherKeys.privateKey),
+                googleToken({}, { keyid: 'kid-desconocido' }),
+                googleToken({}, { audience: 'app-ajena.apps.googleusercontent.com' }),
+                googleToken({}, { issuer: 'https://evil.example.com' }),
+                googleToken({}, { expiresIn: -10 }),
+                actualJwt.sign({ sub: 'google_12345', email: 'google@example.com' }, 'secreto', { keyid: 'kid1' }),
+                'no-es-un-jwt',
+                undefined
+            ];
+
+            for (const idToken of invalidTokens) {
+                await expect(authService.googleLogin(idToken)).rejects.toMatchObject({ statusCode: 401 });
+            }
+            expect(userRepository.create).not.toHaveBeenCalled();
+            expect(sessionRepository.create).not.toHaveBeenCalled();
+        });
+
+        test('sin GOOGLE_CLIENT_ID el login con Google no está disponible', async () => {
+            const configured = process.env.GOOGLE_CLIENT_ID;
+            delete process.env.GOOGLE_CLIENT_ID;
+            try {
+                await expect(authService.googleLogin(googleToken())).rejects.toMatchObject({ statusCode: 503 });
+            } finally {
+                process.env.GOOGLE_CLIENT_ID = configured;
+            }
+        });
+    });
+
+    /**
+     * Test 6: Refresh Tokens
+     */
+    describe('refresh tokens y sesiones', () => {
+        const refreshToken = 'refresh_token_actual';
+        const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+        const activeSession = () => ({
+            _id: 'session1',
+            user: 'user123',
+            revokedAt: null,
+            expiresAt: new Date(Date.now() + 60000)
+        });
+
+        beforeEach(() => {
+            userRepository.findById.mockResolvedValue({ _id: 'user123', email: 'user@example.com', role: 'STORE' });
+            jwt.sign.mockReturnValue('nuevo_access_token');
+        });
+
+        test('debe rotar el refresh token y emitir un access token nuevo', async () => {
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue(activeSession());
+            sessionRepository.rotate.mockResolvedValue(activeSession());
+
+            const result = await authService.refresh(refreshToken);
+
+            expect(sessionRepository.findByRefreshTokenHash).toHaveBeenCalledWith(hash(refreshToken));
+            expect(sessionRepository.rotate).toHaveBeenCalledWith(
+                'session1',
+                hash(refreshToken),
+                hash(result.refreshToken),
+                expect.any(Date)
+            );
+            expect(result.refreshToken).not.toBe(refreshToken);
+            expect(result).toMatchObject({ token: 'nuevo_access_token', user: { id: 'user123', role: 'STORE' } });
+        });
+
+        test('reutilizar un refresh token ya rotado revoca toda la sesión', async () => {
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue(null);
+            sessionRepository.findByPreviousTokenHash.mockResolvedValue(activeSession());
+
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+            expect(sessionRepository.findByPreviousTokenHash).toHaveBeenCalledWith(hash(refreshToken));
+            expect(sessionRepository.revoke).toHaveBeenCalledWith('session1', 'REUSE_DETECTED');
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        test('si otra petición rotó el mismo token primero también se trata como reutilización', async () => {
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue(activeSession());
+            sessionRepository.rotate.mockResolvedValue(null);
+
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+            expect(sessionRepository.revoke).toHaveBeenCalledWith('session1', 'REUSE_DETECTED');
+        });
+
+        test('debe rechazar tokens desconocidos, vencidos o de sesiones revocadas', async () => {
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue(null);
+            sessionRepository.findByPreviousTokenHash.mockResolvedValue(null);
+            await expect(authService.refresh('desconocido')).rejects.toMatchObject({ statusCode: 401 });
+            await expect(authService.refresh(undefined)).rejects.toMatchObject({ statusCode: 401 });
+
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue({ ...activeSession(), revokedAt: new Date() });
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+            sessionRepository.findByRefreshTokenHash.mockResolvedValue({ ...activeSession(), expiresAt: new Date(Date.now() - 1000) });
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+            expect(sessionRepository.rotate).not.toHaveBeenCalled();
+            expect(sessionRepository.revoke).not.toHaveBeenCalled();
+        });
+
+        test('logout revoca la sesión del token o todas las del usuario', async () => {
+            await authService.logout({ id: 'user123', sid: 'session1' });
+            expect(sessionRepository.revoke).toHaveBeenCalledWith('session1', 'LOGOUT');
+
+            await authService.logout({ id: 'user123', sid: 'session1' }, { all: true });
+            expect(sessionRepository.revokeAllByUser).toHaveBeenCalledWith('user123', 'LOGOUT_ALL');
+        });
+
+        test('una sesión revocada o vencida deja de estar activa', async () => {
+            sessionRepository.findById.mockResolvedValue(activeSession());
+            await expect(authService.isSessionActive('session1')).resolves.toBe(true);
+
+            sessionRepository.findById.mockResolvedValue({ ...activeSession(), revokedAt: new Date() });
+            await expect(authService.isSessionActive('session1')).resolves.toBe(false);
+
+            sessionRepository.findById.mockResolvedValue(null);
+            await expect(authService.isSessionActive('session1')).resolves.toBe(false);
+
+            // Tokens emitidos antes de las sesiones no tienen sid
+            await expect(authService.isSessionActive(undefined)).resolves.toBe(false);
         });
     });
 });
@@ -0,0 +1,68 @@
+/**
+ * Tests Unitarios para cartService
+ *
+ * Propósito:
+ * Verificar la validación del carrito y la sincronización del carrito local
+ * con el guardado, sin depender de la base de datos real.
+ *
+ * Dependencias:
+ * - cartService: Servicio de carrito principal
+ * - cartRepository: Mock del repositorio de carritos
+ * - productRepository: Mock del repositorio de productos
+ * - storeRepository: Mock del repositorio de tiendas (estado de la tienda)
+ */
+
+const cartService = require('../../../src/services/cartService');
+const cartRepository = require('../../../src/repositories/cartRepository');
+const productRepository = require('../../../src/repositories/productRepository');
+const storeRepository = require('../../../src/repositories/storeRepository');
+
+jest.mock('../../../src/repositories/cartRepository');
+jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/repositories/storeRepository');
+
+describe('Cart Service - Tests Unitarios', () => {
+    const products = {
+        prod1: { _id: 'prod1', name: 'Activo', store: 'store1' },
+        prod2: { _id: 'prod2', name: 'Suspendido', store: 'store2' },
+    };
+    const stores = {
+        store1: { _id: 'store1', status: 'APPROVED' },
+        store2: { _id: 'store2', status: 'SUSPENDED' },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        productRepository.findById.mockImplementation(async (id) => products[id] || null);
+        storeRepository.findById.mockImplementation(async (id) => stores[id] || null);
+        cartRepository.update.mockImplementation(async (userId, items) => ({ user: userId, items }));
+    });
+
+    /**
+     * Test 1: Actualizar Carrito
+     */
+    test('PUT /cart debe rechazar productos de una tienda no aprobada', async () => {
+        await expect(
+            cartService.updateCart('user1', [{ product: 'prod2', quantity: 1 }])
+        ).rejects.toThrow('Producto no disponible, su tienda no está activa: Suspendido');
+        expect(cartRepository.update).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 2: Sincronizar Carrito
+     */
+    test('sync debe descartar las líneas guardadas que ya no se pueden comprar', async () => {
+        cartRepository.findByUser.mockResolvedValue({
+            items: [
+                { product: products.prod1, quantity: 1 },
+                { product: products.prod2, quantity: 2 },
+                { product: null, quantity: 1 }, // Producto eliminado (populate retorna null)
+            ],
+        });
+
+        const cart = await cartService.syncCart('user1', [{ product: 'prod1', quantity: 2 }]);
+
+        expect(cart.items).toEqual([{ product: products.prod1, quantity: 3 }]);
+        expect(cartRepository.update).toHaveBeenCalledWith('user1', cart.items);
+    });
+});
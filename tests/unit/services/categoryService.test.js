@@ -0,0 +1,250 @@
+/**
+ * Tests Unitarios para categoryService
+ * 
+ * Propósito:
+ * Verificar el árbol de categorías (creación con padre, árbol anidado,
+ * mover y eliminar nodos sin romper el árbol) sin depender de la base de datos real.
+ * 
+ * Dependencias:
+ * - categoryService: Servicio de categorías principal
+ * - categoryRepository: Mock del repositorio de categorías
+ * - productRepository: Mock del repositorio de productos (nombre de categoría desnormalizado)
+ * - transaction: Mock de runInTransaction (ejecuta el callback con una sesión falsa)
+ */
+
+const categoryService = require('../../../src/services/categoryService');
+const categoryRepository = require('../../../src/repositories/categoryRepository');
+const productRepository = require('../../../src/repositories/productRepository');
+
+jest.mock('../../../src/repositories/categoryRepository');
+jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/utils/transaction', () => ({
+    runInTransaction: jest.fn((work) => work('mock_session')),
+}));
+
+// Documento de categoría mínimo (toObject como en Mongoose)
+const category = (id, name, parent = null, ancestors = []) => {
+    const data = { _id: id, name, parent, ancestors };
+    return { ...data, toObject: () => ({ ...data }) };
+};
+
+describe('CategoryService - Tests Unitarios', () => {
+    // Electrónica > Computadores > Portátiles, y Hogar como otra raíz
+    const electronica = category('electronica', 'Electrónica');
+    const computadores = category('computadores', 'Computadores', 'electronica', ['electronica']);
+    const portatiles = category('portatiles', 'Portátiles', 'computadores', ['electronica', 'computadores']);
+    const hogar = category('hogar', 'Hogar');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    /**
+     * Test 1: Crear Subcategoría
+     */
+    describe('crear categoría', () => {
+        test('debe calcular los ancestros a partir del padre', async () => {
+            categoryRepository.findById.mockResolvedValue(computadores);
+            categoryRepository.create.mockImplementation(async (data) => data);
+
+            const result = await categoryService.createCategory({
+                name: 'Portátiles',
+                description: 'Desc',
+                parent: 'computadores',
+                ancestors: ['inventado']
+            });
+
+            expect(result.ancestors).toEqual(['electronica', 'computadores']);
+            expect(result.parent).toBe('computadores');
+        });
+
+        test('debe crear una raíz sin padre', async () => {
+            categoryRepository.create.mockImplementation(async (data) => data);
+
+            const result = await categoryService.createCategory({ name: 'Hogar', description: 'Desc' });
+
+            expect(result).toMatchObject({ parent: null, ancestors: [] });
+            expect(categoryRepository.findById).not.toHaveBeenCalled();
+        });
+
+        test('debe fallar con 404 si el padre no existe', async () => {
+            categoryRepository.findById.mockResolvedValue(null);
+
+            await expect(categoryService.createCategory({ name: 'X', parent: 'missing' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(categoryRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Test 2: Árbol Anidado
+     */
+    test('debe anidar las categorías bajo sus padres', async () => {
+        categoryRepository.findAll.mockResolvedValue([computadores, electronica, hogar, portatiles]);
+
+        const tree = await categoryService.getCategoryTree();
+
+        expect(tree.map((node) => node.name)).toEqual(['Electrónica', 'Hogar']);
+        expect(tree[0].children[0].name).toBe('Computadores');
+        expect(tree[0].children[0].children[0].name).toBe('Portátiles');
+        expect(tree[1].children).toEqual([]);
+    });
+
+    /**
+     * Test 2.1: Categoría por ID o Slug
+     */
+    describe('obtener categoría por ID o slug', () => {
+        test('debe retornar la categoría encontrada por slug', async () => {
+            categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: electronica });
+
+            const result = await categoryService.getCategoryById('electronica');
+
+            expect(result).toBe(electronica);
+        });
+
+        test('un slug anterior debe fallar con 301 indicando el slug actual', async () => {
+            categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: computadores, movedTo: 'computadores' });
+
+            await expect(categoryService.getCategoryById('computacion')).rejects.toMatchObject({
+                statusCode: 301,
+                details: { from: 'computacion', to: 'computadores' }
+            });
+        });
+    });
+
+    /**
+     * Test 3: Mover Categoría
+     */
+    describe('mover categoría', () => {
+        test('debe recalcular los ancestros de la categoría y de sus descendientes', async () => {
+            categoryRepository.findById.mockImplementation(async (id) =>
+                ({ computadores, hogar }[id]));
+            categoryRepository.update.mockResolvedValue({ _id: 'computadores' });
+
+            await categoryService.updateCategory('computadores', { parent: 'hogar' });
+
+            expect(categoryRepository.update).toHaveBeenCalledWith(
+                'computadores',
+                { parent: 'hogar', ancestors: ['hogar'] },
+                'mock_session'
+            );
+            expect(categoryRepository.rebaseDescendants).toHaveBeenCalledWith('computadores', ['hogar'], 'mock_session');
+        });
+
+        test('debe convertirla en raíz con parent null', async () => {
+            categoryRepository.findById.mockResolvedValue(computadores);
+            categoryRepository.update.mockResolvedValue({ _id: 'computadores' });
+
+            await categoryService.updateCategory('computadores', { parent: null });
+
+            expect(categoryRepository.rebaseDescendants).toHaveBeenCalledWith('computadores', [], 'mock_session');
+        });
+
+        test('debe rechazar mover una categoría dentro de su propia subcategoría', async () => {
+            categoryRepository.findById.mockImplementation(async (id) =>
+                ({ computadores, portatiles }[id]));
+
+            await expect(categoryService.updateCategory('computadores', { parent: 'portatiles' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(categoryRepository.update).not.toHaveBeenCalled();
+        });
+
+        test('debe rechazar a la propia categoría como padre', async () => {
+            categoryRepository.findById.mockResolvedValue(computadores);
+
+            await expect(categoryService.updateCategory('computadores', { parent: 'computadores' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('no debe tocar el árbol si el padre no cambia', async () => {
+            categoryRepository.findById.mockResolvedValue(computadores);
+            categoryRepository.update.mockResolvedValue(computadores);
+
+            await categoryService.updateCategory('computadores', { parent: 'electronica', description: 'Nueva' });
+
+            expect(categoryRepository.update).toHaveBeenCalledWith('computadores', { parent: 'electronica', description: 'Nueva' });
+            expect(categoryRepository.rebaseDescendants).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Test 4: Renombrar Categoría
+     */
+    test('debe sincronizar el nombre de la categoría en sus productos al renombrarla', async () => {
+        categoryRepository.findById.mockResolvedValue(hogar);
+        categoryRepository.update.mockResolvedValue({ _id: 'hogar', name: 'Casa' });
+
+        await categoryService.updateCategory('hogar', { name: 'Casa' });
+
+        expect(productRepository.syncCategoryName).toHaveBeenCalledWith('hogar', 'Casa');
+    });
+
+    /**
+     * Test 5: Eliminar Categoría con Hijas
+     */
+    test('al eliminar debe subir las subcategorías al padre de la categoría eliminada', async () => {
+        categoryRepository.findById.mockResolvedValue(computadores);
+        productRepository.countByCategory.mockResolvedValue(0);
+
+        const result = await categoryService.deleteCategory('computadores');
+
+        expect(categoryRepository.detachFromTree).toHaveBeenCalledWith('computadores', 'electronica', 'mock_session');
+        expect(categoryRepository.delete).toHaveBeenCalledWith('computadores', 'mock_session');
+        expect(productRepository.reassignCategory).not.toHaveBeenCalled();
+        expect(result.affectedProducts).toBe(0);
+    });
+
+    /**
+     * Test 6: Eliminar Categoría con Productos
+     */
+    describe('eliminar categoría con productos', () => {
+        beforeEach(() => {
+            categoryRepository.findById.mockImplementation(async (id) => ({ hogar, electronica }[id]));
+            productRepository.countByCategory.mockResolvedValue(3);
+        });
+
+        test('debe bloquear la eliminación con 409 e indicar cuántos productos hay', async () => {
+            await expect(categoryService.deleteCategory('hogar')).rejects.toMatchObject({
+                statusCode: 409,
+                details: { products: 3 }
+            });
+            expect(categoryRepository.delete).not.toHaveBeenCalled();
+            expect(productRepository.reassignCategory).not.toHaveBeenCalled();
+        });
+
+        test('debe reasignar los productos en bloque a la categoría destino', async () => {
+            productRepository.reassignCategory.mockResolvedValue(3);
+
+            const result = await categoryService.deleteCategory('hogar', { reassignTo: 'electronica' });
+
+            expect(productRepository.reassignCategory).toHaveBeenCalledWith('hogar', electronica, 'mock_session');
+            expect(categoryRepository.delete).toHaveBeenCalledWith('hogar', 'mock_session');
+            expect(result.affectedProducts).toBe(3);
+        });
+
+        test('debe desvincular los productos con detach', async () => {
+            productRepository.reassignCategory.mockResolvedValue(3);
+
+            const result = await categoryService.deleteCategory('hogar', { detach: true });
+
+            expect(productRepository.reassignCategory).toHaveBeenCalledWith('hogar', null, 'mock_session');
+            expect(result.affectedProducts).toBe(3);
+        });
+
+        test('debe fallar con 404 si la categoría destino no existe', async () => {
+            await expect(categoryService.deleteCategory('hogar', { reassignTo: 'missing' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(categoryRepository.delete).not.toHaveBeenCalled();
+        });
+
+        test('debe rechazar reasignar a la misma categoría', async () => {
+            await expect(categoryService.deleteCategory('hogar', { reassignTo: 'hogar' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('debe rechazar reassignTo y detach a la vez', async () => {
+            await expect(categoryService.deleteCategory('hogar', { reassignTo: 'electronica', detach: true }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests Unitarios para idempotencyService
+ * 
+ * Propósito:
+ * Verificar la reserva de claves de idempotencia, la repetición de respuestas
+ * y el rechazo de claves reutilizadas, sin depender de la base de datos real.
+ * 
+ * Dependencias:
+ * - idempotencyService: Servicio de idempotencia principal
+ * - idempotencyKeyRepository: Mock del repositorio de claves
+ */
+
+const idempotencyService = require('../../../src/services/idempotencyService');
+const idempotencyKeyRepository = require('../../../src/repositories/idempotencyKeyRepository');
+
+jest.mock('../../../src/repositories/idempotencyKeyRepository');
+
+describe('IdempotencyService - Tests Unitarios', () => {
+    const scope = 'POST /api/v1/orders';
+    const body = Buffer.from('{"items":[]}');
+    const duplicateKeyError = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    /**
+     * Test 1: Clave Nueva
+     */
+    test('debe reservar una clave nueva con el hash del cuerpo', async () => {
+        idempotencyKeyRepository.create.mockResolvedValue({ _id: 'key1' });
+
+        const result = await idempotencyService.begin('user1', 'abc', scope, body);
+
+        expect(result).toEqual({ record: { _id: 'key1' } });
+        expect(idempotencyKeyRepository.create).toHaveBeenCalledWith({
+            user: 'user1',
+            key: 'abc',
+            scope,
+            requestHash: idempotencyService.hashRequest(body)
+        });
+    });
+
+    /**
+     * Test 2: Clave Repetida
+     */
+    describe('clave ya usada', () => {
+        beforeEach(() => {
+            idempotencyKeyRepository.create.mockRejectedValue(duplicateKeyError);
+        });
+
+        test('debe devolver la respuesta original si la petición es la misma', async () => {
+            const response = { statusCode: 201, body: { _id: 'checkout1' } };
+            idempotencyKeyRepository.findByUserAndKey.mockResolvedValue({
+                scope,
+                requestHash: idempotencyService.hashRequest(body),
+                status: 'COMPLETED',
+                response
+            });
+
+            const result = await idempotencyService.begin('user1', 'abc', scope, body);
+
+            expect(result).toEqual({ replay: response });
+        });
+
+        test('debe rechazar con 422 si el cuerpo es diferente', async () => {
+            idempotencyKeyRepository.findByUserAndKey.mockResolvedValue({
+                scope,
+                requestHash: idempotencyService.hashRequest(Buffer.from('{"items":[1]}')),
+                status: 'COMPLETED'
+            });
+
+            await expect(idempotencyService.begin('user1', 'abc', scope, body))
+                .rejects.toMatchObject({ statusCode: 422 });
+        });
+
+        test('debe rechazar con 409 si la petición original sigue en proceso', async () => {
+            idempotencyKeyRepository.findByUserAndKey.mockResolvedValue({
+                scope,
+                requestHash: idempotencyService.hashRequest(body),
+                status: 'IN_PROGRESS',
+                lockedAt: new Date()
+            });
+
+            await expect(idempotencyService.begin('user1', 'abc', scope, body))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(idempotencyKeyRepository.takeOver).not.toHaveBeenCalled();
+        });
+
+        test('debe tomar una clave bloqueada hace más del tiempo límite', async () => {
+            const staleLock = new Date(Date.now() - 5 * 60 * 1000);
+            idempotencyKeyRepository.findByUserAndKey.mockResolvedValue({
+                _id: 'key1',
+                scope,
+                requestHash: idempotencyService.hashRequest(body),
+                status: 'IN_PROGRESS',
+                lockedAt: staleLock
+            });
+            idempotencyKeyRepository.takeOver.mockResolvedValue({ _id: 'key1', lockedAt: new Date() });
+
+            const result = await idempotencyService.begin('user1', 'abc', scope, body);
+
+            expect(idempotencyKeyRepository.takeOver).toHaveBeenCalledWith('key1', staleLock);
+            expect(result.record._id).toBe('key1');
+        });
+
+        test('debe rechazar con 409 si otro reintento tomó primero la clave vencida', async () => {
+            idempotencyKeyRepository.findByUserAndKey.mockResolvedValue({
+                _id: 'key1',
+                scope,
+                requestHash: idempotencyService.hashRequest(body),
+                status: 'IN_PROGRESS',
+                lockedAt: new Date(Date.now() - 5 * 60 * 1000)
+            });
+            idempotencyKeyRepository.takeOver.mockResolvedValue(null);
+
+            await expect(idempotencyService.begin('user1', 'abc', scope, body))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    /**
+     * Test 3: Guardar Resultado
+     */
+    describe('finish', () => {
+        const lockedAt = new Date();
+
+        test('debe guardar las respuestas exitosas', async () => {
+            await idempotencyService.finish({ _id: 'key1', lockedAt }, 201, { _id: 'checkout1' });
+
+            expect(idempotencyKeyRepository.complete).toHaveBeenCalledWith('key1', lockedAt, {
+                statusCode: 201,
+                body: { _id: 'checkout1' }
+            });
+            expect(idempotencyKeyRepository.delete).not.toHaveBeenCalled();
+        });
+
+        test('debe liberar la clave si la petición falló para permitir reintentar', async () => {
+            await idempotencyService.finish({ _id: 'key1', lockedAt }, 409, { message: 'Stock insuficiente' });
+
+            expect(idempotencyKeyRepository.delete).toHaveBeenCalledWith('key1', lockedAt);
+            expect(idempotencyKeyRepository.complete).not.toHaveBeenCalled();
+        });
+    });
+});
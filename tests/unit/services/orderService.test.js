@@ -9,18 +9,39 @@
  * - orderService: Servicio de pedidos principal
  * - orderRepository: Mock del repositorio de pedidos
  * - productRepository: Mock del repositorio de productos (para stock)
+ * - checkoutRepository: Mock del repositorio de compras (pedido padre)
+ * - storeRepository: Mock del repositorio de tiendas (para validar propiedad del pedido)
+ * - transaction: Mock de runInTransaction (ejecuta el callback con una sesión falsa)
+ * - payments: Proveedor de pagos falso (authorize/capture/refund controlados por cada test)
  */
 
 const orderService = require('../../../src/services/orderService');
 const orderRepository = require('../../../src/repositories/orderRepository');
 const productRepository = require('../../../src/repositories/productRepository');
+const checkoutRepository = require('../../../src/repositories/checkoutRepository');
+const storeRepository = require('../../../src/repositories/storeRepository');
+const { runInTransaction } = require('../../../src/utils/transaction');
+const { getPaymentProvider } = require('../../../src/payments');
 
 jest.mock('../../../src/repositories/orderRepository');
 jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/repositories/checkoutRepository');
+jest.mock('../../../src/repositories/storeRepository');
+jest.mock('../../../src/utils/transaction', () => ({
+    runInTransaction: jest.fn((work) => work('mock_session')),
+}));
+jest.mock('../../../src/payments', () => {
+    const provider = { name: 'fake', authorize: jest.fn(), capture: jest.fn(), refund: jest.fn() };
+    return { getPaymentProvider: () => provider };
+});
+
+const paymentProvider = getPaymentProvider();
 
 describe('OrderService - Tests Unitarios', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        paymentProvider.authorize.mockResolvedValue({ id: 'pay_123', status: 'AUTHORIZED' });
+        storeRepository.findById.mockResolvedValue({ _id: 'store1', status: 'APPROVED' });
     });
 
     /**
@@ -39,25 +60,254 @@ describe('OrderService - Tests Unitarios', () => {
         const product1 = { _id: 'prod1', name: 'P1', stock: 10, price: 100, store: 'store1' };
         const product2 = { _id: 'prod2', name: 'P2', stock: 5, price: 200, store: 'store1' };
 
-        const createdOrder = { _id: 'order123', user: userId, total: 400, status: 'PAID' };
+        const createdCheckout = { _id: 'checkout123', user: userId, total: 400, orders: [] };
 
         productRepository.findById
             .mockResolvedValueOnce(product1)
             .mockResolvedValueOnce(product2);
-        productRepository.update.mockResolvedValue(true);
-        orderRepository.create.mockResolvedValue(createdOrder);
+        productRepository.decrementStock.mockResolvedValue({ stock: 0 });
+        checkoutRepository.create.mockResolvedValue({ _id: 'checkout123' });
+        checkoutRepository.findById.mockResolvedValue(createdCheckout);
 
         const result = await orderService.createOrder(userId, orderData);
 
+        expect(runInTransaction).toHaveBeenCalledTimes(1);
         expect(productRepository.findById).toHaveBeenCalledTimes(2);
-        expect(productRepository.update).toHaveBeenCalledWith('prod1', { stock: 8 });
-        expect(productRepository.update).toHaveBeenCalledWith('prod2', { stock: 4 });
-        expect(orderRepository.create).toHaveBeenCalled();
+        expect(productRepository.findById).toHaveBeenCalledWith('prod1', 'mock_session');
+        expect(productRepository.decrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', null);
+        expect(productRepository.decrementStock).toHaveBeenCalledWith('prod2', 1, 'mock_session', null);
+        expect(checkoutRepository.create).toHaveBeenCalledWith(
+            expect.objectContaining({ user: userId, total: 400 }),
+            'mock_session'
+        );
+        expect(orderRepository.create).toHaveBeenCalledTimes(1);
+        expect(orderRepository.create).toHaveBeenCalledWith(
+            expect.objectContaining({ checkout: 'checkout123', store: 'store1', total: 400, status: 'PENDING' }),
+            'mock_session'
+        );
         expect(result.total).toBe(400);
     });
 
+    test('debe rechazar productos de tiendas suspendidas o no aprobadas', async () => {
+        productRepository.findById.mockResolvedValue({ _id: 'prod1', name: 'P1', stock: 10, price: 100, store: 'store1' });
+
+        for (const status of ['SUSPENDED', 'REJECTED', 'PENDING']) {
+            storeRepository.findById.mockResolvedValueOnce({ _id: 'store1', status });
+
+            await expect(
+                orderService.createOrder('user123', { items: [{ product: 'prod1', quantity: 1 }] })
+            ).rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('P1') });
+        }
+        expect(storeRepository.findById).toHaveBeenCalledWith('store1', 'mock_session');
+        expect(productRepository.decrementStock).not.toHaveBeenCalled();
+        expect(checkoutRepository.create).not.toHaveBeenCalled();
+        expect(paymentProvider.authorize).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Pago: autorización con el proveedor y confirmación por webhook
+     */
+    describe('pago con el proveedor configurado', () => {
+        const mockSubOrder = (status, items = [{ price: 100, quantity: 2, cancelledQuantity: 0 }]) => {
+            const order = { _id: `order_${status}`, status, items, statusHistory: [], refunds: [], save: jest.fn() };
+            order.save.mockResolvedValue(order);
+            return order;
+        };
+
+        beforeEach(() => {
+            productRepository.findById.mockResolvedValue({ _id: 'prod1', name: 'P1', price: 100, store: 'store1' });
+            productRepository.decrementStock.mockResolvedValue({ stock: 1 });
+            checkoutRepository.create.mockResolvedValue({ _id: 'checkout123' });
+            paymentProvider.capture.mockResolvedValue({ id: 'pay_123', status: 'CAPTURED' });
+        });
+
+        test('debe autorizar el total y guardar el resultado del pago en la compra', async () => {
+            checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123', total: 200, orders: [] });
+
+            await orderService.createOrder('user123', { items: [{ product: 'prod1', quantity: 2 }] });
+
+            expect(paymentProvider.authorize).toHaveBeenCalledWith(
+                expect.objectContaining({ amount: 200, reference: 'checkout123' })
+            );
+            expect(checkoutRepository.update).toHaveBeenCalledWith('checkout123', {
+                paymentResult: expect.objectContaining({ provider: 'fake', id: 'pay_123', status: 'AUTHORIZED' })
+            });
+        });
+
+        test('si el proveedor confirma al autorizar debe pasar los pedidos a PAID sin esperar el webhook', async () => {
+            const pending = mockSubOrder('PENDING');
+            checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123', total: 200, orders: [pending] });
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123', status: 'AUTHORIZED' },
+                orders: [pending]
+            });
+            paymentProvider.authorize.mockResolvedValue({ id: 'pay_123', status: 'AUTHORIZED', confirmed: true });
+
+            await orderService.createOrder('user123', { items: [{ product: 'prod1', quantity: 2 }] });
+
+            expect(checkoutRepository.findByPaymentId).toHaveBeenCalledWith('pay_123');
+            expect(paymentProvider.capture).toHaveBeenCalledWith('pay_123', 200);
+            expect(pending.status).toBe('PAID');
+        });
+
+        test('si la autorización falla debe cancelar los pedidos y reponer stock', async () => {
+            const pendingOrder = {
+                _id: 'order1',
+                status: 'PENDING',
+                items: [{ _id: 'item1', product: 'prod1', name: 'P1', quantity: 2, cancelledQuantity: 0, restockedQuantity: 0 }],
+                statusHistory: [],
+                refunds: [],
+                save: jest.fn(),
+            };
+            checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123', total: 200, orders: [pendingOrder] });
+            orderRepository.findByIdForUpdate.mockResolvedValue(pendingOrder);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+            paymentProvider.authorize.mockRejectedValue(new Error('Tarjeta rechazada'));
+
+            await expect(
+                orderService.createOrder('user123', { items: [{ product: 'prod1', quantity: 2 }] })
+            ).rejects.toMatchObject({ statusCode: 402 });
+
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', null);
+            expect(pendingOrder.status).toBe('CANCELLED');
+            expect(checkoutRepository.update).not.toHaveBeenCalled();
+        });
+
+        test('confirmPayment debe pasar a PAID solo los sub-pedidos PENDING', async () => {
+            const pending = mockSubOrder('PENDING');
+            const cancelled = mockSubOrder('CANCELLED');
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123' },
+                orders: [pending, cancelled]
+            });
+
+            await orderService.confirmPayment('pay_123');
+
+            expect(pending.status).toBe('PAID');
+            expect(pending.statusHistory[0]).toMatchObject({ status: 'PAID', note: 'Pago confirmado por fake' });
+            expect(pending.save).toHaveBeenCalled();
+            expect(cancelled.status).toBe('CANCELLED');
+            expect(cancelled.save).not.toHaveBeenCalled();
+            expect(paymentProvider.capture).toHaveBeenCalledWith('pay_123', 200);
+            expect(checkoutRepository.update).toHaveBeenCalledWith(
+                'checkout123',
+                expect.objectContaining({ 'paymentResult.status': 'CAPTURED', 'paymentResult.capturedAmount': 200 })
+            );
+        });
+
+        test('confirmPayment no debe cobrar las unidades canceladas antes del webhook', async () => {
+            const partial = mockSubOrder('PENDING', [
+                { price: 100, quantity: 3, cancelledQuantity: 1 },
+                { price: 50, quantity: 1, cancelledQuantity: 1 },
+            ]);
+            const cancelled = mockSubOrder('CANCELLED', [{ price: 70, quantity: 1, cancelledQuantity: 1 }]);
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123', status: 'AUTHORIZED' },
+                orders: [partial, cancelled]
+            });
+
+            await orderService.confirmPayment('pay_123');
+
+            expect(paymentProvider.capture).toHaveBeenCalledWith('pay_123', 200);
+            expect(partial.status).toBe('PAID');
+            expect(partial.items.map((i) => i.paidQuantity)).toEqual([2, 0]);
+        });
+
+        test('confirmPayment no debe capturar si toda la compra se canceló antes del webhook', async () => {
+            const cancelled = mockSubOrder('CANCELLED');
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123', status: 'AUTHORIZED' },
+                orders: [cancelled]
+            });
+
+            await orderService.confirmPayment('pay_123');
+
+            expect(paymentProvider.capture).not.toHaveBeenCalled();
+            expect(checkoutRepository.update).not.toHaveBeenCalled();
+        });
+
+        test('confirmPayment debe retornar 502 sin marcar pedidos si la captura falla', async () => {
+            const pending = mockSubOrder('PENDING');
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123', status: 'AUTHORIZED' },
+                orders: [pending]
+            });
+            paymentProvider.capture.mockRejectedValue(new Error('autorización vencida'));
+
+            await expect(orderService.confirmPayment('pay_123')).rejects.toMatchObject({ statusCode: 502 });
+            expect(pending.status).toBe('PENDING');
+            expect(pending.save).not.toHaveBeenCalled();
+        });
+
+        test('confirmPayment debe ser idempotente ante webhooks repetidos', async () => {
+            const paid = mockSubOrder('PAID');
+            checkoutRepository.findByPaymentId.mockResolvedValue({
+                _id: 'checkout123',
+                paymentResult: { provider: 'fake', id: 'pay_123' },
+                orders: [paid]
+            });
+
+            await orderService.confirmPayment('pay_123');
+
+            expect(paymentProvider.capture).not.toHaveBeenCalled();
+            expect(paid.statusHistory).toHaveLength(0);
+            expect(paid.save).not.toHaveBeenCalled();
+        });
+
+        test('confirmPayment debe retornar 404 para un pago desconocido', async () => {
+            checkoutRepository.findByPaymentId.mockResolvedValue(null);
+
+            await expect(orderService.confirmPayment('unknown')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    /**
+     * Test 2: Dividir la Compra en un Sub-pedido por Tienda
+     */
+    test('debe crear un sub-pedido por cada tienda de la compra', async () => {
+        const orderData = {
+            items: [
+                { product: 'prod1', quantity: 1 },
+                { product: 'prod2', quantity: 2 },
+                { product: 'prod3', quantity: 1 }
+            ]
+        };
+
+        productRepository.findById
+            .mockResolvedValueOnce({ _id: 'prod1', name: 'P1', stock: 10, price: 100, store: 'storeA' })
+            .mockResolvedValueOnce({ _id: 'prod2', name: 'P2', stock: 10, price: 50, store: 'storeB' })
+            .mockResolvedValueOnce({ _id: 'prod3', name: 'P3', stock: 10, price: 30, store: 'storeA' });
+        productRepository.decrementStock.mockResolvedValue({ stock: 5 });
+        checkoutRepository.create.mockResolvedValue({ _id: 'checkout123' });
+        checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123' });
+
+        await orderService.createOrder('user123', orderData);
+
+        expect(checkoutRepository.create).toHaveBeenCalledWith(
+            expect.objectContaining({ total: 230 }),
+            'mock_session'
+        );
+        expect(orderRepository.create).toHaveBeenCalledTimes(2);
+
+        const [storeAOrder] = orderRepository.create.mock.calls[0];
+        expect(storeAOrder.store).toBe('storeA');
+        expect(storeAOrder.total).toBe(130);
+        expect(storeAOrder.items.map((item) => item.product)).toEqual(['prod1', 'prod3']);
+
+        const [storeBOrder] = orderRepository.create.mock.calls[1];
+        expect(storeBOrder.store).toBe('storeB');
+        expect(storeBOrder.total).toBe(100);
+        expect(storeBOrder.checkout).toBe('checkout123');
+        expect(checkoutRepository.findById).toHaveBeenCalledWith('checkout123', 'mock_session');
+    });
+
     /**
-     * Test 2: Rechazar Pedido sin Stock Suficiente
+     * Test 3: Rechazar Pedido sin Stock Suficiente
      */
     test('debe rechazar pedido sin stock suficiente', async () => {
         const userId = 'user123';
@@ -65,55 +315,833 @@ describe('OrderService - Tests Unitarios', () => {
             items: [{ product: 'prod1', quantity: 15 }]
         };
 
-        const product = { _id: 'prod1', name: 'P1', stock: 10, price: 100 };
+        const product = { _id: 'prod1', name: 'P1', stock: 10, price: 100, store: 'store1' };
         productRepository.findById.mockResolvedValue(product);
+        productRepository.decrementStock.mockResolvedValue(null); // Condición stock >= 15 no se cumple
 
         await expect(
             orderService.createOrder(userId, orderData)
-        ).rejects.toThrow(/stock insuficiente/i);
+        ).rejects.toMatchObject({ message: expect.stringMatching(/stock insuficiente/i), statusCode: 409 });
 
+        expect(checkoutRepository.create).not.toHaveBeenCalled();
         expect(orderRepository.create).not.toHaveBeenCalled();
     });
 
     /**
-     * Test 3: Actualizar Estado de Pedido
+     * Test 4: Reportar Exactamente los Productos que Perdieron la Carrera
+     */
+    test('debe reportar los productos sin stock y abortar la transacción', async () => {
+        const orderData = {
+            items: [
+                { product: 'prod1', quantity: 1 },
+                { product: 'prod2', quantity: 1 },
+                { product: 'prod3', quantity: 5 }
+            ]
+        };
+
+        productRepository.findById
+            .mockResolvedValueOnce({ _id: 'prod1', name: 'P1', stock: 10, price: 100, store: 'store1' })
+            .mockResolvedValueOnce({ _id: 'prod2', name: 'P2', stock: 1, price: 100, store: 'store1' })
+            .mockResolvedValueOnce({ _id: 'prod3', name: 'P3', stock: 2, price: 100, store: 'store1' });
+        productRepository.decrementStock
+            .mockResolvedValueOnce({ stock: 9 })
+            .mockResolvedValueOnce(null)  // Otro comprador se llevó la última unidad
+            .mockResolvedValueOnce(null);
+
+        const error = await orderService.createOrder('user123', orderData).catch((e) => e);
+
+        expect(error.statusCode).toBe(409);
+        expect(error.message).toBe('Stock insuficiente para los productos: P2, P3');
+        expect(error.details.unavailable).toEqual([
+            { product: 'prod2', name: 'P2', requested: 1 },
+            { product: 'prod3', name: 'P3', requested: 5 }
+        ]);
+        // Todos los descuentos usaron la sesión, así que el abort revierte el de P1
+        productRepository.decrementStock.mock.calls.forEach((call) => {
+            expect(call[2]).toBe('mock_session');
+        });
+        expect(checkoutRepository.create).not.toHaveBeenCalled();
+        expect(orderRepository.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Variantes: stock y precio a nivel de variante
+     */
+    describe('productos con variantes', () => {
+        const variantProduct = () => ({
+            _id: 'prod1',
+            name: 'Camiseta',
+            price: 100,
+            stock: 5,
+            store: 'store1',
+            optionAxes: [{ name: 'Talla', values: ['S', 'M'] }],
+            variants: [
+                { _id: 'varS', sku: 'CAM-S', options: { Talla: 'S' }, stock: 2 },
+                { _id: 'varM', sku: 'CAM-M', options: { Talla: 'M' }, price: 120, stock: 3 },
+            ],
+        });
+
+        beforeEach(() => {
+            checkoutRepository.create.mockResolvedValue({ _id: 'checkout123' });
+            checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123' });
+        });
+
+        test('debe descontar el stock de la variante y guardar su snapshot con su precio', async () => {
+            productRepository.findById.mockResolvedValue(variantProduct());
+            productRepository.decrementStock.mockResolvedValue({ stock: 3 });
+
+            await orderService.createOrder('user123', { items: [{ product: 'prod1', variant: 'varM', quantity: 2 }] });
+
+            expect(productRepository.decrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', 'varM');
+            expect(checkoutRepository.create).toHaveBeenCalledWith(
+                expect.objectContaining({ total: 240 }),
+                'mock_session'
+            );
+            const [orderData] = orderRepository.create.mock.calls[0];
+            expect(orderData.items[0]).toMatchObject({
+                product: 'prod1',
+                variant: 'varM',
+                sku: 'CAM-M',
+                options: { Talla: 'M' },
+                price: 120,
+                quantity: 2,
+            });
+        });
+
+        test('debe usar el precio del producto si la variante no lo define', async () => {
+            productRepository.findById.mockResolvedValue(variantProduct());
+            productRepository.decrementStock.mockResolvedValue({ stock: 4 });
+
+            await orderService.createOrder('user123', { items: [{ product: 'prod1', variant: 'varS', quantity: 1 }] });
+
+            expect(checkoutRepository.create).toHaveBeenCalledWith(
+                expect.objectContaining({ total: 100 }),
+                'mock_session'
+            );
+        });
+
+        test('debe exigir una variante válida', async () => {
+            productRepository.findById.mockResolvedValue(variantProduct());
+
+            await expect(
+                orderService.createOrder('user123', { items: [{ product: 'prod1', quantity: 1 }] })
+            ).rejects.toMatchObject({ statusCode: 400 });
+            await expect(
+                orderService.createOrder('user123', { items: [{ product: 'prod1', variant: 'otra', quantity: 1 }] })
+            ).rejects.toMatchObject({ statusCode: 400 });
+            expect(productRepository.decrementStock).not.toHaveBeenCalled();
+        });
+
+        test('debe reportar la variante sin stock aunque el producto tenga stock total', async () => {
+            productRepository.findById.mockResolvedValue(variantProduct());
+            productRepository.decrementStock.mockResolvedValue(null);
+
+            const error = await orderService
+                .createOrder('user123', { items: [{ product: 'prod1', variant: 'varS', quantity: 3 }] })
+                .catch((e) => e);
+
+            expect(error.statusCode).toBe(409);
+            expect(error.message).toContain('Camiseta (CAM-S)');
+            expect(error.details.unavailable).toEqual([
+                { product: 'prod1', variant: 'varS', sku: 'CAM-S', name: 'Camiseta', requested: 3 }
+            ]);
+        });
+
+        test('debe reponer el stock de la variante al cancelar', async () => {
+            const item = {
+                product: 'prod1', variant: 'varM', sku: 'CAM-M', name: 'Camiseta',
+                quantity: 2, cancelledQuantity: 2, restockedQuantity: 0,
+            };
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+
+            const note = await orderService.restockCancelledItems({ items: [item] }, 'mock_session');
+
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', 'varM');
+            expect(note).toBe('Stock repuesto: Camiseta (CAM-M) x2');
+        });
+    });
+
+    /**
+     * Test 5: Actualizar Estado de Pedido
      */
     test('debe actualizar estado de pedido', async () => {
-        const userId = 'user123';
+        const storeUser = { id: 'storeUser1', role: 'STORE' };
         const orderId = 'order123';
-        const newStatus = 'CONFIRMED';
+        const newStatus = 'SHIPPED';
 
         const existingOrder = {
             _id: orderId,
-            status: 'PENDING',
-            user: userId,
+            status: 'PAID',
+            user: 'user123',
+            store: 'store1',
             statusHistory: [],
+            refunds: [],
             save: jest.fn().mockResolvedValue({ status: newStatus })
         };
 
         orderRepository.findById.mockResolvedValue(existingOrder);
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: storeUser.id });
 
-        const result = await orderService.updateOrderStatus(orderId, newStatus, userId);
+        const result = await orderService.updateOrderStatus(orderId, newStatus, storeUser);
 
         expect(orderRepository.findById).toHaveBeenCalledWith(orderId);
+        expect(storeRepository.findByMember).toHaveBeenCalledWith(storeUser.id);
         expect(existingOrder.status).toBe(newStatus);
         expect(existingOrder.statusHistory).toHaveLength(1);
+        expect(existingOrder.statusHistory[0].updatedBy).toBe(storeUser.id);
         expect(existingOrder.save).toHaveBeenCalled();
         expect(result.status).toBe(newStatus);
     });
 
     /**
-     * Test 4: Obtener Pedidos por Usuario
+     * Máquina de estados: transiciones y reglas por rol
      */
-    test('debe obtener pedidos por usuario', async () => {
+    describe('updateOrderStatus - máquina de estados', () => {
+        const buyer = { id: 'buyer1', role: 'CLIENT' };
+        const storeUser = { id: 'storeUser1', role: 'STORE' };
+        const admin = { id: 'admin1', role: 'ADMIN' };
+
+        const mockOrder = (status) => {
+            const order = {
+                _id: 'order123',
+                status,
+                user: { _id: 'buyer1', email: 'buyer@test.com' },
+                store: 'store1',
+                items: [
+                    { _id: 'item1', product: 'prod1', name: 'P1', quantity: 2, cancelledQuantity: 0, restockedQuantity: 0 }
+                ],
+                statusHistory: [],
+                refunds: [],
+                save: jest.fn(),
+            };
+            order.save.mockResolvedValue(order);
+            orderRepository.findById.mockResolvedValue(order);
+            orderRepository.findByIdForUpdate.mockResolvedValue(order);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+            return order;
+        };
+
+        beforeEach(() => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'storeUser1' });
+        });
+
+        test('debe rechazar con 409 una transición ilegal (DELIVERED -> PENDING)', async () => {
+            const order = mockOrder('DELIVERED');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'PENDING', admin)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(order.save).not.toHaveBeenCalled();
+        });
+
+        test('debe rechazar con 409 saltar estados (PENDING -> SHIPPED)', async () => {
+            mockOrder('PENDING');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'SHIPPED', storeUser)
+            ).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('debe rechazar con 400 un estado desconocido', async () => {
+            mockOrder('PENDING');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'CONFIRMED', admin)
+            ).rejects.toMatchObject({ statusCode: 400 });
+            expect(orderRepository.findById).not.toHaveBeenCalled();
+        });
+
+        test('debe retornar 404 si el pedido no existe', async () => {
+            orderRepository.findById.mockResolvedValue(null);
+
+            await expect(
+                orderService.updateOrderStatus('missing', 'SHIPPED', storeUser)
+            ).rejects.toMatchObject({ statusCode: 404, message: 'Pedido no encontrado' });
+        });
+
+        test('un comprador no puede marcar su pedido como enviado o entregado', async () => {
+            mockOrder('PAID');
+            await expect(
+                orderService.updateOrderStatus('order123', 'SHIPPED', buyer)
+            ).rejects.toMatchObject({ statusCode: 403 });
+
+            mockOrder('SHIPPED');
+            await expect(
+                orderService.updateOrderStatus('order123', 'DELIVERED', buyer)
+            ).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('el comprador puede cancelar antes del envío', async () => {
+            const order = mockOrder('PAID');
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', buyer);
+
+            expect(order.status).toBe('CANCELLED');
+            expect(order.save).toHaveBeenCalled();
+        });
+
+        test('el comprador no puede cancelar un pedido ya enviado', async () => {
+            mockOrder('SHIPPED');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'CANCELLED', buyer)
+            ).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('otro cliente no puede cancelar un pedido ajeno', async () => {
+            mockOrder('PENDING');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'CANCELLED', { id: 'other', role: 'CLIENT' })
+            ).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('el dueño de otra tienda no puede modificar el pedido', async () => {
+            const order = mockOrder('PAID');
+            storeRepository.findByMember.mockResolvedValue({ _id: 'otherStore', owner: 'storeUser2' });
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'SHIPPED', { id: 'storeUser2', role: 'STORE' })
+            ).rejects.toMatchObject({ statusCode: 403 });
+            expect(order.save).not.toHaveBeenCalled();
+        });
+
+        test('el personal de la tienda actúa según su rol', async () => {
+            storeRepository.findByMember.mockResolvedValue({
+                _id: 'store1',
+                owner: 'storeUser1',
+                members: [{ user: 'picker1', role: 'FULFILLMENT' }, { user: 'manager1', role: 'MANAGER' }],
+            });
+            const picker = { id: 'picker1', role: 'STORE' };
+
+            const shipped = mockOrder('PAID');
+            await orderService.updateOrderStatus('order123', 'SHIPPED', picker);
+            expect(shipped.status).toBe('SHIPPED');
+
+            const paid = mockOrder('PAID');
+            await expect(
+                orderService.updateOrderStatus('order123', 'CANCELLED', picker)
+            ).rejects.toMatchObject({ statusCode: 403 });
+            expect(paid.save).not.toHaveBeenCalled();
+
+            const cancelled = mockOrder('PAID');
+            await orderService.updateOrderStatus('order123', 'CANCELLED', { id: 'manager1', role: 'STORE' });
+            expect(cancelled.status).toBe('CANCELLED');
+        });
+
+        test('un cliente ajeno no puede marcar el pedido como entregado', async () => {
+            mockOrder('SHIPPED');
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'DELIVERED', { id: 'intruder', role: 'CLIENT' })
+            ).rejects.toMatchObject({ statusCode: 403, message: 'No autorizado para acceder a este pedido' });
+        });
+
+        test('solo un admin puede marcar un pedido como pagado', async () => {
+            mockOrder('PENDING');
+            await expect(
+                orderService.updateOrderStatus('order123', 'PAID', storeUser)
+            ).rejects.toMatchObject({ statusCode: 403 });
+
+            const order = mockOrder('PENDING');
+            await orderService.updateOrderStatus('order123', 'PAID', admin);
+            expect(order.status).toBe('PAID');
+        });
+
+        test('un admin puede cancelar un pedido ya enviado', async () => {
+            const order = mockOrder('SHIPPED');
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', admin);
+
+            expect(order.status).toBe('CANCELLED');
+            expect(order.statusHistory[0]).toMatchObject({ status: 'CANCELLED', updatedBy: 'admin1' });
+        });
+    });
+
+    /**
+     * Cancelación con reposición de stock
+     */
+    describe('cancelación - reposición de stock', () => {
+        const buyer = { id: 'buyer1', role: 'CLIENT' };
+
+        const mockOrder = (items, status = 'PAID') => {
+            const order = {
+                _id: 'order123',
+                status,
+                user: 'buyer1',
+                store: 'store1',
+                items,
+                statusHistory: [],
+                refunds: [],
+                save: jest.fn(),
+            };
+            order.save.mockResolvedValue(order);
+            orderRepository.findById.mockResolvedValue(order);
+            orderRepository.findByIdForUpdate.mockResolvedValue(order);
+            return order;
+        };
+
+        const item = (id, product, quantity, cancelled = 0, restocked = 0) => ({
+            _id: id,
+            product,
+            name: `Producto ${product}`,
+            quantity,
+            cancelledQuantity: cancelled,
+            restockedQuantity: restocked,
+        });
+
+        test('cancelar el pedido devuelve el stock de todos los items dentro de una transacción', async () => {
+            const order = mockOrder([item('item1', 'prod1', 2), item('item2', 'prod2', 3)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'any' });
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', buyer);
+
+            expect(runInTransaction).toHaveBeenCalled();
+            expect(orderRepository.findByIdForUpdate).toHaveBeenCalledWith('order123', 'mock_session');
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', null);
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod2', 3, 'mock_session', null);
+            expect(order.status).toBe('CANCELLED');
+            expect(order.items.map((i) => i.restockedQuantity)).toEqual([2, 3]);
+            expect(order.statusHistory[0].note).toBe('Stock repuesto: Producto prod1 x2, Producto prod2 x3');
+            expect(order.save).toHaveBeenCalledWith({ session: 'mock_session' });
+        });
+
+        test('no repone dos veces unidades ya repuestas', async () => {
+            // Un item ya se canceló y repuso parcialmente antes
+            const order = mockOrder([item('item1', 'prod1', 2, 2, 2), item('item2', 'prod2', 3, 1, 1)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'any' });
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', buyer);
+
+            expect(productRepository.incrementStock).toHaveBeenCalledTimes(1);
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod2', 2, 'mock_session', null);
+            expect(order.items.map((i) => i.restockedQuantity)).toEqual([2, 3]);
+        });
+
+        test('registra los productos eliminados sin fallar', async () => {
+            const order = mockOrder([item('item1', 'prod1', 2), item('item2', 'gone', 1)]);
+            productRepository.incrementStock
+                .mockResolvedValueOnce({ _id: 'prod1' })
+                .mockResolvedValueOnce(null);
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', buyer);
+
+            expect(order.status).toBe('CANCELLED');
+            expect(order.items[1].restockedQuantity).toBe(1);
+            expect(order.statusHistory[0].note).toBe(
+                'Stock repuesto: Producto prod1 x2. Producto eliminado, stock no repuesto: Producto gone x1'
+            );
+        });
+
+        test('cancelar parcialmente un item repone solo esas unidades', async () => {
+            const order = mockOrder([item('item1', 'prod1', 5), item('item2', 'prod2', 1)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+
+            await orderService.cancelOrderItem('order123', 'item1', 2, buyer);
+
+            expect(productRepository.incrementStock).toHaveBeenCalledTimes(1);
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', null);
+            expect(order.items[0]).toMatchObject({ cancelledQuantity: 2, restockedQuantity: 2 });
+            expect(order.status).toBe('PAID');
+            expect(order.statusHistory[0]).toMatchObject({ status: 'PAID', note: 'Stock repuesto: Producto prod1 x2' });
+        });
+
+        test('cancelar el último item pendiente cancela el pedido', async () => {
+            const order = mockOrder([item('item1', 'prod1', 2, 2, 2), item('item2', 'prod2', 1)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod2' });
+
+            await orderService.cancelOrderItem('order123', 'item2', undefined, buyer);
+
+            expect(order.status).toBe('CANCELLED');
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod2', 1, 'mock_session', null);
+        });
+
+        test('rechaza cancelar más unidades de las restantes', async () => {
+            mockOrder([item('item1', 'prod1', 2, 1, 1)]);
+
+            await expect(
+                orderService.cancelOrderItem('order123', 'item1', 2, buyer)
+            ).rejects.toMatchObject({ statusCode: 400 });
+            expect(runInTransaction).not.toHaveBeenCalled();
+        });
+
+        test('rechaza cancelar items de un pedido entregado', async () => {
+            mockOrder([item('item1', 'prod1', 2)], 'DELIVERED');
+
+            await expect(
+                orderService.cancelOrderItem('order123', 'item1', 1, buyer)
+            ).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    /**
+     * Reembolsos totales y parciales
+     */
+    describe('refundOrder', () => {
+        const storeUser = { id: 'storeUser1', role: 'STORE' };
+
+        const mockOrder = (status, items) => {
+            const order = {
+                _id: 'order123',
+                status,
+                user: 'buyer1',
+                store: 'store1',
+                checkout: 'checkout123',
+                items,
+                refunds: [],
+                refundedTotal: 0,
+                statusHistory: [{ status: 'PAID' }],
+                save: jest.fn(),
+            };
+            order.save.mockResolvedValue(order);
+            orderRepository.findById.mockResolvedValue(order);
+            orderRepository.findByIdForUpdate.mockResolvedValue(order);
+            return order;
+        };
+
+        const item = (id, product, quantity, price, extra = {}) => ({
+            _id: id,
+            product,
+            name: `Producto ${product}`,
+            quantity,
+            price,
+            cancelledQuantity: 0,
+            restockedQuantity: 0,
+            returnedQuantity: 0,
+            paidQuantity: quantity,
+            refundedQuantity: 0,
+            ...extra,
+        });
+
+        beforeEach(() => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'storeUser1' });
+            checkoutRepository.findById.mockResolvedValue({ _id: 'checkout123', paymentResult: { id: 'pay_123' } });
+            paymentProvider.refund.mockResolvedValue({ id: 'refund_1', status: 'REFUNDED' });
+        });
+
+        test('debe reembolsar todo el pedido y pasarlo a REFUNDED', async () => {
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100), item('item2', 'prod2', 1, 50)]);
+
+            await orderService.refundOrder('order123', {}, storeUser);
+
+            expect(paymentProvider.refund).toHaveBeenCalledWith('pay_123', 250);
+            expect(order.status).toBe('REFUNDED');
+            expect(order.refundedTotal).toBe(250);
+            expect(order.refunds[0]).toMatchObject({
+                status: 'COMPLETED', amount: 250, providerRefundId: 'refund_1', restocked: false
+            });
+            expect(order.items.map((i) => i.refundedQuantity)).toEqual([2, 1]);
+            expect(productRepository.incrementStock).not.toHaveBeenCalled();
+            expect(order.save).toHaveBeenCalledWith({ session: 'mock_session' });
+        });
+
+        test('debe reembolsar unidades específicas y reponer stock si se pide', async () => {
+            const order = mockOrder('PAID', [item('item1', 'prod1', 3, 100), item('item2', 'prod2', 1, 50)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+
+            await orderService.refundOrder('order123', {
+                items: [{ itemId: 'item1', quantity: 2 }],
+                restock: true,
+                reason: 'Defectuoso'
+            }, storeUser);
+
+            expect(paymentProvider.refund).toHaveBeenCalledWith('pay_123', 200);
+            expect(order.status).toBe('PARTIALLY_REFUNDED');
+            expect(order.items[0]).toMatchObject({ refundedQuantity: 2, returnedQuantity: 2, restockedQuantity: 0 });
+            expect(productRepository.incrementStock).toHaveBeenCalledWith('prod1', 2, 'mock_session', null);
+            expect(order.refunds[0]).toMatchObject({ amount: 200, reason: 'Defectuoso', restocked: true });
+            expect(order.refunds[0].items).toEqual([{ item: 'item1', quantity: 2 }]);
+            expect(order.statusHistory.pop().note).toBe('Reembolso de 200. Stock repuesto: Producto prod1 x2');
+        });
+
+        test('no debe reponer unidades que ya volvieron al stock por cancelación', async () => {
+            mockOrder('PAID', [item('item1', 'prod1', 2, 100, { cancelledQuantity: 2, restockedQuantity: 2 })]);
+
+            await orderService.refundOrder('order123', { restock: true }, storeUser);
+
+            expect(productRepository.incrementStock).not.toHaveBeenCalled();
+        });
+
+        test('un pedido parcialmente reembolsado sigue su flujo de envío', async () => {
+            const order = mockOrder('PARTIALLY_REFUNDED', [item('item1', 'prod1', 2, 100, { refundedQuantity: 1 })]);
+            order.statusHistory = [{ status: 'PAID' }, { status: 'PARTIALLY_REFUNDED' }];
+
+            await orderService.updateOrderStatus('order123', 'SHIPPED', storeUser);
+
+            expect(order.status).toBe('SHIPPED');
+        });
+
+        test('debe rechazar reembolsar más unidades de las pendientes', async () => {
+            mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100, { refundedQuantity: 2 })]);
+
+            await expect(
+                orderService.refundOrder('order123', { items: [{ itemId: 'item1', quantity: 1 }] }, storeUser)
+            ).rejects.toMatchObject({ statusCode: 400 });
+            expect(paymentProvider.refund).not.toHaveBeenCalled();
+        });
+
+        test('debe rechazar reembolsar un pedido sin pagar', async () => {
+            mockOrder('PENDING', [item('item1', 'prod1', 2, 100)]);
+
+            await expect(
+                orderService.refundOrder('order123', {}, storeUser)
+            ).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('un MANAGER puede reembolsar pero FULFILLMENT no', async () => {
+            storeRepository.findByMember.mockResolvedValue({
+                _id: 'store1',
+                owner: 'storeUser1',
+                members: [{ user: 'picker1', role: 'FULFILLMENT' }, { user: 'manager1', role: 'MANAGER' }],
+            });
+
+            mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            await expect(
+                orderService.refundOrder('order123', {}, { id: 'picker1', role: 'STORE' })
+            ).rejects.toMatchObject({ statusCode: 403 });
+            expect(paymentProvider.refund).not.toHaveBeenCalled();
+
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            await orderService.refundOrder('order123', {}, { id: 'manager1', role: 'STORE' });
+            expect(order.status).toBe('REFUNDED');
+        });
+
+        test('el comprador no puede reembolsarse a sí mismo', async () => {
+            mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+
+            await expect(
+                orderService.refundOrder('order123', {}, { id: 'buyer1', role: 'CLIENT' })
+            ).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('los estados de reembolso no se pueden asignar manualmente', async () => {
+            await expect(
+                orderService.updateOrderStatus('order123', 'REFUNDED', { id: 'admin1', role: 'ADMIN' })
+            ).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('debe retornar 502 y liberar las unidades si el proveedor rechaza el reembolso', async () => {
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            paymentProvider.refund.mockRejectedValue(new Error('timeout'));
+
+            await expect(
+                orderService.refundOrder('order123', {}, storeUser)
+            ).rejects.toMatchObject({ statusCode: 502 });
+            expect(order.items[0].refundedQuantity).toBe(0);
+            expect(order.refunds[0]).toMatchObject({ status: 'FAILED', amount: 200 });
+            expect(order.refundedTotal).toBe(0);
+            expect(order.status).toBe('DELIVERED');
+        });
+
+        test('las unidades se reservan antes de pagar: un reembolso concurrente no paga dos veces', async () => {
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            // Otro reembolso reservó las mismas unidades entre la lectura y la transacción
+            orderRepository.findByIdForUpdate.mockResolvedValue({
+                ...order,
+                items: [item('item1', 'prod1', 2, 100, { refundedQuantity: 2 })],
+                refunds: [{ status: 'PENDING', amount: 200 }],
+            });
+
+            await expect(
+                orderService.refundOrder('order123', {}, storeUser)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(paymentProvider.refund).not.toHaveBeenCalled();
+        });
+
+        test('la reserva queda PENDING antes de llamar al proveedor', async () => {
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            paymentProvider.refund.mockImplementation(async () => {
+                expect(order.refunds[0].status).toBe('PENDING');
+                expect(order.items[0].refundedQuantity).toBe(2);
+                expect(order.save).toHaveBeenCalledTimes(1);
+                return { id: 'refund_1', status: 'REFUNDED' };
+            });
+
+            await orderService.refundOrder('order123', {}, storeUser);
+
+            expect(order.refunds[0].status).toBe('COMPLETED');
+        });
+
+        test('no debe reembolsar unidades canceladas antes del pago', async () => {
+            mockOrder('PAID', [item('item1', 'prod1', 3, 100, { cancelledQuantity: 1, restockedQuantity: 1, paidQuantity: 2 })]);
+
+            const order = await orderService.refundOrder('order123', {}, storeUser);
+
+            expect(paymentProvider.refund).toHaveBeenCalledWith('pay_123', 200);
+            expect(order.status).toBe('REFUNDED');
+        });
+
+        test('cancelar un pedido pagado reembolsa automáticamente lo cobrado', async () => {
+            const order = mockOrder('PAID', [item('item1', 'prod1', 2, 100), item('item2', 'prod2', 1, 50)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'any' });
+
+            await orderService.updateOrderStatus('order123', 'CANCELLED', { id: 'buyer1', role: 'CLIENT' });
+
+            expect(productRepository.incrementStock).toHaveBeenCalledTimes(2);
+            expect(paymentProvider.refund).toHaveBeenCalledWith('pay_123', 250);
+            expect(order.refunds[0]).toMatchObject({
+                status: 'COMPLETED', amount: 250, reason: 'Cancelación del pedido', createdBy: 'buyer1'
+            });
+            expect(order.refundedTotal).toBe(250);
+            expect(order.status).toBe('REFUNDED');
+            expect(order.statusHistory.map((entry) => entry.status)).toEqual(['PAID', 'CANCELLED', 'REFUNDED']);
+        });
+
+        test('cancelar unidades de un pedido pagado reembolsa solo esas unidades', async () => {
+            const order = mockOrder('PAID', [item('item1', 'prod1', 3, 100), item('item2', 'prod2', 1, 50)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+
+            await orderService.cancelOrderItem('order123', 'item1', 1, { id: 'buyer1', role: 'CLIENT' });
+
+            expect(paymentProvider.refund).toHaveBeenCalledWith('pay_123', 100);
+            expect(order.items[0]).toMatchObject({ cancelledQuantity: 1, refundedQuantity: 1 });
+            expect(order.status).toBe('PARTIALLY_REFUNDED');
+        });
+
+        test('cancelar un pedido pagado y recuperar el dinero si falló el reembolso automático', async () => {
+            const order = mockOrder('PAID', [item('item1', 'prod1', 2, 100)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+            paymentProvider.refund.mockRejectedValueOnce(new Error('timeout'));
+
+            await expect(
+                orderService.updateOrderStatus('order123', 'CANCELLED', { id: 'buyer1', role: 'CLIENT' })
+            ).rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('Pedido cancelado sin reembolso') });
+            expect(order.status).toBe('CANCELLED');
+            expect(order.items[0]).toMatchObject({ restockedQuantity: 2, refundedQuantity: 0 });
+
+            // La tienda reintenta el reembolso sobre el pedido cancelado
+            await orderService.refundOrder('order123', {}, storeUser);
+
+            expect(paymentProvider.refund).toHaveBeenLastCalledWith('pay_123', 200);
+            expect(order.refunds.map((refund) => refund.status)).toEqual(['FAILED', 'COMPLETED']);
+            expect(order.refundedTotal).toBe(200);
+            expect(order.status).toBe('REFUNDED');
+            expect(productRepository.incrementStock).toHaveBeenCalledTimes(1);
+        });
+
+        test('reembolsar con restock y luego cancelar parcialmente repone cada unidad una sola vez', async () => {
+            const buyer = { id: 'buyer1', role: 'CLIENT' };
+            const order = mockOrder('PAID', [item('item1', 'prod1', 3, 100)]);
+            productRepository.incrementStock.mockResolvedValue({ _id: 'prod1' });
+
+            await orderService.refundOrder('order123', { items: [{ itemId: 'item1', quantity: 1 }], restock: true }, storeUser);
+            await orderService.cancelOrderItem('order123', 'item1', 1, buyer);
+
+            expect(order.items[0]).toMatchObject({
+                cancelledQuantity: 1, restockedQuantity: 1, refundedQuantity: 2, returnedQuantity: 1,
+            });
+            expect(productRepository.incrementStock.mock.calls).toEqual([
+                ['prod1', 1, 'mock_session', null],
+                ['prod1', 1, 'mock_session', null],
+            ]);
+            expect(paymentProvider.refund.mock.calls).toEqual([['pay_123', 100], ['pay_123', 100]]);
+
+            // Solo queda una unidad activa: la reembolsada no se puede cancelar
+            await expect(
+                orderService.cancelOrderItem('order123', 'item1', 2, buyer)
+            ).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('máximo 1') });
+
+            await orderService.cancelOrderItem('order123', 'item1', undefined, buyer);
+            expect(order.status).toBe('REFUNDED');
+            expect(order.items[0]).toMatchObject({ cancelledQuantity: 2, restockedQuantity: 2, refundedQuantity: 3 });
+            expect(productRepository.incrementStock).toHaveBeenCalledTimes(3);
+        });
+
+        test('un pedido cancelado antes del pago no tiene nada que reembolsar', async () => {
+            mockOrder('CANCELLED', [item('item1', 'prod1', 2, 100, { cancelledQuantity: 2, paidQuantity: 0 })]);
+
+            await expect(
+                orderService.refundOrder('order123', {}, storeUser)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(paymentProvider.refund).not.toHaveBeenCalled();
+        });
+
+        test('un pedido antiguo sin pago registrado retorna 409 sin llamar al proveedor', async () => {
+            const order = mockOrder('DELIVERED', [item('item1', 'prod1', 2, 100)]);
+            order.checkout = undefined;
+
+            await expect(
+                orderService.refundOrder('order123', {}, storeUser)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(paymentProvider.refund).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Lectura de un pedido: comprador, tienda del pedido o admin
+     */
+    describe('getOrderById - autorización', () => {
+        const order = { _id: 'order123', user: { _id: 'buyer1' }, store: 'store1', status: 'PAID' };
+
+        beforeEach(() => {
+            orderRepository.findById.mockResolvedValue(order);
+        });
+
+        test('el comprador puede ver su pedido', async () => {
+            const result = await orderService.getOrderById('order123', { id: 'buyer1', role: 'CLIENT' });
+            expect(result).toBe(order);
+        });
+
+        test('el dueño de la tienda del pedido puede verlo', async () => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'storeUser1' });
+            const result = await orderService.getOrderById('order123', { id: 'storeUser1', role: 'STORE' });
+            expect(result).toBe(order);
+        });
+
+        test('un admin puede ver cualquier pedido', async () => {
+            const result = await orderService.getOrderById('order123', { id: 'admin1', role: 'ADMIN' });
+            expect(result).toBe(order);
+            expect(storeRepository.findByMember).not.toHaveBeenCalled();
+        });
+
+        test('otro usuario recibe 403', async () => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'otherStore', owner: 'storeUser2' });
+            await expect(
+                orderService.getOrderById('order123', { id: 'storeUser2', role: 'STORE' })
+            ).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('un pedido inexistente retorna 404', async () => {
+            orderRepository.findById.mockResolvedValue(null);
+            await expect(
+                orderService.getOrderById('missing', { id: 'buyer1', role: 'CLIENT' })
+            ).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    /**
+     * Test 6: Obtener Pedidos por Usuario
+     */
+    test('debe obtener compras por usuario', async () => {
         const userId = 'user123';
-        const userOrders = [{ _id: 'order1' }, { _id: 'order2' }];
+        const userOrders = [{ _id: 'checkout1', orders: [] }, { _id: 'checkout2', orders: [] }];
 
-        orderRepository.findByUser.mockResolvedValue(userOrders);
+        checkoutRepository.findByUser.mockResolvedValue({ items: userOrders, total: 2 });
 
         const result = await orderService.getMyOrders(userId);
 
-        expect(orderRepository.findByUser).toHaveBeenCalledWith(userId);
-        expect(result).toEqual(userOrders);
+        expect(checkoutRepository.findByUser).toHaveBeenCalledWith(userId, expect.objectContaining({
+            skip: 0,
+            limit: 20,
+            sort: { createdAt: -1, _id: -1 }
+        }));
+        expect(result).toEqual({ data: userOrders, page: 1, limit: 20, total: 2, totalPages: 1 });
+    });
+
+    /**
+     * Test 7: Pedidos de la Tienda Paginados
+     */
+    test('debe paginar los pedidos de la tienda del usuario', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1' });
+        orderRepository.findByStore.mockResolvedValue({ items: [{ _id: 'order1' }], total: 11 });
+
+        const result = await orderService.getOrdersByStore('owner1', { page: '2', limit: '10', sort: 'oldest' });
+
+        expect(orderRepository.findByStore).toHaveBeenCalledWith('store1', expect.objectContaining({
+            skip: 10,
+            limit: 10,
+            sort: { createdAt: 1, _id: -1 }
+        }));
+        expect(result).toMatchObject({ data: [{ _id: 'order1' }], page: 2, total: 11, totalPages: 2 });
     });
 });
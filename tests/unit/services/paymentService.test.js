@@ -0,0 +1,148 @@
+/**
+ * Tests Unitarios para paymentService
+ * 
+ * Propósito:
+ * Verificar la validación de webhooks firmados y el despacho de eventos
+ * de pago sin depender de la base de datos real.
+ * 
+ * Dependencias:
+ * - paymentService: Servicio de pagos principal
+ * - MockPaymentProvider: Proveedor real de desarrollo (firma HMAC local)
+ * - orderService: Mock del servicio de pedidos
+ */
+
+const paymentService = require('../../../src/services/paymentService');
+const orderService = require('../../../src/services/orderService');
+const { getPaymentProvider, setPaymentProvider } = require('../../../src/payments');
+const MockPaymentProvider = require('../../../src/payments/MockPaymentProvider');
+
+jest.mock('../../../src/services/orderService');
+
+describe('PaymentService - Tests Unitarios', () => {
+    const provider = getPaymentProvider();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    /**
+     * Test 1: Webhook payment.succeeded Firmado
+     */
+    test('debe confirmar el pago con un webhook firmado válido', async () => {
+        const { body, signature } = provider.signWebhook({
+            type: 'payment.succeeded',
+            data: { paymentId: 'mock_payment_1' }
+        });
+        orderService.confirmPayment.mockResolvedValue({ _id: 'checkout1' });
+
+        const result = await paymentService.handleWebhook(Buffer.from(body), signature);
+
+        expect(orderService.confirmPayment).toHaveBeenCalledWith('mock_payment_1');
+        expect(result).toEqual({ _id: 'checkout1' });
+    });
+
+    /**
+     * Test 2: Webhook payment.failed
+     */
+    test('debe cancelar la compra con un webhook payment.failed', async () => {
+        const { body, signature } = provider.signWebhook({
+            type: 'payment.failed',
+            data: { paymentId: 'mock_payment_2', reason: 'insufficient_funds' }
+        });
+
+        await paymentService.handleWebhook(Buffer.from(body), signature);
+
+        expect(orderService.failPayment).toHaveBeenCalledWith('mock_payment_2');
+        expect(orderService.confirmPayment).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 3: Firma Inválida
+     */
+    test('debe rechazar con 401 un webhook con firma inválida', async () => {
+        const { body } = provider.signWebhook({
+            type: 'payment.succeeded',
+            data: { paymentId: 'mock_payment_1' }
+        });
+
+        await expect(
+            paymentService.handleWebhook(Buffer.from(body), 'firma_falsa')
+        ).rejects.toMatchObject({ statusCode: 401 });
+        expect(orderService.confirmPayment).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 4: Cuerpo Alterado
+     */
+    test('debe rechazar un cuerpo modificado después de firmarlo', async () => {
+        const { signature } = provider.signWebhook({
+            type: 'payment.succeeded',
+            data: { paymentId: 'mock_payment_1' }
+        });
+        const tampered = JSON.stringify({ type: 'payment.succeeded', data: { paymentId: 'mock_payment_999' } });
+
+        await expect(
+            paymentService.handleWebhook(Buffer.from(tampered), signature)
+        ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    /**
+     * Test 5: Evento Desconocido
+     */
+    test('debe ignorar eventos desconocidos', async () => {
+        const { body, signature } = provider.signWebhook({ type: 'customer.created', data: {} });
+
+        const result = await paymentService.handleWebhook(Buffer.from(body), signature);
+
+        expect(result).toBeNull();
+        expect(orderService.confirmPayment).not.toHaveBeenCalled();
+        expect(orderService.failPayment).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 6: Secreto de Webhook Obligatorio
+     */
+    test('sin PAYMENT_WEBHOOK_SECRET fuera de tests solo el webhook se rechaza con 503', async () => {
+        const { NODE_ENV, PAYMENT_WEBHOOK_SECRET } = process.env;
+        process.env.NODE_ENV = 'production';
+        delete process.env.PAYMENT_WEBHOOK_SECRET;
+        const unconfigured = new MockPaymentProvider();
+        setPaymentProvider(unconfigured);
+        try {
+            expect(unconfigured.webhookSecret).toBeNull();
+            await expect(unconfigured.authorize({ amount: 100 })).resolves.toMatchObject({ status: 'AUTHORIZED' });
+
+            const body = JSON.stringify({ type: 'payment.succeeded', data: { paymentId: 'mock_payment_1' } });
+            await expect(
+                paymentService.handleWebhook(Buffer.from(body), 'cualquier_firma')
+            ).rejects.toMatchObject({ statusCode: 503, message: expect.stringContaining('PAYMENT_WEBHOOK_SECRET') });
+            expect(orderService.confirmPayment).not.toHaveBeenCalled();
+        } finally {
+            setPaymentProvider(provider);
+            process.env.NODE_ENV = NODE_ENV;
+            if (PAYMENT_WEBHOOK_SECRET !== undefined) {
+                process.env.PAYMENT_WEBHOOK_SECRET = PAYMENT_WEBHOOK_SECRET;
+            }
+        }
+    });
+
+    /**
+     * Test 7: Confirmación Automática del Mock
+     */
+    test('el mock solo confirma al autorizar con MOCK_PAYMENT_AUTO_CONFIRM=true', async () => {
+        const { MOCK_PAYMENT_AUTO_CONFIRM } = process.env;
+        try {
+            delete process.env.MOCK_PAYMENT_AUTO_CONFIRM;
+            expect((await new MockPaymentProvider().authorize({ amount: 100 })).confirmed).toBe(false);
+
+            process.env.MOCK_PAYMENT_AUTO_CONFIRM = 'true';
+            expect((await new MockPaymentProvider().authorize({ amount: 100 })).confirmed).toBe(true);
+        } finally {
+            if (MOCK_PAYMENT_AUTO_CONFIRM === undefined) {
+                delete process.env.MOCK_PAYMENT_AUTO_CONFIRM;
+            } else {
+                process.env.MOCK_PAYMENT_AUTO_CONFIRM = MOCK_PAYMENT_AUTO_CONFIRM;
+            }
+        }
+    });
+});
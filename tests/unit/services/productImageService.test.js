@@ -0,0 +1,184 @@
+/**
+ * Tests Unitarios para productImageService
+ * 
+ * Propósito:
+ * Verificar la subida de imágenes (validación del contenido, redimensión, miniaturas,
+ * almacenamiento) y el orden de la galería sin depender de la base de datos ni del disco.
+ * 
+ * Dependencias:
+ * - productImageService: Servicio de imágenes de productos
+ * - productRepository: Mock del repositorio de productos
+ * - storeRepository: Mock del repositorio de tiendas (propiedad del producto)
+ * - storage: Almacenamiento falso en memoria inyectado con setStorage()
+ * - sharp: Real, para generar imágenes de prueba y leer los resultados
+ */
+
+const sharp = require('sharp');
+const productImageService = require('../../../src/services/productImageService');
+const productRepository = require('../../../src/repositories/productRepository');
+const storeRepository = require('../../../src/repositories/storeRepository');
+const { setStorage } = require('../../../src/storage');
+
+jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/repositories/storeRepository');
+
+// Imagen de prueba como la entrega multer (req.files)
+const imageFile = async (width, height, format = 'png', name = `foto.${format}`) => ({
+    originalname: name,
+    mimetype: `image/${format}`,
+    buffer: await sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).toFormat(format).toBuffer(),
+});
+
+const fakeStorage = () => {
+    const files = new Map();
+    return {
+        files,
+        save: jest.fn(async (key, body) => {
+            files.set(key, body);
+            return `/uploads/${key}`;
+        }),
+        delete: jest.fn(async (key) => {
+            files.delete(key);
+        }),
+    };
+};
+
+describe('ProductImageService - Tests Unitarios', () => {
+    let storage;
+    const product = (images = [], imageFiles = []) => ({ _id: 'prod1', store: 'store1', images, imageFiles });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = fakeStorage();
+        setStorage(storage);
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1' });
+        productRepository.findById.mockResolvedValue(product());
+        productRepository.addImages.mockImplementation(async (id, files) => ({ _id: id, imageFiles: files }));
+    });
+
+    afterAll(() => setStorage(null));
+
+    /**
+     * Test 1: Subir Imágenes con Miniatura
+     */
+    test('debe guardar cada imagen con una miniatura cuadrada WebP', async () => {
+        const files = [await imageFile(800, 600, 'png'), await imageFile(400, 400, 'jpeg')];
+
+        await productImageService.uploadImages('owner1', 'prod1', files);
+
+        expect(storage.save).toHaveBeenCalledTimes(4);
+        const [id, saved, options] = productRepository.addImages.mock.calls[0];
+        expect(id).toBe('prod1');
+        expect(options).toEqual({ primary: false });
+        expect(saved).toHaveLength(2);
+        expect(saved[0]).toMatchObject({ contentType: 'image/png', width: 800, height: 600 });
+        expect(saved[0].key).toMatch(/^products\/prod1\/[\w-]+\.png$/);
+        expect(saved[0].url).toBe(`/uploads/${saved[0].key}`);
+        expect(saved[1].key).toMatch(/\.jpg$/);
+
+        const thumbnail = await sharp(storage.files.get(saved[0].thumbnailKey)).metadata();
+        expect(thumbnail).toMatchObject({ format: 'webp', width: 300, height: 300 });
+    });
+
+    test('debe reducir las imágenes más grandes que el máximo', async () => {
+        await productImageService.uploadImages('owner1', 'prod1', [await imageFile(3000, 1500, 'webp')]);
+
+        const [, [saved]] = productRepository.addImages.mock.calls[0];
+        expect(saved).toMatchObject({ width: 2000, height: 1000, contentType: 'image/webp' });
+    });
+
+    test('debe pasar primary para poner las nuevas imágenes al inicio', async () => {
+        await productImageService.uploadImages('owner1', 'prod1', [await imageFile(50, 50)], { primary: true });
+
+        expect(productRepository.addImages.mock.calls[0][2]).toEqual({ primary: true });
+    });
+
+    /**
+     * Test 2: Validaciones
+     */
+    test('debe rechazar un archivo que no es imagen aunque declare un tipo de imagen', async () => {
+        const fake = { originalname: 'virus.png', mimetype: 'image/png', buffer: Buffer.from('no soy una imagen') };
+
+        await expect(
+            productImageService.uploadImages('owner1', 'prod1', [await imageFile(50, 50), fake])
+        ).rejects.toMatchObject({ statusCode: 415 });
+        expect(storage.save).not.toHaveBeenCalled();
+        expect(productRepository.addImages).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar subidas sin archivos o que superan el máximo de imágenes', async () => {
+        await expect(productImageService.uploadImages('owner1', 'prod1', [])).rejects.toMatchObject({ statusCode: 400 });
+
+        productRepository.findById.mockResolvedValue(product(Array.from({ length: 9 }, (_, i) => `/img${i}.jpg`)));
+        const files = [await imageFile(10, 10), await imageFile(10, 10)];
+        await expect(productImageService.uploadImages('owner1', 'prod1', files)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('solo el dueño del producto puede subir imágenes', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'otraTienda', owner: 'owner1' });
+
+        await expect(
+            productImageService.uploadImages('owner2', 'prod1', [await imageFile(10, 10)])
+        ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('si el almacenamiento falla debe eliminar los archivos ya guardados', async () => {
+        storage.save
+            .mockImplementationOnce(async (key) => `/uploads/${key}`)
+            .mockImplementationOnce(async (key) => `/uploads/${key}`)
+            .mockRejectedValueOnce(new Error('Disco lleno'));
+
+        await expect(
+            productImageService.uploadImages('owner1', 'prod1', [await imageFile(10, 10), await imageFile(10, 10)])
+        ).rejects.toThrow('Disco lleno');
+        expect(storage.delete).toHaveBeenCalledTimes(2);
+        expect(productRepository.addImages).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 3: Orden de la Galería
+     */
+    test('reordenar debe aceptar solo las mismas imágenes', async () => {
+        productRepository.findById.mockResolvedValue(product(['/a.jpg', '/b.jpg', '/c.jpg']));
+
+        await productImageService.reorderImages('owner1', 'prod1', ['/c.jpg', '/a.jpg', '/b.jpg']);
+        expect(productRepository.update).toHaveBeenCalledWith('prod1', { images: ['/c.jpg', '/a.jpg', '/b.jpg'] });
+
+        await expect(
+            productImageService.reorderImages('owner1', 'prod1', ['/c.jpg', '/a.jpg', '/otra.jpg'])
+        ).rejects.toMatchObject({ statusCode: 400 });
+        await expect(
+            productImageService.reorderImages('owner1', 'prod1', ['/c.jpg', '/a.jpg'])
+        ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('elegir la imagen principal debe moverla al inicio', async () => {
+        productRepository.findById.mockResolvedValue(product(['/a.jpg', '/b.jpg', '/c.jpg']));
+
+        await productImageService.setPrimaryImage('owner1', 'prod1', '/c.jpg');
+
+        expect(productRepository.update).toHaveBeenCalledWith('prod1', { images: ['/c.jpg', '/a.jpg', '/b.jpg'] });
+        await expect(
+            productImageService.setPrimaryImage('owner1', 'prod1', '/x.jpg')
+        ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    /**
+     * Test 4: Eliminar Imagen
+     */
+    test('eliminar una imagen subida debe borrar su archivo y su miniatura', async () => {
+        const file = { url: '/uploads/products/prod1/a.jpg', key: 'products/prod1/a.jpg', thumbnailKey: 'products/prod1/a-thumb.webp' };
+        productRepository.findById.mockResolvedValue(product([file.url, 'https://cdn.com/b.jpg'], [file]));
+
+        await productImageService.deleteImage('owner1', 'prod1', file.url);
+
+        expect(productRepository.removeImage).toHaveBeenCalledWith('prod1', file.url);
+        expect(storage.delete).toHaveBeenCalledWith('products/prod1/a.jpg');
+        expect(storage.delete).toHaveBeenCalledWith('products/prod1/a-thumb.webp');
+
+        // Una URL externa no tiene archivos que borrar
+        storage.delete.mockClear();
+        await productImageService.deleteImage('owner1', 'prod1', 'https://cdn.com/b.jpg');
+        expect(storage.delete).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests Unitarios para productImportService
+ * 
+ * Propósito:
+ * Verificar la importación masiva por SKU (crear/actualizar, errores por fila,
+ * dry-run, CSV) y la exportación sin depender de la base de datos real.
+ * 
+ * Dependencias:
+ * - productImportService: Servicio de importación/exportación de productos
+ * - productRepository: Mock del repositorio de productos
+ * - storeRepository: Mock del repositorio de tiendas (tienda del usuario)
+ * - categoryRepository: Mock del repositorio de categorías (categoría por ID o slug)
+ */
+
+const productImportService = require('../../../src/services/productImportService');
+const productRepository = require('../../../src/repositories/productRepository');
+const storeRepository = require('../../../src/repositories/storeRepository');
+const categoryRepository = require('../../../src/repositories/categoryRepository');
+
+jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/repositories/storeRepository');
+jest.mock('../../../src/repositories/categoryRepository');
+
+// Documento de producto mínimo: set y validate como en Mongoose.
+// Sin precio falla la validación, igual que el schema real
+const fakeProduct = (data) => ({
+    ...data,
+    set(changes) {
+        return Object.assign(this, changes);
+    },
+    validate: jest.fn(async function () {
+        if (this.price === undefined) {
+            throw { name: 'ValidationError', errors: { price: { message: 'Path `price` is required.' } } };
+        }
+    }),
+});
+
+const store = { _id: 'store1', name: 'Tech Store', slug: 'tech-store', status: 'APPROVED', owner: 'owner1' };
+
+describe('ProductImportService - Tests Unitarios', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storeRepository.findByMember.mockResolvedValue(store);
+        productRepository.findByStoreAndSkus.mockResolvedValue([]);
+        productRepository.build.mockImplementation(fakeProduct);
+        productRepository.save.mockImplementation(async (product) => product);
+        categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'cat1', name: 'Periféricos' } });
+    });
+
+    /**
+     * Test 1: Crear y Actualizar por SKU
+     */
+    test('debe crear los SKU nuevos y actualizar los existentes de la tienda', async () => {
+        const existing = fakeProduct({ _id: 'prod1', sku: 'MOU-01', name: 'Mouse', price: 40000, stock: 5 });
+        productRepository.findByStoreAndSkus.mockResolvedValue([existing]);
+
+        const result = await productImportService.importProducts('owner1', {
+            format: 'json',
+            body: [
+                { sku: 'MOU-01', price: 45000 },
+                { sku: 'TEC-01', name: 'Teclado', description: 'Mecánico', price: 120000, stock: 3 }
+            ]
+        });
+
+        expect(result).toEqual({ dryRun: false, total: 2, created: 1, updated: 1, failed: 0, errors: [] });
+        expect(productRepository.findByStoreAndSkus).toHaveBeenCalledWith('store1', ['MOU-01', 'TEC-01']);
+        expect(existing).toMatchObject({ name: 'Mouse', price: 45000, stock: 5 });
+        expect(productRepository.build).toHaveBeenCalledWith(expect.objectContaining({
+            sku: 'TEC-01', store: 'store1', storeName: 'Tech Store'
+        }));
+        expect(productRepository.save).toHaveBeenCalledTimes(2);
+    });
+
+    /**
+     * Test 2: Dry-run
+     */
+    test('en dry-run debe validar y reportar sin guardar', async () => {
+        const result = await productImportService.importProducts('owner1', {
+            format: 'json',
+            body: [{ sku: 'A', name: 'A', description: 'A', price: 1, stock: 1 }, { sku: 'B', name: 'B' }],
+            dryRun: true
+        });
+
+        expect(result).toMatchObject({ dryRun: true, created: 1, failed: 1 });
+        expect(result.errors).toEqual([{ row: 2, sku: 'B', errors: { price: 'Path `price` is required.' } }]);
+        expect(productRepository.save).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 3: Errores por Fila
+     */
+    test('debe reportar cada fila inválida y guardar las válidas', async () => {
+        categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: null });
+
+        const result = await productImportService.importProducts('owner1', {
+            format: 'json',
+            body: [
+                { name: 'Sin SKU', price: 1 },
+                { sku: 'A', name: 'A', price: 1 },
+                { sku: 'A', name: 'A repetido', price: 1 },
+                { sku: 'C', name: 'C', price: 1, category: 'no-existe' }
+            ]
+        });
+
+        expect(result).toMatchObject({ created: 1, failed: 3 });
+        expect(result.errors).toEqual([
+            { row: 1, sku: undefined, errors: { sku: 'El SKU es obligatorio' } },
+            { row: 3, sku: 'A', errors: { sku: 'SKU repetido en el archivo' } },
+            { row: 4, sku: 'C', errors: { category: 'Categoría no encontrada: no-existe' } }
+        ]);
+        expect(productRepository.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('no debe cambiar el stock total de un producto con variantes', async () => {
+        productRepository.findByStoreAndSkus.mockResolvedValue([
+            fakeProduct({ sku: 'CAM', price: 10, stock: 4, variants: [{ sku: 'CAM-S', stock: 4 }] })
+        ]);
+
+        const result = await productImportService.importProducts('owner1', {
+            format: 'json',
+            body: [{ sku: 'CAM', stock: 50 }]
+        });
+
+        expect(result.errors[0].errors).toHaveProperty('stock');
+        expect(productRepository.save).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test 4: Importación CSV
+     */
+    test('debe leer CSV con imágenes separadas por | y resolver la categoría una sola vez', async () => {
+        const csv = [
+            'sku,name,description,price,stock,category,images',
+            'MOU-01,"Mouse, inalámbrico",Mouse 2.4GHz,45000,30,perifericos,https://a.com/1.jpg|https://a.com/2.jpg',
+            'MOU-02,Mouse pro,Mouse,50000,,perifericos,'
+        ].join('\n');
+
+        const result = await productImportService.importProducts('owner1', { format: 'csv', body: csv });
+
+        expect(result).toMatchObject({ created: 2, failed: 0 });
+        expect(categoryRepository.findByIdOrSlug).toHaveBeenCalledTimes(1);
+        expect(productRepository.build).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'Mouse, inalámbrico',
+            category: 'cat1',
+            categoryName: 'Periféricos',
+            images: ['https://a.com/1.jpg', 'https://a.com/2.jpg']
+        }));
+        // Las celdas vacías no se envían
+        expect(productRepository.build.mock.calls[1][0]).not.toHaveProperty('stock');
+        expect(productRepository.build.mock.calls[1][0]).not.toHaveProperty('images');
+    });
+
+    /**
+     * Test 5: Validaciones del Archivo y de la Tienda
+     */
+    test('debe rechazar archivos vacíos, demasiado grandes o mal formados', async () => {
+        await expect(
+            productImportService.importProducts('owner1', { format: 'json', body: [] })
+        ).rejects.toMatchObject({ statusCode: 400 });
+        await expect(
+            productImportService.importProducts('owner1', { format: 'json', body: { sku: 'A' } })
+        ).rejects.toMatchObject({ statusCode: 400 });
+        await expect(
+            productImportService.importProducts('owner1', {
+                format: 'json',
+                body: Array.from({ length: 1001 }, (_, i) => ({ sku: `S${i}` }))
+            })
+        ).rejects.toMatchObject({ statusCode: 400 });
+        await expect(
+            productImportService.importProducts('owner1', { format: 'csv', body: 'sku,name\n"A,B' })
+        ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('solo una tienda aprobada puede importar', async () => {
+        storeRepository.findByMember.mockResolvedValue({ ...store, status: 'PENDING' });
+
+        await expect(
+            productImportService.importProducts('owner1', { format: 'json', body: [{ sku: 'A' }] })
+        ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    /**
+     * Test 6: Exportación
+     */
+    test('debe exportar en CSV con las columnas de importación', async () => {
+        productRepository.findAllByStore.mockResolvedValue([
+            { sku: 'MOU-01', name: 'Mouse', description: 'Uno, dos', price: 45000, stock: 30,
+                category: { slug: 'perifericos' }, images: ['https://a.com/1.jpg', 'https://a.com/2.jpg'] },
+            { sku: 'CAM', name: 'Camiseta', description: 'Algodón', price: 30000, stock: 9,
+                images: [], variants: [{ sku: 'CAM-S', stock: 9 }] }
+        ]);
+
+        const result = await productImportService.exportProducts('owner1', 'csv');
+
+        expect(result.filename).toBe('productos-tech-store.csv');
+        expect(result.body.split('\r\n')).toEqual([
+            'sku,name,description,price,stock,category,images',
+            'MOU-01,Mouse,"Uno, dos",45000,30,perifericos,https://a.com/1.jpg|https://a.com/2.jpg',
+            'CAM,Camiseta,Algodón,30000,,,'
+        ]);
+    });
+
+    test('debe rechazar formatos de exportación no soportados', async () => {
+        await expect(productImportService.exportProducts('owner1', 'xml')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -9,32 +9,42 @@
  * - productService: Servicio de productos principal
  * - productRepository: Mock del repositorio de productos
  * - storeRepository: Mock del repositorio de tiendas (para validación de propiedad)
+ * - categoryRepository: Mock del repositorio de categorías (nombre desnormalizado)
  */
 
 const productService = require('../../../src/services/productService');
 const productRepository = require('../../../src/repositories/productRepository');
 const storeRepository = require('../../../src/repositories/storeRepository');
+const categoryRepository = require('../../../src/repositories/categoryRepository');
 
 // Mock de los repositorios
 jest.mock('../../../src/repositories/productRepository');
 jest.mock('../../../src/repositories/storeRepository');
+jest.mock('../../../src/repositories/categoryRepository');
 
 describe('ProductService - Tests Unitarios', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        categoryRepository.findDescendantIds.mockResolvedValue([]);
     });
 
     /**
      * Test 1: Obtener Todos los Productos Sin Filtros
      */
-    test('debe obtener todos los productos sin filtros', async () => {
+    test('debe obtener la primera página de productos sin filtros', async () => {
         const mockProducts = [{ _id: 'prod1', name: 'P1' }, { _id: 'prod2', name: 'P2' }];
-        productRepository.findAll.mockResolvedValue(mockProducts);
+        productRepository.findAll.mockResolvedValue({ items: mockProducts, total: 2 });
 
         const result = await productService.getAllProducts({});
 
-        expect(productRepository.findAll).toHaveBeenCalledWith({});
-        expect(result).toEqual(mockProducts);
+        expect(productRepository.findAll).toHaveBeenCalledWith({ visibility: { ownStore: null } }, {
+            page: 1,
+            limit: 20,
+            skip: 0,
+            sort: { createdAt: -1, _id: -1 },
+            select: undefined
+        });
+        expect(result).toEqual({ data: mockProducts, page: 1, limit: 20, total: 2, totalPages: 1 });
     });
 
     /**
@@ -43,38 +53,401 @@ describe('ProductService - Tests Unitarios', () => {
     test('debe obtener productos con filtros aplicados', async () => {
         const filters = { search: 'Laptop' };
         const filteredProducts = [{ _id: 'prod3', name: 'Laptop' }];
-        productRepository.findAll.mockResolvedValue(filteredProducts);
+        productRepository.findAll.mockResolvedValue({ items: filteredProducts, total: 1 });
 
         const result = await productService.getAllProducts(filters);
 
-        expect(productRepository.findAll).toHaveBeenCalledWith(filters);
-        expect(result).toEqual(filteredProducts);
+        expect(productRepository.findAll).toHaveBeenCalledWith(
+            { ...filters, visibility: { ownStore: null } },
+            expect.any(Object)
+        );
+        expect(result.data).toEqual(filteredProducts);
     });
 
     /**
-     * Test 3: Obtener Producto por ID Existente
+     * Test 2.3: Búsqueda de Texto con Relevancia
      */
-    test('debe obtener producto por ID existente', async () => {
-        const productId = 'prod123';
-        const mockProduct = { _id: productId, name: 'Mouse' };
-        productRepository.findById.mockResolvedValue(mockProduct);
+    describe('búsqueda de texto', () => {
+        test('debe ordenar por relevancia cuando se envía search', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [{ _id: 'prod1' }], total: 1 });
 
-        const result = await productService.getProductById(productId);
+            await productService.getAllProducts({ search: '  laptop   gamer ' });
 
-        expect(productRepository.findById).toHaveBeenCalledWith(productId);
-        expect(result).toEqual(mockProduct);
+            expect(productRepository.findAll).toHaveBeenCalledTimes(1);
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ search: 'laptop gamer', fuzzySearch: undefined }),
+                expect.objectContaining({ sort: { score: { $meta: 'textScore' }, _id: -1 } })
+            );
+        });
+
+        test('debe reintentar una búsqueda corta sin resultados tolerando un error de tipeo', async () => {
+            productRepository.findAll
+                .mockResolvedValueOnce({ items: [], total: 0 })
+                .mockResolvedValueOnce({ items: [{ _id: 'prod1', name: 'Laptop' }], total: 1 });
+
+            const result = await productService.getAllProducts({ search: 'lapto' });
+
+            const [fallbackQuery, fallbackOptions] = productRepository.findAll.mock.calls[1];
+            expect(fallbackQuery.search).toBeUndefined();
+            expect(fallbackQuery.fuzzySearch[0].test('Laptop Dell')).toBe(true);
+            expect(fallbackOptions.sort).toEqual({ name: 1, _id: -1 });
+            expect(result.total).toBe(1);
+        });
+
+        test('el patrón tolerante ignora tildes y escapa caracteres especiales', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            await productService.getAllProducts({ search: 'electronica (.*)' });
+
+            const [electronica, special] = productRepository.findAll.mock.calls[1][0].fuzzySearch;
+            expect(electronica.test('Electrónica')).toBe(true);
+            expect(special.test('cualquier texto')).toBe(false);
+        });
+
+        test('el patrón tolerante solo coincide al inicio de una palabra', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            await productService.getAllProducts({ search: 'cable' });
+
+            const [cable] = productRepository.findAll.mock.calls[1][0].fuzzySearch;
+            expect(cable.test('Cable USB-C')).toBe(true);
+            expect(cable.test('Adaptador (cabel) HDMI')).toBe(true);
+            expect(cable.test('Mesa portable')).toBe(false);
+        });
+
+        test('no debe reintentar búsquedas largas', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            await productService.getAllProducts({ search: 'laptop gamer con pantalla grande' });
+
+            expect(productRepository.findAll).toHaveBeenCalledTimes(1);
+        });
+
+        test.each([
+            [{ sort: 'relevance' }],
+            [{ search: 'x'.repeat(101) }],
+            [{ search: { $gt: '' } }]
+        ])('debe rechazar %o con 400', async (query) => {
+            await expect(productService.getAllProducts(query)).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    /**
+     * Test 2.1: Paginación, Orden y Selección de Campos
+     */
+    describe('paginación del catálogo', () => {
+        test('debe aplicar page, limit, sort y fields', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 45 });
+
+            const result = await productService.getAllProducts({
+                page: '3', limit: '10', sort: 'price_asc', fields: 'name,price'
+            });
+
+            expect(productRepository.findAll).toHaveBeenCalledWith(expect.any(Object), {
+                page: 3,
+                limit: 10,
+                skip: 20,
+                sort: { price: 1, _id: -1 },
+                select: 'name price'
+            });
+            expect(result).toMatchObject({ page: 3, limit: 10, total: 45, totalPages: 5 });
+        });
+
+        test('debe limitar el tamaño de página al máximo permitido', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            const result = await productService.getAllProducts({ limit: '1000' });
+
+            expect(result.limit).toBe(100);
+        });
+
+        test.each([
+            [{ page: '0' }],
+            [{ limit: 'abc' }],
+            [{ sort: 'popularity' }],
+            [{ fields: 'name,secret' }]
+        ])('debe rechazar parámetros no válidos %o con 400', async (query) => {
+            await expect(productService.getAllProducts(query)).rejects.toMatchObject({ statusCode: 400 });
+            expect(productRepository.findAll).not.toHaveBeenCalled();
+        });
+
+        test('debe paginar los productos de una tienda con el mismo contrato', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'store1', owner: 'owner1', status: 'APPROVED' } });
+            productRepository.findByStore.mockResolvedValue({ items: [{ _id: 'prod1' }], total: 1 });
+
+            const result = await productService.getProductsByStore('store1', { sort: 'name' });
+
+            expect(productRepository.findByStore).toHaveBeenCalledWith('store1', expect.objectContaining({
+                sort: { name: 1, _id: -1 }
+            }));
+            expect(result).toEqual({ data: [{ _id: 'prod1' }], page: 1, limit: 20, total: 1, totalPages: 1 });
+        });
+    });
+
+    /**
+     * Test 2.1.1: Facets del Catálogo
+     */
+    describe('facets', () => {
+        const facets = {
+            categories: [{ _id: 'cat1', name: 'Audio', count: 2 }],
+            stores: [{ _id: 'approvedStore', name: 'Tech Store', count: 2 }],
+            priceRanges: [{ min: 10, max: 200, count: 2 }],
+            availability: { inStock: 1, outOfStock: 1 }
+        };
+
+        test('debe incluir facets calculados con los mismos filtros que los resultados', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [{ _id: 'prod1' }], total: 2 });
+            productRepository.getFacets.mockResolvedValue(facets);
+            const filters = { category: '64b7f0c2a1b2c3d4e5f60718', maxPrice: '300', facets: 'true' };
+
+            const result = await productService.getAllProducts(filters);
+
+            const [findQuery] = productRepository.findAll.mock.calls[0];
+            expect(productRepository.getFacets).toHaveBeenCalledWith(findQuery);
+            expect(findQuery).toMatchObject({ categories: [filters.category], maxPrice: '300', visibility: { ownStore: null } });
+            expect(result.facets).toEqual(facets);
+        });
+
+        test('filtrar por categoría debe incluir todas sus subcategorías', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+            categoryRepository.findDescendantIds.mockResolvedValue(['childCat', 'grandchildCat']);
+
+            await productService.getAllProducts({ category: '64b7f0c2a1b2c3d4e5f60718' });
+
+            expect(categoryRepository.findDescendantIds).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60718');
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ categories: ['64b7f0c2a1b2c3d4e5f60718', 'childCat', 'grandchildCat'] }),
+                expect.any(Object)
+            );
+        });
+
+        test('no debe calcular facets si no se piden', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            const result = await productService.getAllProducts({});
+
+            expect(productRepository.getFacets).not.toHaveBeenCalled();
+            expect(result.facets).toBeUndefined();
+        });
+
+        test('debe usar la búsqueda tolerante a errores si fue la que produjo los resultados', async () => {
+            productRepository.findAll
+                .mockResolvedValueOnce({ items: [], total: 0 })
+                .mockResolvedValueOnce({ items: [{ _id: 'prod1' }], total: 1 });
+            productRepository.getFacets.mockResolvedValue(facets);
+
+            await productService.getAllProducts({ search: 'lapto', facets: 'true' });
+
+            const [facetQuery] = productRepository.getFacets.mock.calls[0];
+            expect(facetQuery.search).toBeUndefined();
+            expect(facetQuery.fuzzySearch).toHaveLength(1);
+        });
+
+        test('debe rechazar una categoría que no existe', async () => {
+            categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: null });
+
+            await expect(productService.getAllProducts({ category: 'electronics' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('debe aceptar el slug de la categoría en el filtro', async () => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+            categoryRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'cat1', slug: 'electronica' } });
+
+            await productService.getAllProducts({ category: 'electronica' });
+
+            expect(categoryRepository.findByIdOrSlug).toHaveBeenCalledWith('electronica');
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ categories: ['cat1'] }),
+                expect.any(Object)
+            );
+        });
     });
 
     /**
-     * Test 4: Obtener Producto por ID No Existente
+     * Test 2.1.2: Tienda por Slug
      */
-    test('debe lanzar error si producto no existe', async () => {
-        const nonExistentId = 'nonexistent123';
-        productRepository.findById.mockResolvedValue(null);
+    describe('tienda por slug', () => {
+        test('debe listar los productos de la tienda encontrada por slug', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'store1', owner: 'owner1', status: 'APPROVED' } });
+            productRepository.findByStore.mockResolvedValue({ items: [], total: 0 });
+
+            await productService.getProductsByStore('tech-store');
+
+            expect(storeRepository.findByIdOrSlug).toHaveBeenCalledWith('tech-store');
+            expect(productRepository.findByStore).toHaveBeenCalledWith('store1', expect.any(Object));
+        });
+
+        test('un slug anterior debe fallar con 301 indicando el slug actual', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({
+                doc: { _id: 'store1', slug: 'tech-store-col' },
+                movedTo: 'tech-store-col'
+            });
 
-        await expect(
-            productService.getProductById(nonExistentId)
-        ).rejects.toThrow('Producto no encontrado');
+            await expect(productService.getProductsByStore('tech-store')).rejects.toMatchObject({
+                statusCode: 301,
+                details: { from: 'tech-store', to: 'tech-store-col' }
+            });
+            expect(productRepository.findByStore).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Test 2.2: Visibilidad según el Estado de la Tienda
+     */
+    describe('tiendas no aprobadas', () => {
+        beforeEach(() => {
+            productRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+        });
+
+        test('visitantes solo ven productos de tiendas aprobadas', async () => {
+            await productService.getAllProducts({ includeAll: 'true' });
+
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ visibility: { ownStore: null } }),
+                expect.any(Object)
+            );
+        });
+
+        test('el dueño también ve los productos de su tienda pendiente', async () => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'draftStore', status: 'PENDING' });
+
+            await productService.getAllProducts({}, { id: 'owner1', role: 'STORE' });
+
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ visibility: { ownStore: 'draftStore' } }),
+                expect.any(Object)
+            );
+        });
+
+        test('un admin con includeAll=true ve todas las tiendas', async () => {
+            await productService.getAllProducts({ includeAll: 'true' }, { id: 'admin1', role: 'ADMIN' });
+
+            expect(storeRepository.findByMember).not.toHaveBeenCalled();
+            expect(productRepository.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({ visibility: null }),
+                expect.any(Object)
+            );
+        });
+
+        test('la página de una tienda pendiente viene vacía para otros usuarios', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'store1', owner: 'owner1', status: 'PENDING' } });
+
+            const result = await productService.getProductsByStore('store1', {}, { id: 'client1', role: 'CLIENT' });
+
+            expect(productRepository.findByStore).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ data: [], total: 0 });
+        });
+
+        test('el dueño ve los productos de su tienda pendiente', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: { _id: 'store1', owner: 'owner1', status: 'PENDING' } });
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1', status: 'PENDING' });
+            productRepository.findByStore.mockResolvedValue({ items: [{ _id: 'prod1' }], total: 1 });
+
+            const result = await productService.getProductsByStore('store1', {}, { id: 'owner1', role: 'STORE' });
+
+            expect(result.data).toEqual([{ _id: 'prod1' }]);
+        });
+    });
+
+    /**
+     * Test 3: Obtener Producto por ID Existente
+     */
+    describe('detalle de producto', () => {
+        const approvedStore = { _id: 'store1', name: 'Tech Store', status: 'APPROVED', owner: 'owner1' };
+        const detailProduct = (overrides = {}) => {
+            const product = {
+                _id: 'prod123',
+                name: 'Mouse',
+                stock: 3,
+                store: 'store1',
+                category: { _id: 'cat1', name: 'Periféricos' },
+                ...overrides
+            };
+            product.toJSON = () => ({ _id: product._id, name: product.name, store: product.store, category: product.category });
+            return product;
+        };
+
+        beforeEach(() => {
+            storeRepository.findById.mockResolvedValue(approvedStore);
+            productRepository.populateDetail.mockImplementation(async (product) => {
+                product.store = { _id: 'store1', name: 'Tech Store', slug: 'tech-store' };
+                return product;
+            });
+            productRepository.findRelated.mockResolvedValue([{ _id: 'prod456', name: 'Teclado' }]);
+        });
+
+        test('debe obtener producto por ID existente con disponibilidad y relacionados', async () => {
+            productRepository.findByIdOrSlug.mockResolvedValue({ doc: detailProduct() });
+
+            const result = await productService.getProductById('prod123');
+
+            expect(productRepository.findByIdOrSlug).toHaveBeenCalledWith('prod123');
+            expect(storeRepository.findById).toHaveBeenCalledWith('store1');
+            expect(result.store).toEqual({ _id: 'store1', name: 'Tech Store', slug: 'tech-store' });
+            expect(result).toMatchObject({
+                _id: 'prod123',
+                name: 'Mouse',
+                store: { name: 'Tech Store' },
+                category: { name: 'Periféricos' },
+                availability: { inStock: true, status: 'LOW_STOCK', stock: 3 },
+                related: [{ _id: 'prod456', name: 'Teclado' }]
+            });
+            expect(productRepository.findRelated).toHaveBeenCalledWith('prod123', 'cat1', { visibility: { ownStore: null }, limit: 4 });
+        });
+
+        test('debe informar la disponibilidad de cada variante', async () => {
+            productRepository.findByIdOrSlug.mockResolvedValue({
+                doc: detailProduct({
+                    stock: 0,
+                    category: undefined,
+                    variants: [{ _id: 'varS', sku: 'CAM-S', stock: 0 }]
+                })
+            });
+
+            const result = await productService.getProductById('camiseta');
+
+            expect(result.availability).toEqual({
+                inStock: false,
+                status: 'OUT_OF_STOCK',
+                stock: 0,
+                variants: [{ _id: 'varS', sku: 'CAM-S', inStock: false, stock: 0 }]
+            });
+            expect(result.related).toEqual([]);
+            expect(productRepository.findRelated).not.toHaveBeenCalled();
+        });
+
+        /**
+         * Test 4: Obtener Producto por ID No Existente
+         */
+        test('debe lanzar 404 si producto no existe', async () => {
+            productRepository.findByIdOrSlug.mockResolvedValue({ doc: null });
+
+            await expect(
+                productService.getProductById('nonexistent123')
+            ).rejects.toMatchObject({ message: 'Producto no encontrado', statusCode: 404 });
+        });
+
+        test('debe lanzar 404 si la tienda del producto no está aprobada', async () => {
+            productRepository.findByIdOrSlug.mockResolvedValue({ doc: detailProduct() });
+            storeRepository.findById.mockResolvedValue({ ...approvedStore, status: 'PENDING' });
+
+            await expect(productService.getProductById('prod123')).rejects.toMatchObject({ statusCode: 404 });
+            expect(productRepository.populateDetail).not.toHaveBeenCalled();
+            storeRepository.findByMember.mockResolvedValue({ ...approvedStore, status: 'PENDING' });
+            await expect(
+                productService.getProductById('prod123', { id: 'owner1', role: 'STORE' })
+            ).resolves.toMatchObject({ _id: 'prod123' });
+        });
+
+        test('un slug anterior debe fallar con 301 indicando el slug actual', async () => {
+            productRepository.findByIdOrSlug.mockResolvedValue({ doc: detailProduct(), movedTo: 'mouse-inalambrico' });
+
+            await expect(productService.getProductById('mouse')).rejects.toMatchObject({
+                statusCode: 301,
+                details: { from: 'mouse', to: 'mouse-inalambrico' }
+            });
+        });
     });
 
     /**
@@ -83,19 +456,165 @@ describe('ProductService - Tests Unitarios', () => {
     test('debe crear un nuevo producto válido', async () => {
         const userId = 'user123';
         const productData = { name: 'Teclado', price: 100 };
-        const mockStore = { _id: 'store456', status: 'APPROVED', owner: userId };
+        const mockStore = { _id: 'store456', name: 'Tech Store', status: 'APPROVED', owner: userId };
         const createdProduct = { _id: 'newProd789', ...productData, store: mockStore._id };
 
-        storeRepository.findByOwner.mockResolvedValue(mockStore);
+        storeRepository.findByMember.mockResolvedValue(mockStore);
         productRepository.create.mockResolvedValue(createdProduct);
 
         const result = await productService.createProduct(userId, productData);
 
-        expect(storeRepository.findByOwner).toHaveBeenCalledWith(userId);
-        expect(productRepository.create).toHaveBeenCalledWith({ ...productData, store: mockStore._id });
+        expect(storeRepository.findByMember).toHaveBeenCalledWith(userId);
+        expect(productRepository.create).toHaveBeenCalledWith({
+            ...productData,
+            store: mockStore._id,
+            storeName: 'Tech Store',
+            storeApproved: true,
+            categoryName: undefined
+        });
         expect(result).toEqual(createdProduct);
     });
 
+    /**
+     * Test 5.1: Nombres Desnormalizados para la Búsqueda
+     */
+    test('debe copiar el nombre de la categoría al crear el producto', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store456', name: 'Tech Store', status: 'APPROVED', owner: 'user123' });
+        categoryRepository.findById.mockResolvedValue({ _id: 'cat1', name: 'Electrónica' });
+
+        await productService.createProduct('user123', { name: 'Laptop', category: 'cat1' });
+
+        expect(productRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+            categoryName: 'Electrónica',
+            storeName: 'Tech Store'
+        }));
+    });
+
+    test('el personal con rol MANAGER gestiona productos y FULFILLMENT no', async () => {
+        const store = {
+            _id: 'store456',
+            name: 'Tech Store',
+            status: 'APPROVED',
+            owner: 'owner1',
+            members: [{ user: 'manager1', role: 'MANAGER' }, { user: 'picker1', role: 'FULFILLMENT' }]
+        };
+        storeRepository.findByMember.mockResolvedValue(store);
+
+        await productService.createProduct('manager1', { name: 'Mouse', price: 10 });
+        expect(productRepository.create).toHaveBeenCalledWith(expect.objectContaining({ store: 'store456' }));
+
+        productRepository.findById.mockResolvedValue({ _id: 'prod1', store: 'store456' });
+        await expect(productService.deleteProduct('picker1', 'prod1')).rejects.toMatchObject({ statusCode: 403 });
+        expect(productRepository.delete).not.toHaveBeenCalled();
+    });
+
+    test('debe ignorar nombres desnormalizados enviados por el cliente al actualizar', async () => {
+        productRepository.findById.mockResolvedValue({ _id: 'prod1', store: 'store456' });
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store456', owner: 'user123' });
+        categoryRepository.findById.mockResolvedValue({ _id: 'cat2', name: 'Audio' });
+
+        await productService.updateProduct('user123', 'prod1', {
+            category: 'cat2',
+            categoryName: 'Falso',
+            storeName: 'Otra tienda',
+            storeApproved: true
+        });
+
+        expect(productRepository.update).toHaveBeenCalledWith('prod1', { category: 'cat2', categoryName: 'Audio' });
+    });
+
+    /**
+     * Test 5.2: Variantes (ejes de opciones, SKU, stock por variante)
+     */
+    describe('variantes', () => {
+        const optionAxes = [
+            { name: 'Talla', values: ['S', 'M'] },
+            { name: 'Color', values: ['Rojo', 'Azul'] }
+        ];
+        const variant = (sku, talla, color, stock = 1) => ({ sku, options: { Talla: talla, Color: color }, stock });
+
+        beforeEach(() => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store456', name: 'Tech Store', status: 'APPROVED', owner: 'user123' });
+        });
+
+        test('el stock del producto debe ser la suma del stock de sus variantes', async () => {
+            await productService.createProduct('user123', {
+                name: 'Camiseta',
+                price: 50,
+                stock: 999,
+                optionAxes,
+                variants: [variant('CAM-S-R', 'S', 'Rojo', 2), variant('CAM-M-A', 'M', 'Azul', 3)]
+            });
+
+            expect(productRepository.create).toHaveBeenCalledWith(expect.objectContaining({ stock: 5 }));
+        });
+
+        test('debe rechazar SKUs repetidos', async () => {
+            await expect(productService.createProduct('user123', {
+                name: 'Camiseta', price: 50, optionAxes,
+                variants: [variant('CAM', 'S', 'Rojo'), variant('CAM', 'M', 'Rojo')]
+            })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('SKU') });
+        });
+
+        test('debe rechazar combinaciones de opciones repetidas', async () => {
+            await expect(productService.createProduct('user123', {
+                name: 'Camiseta', price: 50, optionAxes,
+                variants: [variant('A', 'S', 'Rojo'), variant('B', 'S', 'Rojo')]
+            })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('combinación') });
+        });
+
+        test('debe rechazar valores que no existen en los ejes o ejes incompletos', async () => {
+            await expect(productService.createProduct('user123', {
+                name: 'Camiseta', price: 50, optionAxes, variants: [variant('A', 'XL', 'Rojo')]
+            })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(productService.createProduct('user123', {
+                name: 'Camiseta', price: 50, optionAxes, variants: [{ sku: 'A', options: { Talla: 'S' }, stock: 1 }]
+            })).rejects.toMatchObject({ statusCode: 400 });
+            expect(productRepository.create).not.toHaveBeenCalled();
+        });
+
+        test('no debe permitir cambiar el stock total de un producto con variantes', async () => {
+            productRepository.findById.mockResolvedValue({
+                _id: 'prod1', store: 'store456', optionAxes, variants: [variant('A', 'S', 'Rojo', 2)]
+            });
+
+            await expect(
+                productService.updateProduct('user123', 'prod1', { stock: 10 })
+            ).rejects.toMatchObject({ statusCode: 400 });
+            expect(productRepository.update).not.toHaveBeenCalled();
+        });
+
+        test('al actualizar las variantes debe validar contra los ejes guardados y recalcular el stock', async () => {
+            productRepository.findById.mockResolvedValue({
+                _id: 'prod1', store: 'store456', optionAxes, variants: [variant('A', 'S', 'Rojo', 2)]
+            });
+            const variants = [variant('A', 'S', 'Rojo', 4), variant('B', 'M', 'Azul', 6)];
+
+            await productService.updateProduct('user123', 'prod1', { variants });
+
+            expect(productRepository.update).toHaveBeenCalledWith('prod1', { variants, stock: 10 });
+        });
+
+        test('al actualizar debe rechazar stock o precio negativos en una variante', async () => {
+            productRepository.findById.mockResolvedValue({
+                _id: 'prod1', store: 'store456', optionAxes, variants: [variant('A', 'S', 'Rojo', 2)]
+            });
+
+            await expect(
+                productService.updateProduct('user123', 'prod1', { variants: [variant('A', 'S', 'Rojo', -5)] })
+            ).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('stock') });
+            await expect(
+                productService.updateProduct('user123', 'prod1', { variants: [variant('A', 'S', 'Rojo', 'muchos')] })
+            ).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('stock') });
+            await expect(
+                productService.updateProduct('user123', 'prod1', {
+                    variants: [{ ...variant('A', 'S', 'Rojo', 2), price: -1 }]
+                })
+            ).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('precio') });
+            expect(productRepository.update).not.toHaveBeenCalled();
+        });
+    });
+
     /**
      * Test 6: Actualizar Producto Existente
      */
@@ -108,13 +627,13 @@ describe('ProductService - Tests Unitarios', () => {
         const updatedProduct = { ...existingProduct, ...updateData };
 
         productRepository.findById.mockResolvedValue(existingProduct);
-        storeRepository.findByOwner.mockResolvedValue(mockStore);
+        storeRepository.findByMember.mockResolvedValue(mockStore);
         productRepository.update.mockResolvedValue(updatedProduct);
 
         const result = await productService.updateProduct(userId, productId, updateData);
 
         expect(productRepository.findById).toHaveBeenCalledWith(productId);
-        expect(storeRepository.findByOwner).toHaveBeenCalledWith(userId);
+        expect(storeRepository.findByMember).toHaveBeenCalledWith(userId);
         expect(productRepository.update).toHaveBeenCalledWith(productId, updateData);
         expect(result).toEqual(updatedProduct);
     });
@@ -129,13 +648,13 @@ describe('ProductService - Tests Unitarios', () => {
         const productToDelete = { _id: productId, store: mockStore._id };
 
         productRepository.findById.mockResolvedValue(productToDelete);
-        storeRepository.findByOwner.mockResolvedValue(mockStore);
+        storeRepository.findByMember.mockResolvedValue(mockStore);
         productRepository.delete.mockResolvedValue({ deleted: true });
 
         const result = await productService.deleteProduct(userId, productId);
 
         expect(productRepository.findById).toHaveBeenCalledWith(productId);
-        expect(storeRepository.findByOwner).toHaveBeenCalledWith(userId);
+        expect(storeRepository.findByMember).toHaveBeenCalledWith(userId);
         expect(productRepository.delete).toHaveBeenCalledWith(productId);
         expect(result).toEqual({ deleted: true });
     });
@@ -2,18 +2,25 @@
  * Tests Unitarios para storeService
  * 
  * Propósito:
- * Verificar la lógica de gestión de tiendas (creación, aprobación, consultas)
+ * Verificar la lógica de gestión de tiendas (creación, moderación, consultas, perfil público,
+ * personal e invitaciones)
  * sin depender de la base de datos real.
  * 
  * Dependencias:
  * - storeService: Servicio de tiendas principal
  * - storeRepository: Mock del repositorio de tiendas
+ * - productRepository: Mock del repositorio de productos (nombre de tienda desnormalizado, conteo)
+ * - userRepository: Mock del repositorio de usuarios (email del invitado)
  */
 
 const storeService = require('../../../src/services/storeService');
 const storeRepository = require('../../../src/repositories/storeRepository');
+const productRepository = require('../../../src/repositories/productRepository');
+const userRepository = require('../../../src/repositories/userRepository');
 
 jest.mock('../../../src/repositories/storeRepository');
+jest.mock('../../../src/repositories/productRepository');
+jest.mock('../../../src/repositories/userRepository');
 
 describe('Store Service - Tests Unitarios', () => {
     beforeEach(() => {
@@ -28,41 +35,405 @@ describe('Store Service - Tests Unitarios', () => {
         const storeData = { name: 'Tienda Tech', description: 'Desc' };
         const createdStore = { _id: 'store456', ...storeData, owner: userId, status: 'PENDING' };
 
-        storeRepository.findByOwner.mockResolvedValue(null); // No tiene tienda previa
+        storeRepository.findByMember.mockResolvedValue(null); // No tiene tienda previa
         storeRepository.create.mockResolvedValue(createdStore);
 
         const result = await storeService.createStore(userId, storeData);
 
-        expect(storeRepository.findByOwner).toHaveBeenCalledWith(userId);
+        expect(storeRepository.findByMember).toHaveBeenCalledWith(userId);
         expect(storeRepository.create).toHaveBeenCalledWith({ ...storeData, owner: userId });
         expect(result.status).toBe('PENDING');
     });
 
     /**
-     * Test 2: Aprobar Tienda Pendiente
+     * Test 2: Moderación (aprobar, rechazar, suspender)
      */
-    test('debe aprobar tienda pendiente', async () => {
-        const storeId = 'store456';
-        const approvedStore = { _id: storeId, status: 'APPROVED' };
+    describe('moderación de tiendas', () => {
+        const admin = { id: 'admin1', role: 'ADMIN' };
 
-        storeRepository.updateStatus.mockResolvedValue(approvedStore);
+        beforeEach(() => {
+            storeRepository.transitionStatus.mockImplementation(async (id, from, entry) => ({ _id: id, status: entry.status }));
+        });
 
-        const result = await storeService.approveStore(storeId);
+        test('debe aprobar tienda pendiente registrando al admin', async () => {
+            storeRepository.findById.mockResolvedValue({ _id: 'store456', status: 'PENDING' });
 
-        expect(storeRepository.updateStatus).toHaveBeenCalledWith(storeId, 'APPROVED');
-        expect(result.status).toBe('APPROVED');
+            const result = await storeService.updateStoreStatus('store456', { status: 'APPROVED' }, admin);
+
+            expect(storeRepository.transitionStatus).toHaveBeenCalledWith(
+                'store456',
+                'PENDING',
+                { status: 'APPROVED', reason: undefined, updatedBy: 'admin1' },
+                null
+            );
+            expect(result.status).toBe('APPROVED');
+        });
+
+        test('debe rechazar y suspender solo con un motivo', async () => {
+            storeRepository.findById.mockResolvedValue({ _id: 'store456', status: 'PENDING' });
+
+            await expect(
+                storeService.updateStoreStatus('store456', { status: 'REJECTED', reason: '   ' }, admin)
+            ).rejects.toMatchObject({ statusCode: 400 });
+
+            await storeService.updateStoreStatus('store456', { status: 'REJECTED', reason: ' Datos incompletos ' }, admin);
+            expect(storeRepository.transitionStatus).toHaveBeenCalledWith(
+                'store456',
+                'PENDING',
+                { status: 'REJECTED', reason: 'Datos incompletos', updatedBy: 'admin1' },
+                'Datos incompletos'
+            );
+        });
+
+        test('debe suspender una tienda aprobada y permitir reactivarla', async () => {
+            storeRepository.findById.mockResolvedValueOnce({ _id: 'store456', status: 'APPROVED' });
+            await storeService.updateStoreStatus('store456', { status: 'SUSPENDED', reason: 'Fraude' }, admin);
+
+            storeRepository.findById.mockResolvedValueOnce({ _id: 'store456', status: 'SUSPENDED' });
+            const result = await storeService.updateStoreStatus('store456', { status: 'APPROVED' }, admin);
+
+            expect(result.status).toBe('APPROVED');
+            // Los productos siguen el estado de la tienda para el filtro del catálogo
+            expect(productRepository.syncStoreApproval.mock.calls).toEqual([
+                ['store456', false],
+                ['store456', true],
+            ]);
+        });
+
+        test('debe rechazar estados inválidos y transiciones no permitidas', async () => {
+            storeRepository.findById.mockResolvedValue({ _id: 'store456', status: 'PENDING' });
+
+            await expect(
+                storeService.updateStoreStatus('store456', { status: 'PENDING' }, admin)
+            ).rejects.toMatchObject({ statusCode: 400 });
+            await expect(
+                storeService.updateStoreStatus('store456', { status: 'CERRADA' }, admin)
+            ).rejects.toMatchObject({ statusCode: 400 });
+            await expect(
+                storeService.updateStoreStatus('store456', { status: 'SUSPENDED', reason: 'x' }, admin)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(storeRepository.transitionStatus).not.toHaveBeenCalled();
+        });
+
+        test('debe fallar con 409 si el estado cambió durante la operación', async () => {
+            storeRepository.findById.mockResolvedValue({ _id: 'store456', status: 'PENDING' });
+            storeRepository.transitionStatus.mockResolvedValue(null);
+
+            await expect(
+                storeService.updateStoreStatus('store456', { status: 'APPROVED' }, admin)
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(productRepository.syncStoreApproval).not.toHaveBeenCalled();
+        });
+
+        test('debe responder 404 si la tienda no existe', async () => {
+            storeRepository.findById.mockResolvedValue(null);
+
+            await expect(
+                storeService.updateStoreStatus('nope', { status: 'APPROVED' }, admin)
+            ).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('el dueño puede reenviar a revisión solo una tienda rechazada', async () => {
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store456', owner: 'owner1', status: 'REJECTED' });
+
+            const result = await storeService.resubmitStore('owner1', 'Corregimos la descripción');
+
+            expect(storeRepository.transitionStatus).toHaveBeenCalledWith(
+                'store456',
+                'REJECTED',
+                { status: 'PENDING', reason: 'Corregimos la descripción', updatedBy: 'owner1' },
+                null
+            );
+            expect(result.status).toBe('PENDING');
+
+            storeRepository.findByMember.mockResolvedValue({ _id: 'store456', owner: 'owner1', status: 'SUSPENDED' });
+            await expect(storeService.resubmitStore('owner1')).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    /**
+     * Test 3: Listado de Tiendas (admin)
+     */
+    describe('listado de tiendas para administración', () => {
+        test('debe obtener todas las tiendas paginadas', async () => {
+            const stores = [{ _id: 'store1' }, { _id: 'store2' }];
+            storeRepository.findAll.mockResolvedValue({ items: stores, total: 2 });
+
+            const result = await storeService.getAllStores();
+
+            expect(storeRepository.findAll).toHaveBeenCalledWith(
+                { status: undefined },
+                expect.objectContaining({ skip: 0, limit: 20, sort: { createdAt: -1, _id: -1 } })
+            );
+            expect(result).toEqual({ data: stores, page: 1, limit: 20, total: 2, totalPages: 1 });
+        });
+
+        test('debe filtrar por estado y ordenar por nombre', async () => {
+            storeRepository.findAll.mockResolvedValue({ items: [], total: 0 });
+
+            await storeService.getAllStores({ status: 'PENDING', sort: 'name', page: '2', limit: '5' });
+
+            expect(storeRepository.findAll).toHaveBeenCalledWith(
+                { status: 'PENDING' },
+                expect.objectContaining({ skip: 5, limit: 5, sort: { name: 1, _id: -1 } })
+            );
+        });
+
+        test('debe rechazar un estado desconocido con 400', async () => {
+            await expect(storeService.getAllStores({ status: 'ACTIVE' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(storeRepository.findAll).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Test 4: Perfil Público de Tienda
+     */
+    describe('perfil público de tienda', () => {
+        const createdAt = new Date('2025-01-15T10:00:00Z');
+        const approvedStore = {
+            _id: 'store1',
+            name: 'Tech Store',
+            slug: 'tech-store',
+            description: 'Electrónica',
+            logo: 'https://cdn.test/logo.png',
+            banner: 'https://cdn.test/banner.png',
+            status: 'APPROVED',
+            statusHistory: [{ status: 'APPROVED' }],
+            owner: 'owner1',
+            createdAt,
+        };
+
+        test('debe retornar el perfil público de una tienda aprobada', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: approvedStore });
+            productRepository.countByStore.mockResolvedValue(8);
+
+            const result = await storeService.getPublicProfile('tech-store');
+
+            expect(productRepository.countByStore).toHaveBeenCalledWith('store1');
+            expect(result).toEqual({
+                _id: 'store1',
+                name: 'Tech Store',
+                slug: 'tech-store',
+                description: 'Electrónica',
+                logo: 'https://cdn.test/logo.png',
+                banner: 'https://cdn.test/banner.png',
+                productCount: 8,
+                joinedAt: createdAt,
+            });
+            expect(result).not.toHaveProperty('owner');
+            expect(result).not.toHaveProperty('status');
+        });
+
+        test('debe retornar 404 si la tienda no está aprobada', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: { ...approvedStore, status: 'SUSPENDED' } });
+
+            await expect(storeService.getPublicProfile('tech-store'))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(productRepository.countByStore).not.toHaveBeenCalled();
+        });
+
+        test('debe retornar 404 si la tienda no existe', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: null });
+
+            await expect(storeService.getPublicProfile('no-existe'))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('debe indicar redirección 301 si se usa un slug anterior', async () => {
+            storeRepository.findByIdOrSlug.mockResolvedValue({ doc: null, movedTo: 'tech-store' });
+
+            await expect(storeService.getPublicProfile('old-tech'))
+                .rejects.toMatchObject({ statusCode: 301, details: { from: 'old-tech', to: 'tech-store' } });
+        });
+    });
+
+    /**
+     * Test 5: Renombrar Tienda
+     */
+    test('debe sincronizar el nombre de la tienda en sus productos al renombrarla', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1', name: 'Viejo Nombre' });
+        storeRepository.update.mockResolvedValue({ _id: 'store1', name: 'Nuevo Nombre' });
+
+        await storeService.updateStore('owner1', { name: 'Nuevo Nombre' });
+
+        expect(productRepository.syncStoreName).toHaveBeenCalledWith('store1', 'Nuevo Nombre');
+    });
+
+    test('no debe tocar los productos si el nombre no cambia', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1', name: 'Tienda' });
+        storeRepository.update.mockResolvedValue({ _id: 'store1', name: 'Tienda', description: 'Nueva' });
+
+        await storeService.updateStore('owner1', { description: 'Nueva' });
+
+        expect(productRepository.syncStoreName).not.toHaveBeenCalled();
+    });
+
+    test('el dueño no puede cambiar el estado ni el owner al actualizar', async () => {
+        storeRepository.findByMember.mockResolvedValue({ _id: 'store1', owner: 'owner1', name: 'Tienda', status: 'REJECTED' });
+        storeRepository.update.mockResolvedValue({ _id: 'store1', name: 'Tienda' });
+
+        await storeService.updateStore('owner1', {
+            description: 'Nueva',
+            status: 'APPROVED',
+            statusReason: '',
+            statusHistory: [],
+            owner: 'otro'
+        });
+
+        expect(storeRepository.update).toHaveBeenCalledWith('store1', { description: 'Nueva' });
     });
 
     /**
-     * Test 3: Obtener Todas las Tiendas
+     * Test 6: Personal de la Tienda (roles e invitaciones)
      */
-    test('debe obtener todas las tiendas', async () => {
-        const stores = [{ _id: 'store1' }, { _id: 'store2' }];
-        storeRepository.findAll.mockResolvedValue(stores);
+    describe('personal de la tienda', () => {
+        const store = {
+            _id: 'store1',
+            owner: 'owner1',
+            status: 'APPROVED',
+            members: [
+                { user: 'manager1', role: 'MANAGER' },
+                { user: 'picker1', role: 'FULFILLMENT' }
+            ],
+            invitations: [{ _id: 'inv1', email: 'nuevo@test.com', role: 'MANAGER' }]
+        };
+
+        beforeEach(() => {
+            storeRepository.findByMember.mockResolvedValue(store);
+        });
+
+        test('debe resolver la tienda de un miembro del personal y aplicar los permisos de su rol', async () => {
+            await expect(storeService.findMemberStore('manager1', 'products:manage')).resolves.toBe(store);
+            await expect(storeService.findMemberStore('picker1', 'orders:fulfil')).resolves.toBe(store);
+            await expect(storeService.findMemberStore('picker1', 'products:manage'))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(storeService.findMemberStore('manager1', 'members:manage'))
+                .rejects.toMatchObject({ statusCode: 403 });
+
+            storeRepository.findByMember.mockResolvedValue(null);
+            await expect(storeService.findMemberStore('nadie', 'products:manage')).resolves.toBeNull();
+        });
+
+        test('solo el dueño puede editar la tienda', async () => {
+            await expect(storeService.updateStore('manager1', { description: 'x' }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(storeRepository.update).not.toHaveBeenCalled();
+        });
+
+        test('debe invitar por email guardando solo el hash del token', async () => {
+            userRepository.findByEmail.mockResolvedValue(null);
+            storeRepository.replaceInvitation.mockImplementation(async (id, invitation) => ({
+                invitations: [{ _id: 'inv2', ...invitation }]
+            }));
+
+            const result = await storeService.inviteMember('owner1', { email: ' Bodega@Test.com ', role: 'FULFILLMENT' });
+
+            const saved = storeRepository.replaceInvitation.mock.calls[0][1];
+            expect(storeRepository.replaceInvitation).toHaveBeenCalledWith('store1', expect.objectContaining({
+                email: 'bodega@test.com',
+                role: 'FULFILLMENT',
+                invitedBy: 'owner1'
+            }));
+            expect(result).toMatchObject({ _id: 'inv2', email: 'bodega@test.com', role: 'FULFILLMENT' });
+            expect(result.token).toMatch(/^[0-9a-f]{64}$/);
+            expect(saved.tokenHash).not.toBe(result.token);
+            expect(saved.expiresAt.getTime()).toBeGreaterThan(Date.now());
+            expect(result).not.toHaveProperty('tokenHash');
+        });
+
+        test('debe rechazar roles no asignables y usuarios que ya tienen tienda', async () => {
+            await expect(storeService.inviteMember('owner1', { email: 'a@test.com', role: 'OWNER' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(storeService.inviteMember('owner1', { role: 'MANAGER' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+
+            userRepository.findByEmail.mockResolvedValue({ _id: 'otroDueño' });
+            await expect(storeService.inviteMember('owner1', { email: 'dueño@otra.com', role: 'MANAGER' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(storeRepository.replaceInvitation).not.toHaveBeenCalled();
+        });
+
+        describe('aceptar invitación', () => {
+            const crypto = require('crypto');
+            const token = 'a'.repeat(64);
+            const invitation = {
+                _id: 'inv1',
+                email: 'nuevo@test.com',
+                role: 'MANAGER',
+                invitedBy: 'owner1',
+                tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+                expiresAt: new Date(Date.now() + 60000)
+            };
+
+            beforeEach(() => {
+                storeRepository.findByInvitationToken.mockResolvedValue({ _id: 'store1', invitations: [invitation] });
+                storeRepository.findByMember.mockResolvedValue(null);
+                userRepository.findById.mockResolvedValue({ _id: 'user9', email: 'nuevo@test.com' });
+                storeRepository.acceptInvitation.mockResolvedValue({ _id: 'store1' });
+            });
+
+            test('el invitado se une con el rol de la invitación', async () => {
+                await storeService.acceptInvitation('user9', token);
+
+                expect(storeRepository.findByInvitationToken).toHaveBeenCalledWith(invitation.tokenHash);
+                expect(storeRepository.acceptInvitation).toHaveBeenCalledWith('store1', 'inv1', {
+                    user: 'user9',
+                    role: 'MANAGER',
+                    invitedBy: 'owner1'
+                });
+            });
+
+            test('debe rechazar tokens desconocidos, caducados o de otro email', async () => {
+                storeRepository.findByInvitationToken.mockResolvedValueOnce(null);
+                await expect(storeService.acceptInvitation('user9', 'otro')).rejects.toMatchObject({ statusCode: 404 });
+
+                storeRepository.findByInvitationToken.mockResolvedValueOnce({
+                    _id: 'store1',
+                    invitations: [{ ...invitation, expiresAt: new Date(Date.now() - 1000) }]
+                });
+                await expect(storeService.acceptInvitation('user9', token)).rejects.toMatchObject({ statusCode: 410 });
+
+                userRepository.findById.mockResolvedValueOnce({ _id: 'user9', email: 'otro@test.com' });
+                await expect(storeService.acceptInvitation('user9', token)).rejects.toMatchObject({ statusCode: 403 });
+
+                expect(storeRepository.acceptInvitation).not.toHaveBeenCalled();
+            });
+
+            test('un usuario que ya pertenece a una tienda no puede aceptar', async () => {
+                storeRepository.findByMember.mockResolvedValue({ _id: 'otraTienda', owner: 'user9' });
+
+                await expect(storeService.acceptInvitation('user9', token)).rejects.toMatchObject({ statusCode: 409 });
+                expect(storeRepository.acceptInvitation).not.toHaveBeenCalled();
+            });
+        });
+
+        test('el dueño cambia roles y quita miembros, pero no a sí mismo', async () => {
+            storeRepository.updateMemberRole.mockResolvedValue({ _id: 'store1' });
+            storeRepository.removeMember.mockResolvedValue({ _id: 'store1' });
+
+            await storeService.updateMemberRole('owner1', 'picker1', 'MANAGER');
+            expect(storeRepository.updateMemberRole).toHaveBeenCalledWith('store1', 'picker1', 'MANAGER');
+
+            await storeService.removeMember('owner1', 'manager1');
+            expect(storeRepository.removeMember).toHaveBeenCalledWith('store1', 'manager1');
+
+            await expect(storeService.updateMemberRole('owner1', 'owner1', 'MANAGER'))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(storeService.removeMember('owner1', 'owner1')).rejects.toMatchObject({ statusCode: 400 });
+            await expect(storeService.removeMember('owner1', 'desconocido')).rejects.toMatchObject({ statusCode: 404 });
+            await expect(storeService.removeMember('manager1', 'picker1')).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('revocar una invitación inexistente retorna 404 sin consultar por un id inválido', async () => {
+            storeRepository.removeInvitation.mockResolvedValue({ _id: 'store1' });
 
-        const result = await storeService.getAllStores();
+            await storeService.revokeInvitation('owner1', 'inv1');
+            expect(storeRepository.removeInvitation).toHaveBeenCalledWith('store1', 'inv1');
 
-        expect(storeRepository.findAll).toHaveBeenCalled();
-        expect(result).toEqual(stores);
+            storeRepository.removeInvitation.mockClear();
+            await expect(storeService.revokeInvitation('owner1', 'no-es-un-id')).rejects.toMatchObject({ statusCode: 404 });
+            expect(storeRepository.removeInvitation).not.toHaveBeenCalled();
+        });
     });
 });